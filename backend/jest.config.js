@@ -5,10 +5,8 @@ module.exports = {
     '!src/scripts/**',
     '!src/index.js'
   ],
-  testMatch: [
-    '**/__tests__/**/*.js',
-    '**/?(*.)+(spec|test).js'
-  ],
+  // setup.js sits next to the suites but is not one
+  testMatch: ['**/?(*.)+(spec|test).js'],
   setupFilesAfterEnv: ['<rootDir>/src/__tests__/setup.js'],
   verbose: true
 };
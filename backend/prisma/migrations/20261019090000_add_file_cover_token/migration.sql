@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "files" ADD COLUMN "coverToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "files_coverToken_key" ON "files"("coverToken");
@@ -0,0 +1,22 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_folders" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "isProtected" BOOLEAN NOT NULL DEFAULT false,
+    "passwordHash" TEXT,
+    "salt" TEXT,
+    "ownerId" TEXT NOT NULL,
+    "parentId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "folders_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "folders_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "folders" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_folders" ("createdAt", "id", "isProtected", "name", "ownerId", "passwordHash", "salt", "updatedAt") SELECT "createdAt", "id", "isProtected", "name", "ownerId", "passwordHash", "salt", "updatedAt" FROM "folders";
+DROP TABLE "folders";
+ALTER TABLE "new_folders" RENAME TO "folders";
+CREATE INDEX "folders_ownerId_parentId_idx" ON "folders"("ownerId", "parentId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
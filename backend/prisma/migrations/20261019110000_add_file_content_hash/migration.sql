@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "files" ADD COLUMN "contentHash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "files_ownerId_contentHash_idx" ON "files"("ownerId", "contentHash");
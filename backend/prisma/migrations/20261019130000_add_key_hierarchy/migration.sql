@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "vaultSalt" TEXT;
+ALTER TABLE "users" ADD COLUMN "vaultKeyCheck" TEXT;
+
+-- AlterTable
+ALTER TABLE "folders" ADD COLUMN "wrappedFolderKey" TEXT;
+
+-- AlterTable
+ALTER TABLE "files" ADD COLUMN "wrappedKey" TEXT;
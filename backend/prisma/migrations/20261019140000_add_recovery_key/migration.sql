@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "recoveryPublicKey" TEXT;
+ALTER TABLE "users" ADD COLUMN "recoveryVerifier" TEXT;
+
+-- AlterTable
+ALTER TABLE "files" ADD COLUMN "recoveryWrappedKey" TEXT;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "duressPasswordHash" TEXT;
+ALTER TABLE "users" ADD COLUMN "duressSalt" TEXT;
+ALTER TABLE "users" ADD COLUMN "duressKeyCheck" TEXT;
+ALTER TABLE "users" ADD COLUMN "duressActions" TEXT;
+
+-- AlterTable
+ALTER TABLE "folders" ADD COLUMN "duressPasswordHash" TEXT;
+ALTER TABLE "folders" ADD COLUMN "decoyFolderId" TEXT;
+
+-- AlterTable
+ALTER TABLE "folder_access_tokens" ADD COLUMN "decoy" BOOLEAN NOT NULL DEFAULT false;
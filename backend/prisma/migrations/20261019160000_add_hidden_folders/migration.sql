@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "revealPhraseHash" TEXT;
+
+-- AlterTable
+ALTER TABLE "folders" ADD COLUMN "isHidden" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "folder_reveal_tokens" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "token" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "folder_reveal_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "folder_reveal_tokens_token_key" ON "folder_reveal_tokens"("token");
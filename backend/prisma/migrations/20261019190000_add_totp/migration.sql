@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "totpSecret" TEXT;
+ALTER TABLE "users" ADD COLUMN "totpPendingSecret" TEXT;
+ALTER TABLE "users" ADD COLUMN "totpLastStep" INTEGER;
+ALTER TABLE "users" ADD COLUMN "totpBackupCodes" TEXT;
+ALTER TABLE "users" ADD COLUMN "totpForFolders" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "lockoutThreshold" INTEGER;
+ALTER TABLE "users" ADD COLUMN "lockoutWipeTokens" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "security_logs" ADD COLUMN "target" TEXT;
+
+-- CreateIndex
+CREATE INDEX "security_logs_action_target_createdAt_idx" ON "security_logs"("action", "target", "createdAt");
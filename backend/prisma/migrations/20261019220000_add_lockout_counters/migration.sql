@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "lockout_counters" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "key" TEXT NOT NULL,
+    "userId" TEXT,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "version" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "lockout_counters_key_key" ON "lockout_counters"("key");
+
+-- CreateIndex
+CREATE INDEX "lockout_counters_userId_idx" ON "lockout_counters"("userId");
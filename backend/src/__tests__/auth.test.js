@@ -1,11 +1,13 @@
 const request = require('supertest');
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { PrismaClient } = require('@prisma/client');
-const authRoutes = require('../routes/auth');
+
+// These routes only exist for local accounts
+process.env.AUTH_MODE = 'local';
+
+const { mockLockoutCounter } = require('./helpers/lockoutCounter');
 
 // Mock Prisma
-jest.mock('@prisma/client');
 const mockPrisma = {
   user: {
     findFirst: jest.fn(),
@@ -13,17 +15,24 @@ const mockPrisma = {
     create: jest.fn(),
   },
   securityLog: {
-    create: jest.fn(),
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounter(),
+  session: {
+    create: jest.fn().mockResolvedValue({ id: 'session-id' }),
   },
 };
 
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const authRoutes = require('../routes/auth');
+
 const app = express();
 app.use(express.json());
 app.use('/api/auth', authRoutes);
 
-// Mock Prisma instance
-PrismaClient.mockImplementation(() => mockPrisma);
-
 describe('Auth Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn(),
+    create: jest.fn()
+  },
+  session: {
+    findFirst: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+
+const app = express();
+app.get('/api/me', authenticateSupabaseToken, (req, res) => res.json({ user: req.user }));
+
+describe('Auth mode', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should return 401 instead of signing in a shared test user', async () => {
+    // Supabase is not configured here
+    const strict = await request(app).get('/api/me');
+    expect(strict.status).toBe(401);
+    expect(strict.headers['www-authenticate']).toBe('Bearer');
+
+    process.env.AUTH_MODE = 'dev-fallback';
+    const outsideDevelopment = await request(app).get('/api/me');
+    expect(outsideDevelopment.status).toBe(401);
+
+    expect(mockPrisma.user.findUnique).not.toHaveBeenCalled();
+    expect(mockPrisma.user.create).not.toHaveBeenCalled();
+  });
+
+  it('should accept local JWTs in local mode', async () => {
+    process.env.AUTH_MODE = 'local';
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'a@example.com', username: 'alice' });
+    mockPrisma.session.findFirst.mockResolvedValue({ id: 'session-1', lastSeenAt: new Date() });
+
+    const missing = await request(app).get('/api/me');
+    expect(missing.status).toBe(401);
+
+    const token = jwt.sign({ userId: 'user-1', sessionId: 'session-1' }, process.env.JWT_SECRET);
+    const response = await request(app).get('/api/me').set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(200);
+    expect(response.body.user.id).toBe('user-1');
+  });
+});
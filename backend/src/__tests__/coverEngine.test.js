@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disguisedrive-covers-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const coverEngine = require('../services/coverEngine');
+const coverGenerator = require('../services/coverGenerator');
+
+describe('coverEngine', () => {
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('should render every aesthetic type offered by the upload form', async () => {
+    const uploadFormTypes = [
+      'grunge', 'cybercore', 'dark academia', 'cottage core',
+      'desert steampunk', 'goth', 'victorian', 'medieval', 'nature'
+    ];
+    expect(coverEngine.COVER_TYPES.sort()).toEqual(uploadFormTypes.sort());
+
+    for (const type of uploadFormTypes) {
+      const image = await coverEngine.renderCover(type, 'seed', { width: 200, height: 150 });
+      const metadata = await sharp(image).metadata();
+      expect(metadata.format).toBe('jpeg');
+      expect(metadata.width).toBe(200);
+      expect(metadata.height).toBe(150);
+    }
+  });
+
+  it('should be deterministic for a seed', async () => {
+    const first = await coverEngine.renderCover('nature', 'same-seed', { width: 160, height: 120 });
+    const second = await coverEngine.renderCover('nature', 'same-seed', { width: 160, height: 120 });
+    const other = await coverEngine.renderCover('nature', 'other-seed', { width: 160, height: 120 });
+
+    expect(first.equals(second)).toBe(true);
+    expect(first.equals(other)).toBe(false);
+  });
+
+  it('should fall back to nature for unknown types', () => {
+    expect(coverEngine.normalizeCoverType('Dark-Academia')).toBe('dark academia');
+    expect(coverEngine.normalizeCoverType('vaporwave')).toBe('nature');
+  });
+
+  it('should store generated covers through the storage driver', async () => {
+    const cover = await coverGenerator.generateCover('goth', 'stored-seed');
+
+    expect(cover.type).toBe('storage');
+    expect(cover.data).toMatch(/^covers\/[0-9a-f]{32}$/);
+    expect(fs.existsSync(path.join(storageDir, cover.data))).toBe(true);
+  });
+
+  it('should serve resized thumbnails from an allow-list of widths', async () => {
+    const cover = await coverGenerator.generateCover('nature', 'thumb-seed');
+
+    expect(coverGenerator.resolveWidth(undefined)).toBe(0);
+    expect(coverGenerator.resolveWidth('200')).toBe(200);
+    expect(coverGenerator.resolveWidth('201')).toBeNull();
+
+    const thumbnail = await coverGenerator.getCoverImage(cover.data, 200);
+    const metadata = await sharp(thumbnail).metadata();
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.width).toBe(200);
+    expect(coverGenerator.getCoverEtag(cover.data, 200)).not.toBe(coverGenerator.getCoverEtag(cover.data, 400));
+  });
+
+  it('should store covers given by URL instead of hot-linking them', async () => {
+    const image = await coverEngine.renderCover('goth', 'url-seed', { width: 320, height: 240 });
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(image));
+
+    const cover = await coverGenerator.importCover('https://93.184.216.34/cover.jpg');
+
+    expect(cover.data).toMatch(/^covers\/[0-9a-f]{32}$/);
+    expect((await sharp(fs.readFileSync(path.join(storageDir, cover.data))).metadata()).width).toBe(320);
+    expect(fetchSpy.mock.calls[0][1].redirect).toBe('error');
+    fetchSpy.mockRestore();
+  });
+
+  it('should refuse cover URLs that are not https, point inside the network or are not images', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('<html></html>'));
+
+    await expect(coverGenerator.importCover('http://93.184.216.34/cover.jpg')).rejects.toThrow('https');
+    await expect(coverGenerator.importCover('https://127.0.0.1/cover.jpg')).rejects.toThrow('private');
+    await expect(coverGenerator.importCover('https://[::1]/cover.jpg')).rejects.toThrow('private');
+    await expect(coverGenerator.importCover('https://10.1.2.3/cover.jpg')).rejects.toThrow('private');
+    await expect(coverGenerator.importCover('javascript:alert(1)')).rejects.toThrow('https');
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    await expect(coverGenerator.importCover('https://93.184.216.34/page.html')).rejects.toThrow('not an image');
+    fetchSpy.mockRestore();
+  });
+});
@@ -1,3 +1,7 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const cryptoService = require('../services/crypto');
 
 describe('CryptoService', () => {
@@ -126,6 +130,39 @@ describe('CryptoService', () => {
     });
   });
 
+  describe('hashPassword and verifyPassword', () => {
+    it('should produce an Argon2id hash that verifies', async () => {
+      const hash = await cryptoService.hashPassword('folder123');
+
+      expect(hash).toMatch(/^\$argon2id\$/);
+      expect(cryptoService.isPasswordHash(hash)).toBe(true);
+      await expect(cryptoService.verifyPassword(hash, 'folder123')).resolves.toBe(true);
+    });
+
+    it('should reject the wrong password', async () => {
+      const hash = await cryptoService.hashPassword('folder123');
+
+      await expect(cryptoService.verifyPassword(hash, 'folder124')).resolves.toBe(false);
+    });
+
+    it('should treat malformed hashes as a mismatch', async () => {
+      await expect(cryptoService.verifyPassword('not-a-hash', 'folder123')).resolves.toBe(false);
+    });
+
+    it('should not treat legacy plaintext as a hash', () => {
+      expect(cryptoService.isPasswordHash('folder123')).toBe(false);
+      expect(cryptoService.isPasswordHash(null)).toBe(false);
+    });
+  });
+
+  describe('safeEqual', () => {
+    it('should compare strings of any length', () => {
+      expect(cryptoService.safeEqual('folder123', 'folder123')).toBe(true);
+      expect(cryptoService.safeEqual('folder123', 'folder12')).toBe(false);
+      expect(cryptoService.safeEqual('', 'x')).toBe(false);
+    });
+  });
+
   describe('calculateHash', () => {
     it('should calculate consistent SHA-256 hash', () => {
       const data = Buffer.from('Hello, World!');
@@ -148,6 +185,58 @@ describe('CryptoService', () => {
     });
   });
 
+  describe('size checks', () => {
+    it('should pad sizes to power-of-two buckets', () => {
+      expect(cryptoService.getSizeBucket(0)).toBe(1024);
+      expect(cryptoService.getSizeBucket(1024)).toBe(1024);
+      expect(cryptoService.getSizeBucket(1025)).toBe(2048);
+      expect(cryptoService.getSizeBucket(3 * 1024 * 1024)).toBe(4 * 1024 * 1024);
+    });
+
+    it('should recover the plaintext size from a chunked blob size', () => {
+      for (const size of [0, 1, 4096, 4097, 10000]) {
+        expect(cryptoService.chunkedPlaintextSize(cryptoService.chunkedBlobSize(size, 4096), 4096)).toBe(size);
+      }
+      expect(cryptoService.chunkedPlaintextSize(16 + 4096 + 16 + 1, 4096)).toBeNull();
+    });
+  });
+
+  describe('calculateContentHash', () => {
+    const filePath = path.join(os.tmpdir(), `disguisedrive-hash-${process.pid}.txt`);
+    const originalSecret = process.env.CONTENT_HASH_SECRET;
+
+    beforeAll(() => fs.writeFileSync(filePath, 'same plaintext'));
+    afterAll(() => {
+      fs.rmSync(filePath, { force: true });
+      if (originalSecret === undefined) {
+        delete process.env.CONTENT_HASH_SECRET;
+      } else {
+        process.env.CONTENT_HASH_SECRET = originalSecret;
+      }
+    });
+
+    it('should be a keyed HMAC rather than the plain digest', async () => {
+      process.env.CONTENT_HASH_SECRET = 'secret-a';
+      const first = await cryptoService.calculateContentHash(filePath);
+      expect(await cryptoService.calculateContentHash(filePath)).toBe(first);
+      expect(first).not.toBe(cryptoService.calculateHash(Buffer.from('same plaintext')));
+
+      process.env.CONTENT_HASH_SECRET = 'secret-b';
+      expect(await cryptoService.calculateContentHash(filePath)).not.toBe(first);
+    });
+
+    it('should skip hashing when no secret is configured', async () => {
+      const jwtSecret = process.env.JWT_SECRET;
+      delete process.env.CONTENT_HASH_SECRET;
+      delete process.env.JWT_SECRET;
+      try {
+        expect(await cryptoService.calculateContentHash(filePath)).toBeNull();
+      } finally {
+        process.env.JWT_SECRET = jwtSecret;
+      }
+    });
+  });
+
   describe('generateToken', () => {
     it('should generate base64url token of specified length', () => {
       const token = cryptoService.generateToken(32);
@@ -163,35 +252,37 @@ describe('CryptoService', () => {
     });
   });
 
-  describe('encryptFileForStorage', () => {
-    it('should encrypt file data and return all components', () => {
-      const fileData = Buffer.from('This is test file data for encryption.');
-      
-      const result = cryptoService.encryptFileForStorage(fileData);
-      
-      expect(result.encryptedData).toBeInstanceOf(Buffer);
-      expect(result.fileKey).toBeInstanceOf(Buffer);
-      expect(result.iv).toBeInstanceOf(Buffer);
-      expect(result.authTag).toBeInstanceOf(Buffer);
-      
-      expect(result.fileKey.length).toBe(32);
-      expect(result.iv.length).toBe(12);
-      expect(result.authTag.length).toBe(16);
+  describe('chunked format checks', () => {
+    const header = (version, chunkSize) => {
+      const bytes = Buffer.alloc(16);
+      bytes.write('DDSE', 0, 'ascii');
+      bytes.writeUInt8(version, 4);
+      bytes.writeUInt32BE(chunkSize, 5);
+      return bytes;
+    };
+
+    it('should read the chunk size from a version 2 header', () => {
+      expect(cryptoService.isChunkedBlob(header(2, 4096))).toBe(true);
+      expect(cryptoService.parseChunkedHeader(header(2, 4096)).chunkSize).toBe(4096);
+    });
+
+    it('should reject other versions, bad chunk sizes and legacy blobs', () => {
+      expect(() => cryptoService.parseChunkedHeader(header(3, 4096))).toThrow();
+      expect(() => cryptoService.parseChunkedHeader(header(2, 0))).toThrow();
+      expect(() => cryptoService.parseChunkedHeader(Buffer.alloc(40))).toThrow();
     });
   });
 
-  describe('createStorageBlob and parseStorageBlob', () => {
-    it('should create and parse storage blob correctly', () => {
-      const encryptedData = Buffer.from('encrypted data');
-      const iv = Buffer.from('123456789012'); // 12 bytes
-      const authTag = Buffer.from('1234567890123456'); // 16 bytes
-      
-      const blob = cryptoService.createStorageBlob(encryptedData, iv, authTag);
-      const parsed = cryptoService.parseStorageBlob(blob);
-      
-      expect(parsed.iv.equals(iv)).toBe(true);
-      expect(parsed.authTag.equals(authTag)).toBe(true);
-      expect(parsed.encryptedData.equals(encryptedData)).toBe(true);
+  describe('isRecoveryPublicKey', () => {
+    it('should accept an uncompressed P-256 public key', () => {
+      const recoveryPublicKey = crypto.createECDH('prime256v1').generateKeys().toString('base64');
+      expect(cryptoService.isRecoveryPublicKey(recoveryPublicKey)).toBe(true);
+      expect(cryptoService.isRecoveryWrappedKey(Buffer.alloc(65 + 12 + 16 + 32).toString('base64'))).toBe(true);
+    });
+
+    it('should reject public keys that are not on the curve', () => {
+      const offCurve = Buffer.concat([Buffer.from([4]), Buffer.alloc(64, 1)]).toString('base64');
+      expect(cryptoService.isRecoveryPublicKey(offCurve)).toBe(false);
     });
   });
 });
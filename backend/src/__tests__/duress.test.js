@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+
+const { mockLockoutCounter } = require('./helpers/lockoutCounter');
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn()
+  },
+  folder: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn()
+  },
+  file: {
+    findMany: jest.fn()
+  },
+  folderAccessToken: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  folderRevealToken: {
+    deleteMany: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounter()
+};
+
+let mockAccessToken = null;
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  verifyFolderAccess: (req, res, next) => {
+    req.folder = { id: req.params.id, isProtected: true };
+    req.folderPath = [{ id: req.params.id, name: 'Private', isProtected: true }];
+    req.folderAccessToken = mockAccessToken;
+    next();
+  }
+}));
+
+const cryptoService = require('../services/crypto');
+const folderRoutes = require('../routes/folders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/folders', folderRoutes);
+
+describe('Duress passwords', () => {
+  let folder;
+
+  beforeAll(async () => {
+    folder = {
+      id: 'folder-1',
+      isProtected: true,
+      passwordHash: await cryptoService.hashPassword('real-password'),
+      duressPasswordHash: await cryptoService.hashPassword('duress-password'),
+      decoyFolderId: 'decoy-1'
+    };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAccessToken = null;
+    mockPrisma.folder.findFirst.mockResolvedValue(folder);
+    mockPrisma.user.findUnique.mockResolvedValue({
+      duressPasswordHash: null,
+      duressActions: JSON.stringify(['revoke_folder_tokens'])
+    });
+  });
+
+  it('should answer a duress unlock like a real one and record it', async () => {
+    const real = await request(app).post('/api/folders/folder-1/unlock').send({ password: 'real-password' });
+    const duress = await request(app).post('/api/folders/folder-1/unlock').send({ password: 'duress-password' });
+
+    expect(duress.status).toBe(200);
+    expect(Object.keys(duress.body)).toEqual(Object.keys(real.body));
+    expect(duress.body.message).toBe(real.body.message);
+    expect(mockPrisma.folderAccessToken.create.mock.calls.map(call => call[0].data.decoy)).toEqual([false, true]);
+    expect(mockPrisma.folderAccessToken.deleteMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', decoy: false }
+    });
+    expect(mockPrisma.securityLog.create.mock.calls.map(call => call[0].data.action)).toEqual([
+      'folder_unlock_attempt',
+      'folder_unlock_attempt',
+      'duress_triggered'
+    ]);
+  });
+
+  it('should replace a folder password only with the current password and drop the duress password', async () => {
+    mockPrisma.folder.findUnique.mockResolvedValue(folder);
+    mockPrisma.folder.update.mockResolvedValue({ id: 'folder-1', isProtected: true });
+    mockPrisma.folderAccessToken.findFirst.mockResolvedValue({ token: 'decoy-token', decoy: true });
+
+    const attempts = [
+      [request(app).post('/api/folders/folder-1/lock').send({ password: 'new-password' }), 403],
+      [request(app).post('/api/folders/folder-1/lock').set('X-Folder-Token', 'decoy-token').send({ password: 'new-password' }), 403],
+      [request(app).post('/api/folders/folder-1/lock').send({ password: 'new-password', currentPassword: 'duress-password' }), 401]
+    ];
+    for (const [attempt, status] of attempts) {
+      expect((await attempt).status).toBe(status);
+    }
+    expect(mockPrisma.folder.update).not.toHaveBeenCalled();
+
+    const replaced = await request(app).post('/api/folders/folder-1/lock').send({ password: 'new-password', currentPassword: 'real-password' });
+    expect(replaced.status).toBe(200);
+    expect(mockPrisma.folder.update.mock.calls[0][0].data).toMatchObject({ duressPasswordHash: null, decoyFolderId: null });
+    expect(mockPrisma.folderAccessToken.deleteMany).toHaveBeenCalledWith({ where: { folderId: 'folder-1' } });
+    expect(mockPrisma.folderRevealToken.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+  });
+
+  it('should ask for the two-factor code before replacing a folder password', async () => {
+    mockPrisma.folder.findUnique.mockResolvedValue(folder);
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 'user-1', totpSecret: 'secret', totpForFolders: true });
+
+    const response = await request(app).post('/api/folders/folder-1/lock').send({ password: 'new-password', currentPassword: 'real-password' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.twoFactorRequired).toBe(true);
+    expect(mockPrisma.folder.update).not.toHaveBeenCalled();
+  });
+
+  it('should list the decoy folder\'s files under a decoy token', async () => {
+    mockAccessToken = { decoy: true };
+    mockPrisma.folder.findUnique.mockResolvedValue({
+      ...folder,
+      name: 'Private',
+      files: [{ id: 'secret-file', folderId: 'folder-1', coverToken: 'cover-1' }]
+    });
+    mockPrisma.file.findMany.mockResolvedValue([{ id: 'decoy-file', folderId: 'decoy-1', coverToken: 'cover-2' }]);
+
+    const response = await request(app).get('/api/folders/folder-1');
+    expect(response.status).toBe(200);
+    expect(response.body.folder.name).toBe('Private');
+    expect(response.body.folder.files).toEqual([{ id: 'decoy-file', folderId: 'folder-1', coverToken: 'cover-2' }]);
+    expect(mockPrisma.file.findMany.mock.calls[0][0].where).toEqual({ folderId: 'decoy-1', ownerId: 'user-1' });
+
+    const children = await request(app).get('/api/folders/folder-1/children');
+    expect(children.body).toEqual({ folders: [] });
+  });
+
+  it('should not list counts for a protected folder that a decoy view would contradict', async () => {
+    mockAccessToken = { decoy: true };
+    mockPrisma.folder.findMany.mockResolvedValue([
+      { id: 'folder-1', name: 'Private', isProtected: true, _count: { files: 12, children: 2 } },
+      { id: 'decoy-1', name: 'Holiday', isProtected: false, _count: { files: 1, children: 0 } }
+    ]);
+    mockPrisma.folder.findUnique.mockResolvedValue({ ...folder, files: [] });
+    mockPrisma.file.findMany.mockResolvedValue([{ id: 'decoy-file', folderId: 'decoy-1', coverToken: 'cover-2' }]);
+
+    const listing = await request(app).get('/api/folders');
+    const [listed, unprotected] = listing.body.folders;
+    expect(listed).toMatchObject({ fileCount: null, childCount: null });
+    expect(unprotected).toMatchObject({ fileCount: 1, childCount: 0 });
+
+    // What the decoy view shows cannot be held against the listing
+    const opened = await request(app).get('/api/folders/folder-1');
+    const children = await request(app).get('/api/folders/folder-1/children');
+    expect(opened.body.folder.files).toHaveLength(1);
+    expect(children.body.folders).toHaveLength(0);
+  });
+});
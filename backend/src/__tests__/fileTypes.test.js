@@ -0,0 +1,45 @@
+const fileTypes = require('../services/fileTypes');
+const coverGenerator = require('../services/coverGenerator');
+
+describe('fileTypes', () => {
+  const pdf = Buffer.from('%PDF-1.7\n');
+  const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypisom')]);
+
+  afterEach(() => {
+    delete process.env.ALLOWED_MIME_TYPES;
+  });
+
+  it('should sniff types from magic bytes', () => {
+    expect(fileTypes.sniffMimeType(pdf)).toBe('application/pdf');
+    expect(fileTypes.sniffMimeType(png)).toBe('image/png');
+    expect(fileTypes.sniffMimeType(mp4)).toBe('video/mp4');
+    expect(fileTypes.sniffMimeType(Buffer.from('hello'))).toBeNull();
+  });
+
+  it('should reject content that does not match the declared type', async () => {
+    expect(fileTypes.validateFileSignature(pdf, 'application/pdf')).toBe(true);
+    expect(fileTypes.validateFileSignature(png, 'application/pdf')).toBe(false);
+    expect(fileTypes.validateFileSignature(Buffer.from('# Notes\n'), 'text/markdown')).toBe(true);
+    expect(fileTypes.validateFileSignature(Buffer.from([0x61, 0x00]), 'text/plain')).toBe(false);
+
+    expect(await coverGenerator.validateFile(png, 'image/png')).toBe(true);
+    expect(await coverGenerator.validateFile(pdf, 'image/png')).toBe(false);
+    expect(await coverGenerator.validateImage(pdf)).toBe(false);
+  });
+
+  it('should fall back to the extension for generic types', () => {
+    expect(fileTypes.normalizeMimeType('', 'notes.md')).toBe('text/markdown');
+    expect(fileTypes.normalizeMimeType('application/octet-stream', 'clip.MOV')).toBe('video/quicktime');
+    expect(fileTypes.normalizeMimeType('Text/Plain; charset=utf-8', 'a.bin')).toBe('text/plain');
+  });
+
+  it('should read the allow-list from ALLOWED_MIME_TYPES', () => {
+    expect(fileTypes.isAllowedMimeType('application/pdf')).toBe(true);
+    expect(fileTypes.isAllowedMimeType('image/svg+xml')).toBe(false);
+
+    process.env.ALLOWED_MIME_TYPES = 'image/*, application/pdf';
+    expect(fileTypes.isAllowedMimeType('image/svg+xml')).toBe(true);
+    expect(fileTypes.isAllowedMimeType('video/mp4')).toBe(false);
+  });
+});
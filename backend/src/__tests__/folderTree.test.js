@@ -0,0 +1,158 @@
+const request = require('supertest');
+const express = require('express');
+
+const mockPrisma = {
+  folder: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  },
+  file: {
+    findFirst: jest.fn(),
+    delete: jest.fn()
+  },
+  folderAccessToken: {
+    findFirst: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user' };
+    next();
+  }
+}));
+
+const folderTree = require('../services/folderTree');
+const { checkFolderAccess } = require('../middleware/auth');
+const folderRoutes = require('../routes/folders');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/folders', folderRoutes);
+app.use('/api/folders', fileRoutes);
+app.use('/api/files', fileRoutes);
+
+// root (protected) > child > grandchild (protected) > leaf
+const folders = {
+  root: { id: 'root', name: 'Root', isProtected: true, parentId: null, ownerId: 'user' },
+  child: { id: 'child', name: 'Child', isProtected: false, parentId: 'root', ownerId: 'user' },
+  grandchild: { id: 'grandchild', name: 'Grandchild', isProtected: true, parentId: 'child', ownerId: 'user' },
+  leaf: { id: 'leaf', name: 'Leaf', isProtected: false, parentId: 'grandchild', ownerId: 'user' }
+};
+
+describe('folderTree', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.folder.findUnique.mockImplementation(({ where }) => Promise.resolve(folders[where.id] || null));
+    mockPrisma.folder.findMany.mockImplementation(({ where }) => Promise.resolve(
+      Object.values(folders).filter(folder => where.parentId.in.includes(folder.parentId))
+    ));
+  });
+
+  it('should build the path and breadcrumbs root-first', async () => {
+    const path = await folderTree.getFolderPath('leaf');
+
+    expect(path.map(folder => folder.id)).toEqual(['root', 'child', 'grandchild', 'leaf']);
+    expect(folderTree.toBreadcrumbs(path).map(crumb => crumb.protectedFolderId))
+      .toEqual(['root', 'root', 'grandchild', 'grandchild']);
+  });
+
+  it('should collect descendants with their depth', async () => {
+    expect(await folderTree.getDescendants('child')).toEqual({ ids: ['grandchild', 'leaf'], depth: 2 });
+    expect(await folderTree.getDescendants('leaf')).toEqual({ ids: [], depth: 0 });
+  });
+
+  it('should let a parent token open descendants up to a protected child', async () => {
+    mockPrisma.folderAccessToken.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      where.token === 'root-token' && where.folderId === 'root' ? { token: 'root-token' } : null
+    ));
+
+    expect((await checkFolderAccess('child', 'user', 'root-token')).allowed).toBe(true);
+
+    const denied = await checkFolderAccess('leaf', 'user', 'root-token');
+    expect(denied.allowed).toBe(false);
+    expect(denied.protectedFolderId).toBe('grandchild');
+
+    expect(await checkFolderAccess('child', 'user', undefined)).toMatchObject({
+      allowed: false,
+      protectedFolderId: 'root'
+    });
+  });
+});
+
+describe('Decoy tokens in a folder tree', () => {
+  const tokens = {
+    'decoy-token': { token: 'decoy-token', folderId: 'root', decoy: true },
+    'real-token': { token: 'real-token', folderId: 'root', decoy: false }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.folder.findUnique.mockImplementation(({ where }) => Promise.resolve(folders[where.id] || null));
+    mockPrisma.folder.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      where.id && folders[where.id]?.ownerId === where.ownerId ? folders[where.id] : null
+    ));
+    mockPrisma.folder.findMany.mockResolvedValue([]);
+    mockPrisma.file.findFirst.mockResolvedValue({ id: 'file-1', folderId: 'root', ownerId: 'user' });
+    mockPrisma.folderAccessToken.findFirst.mockImplementation(({ where }) => {
+      const token = tokens[where.token];
+      return Promise.resolve(token && token.folderId === where.folderId ? token : null);
+    });
+  });
+
+  it('should show an empty decoy view of the protected folder itself', async () => {
+    const response = await request(app).get('/api/folders/root/children').set('X-Folder-Token', 'decoy-token');
+
+    expect(response.status).toBe(200);
+    expect(response.body.folders).toEqual([]);
+    expect(mockPrisma.folder.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a decoy token on descendants, files and every change', async () => {
+    const attempts = [
+      request(app).get('/api/folders/child'),
+      request(app).get('/api/folders/child/children'),
+      request(app).patch('/api/folders/root').send({ name: 'Renamed' }),
+      request(app).post('/api/folders').send({ name: 'Inside', parentId: 'root' }),
+      request(app).post('/api/folders/root/files'),
+      request(app).get('/api/files/file-1/meta'),
+      request(app).post('/api/files/file-1/unlock-attempt').send({ success: true })
+    ];
+
+    for (const attempt of attempts) {
+      const response = await attempt.set('X-Folder-Token', 'decoy-token');
+      expect(response.status).toBe(403);
+      expect(response.body.protectedFolderId).toBe('root');
+    }
+    expect(mockPrisma.folder.create).not.toHaveBeenCalled();
+    expect(mockPrisma.folder.update).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to delete a protected folder or its files without a real token', async () => {
+    for (const token of [null, 'decoy-token']) {
+      for (const attempt of [request(app).delete('/api/folders/root'), request(app).delete('/api/files/file-1')]) {
+        const response = await (token ? attempt.set('X-Folder-Token', token) : attempt);
+        expect(response.status).toBe(403);
+        expect(response.body.protectedFolderId).toBe('root');
+      }
+    }
+    expect(mockPrisma.folder.delete).not.toHaveBeenCalled();
+    expect(mockPrisma.file.delete).not.toHaveBeenCalled();
+  });
+
+  it('should open the same descendants with the real token', async () => {
+    const response = await request(app).get('/api/folders/child/children').set('X-Folder-Token', 'real-token');
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.folder.findMany).toHaveBeenCalled();
+  });
+});
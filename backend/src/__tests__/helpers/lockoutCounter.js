@@ -0,0 +1,60 @@
+// Prisma stand-ins for the lockout_counters table, shared by the route suites
+
+const applyUpdate = (counter, data) => {
+  for (const [field, change] of Object.entries(data)) {
+    if (change?.increment !== undefined) {
+      counter[field] += change.increment;
+    } else if (change?.decrement !== undefined) {
+      counter[field] -= change.decrement;
+    } else {
+      counter[field] = change;
+    }
+  }
+};
+
+/**
+ * A counter table that never locks anyone out, for suites that do not test
+ * the lockout itself
+ */
+const mockLockoutCounter = () => ({
+  findUnique: jest.fn(async () => null),
+  create: jest.fn(async () => ({})),
+  updateMany: jest.fn(async () => ({ count: 1 })),
+  deleteMany: jest.fn(async () => ({ count: 0 }))
+});
+
+/**
+ * A counter table kept in a Map. Each call is one statement, but calls from
+ * concurrent requests interleave like they would in SQLite.
+ * @param {Map} counters - Rows by key
+ */
+const mockLockoutCounterTable = (counters) => ({
+  findUnique: jest.fn(async ({ where }) => {
+    const counter = counters.get(where.key);
+    return counter ? { ...counter } : null;
+  }),
+  create: jest.fn(async ({ data }) => {
+    if (counters.has(data.key)) {
+      throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    }
+    counters.set(data.key, { version: 0, ...data });
+    return data;
+  }),
+  updateMany: jest.fn(async ({ where, data }) => {
+    const counter = counters.get(where.key);
+    const matches = counter &&
+      (where.version === undefined || counter.version === where.version) &&
+      (where.failures === undefined || counter.failures > where.failures.gt);
+    if (!matches) {
+      return { count: 0 };
+    }
+    applyUpdate(counter, data);
+    return { count: 1 };
+  }),
+  deleteMany: jest.fn(async ({ where }) => ({ count: Number(counters.delete(where.key)) }))
+});
+
+module.exports = {
+  mockLockoutCounter,
+  mockLockoutCounterTable
+};
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const express = require('express');
+
+const { mockLockoutCounter } = require('./helpers/lockoutCounter');
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn()
+  },
+  folder: {
+    findMany: jest.fn()
+  },
+  folderRevealToken: {
+    findFirst: jest.fn(),
+    create: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounter()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+const cryptoService = require('../services/crypto');
+const folderRoutes = require('../routes/folders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/folders', folderRoutes);
+
+describe('Hidden folders', () => {
+  beforeAll(async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({
+      revealPhraseHash: await cryptoService.hashPassword('open sesame')
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.folder.findMany.mockResolvedValue([]);
+  });
+
+  it('should leave hidden folders out of listings and counts without a reveal token', async () => {
+    mockPrisma.folderRevealToken.findFirst.mockResolvedValue(null);
+
+    const response = await request(app).get('/api/folders').set('X-Reveal-Token', 'expired');
+
+    expect(response.status).toBe(200);
+    const query = mockPrisma.folder.findMany.mock.calls[0][0];
+    expect(query.where).toEqual({ ownerId: 'user-1', parentId: null, isHidden: false });
+    expect(query.select._count.select.children).toEqual({ where: { isHidden: false } });
+  });
+
+  it('should issue a reveal token for the right phrase that lists hidden folders', async () => {
+    const wrong = await request(app).post('/api/folders/reveal').send({ phrase: 'holiday photos' });
+    expect(wrong.status).toBe(401);
+    expect(mockPrisma.folderRevealToken.create).not.toHaveBeenCalled();
+
+    const revealed = await request(app).post('/api/folders/reveal').send({ phrase: 'open sesame' });
+    expect(revealed.status).toBe(200);
+    expect(mockPrisma.securityLog.create.mock.calls.map(call => call[0].data.success)).toEqual([false, true]);
+
+    mockPrisma.folderRevealToken.findFirst.mockResolvedValue({ token: revealed.body.revealToken });
+    await request(app).get('/api/folders').set('X-Reveal-Token', revealed.body.revealToken);
+
+    const query = mockPrisma.folder.findMany.mock.calls[0][0];
+    expect(query.where).toEqual({ ownerId: 'user-1', parentId: null });
+    expect(query.select._count.select.children).toBe(true);
+  });
+});
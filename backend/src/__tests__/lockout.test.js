@@ -0,0 +1,175 @@
+const request = require('supertest');
+const express = require('express');
+
+const { mockLockoutCounterTable } = require('./helpers/lockoutCounter');
+
+const mockCounters = new Map();
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn()
+  },
+  folder: {
+    findFirst: jest.fn()
+  },
+  folderAccessToken: {
+    create: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  folderRevealToken: {
+    deleteMany: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounterTable(mockCounters)
+};
+
+const mockFiles = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  verifyFileAccess: (req, res, next) => {
+    req.fileRecord = mockFiles[req.params.id];
+    next();
+  }
+}));
+
+const cryptoService = require('../services/crypto');
+const { getDelayMs } = require('../services/lockout');
+const folderRoutes = require('../routes/folders');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+// A fixed address, so the counter keys are known
+app.use((req, res, next) => {
+  Object.defineProperty(req, 'ip', { value: '203.0.113.7' });
+  next();
+});
+app.use('/api/folders', folderRoutes);
+app.use('/api/files', fileRoutes);
+
+const counterKey = (action, target) => JSON.stringify([action, 'user-1', target, '203.0.113.7']);
+const findCounter = (action, target) => mockCounters.get(counterKey(action, target));
+
+const seedCounter = (action, target, failures, msAgo) => {
+  const key = counterKey(action, target);
+  mockCounters.set(key, { key, userId: 'user-1', failures, version: 0, lastFailureAt: new Date(Date.now() - msAgo) });
+};
+
+describe('Lockout', () => {
+  beforeAll(async () => {
+    mockPrisma.folder.findFirst.mockResolvedValue({
+      id: 'folder-1',
+      isProtected: true,
+      passwordHash: await cryptoService.hashPassword('real-password')
+    });
+    mockFiles['file-1'] = { id: 'file-1', folderId: 'folder-1', uploadMode: 'secure' };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCounters.clear();
+    mockPrisma.user.findUnique.mockResolvedValue({ lockoutThreshold: null, lockoutWipeTokens: false });
+    mockPrisma.folderAccessToken.deleteMany.mockResolvedValue({ count: 2 });
+  });
+
+  it('should back off exponentially and lock out once the threshold is reached', async () => {
+    expect([1, 2, 3, 4].map(failures => getDelayMs(failures, 5))).toEqual([1000, 2000, 4000, 8000]);
+    expect(getDelayMs(5, 5)).toBe(15 * 60 * 1000);
+    expect(getDelayMs(6, 5)).toBe(30 * 60 * 1000);
+
+    seedCounter('folder_unlock_attempt', 'folder-1', 5, 60 * 1000);
+
+    const response = await request(app).post('/api/folders/folder-1/unlock').send({ password: 'real-password' });
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(13 * 60);
+    expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+    expect(mockPrisma.folderAccessToken.create).not.toHaveBeenCalled();
+    expect(mockPrisma.securityLog.create).not.toHaveBeenCalled();
+  });
+
+  it('should revoke folder tokens on the failure that starts a lockout when the user opted in', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ lockoutThreshold: 3, lockoutWipeTokens: true });
+    seedCounter('folder_unlock_attempt', 'folder-1', 2, 60 * 1000);
+
+    const response = await request(app).post('/api/folders/folder-1/unlock').send({ password: 'wrong-password' });
+
+    expect(response.status).toBe(401);
+    expect(findCounter('folder_unlock_attempt', 'folder-1').failures).toBe(3);
+    expect(mockPrisma.folderAccessToken.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+    expect(mockPrisma.folderRevealToken.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+    expect(mockPrisma.securityLog.create.mock.calls.map(([{ data }]) => data.action)).toEqual([
+      'folder_unlock_attempt',
+      'folder_tokens_revoked'
+    ]);
+  });
+
+  it('should wipe tokens on the failure that reaches the threshold and not on later ones', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ lockoutThreshold: 3, lockoutWipeTokens: true });
+    const wipes = [];
+
+    for (const failures of [1, 2, 3, 4]) {
+      // Each try comes once the previous wait or lockout is over
+      seedCounter('folder_unlock_attempt', 'folder-1', failures - 1, 24 * 60 * 60 * 1000 - 1000);
+      const response = await request(app).post('/api/folders/folder-1/unlock').send({ password: 'wrong-password' });
+      expect(response.status).toBe(401);
+      wipes.push(mockPrisma.folderAccessToken.deleteMany.mock.calls.length);
+    }
+
+    expect(wipes).toEqual([0, 0, 1, 1]);
+  });
+
+  it('should let only one of several concurrent guesses be checked', async () => {
+    const verifyPassword = jest.spyOn(cryptoService, 'verifyPassword');
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+      request(app).post('/api/folders/folder-1/unlock').send({ password: 'wrong-password' })
+    ));
+
+    expect(responses.map(response => response.status).sort()).toEqual([401, 429, 429, 429, 429]);
+    expect(verifyPassword).toHaveBeenCalledTimes(1);
+    expect(findCounter('folder_unlock_attempt', 'folder-1').failures).toBe(1);
+    verifyPassword.mockRestore();
+  });
+
+  it('should forget earlier failures after a successful unlock', async () => {
+    seedCounter('folder_unlock_attempt', 'folder-1', 2, 60 * 1000);
+
+    const response = await request(app).post('/api/folders/folder-1/unlock').send({ password: 'real-password' });
+
+    expect(response.status).toBe(200);
+    expect(findCounter('folder_unlock_attempt', 'folder-1')).toBeUndefined();
+  });
+
+  it('should count client-reported image unlocks without letting a reported success clear failures', async () => {
+    seedCounter('file_unlock_attempt', 'file-1', 3, 60 * 1000);
+
+    const reported = await request(app).post('/api/files/file-1/unlock-attempt').send({ success: true });
+
+    expect(reported.status).toBe(200);
+    expect(mockPrisma.securityLog.create.mock.calls[0][0].data).toMatchObject({
+      action: 'file_unlock_attempt',
+      target: 'file-1',
+      success: true
+    });
+    expect(findCounter('file_unlock_attempt', 'file-1').failures).toBe(3);
+
+    const failed = await request(app).post('/api/files/file-1/unlock-attempt').send({ success: false, reason: 'invalid_password' });
+    expect(failed.status).toBe(429);
+    expect(mockPrisma.securityLog.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,46 @@
+const request = require('supertest');
+const express = require('express');
+
+const mockPrisma = {
+  folderAccessToken: {
+    deleteMany: jest.fn()
+  },
+  folderRevealToken: {
+    deleteMany: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+const folderRoutes = require('../routes/folders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/folders', folderRoutes);
+
+describe('Panic', () => {
+  it('should revoke all of the user\'s folder and reveal tokens, decoys included', async () => {
+    mockPrisma.folderAccessToken.deleteMany.mockResolvedValue({ count: 3 });
+    mockPrisma.folderRevealToken.deleteMany.mockResolvedValue({ count: 1 });
+
+    const response = await request(app).delete('/api/folders/tokens');
+
+    expect(response.status).toBe(200);
+    expect(response.body.revokedTokens).toBe(3);
+    expect(mockPrisma.folderAccessToken.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+    expect(mockPrisma.folderRevealToken.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+    expect(mockPrisma.securityLog.create.mock.calls[0][0].data.action).toBe('folder_tokens_revoked');
+  });
+});
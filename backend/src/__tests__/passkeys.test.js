@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const { isoCBOR, isoBase64URL } = require('@simplewebauthn/server/helpers');
+const { mockLockoutCounter } = require('./helpers/lockoutCounter');
+
+const mockDb = { passkeys: [], challenges: [] };
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn()
+  },
+  passkey: {
+    findMany: jest.fn(async ({ where }) => mockDb.passkeys.filter(passkey => passkey.userId === where.userId)),
+    findFirst: jest.fn(async ({ where }) => mockDb.passkeys.find(passkey =>
+      passkey.userId === where.userId && passkey.credentialId === where.credentialId
+    ) || null),
+    create: jest.fn(async ({ data }) => {
+      const passkey = { id: `passkey-${mockDb.passkeys.length + 1}`, wrappedVaultKey: null, lastUsedAt: null, createdAt: new Date(), ...data };
+      mockDb.passkeys.push(passkey);
+      return passkey;
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(mockDb.passkeys.find(passkey => passkey.id === where.id), data))
+  },
+  passkeyChallenge: {
+    create: jest.fn(async ({ data }) => {
+      mockDb.challenges.push(data);
+      return data;
+    }),
+    deleteMany: jest.fn(async ({ where }) => {
+      const before = mockDb.challenges.length;
+      mockDb.challenges = mockDb.challenges.filter(stored => !(
+        stored.userId === where.userId &&
+        stored.challenge === where.challenge &&
+        stored.purpose === where.purpose &&
+        stored.expiresAt > where.expiresAt.gt
+      ));
+      return { count: before - mockDb.challenges.length };
+    })
+  },
+  folder: {
+    findFirst: jest.fn()
+  },
+  folderAccessToken: {
+    create: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounter()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+const bcrypt = require('bcryptjs');
+const passkeyRoutes = require('../routes/passkeys');
+const folderRoutes = require('../routes/folders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/passkeys', passkeyRoutes);
+app.use('/api/folders', folderRoutes);
+
+const ORIGIN = 'http://localhost:3000';
+const RP_ID = 'localhost';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Software authenticator with one P-256 credential and "none" attestation,
+ * answering options the way navigator.credentials would
+ */
+const createSoftwareAuthenticator = (credentialId = crypto.randomBytes(16)) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const id = isoBase64URL.fromBuffer(credentialId);
+  // User present and user verified
+  const flags = 0x01 | 0x04;
+  let signCount = 0;
+
+  const counterBytes = () => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(signCount);
+    return bytes;
+  };
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN, crossOrigin: false }));
+
+  return {
+    id,
+    create: (options) => {
+      const jwk = publicKey.export({ format: 'jwk' });
+      const coseKey = new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, new Uint8Array(Buffer.from(jwk.x, 'base64url'))],
+        [-3, new Uint8Array(Buffer.from(jwk.y, 'base64url'))]
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const authData = Buffer.concat([
+        sha256(RP_ID),
+        Buffer.from([flags | 0x40]), // attested credential data included
+        counterBytes(),
+        Buffer.alloc(16), // AAGUID
+        idLength,
+        credentialId,
+        Buffer.from(isoCBOR.encode(coseKey))
+      ]);
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', new Uint8Array(authData)]
+      ]));
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: isoBase64URL.fromBuffer(clientData('webauthn.create', options.challenge)),
+          attestationObject: isoBase64URL.fromBuffer(attestationObject),
+          transports: ['internal']
+        }
+      };
+    },
+    get: (options) => {
+      signCount += 1;
+      const authData = Buffer.concat([sha256(RP_ID), Buffer.from([flags]), counterBytes()]);
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: isoBase64URL.fromBuffer(clientDataJSON),
+          authenticatorData: isoBase64URL.fromBuffer(authData),
+          signature: isoBase64URL.fromBuffer(signature)
+        }
+      };
+    }
+  };
+};
+
+const registerPasskey = async (authenticator, prfSalt) => {
+  const optionsResponse = await request(app).post('/api/passkeys/register/options').send({ password: 'account-password' });
+  return request(app).post('/api/passkeys/register/verify').send({
+    name: 'Phone',
+    response: authenticator.create(optionsResponse.body.options),
+    prfSalt
+  });
+};
+
+const getAssertion = async (authenticator) => {
+  const optionsResponse = await request(app).post('/api/passkeys/authenticate/options');
+  return { ...optionsResponse.body, assertion: authenticator.get(optionsResponse.body.options) };
+};
+
+describe('Passkeys', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = { id: 'user-1', email: 'a@example.com', password: await bcrypt.hash('account-password', 4) };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.passkeys = [];
+    mockDb.challenges = [];
+    mockPrisma.user.findUnique.mockResolvedValue(user);
+    mockPrisma.folder.findFirst.mockResolvedValue({ id: 'folder-1', isProtected: true, passwordHash: 'unused' });
+  });
+
+  it('should register a passkey and unlock a folder with it instead of the password', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    const prfSalt = isoBase64URL.fromBuffer(crypto.randomBytes(32));
+
+    const registered = await registerPasskey(authenticator, prfSalt);
+    expect(registered.status).toBe(201);
+    expect(registered.body.passkey.prf).toBe(true);
+
+    const { prfSalts, assertion } = await getAssertion(authenticator);
+    expect(prfSalts).toEqual({ [authenticator.id]: prfSalt });
+
+    const unlocked = await request(app).post('/api/folders/folder-1/unlock').send({ passkey: assertion });
+    expect(unlocked.status).toBe(200);
+    expect(unlocked.body.accessToken).toBeDefined();
+    expect(mockDb.passkeys[0].counter).toBe(1);
+
+    // The challenge is used up, so the same assertion cannot be replayed
+    const replayed = await request(app).post('/api/folders/folder-1/unlock').send({ passkey: assertion });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.error).toBe('Invalid passkey');
+  });
+
+  it('should not let a session without another factor register a passkey', async () => {
+    const authenticator = createSoftwareAuthenticator();
+
+    const missing = await request(app).post('/api/passkeys/register/options');
+    const wrong = await request(app).post('/api/passkeys/register/options').send({ password: 'wrong-password' });
+    expect(missing.status).toBe(401);
+    expect(missing.body.passwordRequired).toBe(true);
+    expect(wrong.status).toBe(401);
+    expect(mockDb.challenges).toEqual([]);
+
+    // Without an issued challenge the browser's response is refused too
+    const response = authenticator.create({ challenge: isoBase64URL.fromBuffer(crypto.randomBytes(32)) });
+    const verified = await request(app).post('/api/passkeys/register/verify').send({ name: 'Phone', response });
+    expect(verified.status).toBe(400);
+
+    // Nothing to prove a session with: no account password and no two-factor
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'a@example.com', password: null });
+    const noFactor = await request(app).post('/api/passkeys/register/options').send({ password: 'account-password' });
+    expect(noFactor.status).toBe(403);
+    expect(mockDb.passkeys).toEqual([]);
+  });
+
+  it('should still ask for the folder two-factor code after a passkey', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    await registerPasskey(authenticator);
+    mockPrisma.user.findUnique.mockResolvedValue({ ...user, totpSecret: 'secret', totpForFolders: true });
+
+    const { assertion } = await getAssertion(authenticator);
+    const response = await request(app).post('/api/folders/folder-1/unlock').send({ passkey: assertion });
+
+    expect(response.status).toBe(401);
+    expect(response.body.twoFactorRequired).toBe(true);
+    expect(mockPrisma.folderAccessToken.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse an assertion signed with a key other than the registered one', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    await registerPasskey(authenticator);
+
+    // Same credential ID, different private key
+    const impostor = createSoftwareAuthenticator(isoBase64URL.toBuffer(authenticator.id));
+    const { assertion } = await getAssertion(impostor);
+
+    const response = await request(app).post('/api/passkeys/authenticate/verify').send({ response: assertion });
+    expect(response.status).toBe(401);
+    expect(response.body.wrappedVaultKey).toBeUndefined();
+    expect(mockPrisma.securityLog.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ action: 'passkey_assertion', success: false })
+    }));
+  });
+});
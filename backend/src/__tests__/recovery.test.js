@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const { mockLockoutCounterTable } = require('./helpers/lockoutCounter');
+
+const mockCounters = new Map();
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn()
+  },
+  file: {
+    update: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounterTable(mockCounters)
+};
+
+const mockFiles = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  verifyFileAccess: (req, res, next) => {
+    req.fileRecord = mockFiles[req.params.id];
+    next();
+  }
+}));
+
+const cryptoService = require('../services/crypto');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', fileRoutes);
+
+const recoveryProof = crypto.randomBytes(32).toString('base64');
+
+describe('File recovery', () => {
+  beforeAll(async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({
+      recoveryVerifier: await cryptoService.hashPassword(recoveryProof)
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCounters.clear();
+    mockFiles['file-1'] = {
+      id: 'file-1',
+      uploadMode: 'secure',
+      wrappedKey: crypto.randomBytes(60).toString('base64'),
+      recoveryWrappedKey: crypto.randomBytes(125).toString('base64')
+    };
+  });
+
+  it('should log a wrong recovery key and set the new password with the right one', async () => {
+    const wrong = await request(app)
+      .post('/api/files/file-1/recover')
+      .send({ recoveryProof: crypto.randomBytes(32).toString('base64') });
+    expect(wrong.status).toBe(401);
+    expect(mockPrisma.securityLog.create.mock.calls[0][0].data).toMatchObject({
+      action: 'recovery_attempt',
+      target: 'user-1',
+      success: false
+    });
+
+    // The next try comes once the wait after that failure is over
+    for (const counter of mockCounters.values()) {
+      counter.lastFailureAt = new Date(Date.now() - 60 * 1000);
+    }
+
+    const fetched = await request(app).post('/api/files/file-1/recover').send({ recoveryProof });
+    expect(fetched.body.file.recoveryWrappedKey).toBe(mockFiles['file-1'].recoveryWrappedKey);
+
+    const newKey = {
+      encryptedKeyBlob: crypto.randomBytes(60).toString('base64'),
+      salt: crypto.randomBytes(32).toString('base64')
+    };
+    const rekeyed = await request(app).post('/api/files/file-1/recover').send({ recoveryProof, ...newKey });
+    expect(rekeyed.status).toBe(200);
+    expect(mockPrisma.file.update.mock.calls[0][0].data).toEqual({ ...newKey, wrappedKey: null });
+  });
+
+  it('should refuse further attempts after too many failures', async () => {
+    await request(app).post('/api/files/file-1/recover').send({ recoveryProof: crypto.randomBytes(32).toString('base64') });
+    const [counter] = mockCounters.values();
+    Object.assign(counter, { failures: 5, lastFailureAt: new Date(Date.now() - 10 * 60 * 1000) });
+    jest.clearAllMocks();
+
+    const response = await request(app).post('/api/files/file-1/recover').send({ recoveryProof });
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(4 * 60);
+    expect(mockPrisma.securityLog.create).not.toHaveBeenCalled();
+  });
+
+  it('should check only one of several concurrent wrong proofs', async () => {
+    const verifyPassword = jest.spyOn(cryptoService, 'verifyPassword');
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+      request(app).post('/api/files/file-1/recover').send({ recoveryProof: crypto.randomBytes(32).toString('base64') })
+    ));
+
+    expect(responses.map(response => response.status).sort()).toEqual([401, 429, 429, 429, 429]);
+    expect(verifyPassword).toHaveBeenCalledTimes(1);
+    verifyPassword.mockRestore();
+  });
+});
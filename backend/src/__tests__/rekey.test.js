@@ -0,0 +1,112 @@
+const request = require('supertest');
+const express = require('express');
+
+const { mockLockoutCounter } = require('./helpers/lockoutCounter');
+
+const mockPrisma = {
+  file: {
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn(async () => null)
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounter(),
+  $transaction: jest.fn((operations) => Promise.all(operations))
+};
+
+const mockFiles = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  verifyFolderAccess: (req, res, next) => next(),
+  verifyFileAccess: (req, res, next) => {
+    req.fileRecord = mockFiles[req.params.id];
+    next();
+  }
+}));
+
+const cryptoService = require('../services/crypto');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', fileRoutes);
+app.use('/api/folders', fileRoutes);
+
+const wrapKey = async (fileKey, password) => {
+  const { encryptedKeyBlob, salt } = await cryptoService.encryptFileKey(fileKey, password, cryptoService.generateSalt());
+  return { encryptedKeyBlob, salt };
+};
+
+describe('File rekey routes', () => {
+  const fileKey = cryptoService.generateFileKey();
+
+  beforeAll(() => {
+    // encryptFileKey logs its inputs and result
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.file.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('should re-wrap the same file key under the new password', async () => {
+    mockFiles['file-1'] = { id: 'file-1', uploadMode: 'secure', ...(await wrapKey(fileKey, 'old-password')) };
+
+    const response = await request(app)
+      .post('/api/files/file-1/rekey')
+      .send({ oldPassword: 'old-password', newPassword: 'new-password' });
+
+    expect(response.status).toBe(200);
+    const { where, data } = mockPrisma.file.updateMany.mock.calls[0][0];
+    expect(where.encryptedKeyBlob).toBe(mockFiles['file-1'].encryptedKeyBlob);
+    expect(data.salt).not.toBe(mockFiles['file-1'].salt);
+
+    const unwrapped = await cryptoService.decryptFileKey(data.encryptedKeyBlob, 'new-password', data.salt);
+    expect(unwrapped.equals(fileKey)).toBe(true);
+  });
+
+  it('should reject the wrong old password without touching the file', async () => {
+    mockFiles['file-1'] = { id: 'file-1', uploadMode: 'secure', ...(await wrapKey(fileKey, 'old-password')) };
+
+    const response = await request(app)
+      .post('/api/files/file-1/rekey')
+      .send({ oldPassword: 'wrong-password', newPassword: 'new-password' });
+
+    expect(response.status).toBe(401);
+    expect(mockPrisma.file.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should only rekey folder files that share the old password', async () => {
+    mockPrisma.file.findMany.mockResolvedValue([
+      { id: 'a', ...(await wrapKey(fileKey, 'shared-password')) },
+      { id: 'b', ...(await wrapKey(fileKey, 'other-password')) },
+      { id: 'c', ...(await wrapKey(fileKey, 'shared-password')) }
+    ]);
+
+    const response = await request(app)
+      .post('/api/folders/folder-1/files/rekey')
+      .send({ oldPassword: 'shared-password', newPassword: 'new-password' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ rekeyed: 2, skipped: 1 });
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.file.updateMany.mock.calls.map(([args]) => args.where.id)).toEqual(['a', 'c']);
+  });
+});
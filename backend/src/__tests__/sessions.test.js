@@ -0,0 +1,132 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn()
+  },
+  session: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const cryptoService = require('../services/crypto');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const hash = (secret) => cryptoService.calculateHash(Buffer.from(secret));
+
+describe('Sessions', () => {
+  beforeAll(() => {
+    process.env.AUTH_MODE = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_MODE;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.session.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('should rotate refresh tokens and revoke the session when an old one is reused', async () => {
+    const session = {
+      id: 'session-1',
+      userId: 'user-1',
+      refreshTokenHash: hash('first-secret'),
+      expiresAt: new Date(Date.now() + 60000),
+      revokedAt: null,
+      user: { id: 'user-1', email: 'a@example.com' }
+    };
+    mockPrisma.session.findUnique.mockResolvedValue(session);
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: 'session-1.first-secret' });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).toMatch(/^session-1\./);
+    expect(jwt.verify(refreshed.body.token, process.env.JWT_SECRET).sessionId).toBe('session-1');
+    const newHash = mockPrisma.session.updateMany.mock.calls[0][0].data.refreshTokenHash;
+    expect(newHash).toBe(hash(refreshed.body.refreshToken.split('.')[1]));
+
+    // The first token has been swapped, so presenting it again is reuse
+    mockPrisma.session.findUnique.mockResolvedValue({ ...session, refreshTokenHash: newHash });
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: 'session-1.first-secret' });
+    expect(reused.status).toBe(401);
+    expect(mockPrisma.session.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'session-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date), revokedReason: 'refresh_token_reuse' }
+    });
+    expect(mockPrisma.securityLog.create.mock.calls[0][0].data.action).toBe('refresh_token_reuse');
+  });
+
+  it('should let only one of two concurrent refreshes rotate, and treat the old token as reuse after', async () => {
+    // One stored row; updateMany is a single conditional statement, as in SQLite
+    const stored = {
+      id: 'session-1',
+      userId: 'user-1',
+      refreshTokenHash: hash('first-secret'),
+      expiresAt: new Date(Date.now() + 60000),
+      revokedAt: null,
+      user: { id: 'user-1', email: 'a@example.com' }
+    };
+    mockPrisma.session.findUnique.mockImplementation(async () => ({ ...stored }));
+    mockPrisma.session.updateMany.mockImplementation(async ({ where, data }) => {
+      const matches = where.id === stored.id && where.revokedAt === stored.revokedAt &&
+        (where.refreshTokenHash === undefined || where.refreshTokenHash === stored.refreshTokenHash);
+      if (!matches) {
+        return { count: 0 };
+      }
+      Object.assign(stored, data);
+      return { count: 1 };
+    });
+
+    const refreshes = await Promise.all([1, 2].map(() =>
+      request(app).post('/api/auth/refresh').send({ refreshToken: 'session-1.first-secret' })
+    ));
+
+    expect(refreshes.map(response => response.status).sort()).toEqual([200, 401]);
+    const winner = refreshes.find(response => response.status === 200).body.refreshToken;
+    expect(stored.refreshTokenHash).toBe(hash(winner.split('.')[1]));
+
+    // The swapped token coming back later is reuse, and ends the session
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: 'session-1.first-secret' });
+    expect(reused.status).toBe(401);
+    expect(stored.revokedReason).toBe('refresh_token_reuse');
+
+    const afterRevoke = await request(app).post('/api/auth/refresh').send({ refreshToken: winner });
+    expect(afterRevoke.status).toBe(401);
+  });
+
+  it('should list active sessions and reject access tokens of revoked ones', async () => {
+    const token = jwt.sign({ userId: 'user-1', sessionId: 'session-1' }, process.env.JWT_SECRET);
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'a@example.com', username: 'alice' });
+    mockPrisma.session.findFirst.mockResolvedValue({ id: 'session-1', lastSeenAt: new Date() });
+    mockPrisma.session.findMany.mockResolvedValue([
+      { id: 'session-1', device: 'Firefox on Linux' },
+      { id: 'session-2', device: 'Safari on iPhone' }
+    ]);
+
+    const listed = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+    expect(listed.body.sessions.map(session => session.current)).toEqual([true, false]);
+
+    mockPrisma.session.findFirst.mockResolvedValue(null);
+    const revoked = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+    expect(revoked.status).toBe(401);
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const express = require('express');
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+const settingsRoutes = require('../routes/settings');
+
+const app = express();
+app.use(express.json());
+app.use('/api/settings', settingsRoutes);
+
+describe('Settings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should replace only the keys sent and remove keys set to null', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({
+      settings: JSON.stringify({ facade: { mode: 'notes', sequence: 'open up' }, other: true })
+    });
+
+    const invalid = await request(app).put('/api/settings').send({ facade: { mode: 'clock', sequence: '1234' } });
+    expect(invalid.status).toBe(400);
+
+    const updated = await request(app).put('/api/settings').send({ facade: { mode: 'calculator', sequence: '1234=' } });
+    expect(updated.body.settings).toEqual({ facade: { mode: 'calculator', sequence: '1234=' }, other: true });
+
+    const removed = await request(app).put('/api/settings').send({ facade: null });
+    expect(JSON.parse(mockPrisma.user.update.mock.calls[1][0].data.settings)).toEqual({ other: true });
+    expect(removed.status).toBe(200);
+  });
+
+  it('should only accept the fields of the chosen unlock gesture', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ settings: null });
+
+    const mixed = await request(app).put('/api/settings').send({
+      unlockGesture: { type: 'longPress', durationMs: 800, count: 3 }
+    });
+    expect(mixed.status).toBe(400);
+
+    const valid = await request(app).put('/api/settings').send({
+      unlockGesture: { type: 'swipe', pattern: ['left', 'up'], windowMs: 1500 }
+    });
+    expect(valid.body.settings).toEqual({
+      unlockGesture: { type: 'swipe', pattern: ['left', 'up'], windowMs: 1500 }
+    });
+  });
+});
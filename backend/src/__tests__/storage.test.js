@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorageService = require('../services/localStorage');
+const SupabaseStorageService = require('../services/supabaseStorage');
+const { StorageDriver, streamToBuffer, isStorageKey, isOpaqueKey } = require('../services/storageDriver');
+const { createStorageDriver } = require('../services/storageFactory');
+
+describe('LocalStorageService', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disguisedrive-storage-'));
+    storage = new LocalStorageService({
+      rootDir,
+      publicUrl: 'http://localhost:3001',
+      signingSecret: 'test-signing-secret'
+    });
+    await storage.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should implement the storage driver contract', () => {
+    expect(storage).toBeInstanceOf(StorageDriver);
+  });
+
+  it('should round-trip buffers and streams', async () => {
+    const data = Buffer.from('encrypted bytes');
+
+    await storage.upload('encrypted/a.bin', data);
+    await storage.upload('encrypted/b.bin', Readable.from([data]));
+
+    expect((await storage.download('encrypted/a.bin')).equals(data)).toBe(true);
+    expect((await streamToBuffer(await storage.stream('encrypted/b.bin'))).equals(data)).toBe(true);
+    expect((await storage.getMetadata('encrypted/a.bin')).size).toBe(data.length);
+  });
+
+  it('should store uploads under random prefixed keys', async () => {
+    const key = await storage.uploadEncryptedFile(Buffer.from('x'));
+    const other = await storage.uploadEncryptedFile(Buffer.from('x'));
+    expect(key).toMatch(/^encrypted\/[0-9a-f]{32}$/);
+    expect(other).not.toBe(key);
+    expect(isOpaqueKey(key)).toBe(true);
+    expect(isOpaqueKey('encrypted/1700000000000-photo.jpg')).toBe(false);
+    expect(await storage.exists(key)).toBe(true);
+  });
+
+  it('should keep the content type of extension-less keys', async () => {
+    const key = await storage.uploadFile(Buffer.from('%PDF-'), 'application/pdf');
+    expect((await storage.getMetadata(key)).contentType).toBe('application/pdf');
+
+    await storage.delete(key);
+    expect(fs.readdirSync(path.join(rootDir, 'normal'))).toEqual([]);
+  });
+
+  it('should treat deleting a missing object as success', async () => {
+    await storage.upload('covers/c.jpg', Buffer.from('c'));
+    await storage.delete('covers/c.jpg');
+
+    expect(await storage.exists('covers/c.jpg')).toBe(false);
+    await expect(storage.delete('covers/c.jpg')).resolves.toBeUndefined();
+  });
+
+  it('should reject keys that escape the root directory', async () => {
+    await expect(storage.upload('../escape.bin', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.download('encrypted/../../escape.bin')).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should sign URLs that verify until they expire', async () => {
+    const url = new URL(await storage.getSignedUrl('encrypted/a b.bin', 60));
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+
+    expect(url.pathname).toBe('/uploads/encrypted/a%20b.bin');
+    expect(storage.verifySignature('encrypted/a b.bin', expires, signature)).toBe(true);
+    expect(storage.verifySignature('encrypted/other.bin', expires, signature)).toBe(false);
+    expect(storage.verifySignature('encrypted/a b.bin', Math.floor(Date.now() / 1000) - 1, signature)).toBe(false);
+  });
+});
+
+describe('SupabaseStorageService', () => {
+  beforeAll(() => {
+    process.env.SUPABASE_URL = 'https://project.supabase.co';
+    process.env.SUPABASE_SERVICE_KEY = 'service-key';
+  });
+
+  afterAll(() => {
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_KEY;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should bring an existing bucket up to the upload allow-list', async () => {
+    const storage = new SupabaseStorageService();
+    const updateBucket = jest.fn().mockResolvedValue({ error: null });
+    storage.supabase = {
+      storage: {
+        listBuckets: jest.fn().mockResolvedValue({ data: [{ name: storage.bucketName }], error: null }),
+        updateBucket
+      }
+    };
+
+    await storage.initialize();
+
+    const [bucketName, options] = updateBucket.mock.calls[0];
+    expect(bucketName).toBe(storage.bucketName);
+    expect(options.allowedMimeTypes).toEqual(expect.arrayContaining([
+      'application/octet-stream',
+      'image/jpeg',
+      'video/mp4',
+      'application/pdf',
+      'text/plain',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ]));
+  });
+
+  it('should stream an object in ranges instead of downloading it whole', async () => {
+    const object = Buffer.alloc(17 * 1024 * 1024, 7);
+    object.write('end', object.length - 3);
+    const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url, { headers }) => {
+      const [start, end] = headers.Range.replace('bytes=', '').split('-').map(Number);
+      const last = Math.min(end, object.length - 1);
+      return new Response(object.subarray(start, last + 1), {
+        status: 206,
+        headers: { 'Content-Range': `bytes ${start}-${last}/${object.length}` }
+      });
+    });
+
+    const storage = new SupabaseStorageService();
+    const contents = await streamToBuffer(await storage.stream('encrypted/abc'));
+
+    expect(contents.equals(object)).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(fetchMock.mock.calls[0][0]).toBe('https://project.supabase.co/storage/v1/object/disguisedrive-files/encrypted/abc');
+  });
+});
+
+describe('storage helpers', () => {
+  it('should tell storage keys from external URLs', () => {
+    expect(isStorageKey('covers/1-cover.jpg')).toBe(true);
+    expect(isStorageKey('https://images.example.com/cover.jpg')).toBe(false);
+    expect(isStorageKey(null)).toBe(false);
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(createStorageDriver('local')).toBeInstanceOf(LocalStorageService);
+    expect(() => createStorageDriver('ftp')).toThrow('Unknown STORAGE_DRIVER');
+  });
+});
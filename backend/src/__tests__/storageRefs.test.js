@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockPrisma = {
+  file: {
+    count: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disguisedrive-refs-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { getStorageDriver } = require('../services/storageFactory');
+const { releaseStoredObjects } = require('../services/storageRefs');
+
+describe('storageRefs', () => {
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('should only delete objects no remaining file references', async () => {
+    const storage = getStorageDriver();
+    await storage.upload('encrypted/shared.bin', Buffer.from('blob'));
+    await storage.upload('covers/shared.jpg', Buffer.from('cover'));
+    await storage.upload('encrypted/own.bin', Buffer.from('blob'));
+
+    // A copy still points at the shared blob and cover
+    mockPrisma.file.count.mockImplementation(({ where }) => Promise.resolve(
+      where.OR[0].storagePath.includes('shared') ? 1 : 0
+    ));
+
+    await releaseStoredObjects([
+      { storagePath: 'encrypted/shared.bin', coverPath: 'covers/shared.jpg' },
+      { storagePath: 'encrypted/own.bin', coverPath: 'https://example.com/cover.jpg' }
+    ]);
+
+    expect(await storage.exists('encrypted/shared.bin')).toBe(true);
+    expect(await storage.exists('covers/shared.jpg')).toBe(true);
+    expect(await storage.exists('encrypted/own.bin')).toBe(false);
+    expect(mockPrisma.file.count).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+const { mockLockoutCounter } = require('./helpers/lockoutCounter');
+
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  session: {
+    create: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  },
+  lockoutCounter: mockLockoutCounter()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+const { generateHotp, generateTotp, matchTotp, verifyTwoFactorCode } = require('../services/totp');
+const authRoutes = require('../routes/auth');
+const twoFactorRoutes = require('../routes/twoFactor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/2fa', twoFactorRoutes);
+
+describe('Two-factor authentication', () => {
+  beforeAll(() => {
+    process.env.AUTH_MODE = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_MODE;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.user.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('should match the RFC 6238 test vectors and refuse a replayed step', () => {
+    // RFC 6238 appendix B, SHA-1 secret "12345678901234567890"
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    expect(generateTotp(secret, 59 * 1000)).toBe('287082');
+    expect(generateTotp(secret, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(secret, 2000000000 * 1000)).toBe('279037');
+
+    const step = matchTotp(secret, '287082', null, 59 * 1000);
+    expect(step).toBe(1);
+    expect(matchTotp(secret, '287082', step, 59 * 1000)).toBeNull();
+  });
+
+  it('should accept a code at the edge of the drift window only once, and nothing older after it', () => {
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    const step = 56666666;
+    // Last millisecond of the step, then the first of the next one
+    const endOfStep = (step + 1) * 30 * 1000 - 1;
+
+    expect(matchTotp(secret, generateHotp(secret, step - 1), null, endOfStep)).toBe(step - 1);
+    expect(matchTotp(secret, generateHotp(secret, step - 1), null, endOfStep + 1)).toBeNull();
+    expect(matchTotp(secret, generateHotp(secret, step - 1), step - 1, endOfStep)).toBeNull();
+
+    // A code from one step ahead uses up the current and previous steps too
+    expect(matchTotp(secret, generateHotp(secret, step + 1), null, endOfStep)).toBe(step + 1);
+    expect(matchTotp(secret, generateHotp(secret, step), step + 1, endOfStep)).toBeNull();
+    expect(matchTotp(secret, generateHotp(secret, step + 1), step + 1, endOfStep + 1)).toBeNull();
+  });
+
+  it('should let only one of two concurrent checks use the same code', async () => {
+    const stored = { id: 'user-1', totpSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', totpLastStep: null, totpBackupCodes: null };
+    // Conditional like the real statement: only a later step may be stored
+    mockPrisma.user.updateMany.mockImplementation(async ({ data }) => {
+      if (stored.totpLastStep !== null && stored.totpLastStep >= data.totpLastStep) {
+        return { count: 0 };
+      }
+      stored.totpLastStep = data.totpLastStep;
+      return { count: 1 };
+    });
+
+    const code = generateTotp(stored.totpSecret);
+    const results = await Promise.all([verifyTwoFactorCode({ ...stored }, code), verifyTwoFactorCode({ ...stored }, code)]);
+
+    expect(results.sort()).toEqual([null, 'totp']);
+  });
+
+  it('should enroll with a verified code and then require a code to log in', async () => {
+    // Stay inside one time step so the replayed code below is the enrollment one
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    mockPrisma.user.findUnique.mockResolvedValue({ email: 'a@example.com', totpSecret: null });
+    const enrolled = await request(app).post('/api/2fa/enroll');
+    expect(enrolled.status).toBe(200);
+    expect(enrolled.body.otpauthUrl).toContain(`secret=${enrolled.body.secret}`);
+    expect(enrolled.body.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    const secret = enrolled.body.secret;
+    mockPrisma.user.findUnique.mockResolvedValue({ email: 'a@example.com', totpSecret: null, totpPendingSecret: secret });
+    const verified = await request(app).post('/api/2fa/verify').send({ code: generateTotp(secret) });
+    expect(verified.status).toBe(200);
+    expect(verified.body.backupCodes).toHaveLength(10);
+    expect(mockPrisma.user.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ totpSecret: secret, totpPendingSecret: null })
+    }));
+    expect(mockPrisma.securityLog.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ action: 'totp_enrolled', success: true })
+    }));
+
+    const stored = mockPrisma.user.update.mock.calls.at(-1)[0].data;
+    mockPrisma.user.findUnique.mockResolvedValue({
+      id: 'user-1',
+      email: 'a@example.com',
+      password: await bcrypt.hash('password123', 4),
+      totpSecret: secret,
+      totpLastStep: stored.totpLastStep,
+      totpBackupCodes: stored.totpBackupCodes
+    });
+    mockPrisma.session.create.mockResolvedValue({ id: 'session-1' });
+
+    const credentials = { email: 'a@example.com', password: 'password123' };
+    const missing = await request(app).post('/api/auth/login').send(credentials);
+    expect(missing.status).toBe(401);
+    expect(missing.body.twoFactorRequired).toBe(true);
+
+    // The enrollment code's step is used up, so only a backup code works right away
+    const replayed = await request(app).post('/api/auth/login').send({ ...credentials, code: generateTotp(secret) });
+    expect(replayed.status).toBe(401);
+
+    const loggedIn = await request(app).post('/api/auth/login').send({ ...credentials, code: verified.body.backupCodes[0] });
+    expect(loggedIn.status).toBe(200);
+    expect(loggedIn.body.token).toBeDefined();
+  });
+});
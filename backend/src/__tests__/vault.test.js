@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+const mockPrisma = {
+  user: {
+    updateMany: jest.fn()
+  },
+  folder: {
+    findFirst: jest.fn()
+  },
+  file: {
+    update: jest.fn()
+  },
+  securityLog: {
+    create: jest.fn()
+  }
+};
+
+const mockFiles = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../middleware/supabaseAuth', () => ({
+  authenticateSupabaseToken: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  checkFolderAccess: jest.fn(() => Promise.resolve({ allowed: true, path: [] })),
+  verifyFileAccess: (req, res, next) => {
+    req.fileRecord = mockFiles[req.params.id];
+    next();
+  }
+}));
+
+const vaultRoutes = require('../routes/vault');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/vault', vaultRoutes);
+app.use('/api/files', fileRoutes);
+
+// Wrapped keys are [IV (12)] [AuthTag (16)] [key (32)]
+const wrappedKey = () => crypto.randomBytes(60).toString('base64');
+
+describe('Vault', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should refuse to replace an existing vault', async () => {
+    mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+    const body = {
+      vaultSalt: crypto.randomBytes(32).toString('base64'),
+      vaultKeyCheck: crypto.randomBytes(48).toString('base64')
+    };
+
+    expect((await request(app).post('/api/vault').send(body)).status).toBe(201);
+    expect((await request(app).post('/api/vault').send(body)).status).toBe(409);
+    expect(mockPrisma.user.updateMany.mock.calls[0][0].where).toEqual({ id: 'user-1', vaultSalt: null });
+  });
+
+  it('should require vault files to be re-wrapped for their destination', async () => {
+    mockFiles['file-1'] = { id: 'file-1', folderId: 'source', wrappedKey: wrappedKey() };
+    mockPrisma.file.update.mockResolvedValue({ id: 'file-1' });
+
+    mockPrisma.folder.findFirst.mockResolvedValue({ id: 'plain', wrappedFolderKey: null });
+    const toPlainFolder = await request(app).post('/api/files/file-1/move').send({ folderId: 'plain', wrappedKey: wrappedKey() });
+    expect(toPlainFolder.status).toBe(400);
+
+    mockPrisma.folder.findFirst.mockResolvedValue({ id: 'vault', wrappedFolderKey: wrappedKey() });
+    const withoutKey = await request(app).post('/api/files/file-1/move').send({ folderId: 'vault' });
+    expect(withoutKey.status).toBe(400);
+
+    const rewrapped = wrappedKey();
+    const moved = await request(app).post('/api/files/file-1/move').send({ folderId: 'vault', wrappedKey: rewrapped });
+    expect(moved.status).toBe(200);
+    expect(mockPrisma.file.update.mock.calls[0][0].data).toEqual({ folderId: 'vault', wrappedKey: rewrapped });
+  });
+});
@@ -1,3 +1,6 @@
+// Before anything reads process.env
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,10 +10,17 @@ const { PrismaClient } = require('@prisma/client');
 const authRoutes = require('./routes/auth');
 const folderRoutes = require('./routes/folders');
 const fileRoutes = require('./routes/files');
-require('dotenv').config();
+const uploadRoutes = require('./routes/uploads');
+const vaultRoutes = require('./routes/vault');
+const duressRoutes = require('./routes/duress');
+const settingsRoutes = require('./routes/settings');
+const twoFactorRoutes = require('./routes/twoFactor');
+const passkeyRoutes = require('./routes/passkeys');
+const lockoutRoutes = require('./routes/lockout');
 
 const { errorHandler } = require('./middleware/errorHandler');
-const SupabaseStorageService = require('./services/supabaseStorage');
+const { getAuthMode, getAuthModeError } = require('./middleware/authMode');
+const { initializeStorage } = require('./services/storageFactory');
 const { initializeDatabase } = require('./scripts/init-db');
 
 const app = express();
@@ -33,8 +43,9 @@ app.use(cors({
     process.env.FRONTEND_URL || 'http://localhost:3000'
   ],
   credentials: true,
-  exposedHeaders: ['x-folder-token'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-folder-token', 'X-Folder-Token']
+  // WWW-Authenticate marks a 401 as signed out rather than a wrong password
+  exposedHeaders: ['x-folder-token', 'WWW-Authenticate'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-folder-token', 'X-Folder-Token', 'X-Destination-Folder-Token', 'X-Reveal-Token']
 }));
 
 // Rate limiting
@@ -44,12 +55,13 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // A folder grid loads one cover per file; covers carry their own caching
+  skip: (req) => req.path.startsWith('/api/files/covers/'),
 });
 app.use(limiter);
 
-// Serve static files from uploads directory
-const path = require('path');
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Signed URLs for the local storage driver
+app.use('/uploads', uploadRoutes);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -76,6 +88,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/folders', fileRoutes); // Mount file routes under /api/folders for folder-specific file operations
 app.use('/api/files', fileRoutes);
+app.use('/api/vault', vaultRoutes);
+app.use('/api/duress', duressRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/2fa', twoFactorRoutes);
+app.use('/api/passkeys', passkeyRoutes);
+app.use('/api/lockout', lockoutRoutes);
 
 // 404 handler with logging
 app.use('*', (req, res) => {
@@ -87,19 +105,24 @@ app.use('*', (req, res) => {
 app.use(errorHandler);
 
 // Initialize storage and start server
-const supabaseStorage = new SupabaseStorageService();
-
 async function startServer() {
   try {
+    // Refuse to start rather than reject every request
+    const authModeError = getAuthModeError();
+    if (authModeError) {
+      throw new Error(authModeError);
+    }
+
     // Initialize database first
     await initializeDatabase();
     
-    // Initialize Supabase storage
-    await supabaseStorage.initialize();
+    // Initialize the configured storage driver
+    await initializeStorage();
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`🔐 Auth mode: ${getAuthMode()}`);
       
       // Keep-alive mechanism for Render free tier
       if (process.env.NODE_ENV === 'production') {
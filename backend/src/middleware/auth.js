@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { getFolderPath, getProtectingFolder } = require('../services/folderTree');
+const { rejectUnauthenticated } = require('./authMode');
+const { getActiveSession } = require('../services/sessions');
 
 const prisma = new PrismaClient();
 
@@ -12,10 +15,16 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+      return rejectUnauthenticated(res, 'Access token required');
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens die with their session (logout, remote logout, reuse)
+    const session = decoded.sessionId && await getActiveSession(decoded.sessionId, decoded.userId);
+    if (!session) {
+      return rejectUnauthenticated(res, 'Session expired');
+    }
     
     // Verify user still exists
     const user = await prisma.user.findUnique({
@@ -24,24 +33,84 @@ const authenticateToken = async (req, res, next) => {
     });
 
     if (!user) {
-      return res.status(401).json({ error: 'Invalid token - user not found' });
+      return rejectUnauthenticated(res, 'Invalid token - user not found');
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+      return rejectUnauthenticated(res, 'Invalid token');
     }
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+      return rejectUnauthenticated(res, 'Token expired');
     }
     
     console.error('Auth middleware error:', error);
-    return res.status(500).json({ error: 'Authentication failed' });
+    return rejectUnauthenticated(res, 'Authentication failed');
   }
 };
 
+/**
+ * Check a folder access token against the folder that guards a folder.
+ * Protection is inherited: a token for a protected ancestor opens its
+ * descendants, unless a descendant is protected itself.
+ * @param {string} folderId - Folder being accessed
+ * @param {string} userId - Requesting user
+ * @param {string} accessToken - Token from the request, if any
+ * @param {Object} options - allowDecoy: accept a token issued for a duress
+ *   password, which only ever opens the decoy view of the protected folder itself
+ * @returns {Promise<Object>} { allowed, path, tokenRecord } or { allowed: false, error, protectedFolderId }
+ */
+const checkFolderAccess = async (folderId, userId, accessToken, { allowDecoy = false } = {}) => {
+  const path = await getFolderPath(folderId);
+  const protectingFolder = getProtectingFolder(path);
+
+  // If neither the folder nor an ancestor is protected, allow access
+  if (!protectingFolder) {
+    return { allowed: true, path, tokenRecord: null };
+  }
+
+  if (!accessToken) {
+    return {
+      allowed: false,
+      error: 'Folder access token required',
+      protectedFolderId: protectingFolder.id
+    };
+  }
+
+  const tokenRecord = await prisma.folderAccessToken.findFirst({
+    where: {
+      token: accessToken,
+      folderId: protectingFolder.id,
+      userId: userId,
+      expiresAt: {
+        gt: new Date()
+      }
+    }
+  });
+
+  const decoyRefused = tokenRecord?.decoy && !(allowDecoy && protectingFolder.id === folderId);
+  if (!tokenRecord || decoyRefused) {
+    return {
+      allowed: false,
+      error: 'Invalid or expired folder access token',
+      protectedFolderId: protectingFolder.id
+    };
+  }
+
+  return { allowed: true, path, tokenRecord };
+};
+
+const denyFolderAccess = (res, access) => {
+  return res.status(403).json({
+    error: access.error,
+    requiresFolderPassword: true,
+    protectedFolderId: access.protectedFolderId
+  });
+};
+
 /**
  * Middleware to verify folder access token for protected folders
  */
@@ -65,51 +134,62 @@ const verifyFolderAccess = async (req, res, next) => {
       return res.status(404).json({ error: 'Folder not found' });
     }
 
-    // If folder is not protected, allow access
-    if (!folder.isProtected) {
-      req.folder = folder;
-      return next();
+    // Decoy tokens can list the folder but never change anything
+    const access = await checkFolderAccess(folder.id, req.user.id, req.headers['x-folder-token'], {
+      allowDecoy: req.method === 'GET'
+    });
+    if (!access.allowed) {
+      return denyFolderAccess(res, access);
     }
 
-    // For protected folders, check for valid access token
-    const accessToken = req.headers['x-folder-token'];
-    
-    if (!accessToken) {
-      return res.status(403).json({ 
-        error: 'Folder access token required',
-        requiresFolderPassword: true 
-      });
-    }
+    req.folder = folder;
+    req.folderPath = access.path;
+    req.folderAccessToken = access.tokenRecord;
+    next();
+  } catch (error) {
+    console.error('Folder access verification error:', error);
+    return res.status(500).json({ error: 'Folder access verification failed' });
+  }
+};
 
-    // Verify access token
-    const tokenRecord = await prisma.folderAccessToken.findFirst({
+/**
+ * Middleware to load a file owned by the user and verify the folder access
+ * token when the file lives in a protected folder
+ */
+const verifyFileAccess = async (req, res, next) => {
+  try {
+    const file = await prisma.file.findFirst({
       where: {
-        token: accessToken,
-        folderId: folderId,
-        userId: req.user.id,
-        expiresAt: {
-          gt: new Date()
-        }
+        id: req.params.id,
+        ownerId: req.user.id
+      },
+      include: {
+        folder: true
       }
     });
 
-    if (!tokenRecord) {
-      return res.status(403).json({ 
-        error: 'Invalid or expired folder access token',
-        requiresFolderPassword: true 
-      });
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
     }
 
-    req.folder = folder;
-    req.folderAccessToken = tokenRecord;
+    const access = await checkFolderAccess(file.folderId, req.user.id, req.headers['x-folder-token']);
+    if (!access.allowed) {
+      return denyFolderAccess(res, access);
+    }
+
+    req.folderAccessToken = access.tokenRecord;
+    req.fileRecord = file;
     next();
   } catch (error) {
-    console.error('Folder access verification error:', error);
-    return res.status(500).json({ error: 'Folder access verification failed' });
+    console.error('File access verification error:', error);
+    return res.status(500).json({ error: 'File access verification failed' });
   }
 };
 
 module.exports = {
   authenticateToken,
-  verifyFolderAccess
+  checkFolderAccess,
+  denyFolderAccess,
+  verifyFolderAccess,
+  verifyFileAccess
 };
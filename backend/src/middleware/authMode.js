@@ -0,0 +1,56 @@
+/**
+ * How requests are authenticated, from AUTH_MODE:
+ * - supabase: Supabase access tokens only (the default)
+ * - local: JWTs issued by /api/auth/login and /api/auth/register
+ * - dev-fallback: Supabase, signing anything else in as a shared test user;
+ *   only allowed when NODE_ENV=development
+ */
+const AUTH_MODES = ['supabase', 'local', 'dev-fallback'];
+
+const getAuthMode = () => process.env.AUTH_MODE || 'supabase';
+
+/**
+ * Why the configured mode cannot be used, if it cannot
+ * @returns {string|null} Error message, or null if the mode is usable
+ */
+const getAuthModeError = () => {
+  const mode = getAuthMode();
+  if (!AUTH_MODES.includes(mode)) {
+    return `Unknown AUTH_MODE "${mode}" (expected one of ${AUTH_MODES.join(', ')})`;
+  }
+  if (mode === 'dev-fallback' && process.env.NODE_ENV !== 'development') {
+    return 'AUTH_MODE=dev-fallback is only allowed when NODE_ENV=development';
+  }
+  if (mode === 'local' && !process.env.JWT_SECRET) {
+    return 'AUTH_MODE=local requires JWT_SECRET';
+  }
+  if (mode === 'supabase' && !(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY)) {
+    return 'AUTH_MODE=supabase requires SUPABASE_URL and SUPABASE_SERVICE_KEY';
+  }
+  return null;
+};
+
+/**
+ * Reject a request that is not signed in. The WWW-Authenticate header tells
+ * the client to sign in again, unlike a 401 for a wrong folder password.
+ */
+const rejectUnauthenticated = (res, error) =>
+  res.status(401).set('WWW-Authenticate', 'Bearer').json({ error });
+
+/**
+ * Middleware for routes that only exist for local accounts
+ */
+const requireLocalAuth = (req, res, next) => {
+  if (getAuthMode() !== 'local') {
+    return res.status(404).json({ error: 'Local accounts are not enabled' });
+  }
+  next();
+};
+
+module.exports = {
+  AUTH_MODES,
+  getAuthMode,
+  getAuthModeError,
+  rejectUnauthenticated,
+  requireLocalAuth
+};
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const { rejectUnauthenticated } = require('./authMode');
 
 const prisma = new PrismaClient();
 
@@ -47,11 +48,11 @@ const errorHandler = async (err, req, res, next) => {
   }
 
   if (err.name === 'JsonWebTokenError') {
-    return res.status(401).json({ error: 'Invalid token' });
+    return rejectUnauthenticated(res, 'Invalid token');
   }
 
   if (err.name === 'TokenExpiredError') {
-    return res.status(401).json({ error: 'Token expired' });
+    return rejectUnauthenticated(res, 'Token expired');
   }
 
   if (err.code === 'P2002') { // Prisma unique constraint violation
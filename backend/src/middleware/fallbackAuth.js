@@ -1,10 +1,11 @@
 const { PrismaClient } = require('@prisma/client');
+const { rejectUnauthenticated } = require('./authMode');
 
 const prisma = new PrismaClient();
 
 /**
- * Fallback authentication middleware for when Supabase is not available
- * Creates a temporary user for testing purposes
+ * Development-only authentication (AUTH_MODE=dev-fallback) that signs
+ * requests in as a shared test user, creating it if needed
  */
 const fallbackAuth = async (req, res, next) => {
   try {
@@ -33,7 +34,7 @@ const fallbackAuth = async (req, res, next) => {
     next();
   } catch (error) {
     console.error('❌ Fallback auth failed:', error);
-    return res.status(500).json({ error: 'Authentication system unavailable' });
+    return rejectUnauthenticated(res, 'Authentication unavailable');
   }
 };
 
@@ -1,79 +1,94 @@
 const { createClient } = require('@supabase/supabase-js');
 const { PrismaClient } = require('@prisma/client');
 const { fallbackAuth } = require('./fallbackAuth');
+const { authenticateToken } = require('./auth');
+const { getAuthMode, getAuthModeError, rejectUnauthenticated } = require('./authMode');
 
 const prisma = new PrismaClient();
 
 // Check for required environment variables
 const hasSupabaseConfig = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY;
 
-if (!hasSupabaseConfig) {
-  console.warn('⚠️ Supabase environment variables missing - using fallback auth');
-}
-
 const supabase = hasSupabaseConfig ? createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 ) : null;
 
 /**
- * Middleware to authenticate Supabase JWT tokens
+ * Resolve a Supabase access token to our user, creating the user on first sign-in
+ * @param {string} token - Supabase access token
+ * @returns {Promise<Object|null>} { user, supabaseUser }, or null if the token is not valid
  */
-const authenticateSupabaseToken = async (req, res, next) => {
-  try {
-    // If Supabase is not configured, use fallback auth
-    if (!hasSupabaseConfig) {
-      console.log('🔄 Supabase not configured, using fallback auth');
-      return fallbackAuth(req, res, next);
-    }
-
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-    if (!token) {
-      console.log('❌ No auth token provided, using fallback auth');
-      return fallbackAuth(req, res, next);
-    }
+const verifySupabaseToken = async (token) => {
+  const { data: { user }, error } = await supabase.auth.getUser(token);
 
-    // Verify token with Supabase
-    console.log('🔍 Verifying Supabase token...');
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('❌ Supabase auth error:', error?.message || 'No user returned');
+    return null;
+  }
 
-    if (error || !user) {
-      console.error('❌ Supabase auth error:', error?.message || 'No user returned');
-      console.log('🔄 Falling back to fallback auth');
-      return fallbackAuth(req, res, next);
-    }
-    
-    console.log('✅ Supabase user verified:', user.email);
+  // Create or find user in our database
+  let dbUser = await prisma.user.findUnique({
+    where: { email: user.email },
+    select: { id: true, email: true, username: true }
+  });
 
-    // Create or find user in our database
-    let dbUser = await prisma.user.findUnique({
-      where: { email: user.email },
+  if (!dbUser) {
+    console.log('👤 Creating new user in database:', user.email);
+    dbUser = await prisma.user.create({
+      data: {
+        email: user.email,
+        username: user.user_metadata?.username || user.email.split('@')[0],
+        password: null
+      },
       select: { id: true, email: true, username: true }
     });
+  }
 
-    if (!dbUser) {
-      console.log('👤 Creating new user in database:', user.email);
-      dbUser = await prisma.user.create({
-        data: {
-          email: user.email,
-          username: user.user_metadata?.username || user.email.split('@')[0],
-          password: null
-        },
-        select: { id: true, email: true, username: true }
-      });
-    }
+  return { user: dbUser, supabaseUser: user };
+};
 
-    req.user = dbUser;
-    req.supabaseUser = user;
-    console.log('✅ Authentication successful for user:', dbUser.email);
-    next();
+/**
+ * Middleware to authenticate a request according to AUTH_MODE (see
+ * authMode.js). Local mode hands over to authenticateToken. Every failure is
+ * a 401; only dev-fallback signs unauthenticated requests in.
+ */
+const authenticateSupabaseToken = async (req, res, next) => {
+  const modeError = getAuthModeError();
+  if (modeError) {
+    console.error('❌ Authentication misconfigured:', modeError);
+    return rejectUnauthenticated(res, 'Authentication unavailable');
+  }
+
+  const mode = getAuthMode();
+  if (mode === 'local') {
+    return authenticateToken(req, res, next);
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  let verified = null;
+  try {
+    if (token && supabase) {
+      verified = await verifySupabaseToken(token);
+    }
   } catch (error) {
     console.error('❌ Supabase auth middleware error:', error);
-    console.log('🔄 Falling back to fallback auth due to error');
+  }
+
+  if (verified) {
+    req.user = verified.user;
+    req.supabaseUser = verified.supabaseUser;
+    return next();
+  }
+
+  if (mode === 'dev-fallback') {
+    console.log('🔄 Signing in as the development fallback user');
     return fallbackAuth(req, res, next);
   }
+
+  return rejectUnauthenticated(res, token ? 'Invalid token' : 'Access token required');
 };
 
 module.exports = {
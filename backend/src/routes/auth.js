@@ -1,9 +1,13 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { requireLocalAuth, rejectUnauthenticated } = require('../middleware/authMode');
+const { authenticateToken } = require('../middleware/auth');
+const { createSession, rotateRefreshToken, revokeSessions } = require('../services/sessions');
+const { verifyTwoFactorCode } = require('../services/totp');
+const { checkLockout, handleFailedAttempt, clearAttempts, releaseAttempt, denyLockout } = require('../services/lockout');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -17,7 +21,13 @@ const registerSchema = Joi.object({
 
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  // TOTP or backup code, for accounts with two-factor authentication
+  code: Joi.string().max(32).optional()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(256).required()
 });
 
 const verifyPasswordSchema = Joi.object({
@@ -26,9 +36,9 @@ const verifyPasswordSchema = Joi.object({
 
 /**
  * POST /api/auth/register
- * Register a new user
+ * Register a new user (AUTH_MODE=local only)
  */
-router.post('/register', asyncHandler(async (req, res) => {
+router.post('/register', requireLocalAuth, asyncHandler(async (req, res) => {
   // Validate input
   const { error, value } = registerSchema.validate(req.body);
   if (error) {
@@ -87,25 +97,22 @@ router.post('/register', asyncHandler(async (req, res) => {
     }
   });
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user.id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token, refreshToken } = await createSession(req, user);
 
   res.status(201).json({
     message: 'User registered successfully',
     user,
-    token
+    token,
+    refreshToken
   });
 }));
 
 /**
  * POST /api/auth/login
- * Login user
+ * Login user (AUTH_MODE=local only)
  */
-router.post('/login', asyncHandler(async (req, res) => {
+router.post('/login', requireLocalAuth, asyncHandler(async (req, res) => {
   // Validate input
   const { error, value } = loginSchema.validate(req.body);
   if (error) {
@@ -122,12 +129,20 @@ router.post('/login', asyncHandler(async (req, res) => {
     where: { email }
   });
 
+  // Unknown emails are throttled the same way, so a lockout gives nothing away
+  const lockoutAttempt = { userId: user?.id, action: 'login_attempt', target: email };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
+  }
+
   if (!user) {
     // Log failed attempt
     await prisma.securityLog.create({
       data: {
         userId: null,
         action: 'login_attempt',
+        target: email,
         success: false,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -146,33 +161,60 @@ router.post('/login', asyncHandler(async (req, res) => {
       data: {
         userId: user.id,
         action: 'login_attempt',
+        target: email,
         success: false,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
         metadata: JSON.stringify({ reason: 'invalid_password' })
       }
     });
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
 
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
+  // Second factor, only asked for once the password is right
+  if (user.totpSecret) {
+    if (!value.code) {
+      // The password was right; the attempt counts once the code comes
+      await releaseAttempt(req, lockoutAttempt);
+      return res.status(401).json({ error: 'Two-factor code required', twoFactorRequired: true });
+    }
+
+    const method = await verifyTwoFactorCode(user, value.code);
+    if (!method) {
+      await prisma.securityLog.create({
+        data: {
+          userId: user.id,
+          action: 'login_attempt',
+          target: email,
+          success: false,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          metadata: JSON.stringify({ reason: 'invalid_two_factor_code' })
+        }
+      });
+      await handleFailedAttempt(req, lockoutAttempt, lockout);
+
+      return res.status(401).json({ error: 'Invalid two-factor code', twoFactorRequired: true });
+    }
+  }
+
   // Log successful login
   await prisma.securityLog.create({
     data: {
       userId: user.id,
       action: 'login_attempt',
+      target: email,
       success: true,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     }
   });
+  await clearAttempts(req, lockoutAttempt);
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user.id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token, refreshToken } = await createSession(req, user);
 
   res.json({
     message: 'Login successful',
@@ -182,52 +224,140 @@ router.post('/login', asyncHandler(async (req, res) => {
       username: user.username,
       createdAt: user.createdAt
     },
-    token
+    token,
+    refreshToken
   });
 }));
 
 /**
  * POST /api/auth/verify
- * Verify JWT token
+ * Verify JWT token (AUTH_MODE=local only)
  */
-router.post('/verify', asyncHandler(async (req, res) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+router.post('/verify', requireLocalAuth, authenticateToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      createdAt: true
+    }
+  });
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+  res.json({
+    valid: true,
+    user
+  });
+}));
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        createdAt: true
-      }
+/**
+ * POST /api/auth/refresh
+ * Swap a refresh token for a new access token and refresh token (AUTH_MODE=local only).
+ * Reusing an old refresh token revokes its session.
+ */
+router.post('/refresh', requireLocalAuth, asyncHandler(async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
     });
+  }
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token - user not found' });
-    }
+  const result = await rotateRefreshToken(req, value.refreshToken);
+  if (!result.ok) {
+    return rejectUnauthenticated(res, result.error);
+  }
 
-    res.json({
-      valid: true,
-      user
-    });
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+  res.json({
+    token: result.token,
+    refreshToken: result.refreshToken
+  });
+}));
+
+/**
+ * POST /api/auth/logout
+ * End the current session (AUTH_MODE=local only)
+ */
+router.post('/logout', requireLocalAuth, authenticateToken, asyncHandler(async (req, res) => {
+  await revokeSessions({ id: req.authSession.id }, 'logout');
+
+  res.json({ message: 'Logged out successfully' });
+}));
+
+/**
+ * GET /api/auth/sessions
+ * List the user's active sessions (AUTH_MODE=local only)
+ */
+router.get('/sessions', requireLocalAuth, authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: {
+      id: true,
+      device: true,
+      ipAddress: true,
+      userAgent: true,
+      lastSeenAt: true,
+      createdAt: true
+    },
+    orderBy: { lastSeenAt: 'desc' }
+  });
+
+  res.json({
+    sessions: sessions.map(session => ({
+      ...session,
+      current: session.id === req.authSession.id
+    }))
+  });
+}));
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the user's sessions (AUTH_MODE=local only)
+ */
+router.delete('/sessions/:id', requireLocalAuth, authenticateToken, asyncHandler(async (req, res) => {
+  const count = await revokeSessions({ id: req.params.id, userId: req.user.id }, 'remote_logout');
+  if (count === 0) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'session_revoked',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ sessionId: req.params.id })
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+  });
+
+  res.json({ message: 'Session signed out successfully' });
+}));
+
+/**
+ * DELETE /api/auth/sessions
+ * Log out everywhere, this session included (AUTH_MODE=local only)
+ */
+router.delete('/sessions', requireLocalAuth, authenticateToken, asyncHandler(async (req, res) => {
+  const count = await revokeSessions({ userId: req.user.id }, 'logout_everywhere');
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'logout_everywhere',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ revokedSessions: count })
     }
-    throw error;
-  }
+  });
+
+  res.json({ message: 'Logged out everywhere', revokedSessions: count });
 }));
 
 /**
@@ -258,6 +388,12 @@ router.post('/verify-password',
         return res.status(401).json({ error: 'User not found' });
       }
 
+      const lockoutAttempt = { userId: user.id, action: 'album_access_attempt', target: user.id };
+      const lockout = await checkLockout(req, lockoutAttempt);
+      if (!lockout.ok) {
+        return denyLockout(res, lockout);
+      }
+
       // Verify password
       const isValidPassword = await bcrypt.compare(password, user.password);
       if (!isValidPassword) {
@@ -266,12 +402,14 @@ router.post('/verify-password',
           data: {
             userId: user.id,
             action: 'album_access_attempt',
+            target: user.id,
             success: false,
             ipAddress: req.ip,
             userAgent: req.get('User-Agent'),
             metadata: JSON.stringify({ reason: 'invalid_password' })
           }
         });
+        await handleFailedAttempt(req, lockoutAttempt, lockout);
 
         return res.status(401).json({ error: 'Invalid password' });
       }
@@ -281,11 +419,13 @@ router.post('/verify-password',
         data: {
           userId: user.id,
           action: 'album_access_attempt',
+          target: user.id,
           success: true,
           ipAddress: req.ip,
           userAgent: req.get('User-Agent')
         }
       });
+      await clearAttempts(req, lockoutAttempt);
 
       res.json({
         message: 'Password verified successfully',
@@ -0,0 +1,111 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const cryptoService = require('../services/crypto');
+const { DURESS_ACTIONS, parseDuressActions, createDuressCheck, createDuressFiller } = require('../services/duress');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const setDuressSchema = Joi.object({
+  password: Joi.string().min(4).required(),
+  actions: Joi.array().items(Joi.string().valid(...DURESS_ACTIONS)).unique().default([])
+});
+
+/**
+ * GET /api/duress
+ * Whether the user has an account-wide duress password, and what it triggers
+ */
+router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { duressPasswordHash: true, duressActions: true }
+  });
+
+  res.json({
+    duress: {
+      enabled: Boolean(user?.duressPasswordHash),
+      actions: parseDuressActions(user?.duressActions),
+      availableActions: DURESS_ACTIONS
+    }
+  });
+}));
+
+/**
+ * PUT /api/duress
+ * Set the account-wide duress password. It opens a decoy view of any
+ * protected folder and a decoy picture for any per-image password.
+ */
+router.put('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = setDuressSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const { password, actions } = value;
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: {
+      duressPasswordHash: await cryptoService.hashPassword(password),
+      duressActions: JSON.stringify(actions),
+      ...(await createDuressCheck(password))
+    }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'duress_password_set',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ actions })
+    }
+  });
+
+  res.json({
+    message: 'Duress password set successfully',
+    duress: { enabled: true, actions }
+  });
+}));
+
+/**
+ * DELETE /api/duress
+ * Remove the account-wide duress password
+ */
+router.delete('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  // The check values are replaced rather than cleared so file metadata
+  // looks the same either way
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: {
+      duressPasswordHash: null,
+      duressActions: null,
+      ...createDuressFiller()
+    }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'duress_password_removed',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({})
+    }
+  });
+
+  res.json({
+    message: 'Duress password removed successfully',
+    duress: { enabled: false, actions: [] }
+  });
+}));
+
+module.exports = router;
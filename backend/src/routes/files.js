@@ -1,184 +1,585 @@
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
-const { verifyFolderAccess } = require('../middleware/auth');
+const { checkFolderAccess, denyFolderAccess, verifyFolderAccess, verifyFileAccess } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const cryptoService = require('../services/crypto');
-const SupabaseStorageService = require('../services/supabaseStorage');
+const { getStorageDriver } = require('../services/storageFactory');
+const { MAX_UPLOAD_SIZE, isStorageKey } = require('../services/storageDriver');
+const { releaseStoredObjects } = require('../services/storageRefs');
+const { verifyRecoveryProof, denyRecovery } = require('../services/recovery');
+const { getDuressCheck, triggerDuress } = require('../services/duress');
+const { checkLockout, handleFailedAttempt, clearAttempts, releaseAttempt, denyLockout } = require('../services/lockout');
 const coverGenerator = require('../services/coverGenerator');
+const { SNIFF_LENGTH, normalizeMimeType, isAllowedMimeType } = require('../services/fileTypes');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Configure multer for file uploads
+// The server-side key unwrap endpoint is only kept for old clients
+const legacyServerKeyUnwrap = process.env.LEGACY_SERVER_KEY_UNWRAP === 'true';
+
+/**
+ * Reject the legacy key unwrap endpoint unless it is explicitly enabled
+ */
+const requireLegacyKeyUnwrap = (req, res, next) => {
+  if (!legacyServerKeyUnwrap) {
+    return res.status(410).json({
+      error: 'Server-side key unwrap is disabled; unwrap the file key on the client'
+    });
+  }
+  next();
+};
+
+// Configure multer for file uploads; they are spooled to temporary files so
+// large files never sit in memory
 const upload = multer({
-  storage: multer.memoryStorage(),
+  dest: os.tmpdir(),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_UPLOAD_SIZE,
     files: 10 // Max 10 files per upload
   },
   fileFilter: (req, file, cb) => {
-    // Only allow image files
-    if (file.mimetype.startsWith('image/')) {
+    // Only allow configured types; the content is sniffed after upload
+    file.mimetype = normalizeMimeType(file.mimetype, file.originalname);
+    if (isAllowedMimeType(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.status = 415;
+      cb(error, false);
     }
   }
 });
 
-// Validation schemas
-const secureUploadSchema = Joi.object({
-  passwords: Joi.array().items(Joi.string().min(4).required()).required()
-});
+// Base64 metadata envelopes are small JSON documents
+const MAX_METADATA_ENVELOPE_LENGTH = 8192;
 
+// Validation schemas
 const normalUploadSchema = Joi.object({
   uploadMode: Joi.string().valid('normal', 'secure').required()
 });
 
+// Envelope-sealed entries carry only ciphertext; the name, type and size
+// are inside encryptedMetadata
+const sealedManifestEntrySchema = Joi.object({
+  encryptedMetadata: Joi.string().base64().max(MAX_METADATA_ENVELOPE_LENGTH).required(),
+  encryptedKeyBlob: Joi.string().base64().required(),
+  salt: Joi.string().base64().required(),
+  recoveryWrappedKey: Joi.string().base64().optional()
+});
+
+// Files in a vault folder carry their key wrapped with the folder key; a
+// salt means the wrapped value is a password blob (an extra per-image layer)
+const vaultManifestEntrySchema = Joi.object({
+  encryptedMetadata: Joi.string().base64().max(MAX_METADATA_ENVELOPE_LENGTH).required(),
+  wrappedKey: Joi.string().base64().required(),
+  salt: Joi.string().base64().optional(),
+  recoveryWrappedKey: Joi.string().base64().optional()
+});
+
+// Older clients send the metadata in the clear
+const legacyManifestEntrySchema = Joi.object({
+  originalName: Joi.string().min(1).max(255).required(),
+  mimeType: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+$/).allow('').required(),
+  size: Joi.number().integer().min(0).required(),
+  encryptedKeyBlob: Joi.string().base64().required(),
+  salt: Joi.string().base64().required()
+});
+
+// Each entry describes one ciphertext part, in the same order as the files
+const clientEncryptedManifestSchema = Joi.array().items(
+  Joi.alternatives().try(sealedManifestEntrySchema, vaultManifestEntrySchema, legacyManifestEntrySchema)
+).min(1).required();
+
+// Sealed files are renamed by replacing their envelope
+const renameFileSchema = Joi.object({
+  originalName: Joi.string().min(1).max(255),
+  encryptedMetadata: Joi.string().base64().max(MAX_METADATA_ENVELOPE_LENGTH)
+}).xor('originalName', 'encryptedMetadata');
+
+const rekeySchema = Joi.object({
+  oldPassword: Joi.string().required(),
+  newPassword: Joi.string().min(4).required()
+});
+
+// Recovery happens in two steps with the same proof: fetch the recovery-wrapped
+// key, then send the key re-wrapped under a new password
+const newKeySchema = {
+  encryptedKeyBlob: Joi.string().base64(),
+  salt: Joi.string().base64()
+};
+
+const recoverFileSchema = Joi.object({
+  recoveryProof: Joi.string().base64().required(),
+  ...newKeySchema
+}).and('encryptedKeyBlob', 'salt');
+
+const recoverFolderSchema = Joi.object({
+  recoveryProof: Joi.string().base64().required(),
+  files: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    encryptedKeyBlob: newKeySchema.encryptedKeyBlob.required(),
+    salt: newKeySchema.salt.required()
+  })).min(1).max(1000).optional()
+});
+
+// Vault files come with their key re-wrapped for the destination folder
+const fileDestinationSchema = Joi.object({
+  folderId: Joi.string().required(),
+  wrappedKey: Joi.string().base64().optional()
+});
+
+const unlockAttemptSchema = Joi.object({
+  success: Joi.boolean().required(),
+  reason: Joi.string().valid('invalid_password', 'decryption_failed').optional(),
+  duress: Joi.boolean().optional()
+});
+
+// Client-side encrypted uploads arrive as opaque ciphertext
+const encryptedUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 10 // Max 10 files per upload
+  }
+});
+
+// Legacy single-shot blob: [IV (12 bytes)] [AuthTag (16 bytes)]
+const STORAGE_BLOB_OVERHEAD = 28;
+// Placeholders stored for envelope-sealed files instead of the real values
+const SEALED_FILE_NAME = '';
+const SEALED_MIME_TYPE = 'application/octet-stream';
+// [IV (12 bytes)] [AuthTag (16 bytes)] [File key (32 bytes)]
+const KEY_BLOB_LENGTH = 60;
+
+/**
+ * Read the first bytes of an uploaded temporary file
+ */
+const readFileHead = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Remove one of multer's temporary files; it may already be gone
+ */
+const removeTempFile = async (file) => {
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to remove temporary upload ${file.path}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Remove multer's temporary files once the response has been sent, for
+ * requests that stop before their files are processed
+ */
+const cleanupTempFiles = (req, res, next) => {
+  res.on('close', () => {
+    for (const file of req.files || []) {
+      removeTempFile(file);
+    }
+  });
+  next();
+};
+
+/**
+ * Plaintext size of a client-encrypted blob, worked out from its length
+ * @returns {Promise<number|null>} Plaintext bytes, or null if the blob is malformed
+ */
+const getEncryptedPlaintextSize = async (file) => {
+  const head = await readFileHead(file.path, cryptoService.chunkedHeaderLength);
+
+  if (!cryptoService.isChunkedBlob(head)) {
+    return file.size >= STORAGE_BLOB_OVERHEAD ? file.size - STORAGE_BLOB_OVERHEAD : null;
+  }
+
+  const { chunkSize } = cryptoService.parseChunkedHeader(head);
+  return cryptoService.chunkedPlaintextSize(file.size, chunkSize);
+};
+
+/**
+ * Check that a client-encrypted blob has the size its plaintext implies
+ */
+const validateEncryptedBlob = async (file, plaintextSize) => {
+  const head = await readFileHead(file.path, cryptoService.chunkedHeaderLength);
+
+  if (!cryptoService.isChunkedBlob(head)) {
+    // Older clients upload legacy single-shot blobs
+    return file.size >= STORAGE_BLOB_OVERHEAD;
+  }
+
+  const { chunkSize } = cryptoService.parseChunkedHeader(head);
+  return file.size === cryptoService.chunkedBlobSize(plaintextSize, chunkSize);
+};
+
+/**
+ * Unwrap a secure file's key with its old password and wrap it again with
+ * the new one under a fresh salt. The stored blob is untouched.
+ * @returns {Promise<Object>} { encryptedKeyBlob, salt }
+ * @throws If the old password does not unwrap the key
+ */
+const rewrapFileKey = async (file, oldPassword, newPassword) => {
+  const fileKey = await cryptoService.decryptFileKey(file.encryptedKeyBlob, oldPassword, file.salt);
+  try {
+    return await cryptoService.encryptFileKey(fileKey, newPassword, cryptoService.generateSalt());
+  } finally {
+    fileKey.fill(0);
+  }
+};
+
+/**
+ * Replace a file's wrapped key, but only if it still holds the wrap that was
+ * unwrapped, so a concurrent password change is never silently overwritten
+ */
+const replaceWrappedKey = (file, wrapped) => {
+  return prisma.file.updateMany({
+    where: {
+      id: file.id,
+      encryptedKeyBlob: file.encryptedKeyBlob,
+      salt: file.salt
+    },
+    data: wrapped
+  });
+};
+
+// Every route that tests a file's own password draws on one lockout counter
+const filePasswordAttempt = (req, fileId) => ({ userId: req.user.id, action: 'file_unlock_attempt', target: fileId });
+
+/**
+ * Resolve the cover path for an uploaded file from the client's cover choice.
+ * Either way the cover ends up in storage.
+ */
+const resolveCoverPath = async (fileCoverData) => {
+  const coverResult = fileCoverData.mode === 'url' && fileCoverData.url
+    ? await coverGenerator.importCover(fileCoverData.url)
+    : await coverGenerator.generateCover(fileCoverData.type || 'nature');
+  return coverResult.data;
+};
+
+// Fields returned for files created or changed by the routes below
+const fileSelect = {
+  id: true,
+  originalName: true,
+  mimeType: true,
+  size: true,
+  encryptedMetadata: true,
+  wrappedKey: true,
+  coverToken: true,
+  uploadMode: true,
+  folderId: true,
+  createdAt: true
+};
+
+/**
+ * Load a move/copy destination folder owned by the user and check the
+ * access token sent for it in X-Destination-Folder-Token. Responds and
+ * returns null if the folder cannot be used.
+ */
+const loadDestinationFolder = async (req, res, folderId) => {
+  const folder = await prisma.folder.findFirst({
+    where: {
+      id: folderId,
+      ownerId: req.user.id
+    }
+  });
+
+  if (!folder) {
+    res.status(404).json({ error: 'Destination folder not found' });
+    return null;
+  }
+
+  const access = await checkFolderAccess(folder.id, req.user.id, req.headers['x-destination-folder-token']);
+  if (!access.allowed) {
+    denyFolderAccess(res, access);
+    return null;
+  }
+
+  return folder;
+};
+
+/**
+ * The wrapped key a file takes to its destination. Vault file keys are
+ * wrapped with their folder's key, so the client sends them re-wrapped for
+ * the destination. Responds and returns null if that is not possible.
+ * @returns {Object|null} { wrappedKey } (null for files outside the vault)
+ */
+const resolveDestinationKey = (res, file, destination, wrappedKey) => {
+  if (!file.wrappedKey) {
+    return { wrappedKey: null };
+  }
+  if (!destination.wrappedFolderKey) {
+    res.status(400).json({ error: 'Vault files can only be placed in folders with a vault key' });
+    return null;
+  }
+  if (!wrappedKey || !cryptoService.isWrappedKey(wrappedKey, { allowPasswordLayer: true })) {
+    res.status(400).json({ error: 'The file key must be re-wrapped for the destination folder' });
+    return null;
+  }
+  return { wrappedKey };
+};
+
 /**
  * POST /api/folders/:id/files
- * Upload files to a folder
+ * Upload unencrypted files to a folder (uploadMode 'normal'). Secure files go
+ * to /files/secure.
  */
 router.post('/:folderId/files', 
   authenticateSupabaseToken,
   verifyFolderAccess,
+  cleanupTempFiles,
   upload.array('files', 10),
   asyncHandler(async (req, res) => {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files provided' });
     }
 
-    // Get upload mode
-    const uploadMode = req.body.uploadMode || 'secure';
-    
-    // Parse passwords and cover data from request body
-    let passwords = [];
-    let coverData = [];
-    
-    if (uploadMode === 'secure') {
-      try {
-        passwords = JSON.parse(req.body.passwords || '[]');
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid passwords format' });
-      }
+    // Secure files are encrypted in the browser and sent to /files/secure;
+    // this route would see the plaintext and the password
+    if (req.body.uploadMode !== 'normal') {
+      return res.status(410).json({
+        error: 'Server-side encryption is no longer supported; encrypt on the client and upload to /files/secure'
+      });
     }
-    
+
+    let coverData = [];
     try {
       coverData = JSON.parse(req.body.coverData || '[]');
     } catch (error) {
       return res.status(400).json({ error: 'Invalid cover data format' });
     }
 
-    // Validate passwords for secure mode
-    if (uploadMode === 'secure') {
-      const { error } = secureUploadSchema.validate({ passwords });
-      if (error) {
-        return res.status(400).json({ 
-          error: 'Validation failed', 
-          details: error.details[0].message 
+    const uploadedFiles = [];
+    const errors = [];
+
+    // Process each file
+    for (let i = 0; i < req.files.length; i++) {
+      const file = req.files[i];
+      const fileCoverData = coverData[i] || { mode: 'style', type: 'nature', url: '' };
+
+      try {
+        // The content must match the declared type
+        const isValidFile = await coverGenerator.validateFile(
+          await readFileHead(file.path, SNIFF_LENGTH),
+          file.mimetype
+        );
+        if (!isValidFile) {
+          errors.push({
+            filename: file.originalname,
+            error: 'File content does not match its type'
+          });
+          continue;
+        }
+
+        // Store the file as is, sharing the stored object with an identical
+        // file the user already has
+        const contentHash = await cryptoService.calculateContentHash(file.path);
+        const duplicate = contentHash && await prisma.file.findFirst({
+          where: {
+            ownerId: req.user.id,
+            uploadMode: 'normal',
+            contentHash
+          },
+          select: { storagePath: true }
         });
-      }
 
-      if (passwords.length !== req.files.length) {
-        return res.status(400).json({ 
-          error: 'Number of passwords must match number of files' 
+        // Cover first, so a cover URL that cannot be used leaves no blob behind
+        const coverPath = await resolveCoverPath(fileCoverData);
+
+        const storagePath = duplicate
+          ? duplicate.storagePath
+          : await getStorageDriver().uploadFile(fs.createReadStream(file.path), file.mimetype);
+
+        // Save file metadata to database  
+        const savedFile = await prisma.file.create({
+          data: {
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            storagePath: storagePath,
+            coverPath: coverPath,
+            coverToken: cryptoService.generateToken(),
+            contentHash: contentHash,
+            uploadMode: 'normal',
+            ownerId: req.user.id,
+            folderId: req.params.folderId
+          },
+          select: {
+            id: true,
+            originalName: true,
+            mimeType: true,
+            size: true,
+            encryptedMetadata: true,
+            coverToken: true,
+            createdAt: true
+          }
+        });
+
+        uploadedFiles.push(savedFile);
+
+      } catch (error) {
+        console.error(`Error processing file ${file.originalname}:`, error);
+        errors.push({
+          filename: file.originalname,
+          error: error.message
         });
+      } finally {
+        await removeTempFile(file);
       }
     }
 
+    // Log upload activity
+    await prisma.securityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'file_upload',
+        success: uploadedFiles.length > 0,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        metadata: JSON.stringify({
+          folderId: req.params.folderId,
+          filesUploaded: uploadedFiles.length,
+          filesError: errors.length
+        })
+      }
+    });
+
+    res.status(201).json({
+      message: `${uploadedFiles.length} files uploaded successfully`,
+      files: uploadedFiles,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  })
+);
+
+/**
+ * POST /api/folders/:id/files/secure
+ * Upload files that were encrypted in the browser. The server only receives
+ * the ciphertext blob, the password-wrapped file key and its salt.
+ */
+router.post('/:folderId/files/secure',
+  authenticateSupabaseToken,
+  verifyFolderAccess,
+  cleanupTempFiles,
+  encryptedUpload.array('files', 10),
+  asyncHandler(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
+
+    let manifest = [];
+    let coverData = [];
+
+    try {
+      manifest = JSON.parse(req.body.manifest || '[]');
+      coverData = JSON.parse(req.body.coverData || '[]');
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid manifest or cover data format' });
+    }
+
+    const { error } = clientEncryptedManifestSchema.validate(manifest);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    if (manifest.length !== req.files.length) {
+      return res.status(400).json({
+        error: 'Manifest must describe every uploaded file'
+      });
+    }
+
     const uploadedFiles = [];
     const errors = [];
 
-    // Process each file
     for (let i = 0; i < req.files.length; i++) {
       const file = req.files[i];
-      const password = uploadMode === 'secure' ? (passwords[i] || passwords[0]) : null;
+      const entry = manifest[i];
       const fileCoverData = coverData[i] || { mode: 'style', type: 'nature', url: '' };
 
       try {
-        // Skip image validation for non-image files
-        const isImage = file.mimetype.startsWith('image/');
-        if (isImage) {
-          const isValidImage = await coverGenerator.validateImage(file.buffer);
-          if (!isValidImage) {
-            errors.push({
-              filename: file.originalname,
-              error: 'Invalid image format'
-            });
-            continue;
+        let fileInfo;
+
+        if (entry.encryptedMetadata) {
+          // The type is sealed, so the allow-list is left to the client; only
+          // a size bucket is derived from the blob
+          const plaintextSize = await getEncryptedPlaintextSize(file);
+          if (plaintextSize === null) {
+            throw new Error('Invalid encrypted blob');
+          }
+          fileInfo = {
+            originalName: SEALED_FILE_NAME,
+            mimeType: SEALED_MIME_TYPE,
+            size: cryptoService.getSizeBucket(plaintextSize),
+            encryptedMetadata: entry.encryptedMetadata
+          };
+        } else {
+          // Only the declared type can be checked; the contents stay opaque
+          const mimeType = normalizeMimeType(entry.mimeType, entry.originalName);
+          if (!isAllowedMimeType(mimeType)) {
+            throw new Error(`File type ${mimeType} is not allowed`);
           }
+          if (!(await validateEncryptedBlob(file, entry.size))) {
+            throw new Error('Encrypted blob size does not match the file size');
+          }
+          fileInfo = {
+            originalName: entry.originalName,
+            mimeType,
+            size: entry.size,
+            encryptedMetadata: null
+          };
         }
 
-        // Calculate file hash
-        const fileHash = cryptoService.calculateHash(file.buffer);
-
-        let storagePath, encryptedKeyBlob, salt;
-
-        if (uploadMode === 'secure') {
-          // Secure upload: encrypt file for storage
-          const { encryptedData, fileKey, iv, authTag } = cryptoService.encryptFileForStorage(file.buffer);
-          
-          // Create storage blob
-          const storageBlob = cryptoService.createStorageBlob(encryptedData, iv, authTag);
-
-          // Generate salt and encrypt file key with password
-          salt = cryptoService.generateSalt();
-          const encryptionResult = await cryptoService.encryptFileKey(fileKey, password, salt);
-          encryptedKeyBlob = encryptionResult?.encryptedKeyBlob;
-          
-          if (!encryptedKeyBlob) {
-            throw new Error('Failed to encrypt file key - no encrypted blob returned');
+        if (entry.wrappedKey) {
+          if (!req.folder.wrappedFolderKey) {
+            throw new Error('This folder has no vault key');
           }
-
-          // Upload encrypted file to Supabase storage
-          const storageService = new SupabaseStorageService();
-          storagePath = await storageService.uploadEncryptedFile(
-            storageBlob,
-            `encrypted/${fileHash}-${file.originalname}`,
-            'application/octet-stream'
-          );
-        } else {
-          // Normal upload: store file directly without encryption
-          const storageService = new SupabaseStorageService();
-          storagePath = await storageService.uploadFile(
-            file.buffer,
-            `normal/${fileHash}-${file.originalname}`,
-            file.mimetype
-          );
+          if (!cryptoService.isWrappedKey(entry.wrappedKey, { allowPasswordLayer: true })) {
+            throw new Error('Invalid wrapped file key');
+          }
+        } else if (Buffer.from(entry.encryptedKeyBlob, 'base64').length !== KEY_BLOB_LENGTH) {
+          throw new Error('Invalid encrypted key blob');
         }
 
-        // Generate cover image based on mode
-        let coverPath;
-        
-        if (fileCoverData.mode === 'url' && fileCoverData.url) {
-          // Use provided URL directly
-          coverPath = fileCoverData.url;
-        } else {
-          // Generate cover using Unsplash with specified type
-          const coverResult = await coverGenerator.generateCover(
-            file.buffer,
-            fileHash,
-            req.user.id,
-            fileCoverData.type || 'nature'
-          );
-          coverPath = coverResult.data;
+        if (entry.recoveryWrappedKey && !cryptoService.isRecoveryWrappedKey(entry.recoveryWrappedKey)) {
+          throw new Error('Invalid recovery-wrapped file key');
         }
 
-        // Save file metadata to database  
-        console.log('Creating file with uploadMode:', uploadMode);
+        const coverPath = await resolveCoverPath(fileCoverData);
+
+        const storagePath = await getStorageDriver().uploadEncryptedFile(
+          fs.createReadStream(file.path),
+          'application/octet-stream'
+        );
+
         const savedFile = await prisma.file.create({
           data: {
-            originalName: file.originalname,
-            mimeType: file.mimetype,
-            size: file.size,
+            ...fileInfo,
             storagePath: storagePath,
             coverPath: coverPath,
-            encryptedKeyBlob: encryptedKeyBlob || null,
-            salt: salt ? salt.toString('base64') : null,
-            uploadMode: uploadMode,
+            coverToken: cryptoService.generateToken(),
+            encryptedKeyBlob: entry.encryptedKeyBlob || null,
+            salt: entry.salt || null,
+            wrappedKey: entry.wrappedKey || null,
+            recoveryWrappedKey: entry.recoveryWrappedKey || null,
+            uploadMode: 'secure',
             ownerId: req.user.id,
             folderId: req.params.folderId
           },
@@ -187,7 +588,8 @@ router.post('/:folderId/files',
             originalName: true,
             mimeType: true,
             size: true,
-            coverPath: true,
+            encryptedMetadata: true,
+            coverToken: true,
             createdAt: true
           }
         });
@@ -195,11 +597,15 @@ router.post('/:folderId/files',
         uploadedFiles.push(savedFile);
 
       } catch (error) {
-        console.error(`Error processing file ${file.originalname}:`, error);
+        // Sealed entries have no name the server can report
+        const filename = entry.originalName || `File ${i + 1}`;
+        console.error(`Error processing encrypted file ${filename}:`, error);
         errors.push({
-          filename: file.originalname,
+          filename,
           error: error.message
         });
+      } finally {
+        await removeTempFile(file);
       }
     }
 
@@ -213,6 +619,7 @@ router.post('/:folderId/files',
         userAgent: req.get('User-Agent'),
         metadata: JSON.stringify({
           folderId: req.params.folderId,
+          clientEncrypted: true,
           filesUploaded: uploadedFiles.length,
           filesError: errors.length
         })
@@ -228,37 +635,213 @@ router.post('/:folderId/files',
 );
 
 /**
- * GET /api/files/:id/url
- * Get file URL for normal (unencrypted) files
+ * POST /api/folders/:id/files/rekey
+ * Change the password of every secure file in a folder that uses the given
+ * old password. Files with other passwords are left alone; all matching
+ * files are updated together or not at all.
  */
-router.get('/:id/url', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
-  const fileId = req.params.id;
+router.post('/:folderId/files/rekey', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = rekeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
 
-  const file = await prisma.file.findFirst({
+  const lockoutAttempt = { userId: req.user.id, action: 'file_rekey', target: req.params.folderId };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
+  }
+
+  const files = await prisma.file.findMany({
     where: {
-      id: fileId,
-      ownerId: req.user.id
+      folderId: req.params.folderId,
+      ownerId: req.user.id,
+      uploadMode: 'secure',
+      encryptedKeyBlob: { not: null }
     },
     select: {
       id: true,
-      originalName: true,
-      storagePath: true,
-      uploadMode: true,
-      folderId: true
+      encryptedKeyBlob: true,
+      salt: true
+    }
+  });
+
+  const updates = [];
+  for (const file of files) {
+    try {
+      updates.push(replaceWrappedKey(file, await rewrapFileKey(file, value.oldPassword, value.newPassword)));
+    } catch (error) {
+      // Protected by a different password
+    }
+  }
+
+  const results = updates.length > 0 ? await prisma.$transaction(updates) : [];
+  const rekeyed = results.reduce((sum, result) => sum + result.count, 0);
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_rekey',
+      target: req.params.folderId,
+      success: rekeyed > 0,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({
+        folderId: req.params.folderId,
+        filesRekeyed: rekeyed,
+        filesSkipped: files.length - rekeyed
+      })
+    }
+  });
+
+  if (rekeyed === 0) {
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
+    return res.status(401).json({ error: 'No files in this folder use that password' });
+  }
+  await clearAttempts(req, lockoutAttempt);
+
+  res.json({
+    message: `Password changed for ${rekeyed} file${rekeyed !== 1 ? 's' : ''}`,
+    rekeyed,
+    skipped: files.length - rekeyed
+  });
+}));
+
+/**
+ * POST /api/folders/:id/files/recover
+ * Recover every file in a folder with the recovery key. With only
+ * `recoveryProof` this lists the folder's recoverable files and their
+ * recovery-wrapped keys; with `files` it sets each file's new password
+ * blob, all together or not at all.
+ */
+router.post('/:folderId/files/recover', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = recoverFolderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  if (value.files?.some(entry => Buffer.from(entry.encryptedKeyBlob, 'base64').length !== KEY_BLOB_LENGTH)) {
+    return res.status(400).json({ error: 'Invalid encrypted key blob' });
+  }
+
+  const check = await verifyRecoveryProof(req, value.recoveryProof, { folderId: req.params.folderId });
+  if (!check.ok) {
+    return denyRecovery(res, check);
+  }
+
+  if (!value.files) {
+    const files = await prisma.file.findMany({
+      where: {
+        folderId: req.params.folderId,
+        ownerId: req.user.id,
+        uploadMode: 'secure',
+        recoveryWrappedKey: { not: null }
+      },
+      select: {
+        id: true,
+        recoveryWrappedKey: true
+      }
+    });
+    return res.json({ files });
+  }
+
+  const results = await prisma.$transaction(value.files.map(entry => prisma.file.updateMany({
+    where: {
+      id: entry.id,
+      folderId: req.params.folderId,
+      ownerId: req.user.id,
+      recoveryWrappedKey: { not: null }
+    },
+    // The new password is all a recovered file needs, even in a vault folder
+    data: {
+      encryptedKeyBlob: entry.encryptedKeyBlob,
+      salt: entry.salt,
+      wrappedKey: null
+    }
+  })));
+  const recovered = results.reduce((sum, result) => sum + result.count, 0);
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_recovered',
+      success: recovered > 0,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({
+        folderId: req.params.folderId,
+        filesRecovered: recovered
+      })
+    }
+  });
+
+  res.json({
+    message: `Recovered ${recovered} file${recovered !== 1 ? 's' : ''}`,
+    recovered
+  });
+}));
+
+/**
+ * GET /api/files/covers/:token
+ * Serve a cover image by its opaque cover token (public, so <img> tags can
+ * load it). `?w=` selects a resized thumbnail variant.
+ */
+router.get('/covers/:token', asyncHandler(async (req, res) => {
+  const width = coverGenerator.resolveWidth(req.query.w);
+  if (width === null) {
+    return res.status(400).json({ error: 'Unsupported cover width' });
+  }
+
+  const file = await prisma.file.findUnique({
+    where: { coverToken: req.params.token },
+    select: {
+      coverPath: true
     }
   });
 
   if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+    return res.status(404).json({ error: 'Cover not found' });
   }
 
+  // Covers once kept as external URLs are not followed
+  if (!isStorageKey(file.coverPath)) {
+    return res.status(404).json({ error: 'Cover not found' });
+  }
+
+  const etag = coverGenerator.getCoverEtag(file.coverPath, width);
+  res.set({
+    'ETag': etag,
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).end();
+  }
+
+  const image = await coverGenerator.getCoverImage(file.coverPath, width);
+  res.type('image/jpeg').send(image);
+}));
+
+/**
+ * GET /api/files/:id/url
+ * Get file URL for normal (unencrypted) files
+ */
+router.get('/:id/url', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const file = req.fileRecord;
+
   if (file.uploadMode !== 'normal') {
     return res.status(400).json({ error: 'This endpoint is only for normal (unencrypted) files' });
   }
 
   try {
-    const storageService = new SupabaseStorageService();
-    const signedUrl = await storageService.getFileUrl(file.storagePath);
+    const signedUrl = await getStorageDriver().getSignedUrl(file.storagePath, 3600);
     
     res.json({
       url: signedUrl,
@@ -272,235 +855,294 @@ router.get('/:id/url', authenticateSupabaseToken, verifyFolderAccess, asyncHandl
 
 /**
  * GET /api/files/:id/meta
- * Get file metadata
+ * Get file metadata, including the wrapped key and salt the client needs
+ * to unwrap the file key locally, and the check it compares a wrong
+ * password against to spot the duress password
  */
-router.get('/:id/meta', authenticateSupabaseToken, asyncHandler(async (req, res) => {
-  const fileId = req.params.id;
+router.get('/:id/meta', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const file = req.fileRecord;
+  const duress = await getDuressCheck(req.user.id);
 
-  const file = await prisma.file.findFirst({
-    where: {
-      id: fileId,
-      ownerId: req.user.id
-    },
-    select: {
-      id: true,
-      originalName: true,
-      mimeType: true,
-      size: true,
-      coverPath: true,
-      encryptedKeyBlob: true,
-      salt: true,
-      uploadMode: true,
-      createdAt: true,
+  res.json({
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      mimeType: file.mimeType,
+      size: file.size,
+      encryptedMetadata: file.encryptedMetadata,
+      coverToken: file.coverToken,
+      encryptedKeyBlob: file.encryptedKeyBlob,
+      salt: file.salt,
+      wrappedKey: file.wrappedKey,
+      uploadMode: file.uploadMode,
+      createdAt: file.createdAt,
+      duress,
       folder: {
-        select: {
-          id: true,
-          name: true,
-          isProtected: true
-        }
+        id: file.folder.id,
+        name: file.folder.name,
+        isProtected: file.folder.isProtected
       }
     }
   });
+}));
 
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+/**
+ * GET /api/files/:id/encrypted
+ * Get encrypted file blob (requires authentication and folder access)
+ */
+router.get('/:id/encrypted', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const file = req.fileRecord;
+
+  let encryptedStream;
+  try {
+    // Stream the encrypted blob from storage; the client decrypts it segment by segment
+    encryptedStream = await getStorageDriver().stream(file.storagePath);
+  } catch (error) {
+    console.error('Error getting encrypted file:', error);
+    return res.status(500).json({ error: 'Failed to get encrypted file' });
   }
 
-  res.json({
-    file: {
-      ...file
-    }
-  });
+  // Set appropriate headers
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  try {
+    await pipeline(encryptedStream, res);
+  } catch (error) {
+    // Headers are already sent, so the client sees a truncated body
+    console.error('Error streaming encrypted file:', error.message);
+  }
 }));
 
 /**
- * GET /api/files/:id/cover
- * Get cover image (public endpoint)
+ * POST /api/files/:id/unlock-attempt
+ * Record the outcome of a client-side key unwrap for the audit log and the
+ * file's lockout
  */
-router.get('/:id/cover', asyncHandler(async (req, res) => {
-  const fileId = req.params.id;
+router.post('/:id/unlock-attempt', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const { error, value } = unlockAttemptSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: error.details[0].message 
+    });
+  }
 
-  const file = await prisma.file.findUnique({
-    where: { id: fileId },
-    select: {
-      coverPath: true
+  // The client waits for this before showing what it decrypted
+  const lockoutAttempt = filePasswordAttempt(req, req.fileRecord.id);
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
+  }
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_unlock_attempt',
+      target: req.fileRecord.id,
+      success: value.success,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({
+        fileId: req.fileRecord.id,
+        clientSide: true,
+        ...(value.reason && { reason: value.reason })
+      })
     }
   });
 
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+  // A reported success is only the client's word, so it hands back its own
+  // reservation without clearing earlier failures
+  if (value.success) {
+    await releaseAttempt(req, lockoutAttempt);
+  } else {
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
   }
 
-  try {
-    // Get cover image URL and redirect
-    const coverUrl = await storageService.getCoverImageUrl(file.coverPath);
-    res.redirect(coverUrl);
-  } catch (error) {
-    console.error('Error getting cover image:', error);
-    res.status(500).json({ error: 'Failed to get cover image' });
+  // The client showed a decoy for the duress password
+  if (value.duress) {
+    await triggerDuress(req, { fileId: req.fileRecord.id });
   }
+
+  res.json({ recorded: true });
 }));
 
 /**
- * GET /api/files/:id/encrypted
- * Get encrypted file blob (requires authentication and folder access)
+ * POST /api/files/:id/rekey
+ * Change a secure file's password by re-wrapping its file key. The blob in
+ * storage and the metadata envelope stay as they are; copies of the file
+ * keep their own wrapped key.
  */
-router.get('/:id/encrypted', authenticateSupabaseToken, asyncHandler(async (req, res) => {
-  const fileId = req.params.id;
-
-  const file = await prisma.file.findFirst({
-    where: {
-      id: fileId,
-      ownerId: req.user.id
-    },
-    include: {
-      folder: true
-    }
-  });
+router.post('/:id/rekey', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const { error, value } = rekeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
 
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+  const file = req.fileRecord;
+  if (file.uploadMode !== 'secure' || !file.encryptedKeyBlob) {
+    return res.status(400).json({
+      error: file.wrappedKey
+        ? 'This file is opened with its folder key, not a stored password'
+        : 'Only secure files have a password'
+    });
   }
 
-  // Check folder access if protected
-  if (file.folder.isProtected) {
-    const accessToken = req.headers['x-folder-token'];
-    
-    if (!accessToken) {
-      return res.status(403).json({ 
-        error: 'Folder access token required',
-        requiresFolderPassword: true 
-      });
-    }
+  const lockoutAttempt = filePasswordAttempt(req, file.id);
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
+  }
 
-    const tokenRecord = await prisma.folderAccessToken.findFirst({
-      where: {
-        token: accessToken,
-        folderId: file.folderId,
+  let wrapped;
+  try {
+    wrapped = await rewrapFileKey(file, value.oldPassword, value.newPassword);
+  } catch (error) {
+    await prisma.securityLog.create({
+      data: {
         userId: req.user.id,
-        expiresAt: {
-          gt: new Date()
-        }
+        action: 'file_rekey',
+        target: file.id,
+        success: false,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        metadata: JSON.stringify({ fileId: file.id, reason: 'invalid_password' })
       }
     });
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+  await clearAttempts(req, lockoutAttempt);
 
-    if (!tokenRecord) {
-      return res.status(403).json({ 
-        error: 'Invalid or expired folder access token',
-        requiresFolderPassword: true 
-      });
-    }
+  const result = await replaceWrappedKey(file, wrapped);
+  if (result.count === 0) {
+    return res.status(409).json({ error: 'The password was changed by another request; try again' });
   }
 
-  try {
-    // Download encrypted file from Supabase storage
-    const storageService = new SupabaseStorageService();
-    const encryptedBuffer = await storageService.downloadEncryptedFile(file.storagePath);
-
-    // Set appropriate headers
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Content-Length', encryptedBuffer.length);
-    res.setHeader('Cache-Control', 'private, no-cache');
-    
-    // Send encrypted data
-    res.send(encryptedBuffer);
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_rekey',
+      target: file.id,
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ fileId: file.id })
+    }
+  });
 
-  } catch (error) {
-    console.error('Error getting encrypted file:', error);
-    res.status(500).json({ error: 'Failed to get encrypted file' });
-  }
+  res.json({ message: 'File password changed successfully' });
 }));
 
 /**
- * POST /api/files/:id/decrypt-key
- * Decrypt file key with per-image password
+ * POST /api/files/:id/recover
+ * Recover a secure file whose password is lost. With only `recoveryProof`
+ * this returns the file key wrapped to the recovery key, which the client
+ * unwraps with the recovery code; with `encryptedKeyBlob` and `salt` as well
+ * it replaces the file's password. Failed proofs are rate limited.
  */
-router.post('/:id/decrypt-key', authenticateSupabaseToken, asyncHandler(async (req, res) => {
-  const fileId = req.params.id;
-  const { password } = req.body;
-
-  if (!password) {
-    return res.status(400).json({ error: 'Password required' });
+router.post('/:id/recover', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const { error, value } = recoverFileSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
   }
 
-  const file = await prisma.file.findFirst({
-    where: {
-      id: fileId,
-      ownerId: req.user.id
-    },
-    select: {
-      id: true,
-      encryptedKeyBlob: true,
-      salt: true,
-      folder: {
-        select: {
-          id: true,
-          isProtected: true
-        }
-      }
-    }
-  });
+  const file = req.fileRecord;
+  if (file.uploadMode !== 'secure' || !file.recoveryWrappedKey) {
+    return res.status(400).json({ error: 'This file was stored without a recovery key' });
+  }
 
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+  if (value.encryptedKeyBlob && Buffer.from(value.encryptedKeyBlob, 'base64').length !== KEY_BLOB_LENGTH) {
+    return res.status(400).json({ error: 'Invalid encrypted key blob' });
   }
 
-  // Check folder access if protected
-  if (file.folder.isProtected) {
-    const accessToken = req.headers['x-folder-token'];
-    
-    if (!accessToken) {
-      return res.status(403).json({ 
-        error: 'Folder access token required',
-        requiresFolderPassword: true 
-      });
-    }
+  const check = await verifyRecoveryProof(req, value.recoveryProof, { fileId: file.id });
+  if (!check.ok) {
+    return denyRecovery(res, check);
+  }
 
-    const tokenRecord = await prisma.folderAccessToken.findFirst({
-      where: {
-        token: accessToken,
-        folderId: file.folder.id,
-        userId: req.user.id,
-        expiresAt: {
-          gt: new Date()
-        }
+  if (!value.encryptedKeyBlob) {
+    return res.json({
+      file: {
+        id: file.id,
+        recoveryWrappedKey: file.recoveryWrappedKey,
+        encryptedMetadata: file.encryptedMetadata
       }
     });
+  }
 
-    if (!tokenRecord) {
-      return res.status(403).json({ 
-        error: 'Invalid or expired folder access token',
-        requiresFolderPassword: true 
-      });
+  // The new password is all a recovered file needs, even in a vault folder
+  await prisma.file.update({
+    where: { id: file.id },
+    data: {
+      encryptedKeyBlob: value.encryptedKeyBlob,
+      salt: value.salt,
+      wrappedKey: null
+    }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_recovered',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ fileId: file.id })
     }
+  });
+
+  res.json({ message: 'File recovered; unlock it with the new password' });
+}));
+
+/**
+ * POST /api/files/:id/decrypt-key
+ * Legacy: decrypt file key on the server with the per-image password.
+ * Disabled unless LEGACY_SERVER_KEY_UNWRAP=true, because the server then
+ * sees both the password and the file key.
+ */
+router.post('/:id/decrypt-key', requireLegacyKeyUnwrap, authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const file = req.fileRecord;
+  const fileId = file.id;
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ error: 'Password required' });
+  }
+
+  const lockoutAttempt = filePasswordAttempt(req, fileId);
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
   }
 
   try {
-    console.log('Attempting to decrypt file key for file:', fileId);
-    console.log('Password provided:', password ? 'Yes' : 'No');
-    console.log('Salt exists:', file.salt ? 'Yes' : 'No');
-    console.log('Encrypted key blob size:', file.encryptedKeyBlob ? file.encryptedKeyBlob.length : 'null');
-    
     // Attempt to decrypt file key
     const fileKey = await cryptoService.decryptFileKey(
       file.encryptedKeyBlob,
       password,
       file.salt
     );
-    
-    console.log('File key decryption successful');
 
     // Log successful unlock
     await prisma.securityLog.create({
       data: {
         userId: req.user.id,
         action: 'file_unlock_attempt',
+        target: fileId,
         success: true,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
-        metadata: JSON.stringify({ fileId: fileId })
+        metadata: JSON.stringify({ fileId: fileId, legacyServerUnwrap: true })
       }
     });
+    await clearAttempts(req, lockoutAttempt);
 
     res.json({
       success: true,
@@ -509,22 +1151,24 @@ router.post('/:id/decrypt-key', authenticateSupabaseToken, asyncHandler(async (r
 
   } catch (error) {
     console.error('File key decryption failed:', error.message);
-    console.error('Error details:', error);
     
     // Log failed unlock attempt
     await prisma.securityLog.create({
       data: {
         userId: req.user.id,
         action: 'file_unlock_attempt',
+        target: fileId,
         success: false,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
         metadata: JSON.stringify({ 
           fileId: fileId,
+          legacyServerUnwrap: true,
           error: error.message 
         })
       }
     });
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
 
     return res.status(401).json({ 
       error: 'Invalid password',
@@ -534,37 +1178,170 @@ router.post('/:id/decrypt-key', authenticateSupabaseToken, asyncHandler(async (r
 }));
 
 /**
- * DELETE /api/files/:id
- * Delete a file
+ * PATCH /api/files/:id
+ * Rename a file. Files with encrypted metadata send a resealed envelope
+ * instead of a name.
  */
-router.delete('/:id', authenticateSupabaseToken, asyncHandler(async (req, res) => {
-  const fileId = req.params.id;
+router.patch('/:id', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const { error, value } = renameFileSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
 
-  const file = await prisma.file.findFirst({
-    where: {
-      id: fileId,
-      ownerId: req.user.id
+  // A sealed file's name lives in its envelope, so it can only be renamed by
+  // a client holding the file key
+  const isSealed = Boolean(req.fileRecord.encryptedMetadata);
+  if (isSealed !== Boolean(value.encryptedMetadata)) {
+    return res.status(400).json({
+      error: isSealed
+        ? 'The file name is encrypted; unlock the file to rename it'
+        : 'This file has no encrypted metadata'
+    });
+  }
+
+  const file = await prisma.file.update({
+    where: { id: req.fileRecord.id },
+    data: isSealed
+      ? { encryptedMetadata: value.encryptedMetadata }
+      : { originalName: value.originalName },
+    select: fileSelect
+  });
+
+  res.json({
+    message: 'File renamed successfully',
+    file
+  });
+}));
+
+/**
+ * POST /api/files/:id/move
+ * Move a file to another folder
+ */
+router.post('/:id/move', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const { error, value } = fileDestinationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const destination = await loadDestinationFolder(req, res, value.folderId);
+  if (!destination) {
+    return;
+  }
+
+  const destinationKey = resolveDestinationKey(res, req.fileRecord, destination, value.wrappedKey);
+  if (!destinationKey) {
+    return;
+  }
+
+  const file = await prisma.file.update({
+    where: { id: req.fileRecord.id },
+    data: {
+      folderId: destination.id,
+      ...(destinationKey.wrappedKey && { wrappedKey: destinationKey.wrappedKey })
+    },
+    select: fileSelect
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_moved',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ fileId: file.id, fromFolderId: req.fileRecord.folderId, toFolderId: destination.id })
     }
   });
 
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+  res.json({
+    message: 'File moved successfully',
+    file
+  });
+}));
+
+/**
+ * POST /api/files/:id/copy
+ * Copy a file to another folder. The copy shares the stored blob and cover
+ * (and, for secure files, the wrapped key), so nothing is duplicated in storage.
+ */
+router.post('/:id/copy', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const { error, value } = fileDestinationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
   }
 
-  try {
-    // Delete file from Supabase storage
-    const storageService = new SupabaseStorageService();
-    await storageService.deleteFile(file.storagePath);
-    await storageService.deleteFile(file.coverPath);
-  } catch (error) {
-    console.warn(`Failed to delete file ${fileId} from storage:`, error.message);
+  const destination = await loadDestinationFolder(req, res, value.folderId);
+  if (!destination) {
+    return;
   }
 
-  // Delete from database
+  const source = req.fileRecord;
+  const destinationKey = resolveDestinationKey(res, source, destination, value.wrappedKey);
+  if (!destinationKey) {
+    return;
+  }
+
+  const file = await prisma.file.create({
+    data: {
+      originalName: source.originalName,
+      mimeType: source.mimeType,
+      size: source.size,
+      encryptedMetadata: source.encryptedMetadata,
+      storagePath: source.storagePath,
+      coverPath: source.coverPath,
+      coverToken: cryptoService.generateToken(),
+      encryptedKeyBlob: source.encryptedKeyBlob,
+      salt: source.salt,
+      wrappedKey: destinationKey.wrappedKey,
+      recoveryWrappedKey: source.recoveryWrappedKey,
+      contentHash: source.contentHash,
+      uploadMode: source.uploadMode,
+      ownerId: req.user.id,
+      folderId: destination.id
+    },
+    select: fileSelect
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'file_copied',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ fileId: source.id, copyId: file.id, toFolderId: destination.id })
+    }
+  });
+
+  res.status(201).json({
+    message: 'File copied successfully',
+    file
+  });
+}));
+
+/**
+ * DELETE /api/files/:id
+ * Delete a file
+ */
+router.delete('/:id', authenticateSupabaseToken, verifyFileAccess, asyncHandler(async (req, res) => {
+  const file = req.fileRecord;
+
+  // Delete from database, then drop stored objects no copy still uses
   await prisma.file.delete({
-    where: { id: fileId }
+    where: { id: file.id }
   });
 
+  await releaseStoredObjects([file]);
+
   res.json({
     message: 'File deleted successfully'
   });
@@ -1,67 +1,415 @@
 const express = require('express');
 const Joi = require('joi');
-const argon2 = require('argon2');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
-const { verifyFolderAccess } = require('../middleware/auth');
+const { checkFolderAccess, denyFolderAccess, verifyFolderAccess } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const cryptoService = require('../services/crypto');
+const { releaseStoredObjects } = require('../services/storageRefs');
+const { MAX_FOLDER_DEPTH, getProtectingFolder, toBreadcrumbs, getDescendants } = require('../services/folderTree');
+const { isDuressPassword, triggerDuress } = require('../services/duress');
+const { verifyTwoFactorCode } = require('../services/totp');
+const { credentialResponseSchema, verifyPasskeyAssertion } = require('../services/passkeys');
+const { checkLockout, handleFailedAttempt, clearAttempts, releaseAttempt, denyLockout } = require('../services/lockout');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// How long a reveal phrase keeps hidden folders in listings
+const REVEAL_TOKEN_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
 // Validation schemas
 const createFolderSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
   isProtected: Joi.boolean().optional(),
-  password: Joi.string().min(4).optional()
+  password: Joi.string().min(4).optional(),
+  parentId: Joi.string().allow(null).optional(),
+  wrappedFolderKey: Joi.string().base64().optional()
+});
+
+const folderKeySchema = Joi.object({
+  wrappedFolderKey: Joi.string().base64().required()
+});
+
+const renameFolderSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required()
+});
+
+const moveFolderSchema = Joi.object({
+  parentId: Joi.string().allow(null).required()
 });
 
 const lockFolderSchema = Joi.object({
-  password: Joi.string().min(4).required()
+  password: Joi.string().min(4).required(),
+  // Replacing a password: the current one, unless X-Folder-Token carries the folder's own token
+  currentPassword: Joi.string().optional(),
+  // TOTP or backup code, when the owner turned on two-factor for folders
+  code: Joi.string().max(32).optional()
 });
 
 const unlockFolderSchema = Joi.object({
-  password: Joi.string().required()
+  password: Joi.string(),
+  // A passkey assertion (from /api/passkeys/authenticate/options) instead of the password
+  passkey: credentialResponseSchema,
+  // TOTP or backup code, when the owner turned on two-factor for folders
+  code: Joi.string().max(32).optional()
+}).xor('password', 'passkey');
+
+const revealPhraseSchema = Joi.object({
+  phrase: Joi.string().min(4).max(200).required()
+});
+
+const revealSchema = Joi.object({
+  phrase: Joi.string().max(200).required()
+});
+
+const hideFolderSchema = Joi.object({
+  hidden: Joi.boolean().required()
+});
+
+const folderDuressSchema = Joi.object({
+  password: Joi.string().min(4).required(),
+  decoyFolderId: Joi.string().allow(null).optional()
+});
+
+/**
+ * Verify a folder password. Rows written before passwords were hashed still
+ * hold plaintext; those are compared in constant time and upgraded to an
+ * Argon2 hash on the first successful unlock.
+ */
+const verifyFolderPassword = async (folder, password) => {
+  if (!folder.passwordHash) {
+    return false;
+  }
+
+  if (cryptoService.isPasswordHash(folder.passwordHash)) {
+    return cryptoService.verifyPassword(folder.passwordHash, password);
+  }
+
+  if (!cryptoService.safeEqual(folder.passwordHash, password)) {
+    return false;
+  }
+
+  await prisma.folder.update({
+    where: { id: folder.id },
+    data: { passwordHash: await cryptoService.hashPassword(password) }
+  });
+  console.log(`🔐 Upgraded plaintext password for folder ${folder.id} to Argon2`);
+
+  return true;
+};
+
+/**
+ * Check a folder key wrapped by the client's vault before storing it
+ * @returns {Promise<string|null>} Error message, or null if the key can be stored
+ */
+const checkWrappedFolderKey = async (userId, wrappedFolderKey) => {
+  if (!cryptoService.isWrappedKey(wrappedFolderKey)) {
+    return 'Invalid wrapped folder key';
+  }
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { vaultSalt: true }
+  });
+  return user?.vaultSalt ? null : 'Set up a vault before adding folder keys';
+};
+
+/**
+ * Check for a sibling folder with the same name; names are unique per parent
+ */
+const findSiblingWithName = (ownerId, parentId, name, excludeId = null) => {
+  return prisma.folder.findFirst({
+    where: {
+      name: name,
+      ownerId: ownerId,
+      parentId: parentId,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+};
+
+/**
+ * Shape a folder for listings. `protectedFolderId` names the folder whose
+ * access token opens it: itself if protected, else the inherited guard.
+ * Protected folders get no counts: a duress unlock shows decoy contents,
+ * which must not be checkable against the listing.
+ */
+const formatFolderListing = (folder, inheritedProtectedFolderId = null) => {
+  const { _count, ...rest } = folder;
+  return {
+    ...rest,
+    fileCount: folder.isProtected ? null : _count.files,
+    childCount: folder.isProtected ? null : _count.children,
+    protectedFolderId: folder.isProtected ? folder.id : inheritedProtectedFolderId
+  };
+};
+
+const folderFileSelect = {
+  id: true,
+  originalName: true,
+  mimeType: true,
+  size: true,
+  encryptedMetadata: true,
+  wrappedKey: true,
+  coverToken: true,
+  uploadMode: true,
+  folderId: true,
+  createdAt: true
+};
+
+const folderListingSelect = {
+  id: true,
+  name: true,
+  isProtected: true,
+  parentId: true,
+  wrappedFolderKey: true,
+  isHidden: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: { files: true, children: true }
+  }
+};
+
+/**
+ * Whether the request carries an unexpired reveal token (X-Reveal-Token)
+ */
+const isRevealed = async (req) => {
+  const token = req.headers['x-reveal-token'];
+  if (!token) {
+    return false;
+  }
+  const revealToken = await prisma.folderRevealToken.findFirst({
+    where: {
+      token: token,
+      userId: req.user.id,
+      expiresAt: {
+        gt: new Date()
+      }
+    }
+  });
+  return Boolean(revealToken);
+};
+
+/**
+ * Listing query parts: without a reveal token hidden folders are left out,
+ * and so are hidden subfolders from `childCount`
+ */
+const listingQuery = (revealed) => ({
+  where: revealed ? {} : { isHidden: false },
+  select: revealed ? folderListingSelect : {
+    ...folderListingSelect,
+    _count: {
+      select: { files: true, children: { where: { isHidden: false } } }
+    }
+  }
 });
 
 /**
  * GET /api/folders
- * List user's folders
+ * List user's top-level folders (hidden ones only with a reveal token)
  */
 router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
   console.log('GET /api/folders - User:', req.user?.id, req.user?.email);
   
+  const { where, select } = listingQuery(await isRevealed(req));
   const folders = await prisma.folder.findMany({
     where: {
-      ownerId: req.user.id
-    },
-    select: {
-      id: true,
-      name: true,
-      isProtected: true,
-      createdAt: true,
-      updatedAt: true,
-      _count: {
-        select: { files: true }
-      }
+      ownerId: req.user.id,
+      parentId: null,
+      ...where
     },
+    select,
     orderBy: {
       createdAt: 'desc'
     }
   });
 
   res.json({
-    folders: folders.map(folder => ({
-      ...folder,
-      fileCount: folder._count.files
-    }))
+    folders: folders.map(folder => formatFolderListing(folder))
+  });
+}));
+
+/**
+ * GET /api/folders/reveal-phrase
+ * Whether the user has set a reveal phrase for hidden folders
+ */
+router.get('/reveal-phrase', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { revealPhraseHash: true }
+  });
+
+  res.json({
+    revealPhrase: { enabled: Boolean(user?.revealPhraseHash) }
+  });
+}));
+
+/**
+ * PUT /api/folders/reveal-phrase
+ * Set or change the phrase that reveals hidden folders
+ */
+router.put('/reveal-phrase', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = revealPhraseSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { revealPhraseHash: await cryptoService.hashPassword(value.phrase) }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'reveal_phrase_set',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({})
+    }
+  });
+
+  res.json({ message: 'Reveal phrase set successfully' });
+}));
+
+/**
+ * DELETE /api/folders/reveal-phrase
+ * Remove the reveal phrase. Hidden folders could no longer be reached, so
+ * they all become visible again.
+ */
+router.delete('/reveal-phrase', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { count } = await prisma.folder.updateMany({
+    where: {
+      ownerId: req.user.id,
+      isHidden: true
+    },
+    data: { isHidden: false }
+  });
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { revealPhraseHash: null }
+  });
+
+  await prisma.folderRevealToken.deleteMany({
+    where: { userId: req.user.id }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'reveal_phrase_removed',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ unhiddenFolders: count })
+    }
+  });
+
+  res.json({ message: 'Reveal phrase removed successfully', unhiddenFolders: count });
+}));
+
+/**
+ * POST /api/folders/reveal
+ * Exchange the reveal phrase for a short-lived token (X-Reveal-Token) that
+ * includes hidden folders in listings
+ */
+router.post('/reveal', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = revealSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const lockoutAttempt = { userId: req.user.id, action: 'folder_reveal_attempt', target: req.user.id };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { revealPhraseHash: true }
+  });
+
+  const isValidPhrase = Boolean(user?.revealPhraseHash) &&
+    await cryptoService.verifyPassword(user.revealPhraseHash, value.phrase);
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'folder_reveal_attempt',
+      target: req.user.id,
+      success: isValidPhrase,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({})
+    }
+  });
+
+  // Same answer whether or not a phrase is set
+  if (!isValidPhrase) {
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
+    return res.status(401).json({ error: 'Invalid reveal phrase' });
+  }
+  await clearAttempts(req, lockoutAttempt);
+
+  const revealToken = cryptoService.generateToken();
+  const expiresAt = new Date(Date.now() + REVEAL_TOKEN_TTL_MS);
+
+  await prisma.folderRevealToken.create({
+    data: {
+      token: revealToken,
+      userId: req.user.id,
+      expiresAt: expiresAt
+    }
+  });
+
+  res.json({
+    revealToken: revealToken,
+    expiresAt: expiresAt.toISOString()
   });
 }));
 
+/**
+ * DELETE /api/folders/tokens
+ * Revoke every folder access token and reveal token of the user, so each
+ * protected folder needs its password again (used by the panic action)
+ */
+router.delete('/tokens', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { count } = await prisma.folderAccessToken.deleteMany({
+    where: { userId: req.user.id }
+  });
+
+  await prisma.folderRevealToken.deleteMany({
+    where: { userId: req.user.id }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'folder_tokens_revoked',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ revokedTokens: count })
+    }
+  });
+
+  res.json({ message: 'Folder access revoked successfully', revokedTokens: count });
+}));
+
 /**
  * POST /api/folders
- * Create a new folder
+ * Create a new folder, optionally inside `parentId` (which needs the
+ * parent's folder access token if it is protected)
  */
 router.post('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
   // Validate input
@@ -73,15 +421,40 @@ router.post('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
     });
   }
 
-  const { name, isProtected, password } = value;
+  const { name, isProtected, password, wrappedFolderKey } = value;
+  const parentId = value.parentId || null;
 
-  // Check if folder with same name already exists for this user
-  const existingFolder = await prisma.folder.findFirst({
-    where: {
-      name: name,
-      ownerId: req.user.id
+  if (wrappedFolderKey) {
+    const keyError = await checkWrappedFolderKey(req.user.id, wrappedFolderKey);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
     }
-  });
+  }
+
+  if (parentId) {
+    const parent = await prisma.folder.findFirst({
+      where: {
+        id: parentId,
+        ownerId: req.user.id
+      }
+    });
+
+    if (!parent) {
+      return res.status(404).json({ error: 'Parent folder not found' });
+    }
+
+    const access = await checkFolderAccess(parentId, req.user.id, req.headers['x-folder-token']);
+    if (!access.allowed) {
+      return denyFolderAccess(res, access);
+    }
+
+    if (access.path.length >= MAX_FOLDER_DEPTH) {
+      return res.status(400).json({ error: 'Folders cannot be nested this deeply' });
+    }
+  }
+
+  // Check if folder with same name already exists alongside it
+  const existingFolder = await findSiblingWithName(req.user.id, parentId, name);
 
   if (existingFolder) {
     return res.status(409).json({ 
@@ -93,13 +466,15 @@ router.post('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
   const folderData = {
     name,
     ownerId: req.user.id,
-    isProtected: isProtected || false
+    parentId,
+    isProtected: isProtected || false,
+    wrappedFolderKey: wrappedFolderKey || null
   };
 
   // If password protection is requested, add password hash
   if (isProtected && password) {
-    folderData.passwordHash = password; // Store as plain text
-    folderData.salt = null;
+    folderData.passwordHash = await cryptoService.hashPassword(password);
+    folderData.salt = null; // Argon2 encodes its salt in the hash
   }
 
   // Create folder
@@ -109,6 +484,8 @@ router.post('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
       id: true,
       name: true,
       isProtected: true,
+      parentId: true,
+      wrappedFolderKey: true,
       createdAt: true,
       updatedAt: true
     }
@@ -122,7 +499,9 @@ router.post('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
 
 /**
  * POST /api/folders/:id/lock
- * Set password protection on a folder
+ * Set password protection on a folder, or replace its password. Replacing
+ * needs the folder's own access token or current password, plus the
+ * two-factor code when folders ask for one, and ends every earlier unlock.
  */
 router.post('/:id/lock', authenticateSupabaseToken, asyncHandler(async (req, res) => {
   // Validate input
@@ -149,17 +528,75 @@ router.post('/:id/lock', authenticateSupabaseToken, asyncHandler(async (req, res
     return res.status(404).json({ error: 'Folder not found' });
   }
 
-  // Store password as plain text
-  const passwordHash = password;
-  const salt = null;
+  // A decoy token is never enough; inside a protected parent the parent's token is needed
+  const access = await checkFolderAccess(folder.id, req.user.id, req.headers['x-folder-token']);
+  const byCurrentPassword = !access.allowed && folder.isProtected &&
+    access.protectedFolderId === folder.id && Boolean(value.currentPassword);
+  if (!access.allowed && !byCurrentPassword) {
+    return denyFolderAccess(res, access);
+  }
 
-  // Update folder with password protection
+  if (folder.isProtected) {
+    const owner = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, totpSecret: true, totpLastStep: true, totpBackupCodes: true, totpForFolders: true }
+    });
+    const codeRequired = Boolean(owner?.totpSecret && owner.totpForFolders);
+
+    if (byCurrentPassword || codeRequired) {
+      // Guesses here count toward the same lockout as unlocking the folder
+      const lockoutAttempt = { userId: req.user.id, action: 'folder_unlock_attempt', target: folderId };
+      const lockout = await checkLockout(req, lockoutAttempt);
+      if (!lockout.ok) {
+        return denyLockout(res, lockout);
+      }
+
+      let rejected = null;
+      if (byCurrentPassword && !await verifyFolderPassword(folder, value.currentPassword)) {
+        rejected = { reason: 'invalid_password', body: { error: 'Invalid folder password' } };
+      } else if (codeRequired) {
+        if (!value.code) {
+          // The password or token was right; the attempt counts once the code comes
+          await releaseAttempt(req, lockoutAttempt);
+          return res.status(401).json({ error: 'Two-factor code required', twoFactorRequired: true });
+        }
+        if (!await verifyTwoFactorCode(owner, value.code)) {
+          rejected = { reason: 'invalid_two_factor_code', body: { error: 'Invalid two-factor code', twoFactorRequired: true } };
+        }
+      }
+
+      if (rejected) {
+        await prisma.securityLog.create({
+          data: {
+            userId: req.user.id,
+            action: 'folder_password_set',
+            target: folderId,
+            success: false,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            metadata: JSON.stringify({ folderId: folderId, reason: rejected.reason })
+          }
+        });
+        await handleFailedAttempt(req, lockoutAttempt, lockout);
+
+        return res.status(401).json(rejected.body);
+      }
+
+      await clearAttempts(req, lockoutAttempt);
+    }
+  }
+
+  const passwordHash = await cryptoService.hashPassword(password);
+
+  // Update folder with password protection; a duress password set against
+  // the old password does not carry over
   const updatedFolder = await prisma.folder.update({
     where: { id: folderId },
     data: {
       isProtected: true,
       passwordHash: passwordHash,
-      salt: null
+      salt: null,
+      ...(folder.isProtected && { duressPasswordHash: null, decoyFolderId: null })
     },
     select: {
       id: true,
@@ -177,10 +614,20 @@ router.post('/:id/lock', authenticateSupabaseToken, asyncHandler(async (req, res
       success: true,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      metadata: { folderId: folderId }
+      metadata: JSON.stringify({ folderId: folderId })
     }
   });
 
+  // Tokens from the old password, real or decoy, stop working with it
+  if (folder.isProtected) {
+    await prisma.folderAccessToken.deleteMany({
+      where: { folderId: folderId }
+    });
+    await prisma.folderRevealToken.deleteMany({
+      where: { userId: req.user.id }
+    });
+  }
+
   res.json({
     message: 'Folder password protection enabled',
     folder: updatedFolder
@@ -220,24 +667,77 @@ router.post('/:id/unlock', authenticateSupabaseToken, asyncHandler(async (req, r
     return res.status(400).json({ error: 'Folder is not password protected' });
   }
 
-  // Verify password (plain text comparison)
+  const lockoutAttempt = { userId: req.user.id, action: 'folder_unlock_attempt', target: folderId };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return denyLockout(res, lockout);
+  }
+
+  // Verify password; duress passwords are checked alongside so a decoy
+  // unlock takes as long as a real one. A passkey stands in for the password.
   try {
-    const isValidPassword = folder.passwordHash === password;
+    let isValidPassword;
+    let isDuress = false;
+    let passkey = null;
+
+    if (value.passkey) {
+      passkey = await verifyPasskeyAssertion(req.user.id, value.passkey);
+      isValidPassword = Boolean(passkey);
+    } else {
+      [isValidPassword, isDuress] = await Promise.all([
+        verifyFolderPassword(folder, password),
+        isDuressPassword(req.user.id, folder, password)
+      ]);
+    }
     
-    if (!isValidPassword) {
+    if (!isValidPassword && !isDuress) {
       // Log failed attempt
       await prisma.securityLog.create({
         data: {
           userId: req.user.id,
           action: 'folder_unlock_attempt',
+          target: folderId,
           success: false,
           ipAddress: req.ip,
           userAgent: req.get('User-Agent'),
-          metadata: JSON.stringify({ folderId: folderId, reason: 'invalid_password' })
+          metadata: JSON.stringify({ folderId: folderId, reason: value.passkey ? 'invalid_passkey' : 'invalid_password' })
         }
       });
+      await handleFailedAttempt(req, lockoutAttempt, lockout);
 
-      return res.status(401).json({ error: 'Invalid folder password' });
+      return res.status(401).json({ error: value.passkey ? 'Invalid passkey' : 'Invalid folder password' });
+    }
+
+    // Second factor, asked for after a duress password too so it gives nothing
+    // away, and after a passkey, which only stands in for the password
+    const owner = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, totpSecret: true, totpLastStep: true, totpBackupCodes: true, totpForFolders: true }
+    });
+
+    if (owner?.totpSecret && owner.totpForFolders) {
+      if (!value.code) {
+        // The password was right; the attempt counts once the code comes
+        await releaseAttempt(req, lockoutAttempt);
+        return res.status(401).json({ error: 'Two-factor code required', twoFactorRequired: true });
+      }
+
+      if (!await verifyTwoFactorCode(owner, value.code)) {
+        await prisma.securityLog.create({
+          data: {
+            userId: req.user.id,
+            action: 'folder_unlock_attempt',
+            target: folderId,
+            success: false,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            metadata: JSON.stringify({ folderId: folderId, reason: 'invalid_two_factor_code' })
+          }
+        });
+        await handleFailedAttempt(req, lockoutAttempt, lockout);
+
+        return res.status(401).json({ error: 'Invalid two-factor code', twoFactorRequired: true });
+      }
     }
 
     // Generate short-lived access token
@@ -250,7 +750,8 @@ router.post('/:id/unlock', authenticateSupabaseToken, asyncHandler(async (req, r
         token: accessToken,
         folderId: folderId,
         userId: req.user.id,
-        expiresAt: expiresAt
+        expiresAt: expiresAt,
+        decoy: !isValidPassword
       }
     });
 
@@ -259,17 +760,26 @@ router.post('/:id/unlock', authenticateSupabaseToken, asyncHandler(async (req, r
       data: {
         userId: req.user.id,
         action: 'folder_unlock_attempt',
+        target: folderId,
         success: true,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
-        metadata: JSON.stringify({ folderId: folderId })
+        metadata: JSON.stringify(passkey ? { folderId: folderId, passkeyId: passkey.id } : { folderId: folderId })
       }
     });
+    await clearAttempts(req, lockoutAttempt);
+
+    // A duress unlock gets the same response; only the log knows
+    if (!isValidPassword) {
+      await triggerDuress(req, { folderId: folderId });
+    }
 
     res.json({
       message: 'Folder unlocked successfully',
       accessToken: accessToken,
-      expiresAt: expiresAt.toISOString()
+      expiresAt: expiresAt.toISOString(),
+      // The passkey's PRF-wrapped vault key, so the same tap can unlock the vault
+      ...(passkey && { wrappedVaultKey: passkey.wrappedVaultKey })
     });
 
   } catch (error) {
@@ -280,6 +790,7 @@ router.post('/:id/unlock', authenticateSupabaseToken, asyncHandler(async (req, r
       data: {
         userId: req.user.id,
         action: 'folder_unlock_attempt',
+        target: folderId,
         success: false,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -303,14 +814,7 @@ router.get('/:id', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(a
     where: { id: folderId },
     include: {
       files: {
-        select: {
-          id: true,
-          originalName: true,
-          mimeType: true,
-          size: true,
-          coverPath: true,
-          createdAt: true
-        },
+        select: folderFileSelect,
         orderBy: {
           createdAt: 'desc'
         }
@@ -322,59 +826,409 @@ router.get('/:id', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(a
     return res.status(404).json({ error: 'Folder not found' });
   }
 
+  // Opened with a duress password: show the decoy folder's files as this folder's
+  let listedFiles = folder.files;
+  if (req.folderAccessToken?.decoy) {
+    const decoyFiles = folder.decoyFolderId
+      ? await prisma.file.findMany({
+          where: {
+            folderId: folder.decoyFolderId,
+            ownerId: req.user.id
+          },
+          select: folderFileSelect,
+          orderBy: {
+            createdAt: 'desc'
+          }
+        })
+      : [];
+    listedFiles = decoyFiles.map(file => ({ ...file, folderId: folder.id }));
+  }
+
+  // Files uploaded before cover tokens existed get one on first listing
+  const files = await Promise.all(listedFiles.map(async (file) => {
+    if (file.coverToken) {
+      return file;
+    }
+    const { coverToken } = await prisma.file.update({
+      where: { id: file.id },
+      data: { coverToken: cryptoService.generateToken() },
+      select: { coverToken: true }
+    });
+    return { ...file, coverToken };
+  }));
+
   res.json({
     folder: {
       id: folder.id,
       name: folder.name,
       isProtected: folder.isProtected,
+      parentId: folder.parentId,
+      wrappedFolderKey: folder.wrappedFolderKey,
+      protectedFolderId: getProtectingFolder(req.folderPath)?.id || null,
+      path: toBreadcrumbs(req.folderPath),
       createdAt: folder.createdAt,
       updatedAt: folder.updatedAt,
-      files: folder.files
+      files
     }
   });
 }));
 
 /**
- * DELETE /api/folders/:id
- * Delete a folder and all its files
+ * PUT /api/folders/:id/key
+ * Give an existing folder a vault folder key. Files already in it keep
+ * their per-image passwords; new uploads are wrapped with the folder key.
  */
-router.delete('/:id', authenticateSupabaseToken, asyncHandler(async (req, res) => {
-  const folderId = req.params.id;
+router.put('/:id/key', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = folderKeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
 
-  // Check if folder exists and is owned by user
-  const folder = await prisma.folder.findFirst({
+  const keyError = await checkWrappedFolderKey(req.user.id, value.wrappedFolderKey);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  // Replacing a key would orphan the file keys wrapped with it
+  const result = await prisma.folder.updateMany({
     where: {
-      id: folderId,
-      ownerId: req.user.id
+      id: req.folder.id,
+      wrappedFolderKey: null
     },
-    include: {
-      files: true
+    data: { wrappedFolderKey: value.wrappedFolderKey }
+  });
+
+  if (result.count === 0) {
+    return res.status(409).json({ error: 'Folder already has a vault key' });
+  }
+
+  res.json({
+    message: 'Folder key added successfully',
+    wrappedFolderKey: value.wrappedFolderKey
+  });
+}));
+
+/**
+ * PUT /api/folders/:id/hidden
+ * Hide a folder from listings, or show it again. Hiding needs a reveal
+ * phrase so the folder can be found again.
+ */
+router.put('/:id/hidden', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = hideFolderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  if (value.hidden) {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { revealPhraseHash: true }
+    });
+    if (!user?.revealPhraseHash) {
+      return res.status(400).json({ error: 'Set a reveal phrase before hiding folders' });
     }
+  }
+
+  await prisma.folder.update({
+    where: { id: req.folder.id },
+    data: { isHidden: value.hidden }
   });
 
-  if (!folder) {
-    return res.status(404).json({ error: 'Folder not found' });
+  res.json({
+    message: value.hidden ? 'Folder hidden successfully' : 'Folder shown successfully',
+    isHidden: value.hidden
+  });
+}));
+
+/**
+ * PUT /api/folders/:id/duress
+ * Set a duress password on a protected folder. Unlocking with it opens a
+ * decoy view listing the files of `decoyFolderId` (or nothing).
+ */
+router.put('/:id/duress', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = folderDuressSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
   }
 
-  // Delete all files in storage first
-  const { storageService } = require('../services/localStorage');
-  
-  for (const file of folder.files) {
-    try {
-      // Delete encrypted file
-      await storageService.deleteFile(file.storagePath);
-      // Delete cover image
-      await storageService.deleteFile(file.coverPath);
-    } catch (error) {
-      console.warn(`Failed to delete file ${file.id} from storage:`, error.message);
+  const { password } = value;
+  const decoyFolderId = value.decoyFolderId || null;
+
+  if (!req.folder.isProtected) {
+    return res.status(400).json({ error: 'Only password-protected folders can have a duress password' });
+  }
+
+  if (await verifyFolderPassword(req.folder, password)) {
+    return res.status(400).json({ error: 'The duress password must differ from the folder password' });
+  }
+
+  if (decoyFolderId) {
+    const decoyFolder = await prisma.folder.findFirst({
+      where: {
+        id: decoyFolderId,
+        ownerId: req.user.id
+      }
+    });
+
+    if (!decoyFolder) {
+      return res.status(404).json({ error: 'Decoy folder not found' });
+    }
+
+    // The decoy must open without a password and sit outside this folder
+    const decoyAccess = await checkFolderAccess(decoyFolderId, req.user.id, null);
+    if (!decoyAccess.allowed || decoyFolder.wrappedFolderKey) {
+      return res.status(400).json({ error: 'The decoy folder must be an unprotected, non-vault folder' });
+    }
+    if (decoyAccess.path.some(folder => folder.id === req.folder.id)) {
+      return res.status(400).json({ error: 'The decoy folder cannot be inside this folder' });
     }
   }
 
-  // Delete folder and all related data (cascade will handle files and tokens)
+  await prisma.folder.update({
+    where: { id: req.folder.id },
+    data: {
+      duressPasswordHash: await cryptoService.hashPassword(password),
+      decoyFolderId: decoyFolderId
+    }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'folder_duress_set',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ folderId: req.folder.id, decoyFolderId: decoyFolderId })
+    }
+  });
+
+  res.json({
+    message: 'Duress password set successfully',
+    decoyFolderId: decoyFolderId
+  });
+}));
+
+/**
+ * DELETE /api/folders/:id/duress
+ * Remove a folder's duress password
+ */
+router.delete('/:id/duress', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  await prisma.folder.update({
+    where: { id: req.folder.id },
+    data: {
+      duressPasswordHash: null,
+      decoyFolderId: null
+    }
+  });
+
+  // Decoy tokens issued for the old password stop working with it
+  await prisma.folderAccessToken.deleteMany({
+    where: {
+      folderId: req.folder.id,
+      decoy: true
+    }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'folder_duress_removed',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ folderId: req.folder.id })
+    }
+  });
+
+  res.json({ message: 'Duress password removed successfully' });
+}));
+
+/**
+ * GET /api/folders/:id/children
+ * List the folders directly inside a folder (requires folder access if protected)
+ */
+router.get('/:id/children', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  // A decoy view has no subfolders
+  if (req.folderAccessToken?.decoy) {
+    return res.json({ folders: [] });
+  }
+
+  const inheritedProtection = getProtectingFolder(req.folderPath);
+
+  const { where, select } = listingQuery(await isRevealed(req));
+  const children = await prisma.folder.findMany({
+    where: {
+      parentId: req.folder.id,
+      ownerId: req.user.id,
+      ...where
+    },
+    select,
+    orderBy: {
+      name: 'asc'
+    }
+  });
+
+  res.json({
+    folders: children.map(child => formatFolderListing(child, inheritedProtection?.id || null))
+  });
+}));
+
+/**
+ * PATCH /api/folders/:id
+ * Rename a folder
+ */
+router.patch('/:id', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = renameFolderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: error.details[0].message 
+    });
+  }
+
+  const existingFolder = await findSiblingWithName(req.user.id, req.folder.parentId, value.name, req.folder.id);
+  if (existingFolder) {
+    return res.status(409).json({ 
+      error: 'Folder with this name already exists' 
+    });
+  }
+
+  const folder = await prisma.folder.update({
+    where: { id: req.folder.id },
+    data: { name: value.name },
+    select: {
+      id: true,
+      name: true,
+      isProtected: true,
+      parentId: true,
+      updatedAt: true
+    }
+  });
+
+  res.json({
+    message: 'Folder renamed successfully',
+    folder
+  });
+}));
+
+/**
+ * POST /api/folders/:id/move
+ * Move a folder under `parentId` (null for top level). A protected
+ * destination needs its token in X-Destination-Folder-Token.
+ */
+router.post('/:id/move', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const { error, value } = moveFolderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: error.details[0].message 
+    });
+  }
+
+  const folder = req.folder;
+  const { parentId } = value;
+  let destinationDepth = 0;
+
+  if (parentId) {
+    const destination = await prisma.folder.findFirst({
+      where: {
+        id: parentId,
+        ownerId: req.user.id
+      }
+    });
+
+    if (!destination) {
+      return res.status(404).json({ error: 'Destination folder not found' });
+    }
+
+    const access = await checkFolderAccess(parentId, req.user.id, req.headers['x-destination-folder-token']);
+    if (!access.allowed) {
+      return denyFolderAccess(res, access);
+    }
+
+    // The destination's path includes it, so this also catches moving into itself
+    if (access.path.some(ancestor => ancestor.id === folder.id)) {
+      return res.status(400).json({ error: 'A folder cannot be moved into itself or one of its subfolders' });
+    }
+
+    destinationDepth = access.path.length;
+  }
+
+  const { depth } = await getDescendants(folder.id);
+  if (destinationDepth + 1 + depth > MAX_FOLDER_DEPTH) {
+    return res.status(400).json({ error: 'Folders cannot be nested this deeply' });
+  }
+
+  const existingFolder = await findSiblingWithName(req.user.id, parentId, folder.name, folder.id);
+  if (existingFolder) {
+    return res.status(409).json({ 
+      error: 'Folder with this name already exists in the destination' 
+    });
+  }
+
+  const movedFolder = await prisma.folder.update({
+    where: { id: folder.id },
+    data: { parentId },
+    select: {
+      id: true,
+      name: true,
+      isProtected: true,
+      parentId: true,
+      updatedAt: true
+    }
+  });
+
+  // Moving can change which password guards the folder, so log it
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'folder_moved',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ folderId: folder.id, fromParentId: folder.parentId, toParentId: parentId })
+    }
+  });
+
+  res.json({
+    message: 'Folder moved successfully',
+    folder: movedFolder
+  });
+}));
+
+/**
+ * DELETE /api/folders/:id
+ * Delete a folder, its subfolders and all their files
+ */
+router.delete('/:id', authenticateSupabaseToken, verifyFolderAccess, asyncHandler(async (req, res) => {
+  const folderId = req.folder.id;
+
+  // Subfolders are removed by the cascade, but their blobs must go too
+  const { ids: descendantIds } = await getDescendants(folderId);
+  const files = await prisma.file.findMany({
+    where: {
+      folderId: { in: [folderId, ...descendantIds] }
+    }
+  });
+
+  // Delete folder and all related data (cascade will handle subfolders, files and tokens)
   await prisma.folder.delete({
     where: { id: folderId }
   });
 
+  // Then drop stored objects that copies elsewhere no longer use
+  await releaseStoredObjects(files);
+
   res.json({
     message: 'Folder and all files deleted successfully'
   });
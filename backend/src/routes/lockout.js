@@ -0,0 +1,70 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { LOCKOUT_THRESHOLD, LOCKOUT_THRESHOLD_RANGE, getLockoutSettings } = require('../services/lockout');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const lockoutSchema = Joi.object({
+  // null goes back to the server default
+  threshold: Joi.number().integer().min(LOCKOUT_THRESHOLD_RANGE.min).max(LOCKOUT_THRESHOLD_RANGE.max).allow(null).required(),
+  wipeTokens: Joi.boolean().required()
+});
+
+const toLockoutSummary = async (userId) => ({
+  ...(await getLockoutSettings(userId)),
+  defaultThreshold: LOCKOUT_THRESHOLD,
+  range: LOCKOUT_THRESHOLD_RANGE
+});
+
+/**
+ * GET /api/lockout
+ * Failed attempts allowed before a lockout, and whether a lockout revokes folder tokens
+ */
+router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  res.json({ lockout: await toLockoutSummary(req.user.id) });
+}));
+
+/**
+ * PUT /api/lockout
+ * Change the lockout threshold and whether a lockout revokes every folder
+ * access and reveal token
+ */
+router.put('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = lockoutSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: {
+      lockoutThreshold: value.threshold,
+      lockoutWipeTokens: value.wipeTokens
+    }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'lockout_settings_changed',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify(value)
+    }
+  });
+
+  res.json({
+    message: 'Lockout settings saved successfully',
+    lockout: await toLockoutSummary(req.user.id)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const Joi = require('joi');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { verifyTwoFactorCode } = require('../services/totp');
+const { checkLockout, handleFailedAttempt, clearAttempts, denyLockout } = require('../services/lockout');
+const {
+  credentialResponseSchema,
+  createRegistrationOptions,
+  registerPasskey,
+  createAuthenticationOptions,
+  verifyPasskeyAssertion
+} = require('../services/passkeys');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const registrationFactorSchema = Joi.object({
+  // The account password, or a TOTP or backup code when two-factor is on
+  password: Joi.string().optional(),
+  code: Joi.string().max(32).optional()
+});
+
+const registerPasskeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  response: credentialResponseSchema.required(),
+  // Sent only when the authenticator reported PRF support
+  prfSalt: Joi.string().base64({ urlSafe: true, paddingRequired: false }).max(128).optional()
+});
+
+const assertionSchema = Joi.object({
+  response: credentialResponseSchema.required()
+});
+
+const vaultKeySchema = Joi.object({
+  wrappedVaultKey: Joi.string().base64().max(512).allow(null).required()
+});
+
+const toPasskeySummary = (passkey) => ({
+  id: passkey.id,
+  name: passkey.name,
+  prf: Boolean(passkey.prfSalt),
+  unlocksVault: Boolean(passkey.wrappedVaultKey),
+  lastUsedAt: passkey.lastUsedAt,
+  createdAt: passkey.createdAt
+});
+
+const logPasskeyEvent = (req, action, success, metadata = {}) => prisma.securityLog.create({
+  data: {
+    userId: req.user.id,
+    action,
+    success,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: JSON.stringify(metadata)
+  }
+});
+
+/**
+ * Check the factor a session proves itself with before adding a passkey:
+ * the two-factor code when it is on, otherwise the account password.
+ * Guesses go through the lockout. Responds if the factor is not accepted.
+ * @returns {Promise<Object|null>} The user, or null if the factor was not accepted
+ */
+const checkRegistrationFactor = async (req, res, { password, code }) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, email: true, password: true, totpSecret: true, totpLastStep: true, totpBackupCodes: true }
+  });
+
+  if (!user?.totpSecret && !user?.password) {
+    res.status(403).json({ error: 'Turn on two-factor authentication before adding a passkey' });
+    return null;
+  }
+  if (user.totpSecret ? !code : !password) {
+    res.status(401).json(user.totpSecret
+      ? { error: 'Two-factor code required', twoFactorRequired: true }
+      : { error: 'Account password required', passwordRequired: true });
+    return null;
+  }
+
+  const lockoutAttempt = { userId: req.user.id, action: 'passkey_registration_attempt', target: req.user.id };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    denyLockout(res, lockout);
+    return null;
+  }
+
+  const accepted = user.totpSecret
+    ? await verifyTwoFactorCode(user, code)
+    : await bcrypt.compare(password, user.password);
+  if (!accepted) {
+    await logPasskeyEvent(req, 'passkey_registration_attempt', false, {
+      reason: user.totpSecret ? 'invalid_two_factor_code' : 'invalid_password'
+    });
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
+    res.status(401).json(user.totpSecret
+      ? { error: 'Invalid two-factor code', twoFactorRequired: true }
+      : { error: 'Invalid password', passwordRequired: true });
+    return null;
+  }
+
+  await clearAttempts(req, lockoutAttempt);
+  return user;
+};
+
+/**
+ * GET /api/passkeys
+ * List the user's passkeys
+ */
+router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const passkeys = await prisma.passkey.findMany({
+    where: { userId: req.user.id },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  res.json({ passkeys: passkeys.map(toPasskeySummary) });
+}));
+
+/**
+ * POST /api/passkeys/register/options
+ * Start registering a passkey once the session proves another factor
+ * (`password`, or `code` when two-factor is on)
+ */
+router.post('/register/options', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = registrationFactorSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const user = await checkRegistrationFactor(req, res, value);
+  if (!user) {
+    return;
+  }
+
+  res.json({ options: await createRegistrationOptions(user) });
+}));
+
+/**
+ * POST /api/passkeys/register/verify
+ * Finish registering a passkey with the browser's response. Only challenges
+ * from /register/options are accepted, so the factor checked there covers this.
+ */
+router.post('/register/verify', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = registerPasskeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const passkey = await registerPasskey(req.user.id, value.response, {
+    name: value.name,
+    prfSalt: value.prfSalt
+  });
+
+  await logPasskeyEvent(req, 'passkey_registered', Boolean(passkey), passkey ? { passkeyId: passkey.id } : {});
+
+  if (!passkey) {
+    return res.status(400).json({ error: 'Passkey registration failed' });
+  }
+
+  res.status(201).json({
+    message: 'Passkey added successfully',
+    passkey: toPasskeySummary(passkey)
+  });
+}));
+
+/**
+ * POST /api/passkeys/authenticate/options
+ * Start an assertion; prfSalts maps credential IDs to the salt their PRF is evaluated with
+ */
+router.post('/authenticate/options', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const result = await createAuthenticationOptions(req.user.id);
+  if (!result) {
+    return res.status(404).json({ error: 'No passkeys registered' });
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/passkeys/authenticate/verify
+ * Check an assertion. Returns the passkey's wrapped vault key, which is
+ * only handed out to a verified passkey.
+ */
+router.post('/authenticate/verify', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = assertionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const passkey = await verifyPasskeyAssertion(req.user.id, value.response);
+
+  await logPasskeyEvent(req, 'passkey_assertion', Boolean(passkey), passkey ? { passkeyId: passkey.id } : {});
+
+  if (!passkey) {
+    return res.status(401).json({ error: 'Invalid passkey' });
+  }
+
+  res.json({
+    passkey: toPasskeySummary(passkey),
+    wrappedVaultKey: passkey.wrappedVaultKey
+  });
+}));
+
+/**
+ * PUT /api/passkeys/:id/vault-key
+ * Store the vault master key wrapped with this passkey's PRF-derived key
+ * (null removes it)
+ */
+router.put('/:id/vault-key', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = vaultKeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const passkey = await prisma.passkey.findFirst({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+
+  if (!passkey) {
+    return res.status(404).json({ error: 'Passkey not found' });
+  }
+  if (!passkey.prfSalt) {
+    return res.status(400).json({ error: 'This passkey does not support PRF' });
+  }
+
+  await prisma.passkey.update({
+    where: { id: passkey.id },
+    data: { wrappedVaultKey: value.wrappedVaultKey }
+  });
+
+  await logPasskeyEvent(req, 'passkey_vault_key_changed', true, {
+    passkeyId: passkey.id,
+    unlocksVault: value.wrappedVaultKey !== null
+  });
+
+  res.json({ message: 'Passkey vault key saved successfully' });
+}));
+
+/**
+ * DELETE /api/passkeys/:id
+ * Remove a passkey
+ */
+router.delete('/:id', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { count } = await prisma.passkey.deleteMany({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+
+  if (count === 0) {
+    return res.status(404).json({ error: 'Passkey not found' });
+  }
+
+  await logPasskeyEvent(req, 'passkey_removed', true, { passkeyId: req.params.id });
+
+  res.json({ message: 'Passkey removed successfully' });
+}));
+
+module.exports = router;
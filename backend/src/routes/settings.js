@@ -0,0 +1,102 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const GESTURE_REGIONS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right'
+];
+
+// Only the fields used by the chosen gesture type may be sent
+const gestureField = (types, schema) => schema.when('type', {
+  is: Joi.valid(...types),
+  then: Joi.required(),
+  otherwise: Joi.forbidden()
+});
+
+const unlockGestureSchema = Joi.object({
+  type: Joi.string().valid('taps', 'regions', 'longPress', 'swipe').required(),
+  count: gestureField(['taps'], Joi.number().integer().min(2).max(10)),
+  windowMs: gestureField(['taps', 'regions', 'swipe'], Joi.number().integer().min(200).max(5000)),
+  regions: gestureField(['regions'], Joi.array().items(Joi.string().valid(...GESTURE_REGIONS)).min(2).max(8)),
+  durationMs: gestureField(['longPress'], Joi.number().integer().min(400).max(5000)),
+  pattern: gestureField(['swipe'], Joi.array().items(Joi.string().valid('up', 'down', 'left', 'right')).min(1).max(6))
+});
+
+// Client preferences the user can keep on the server. Each key replaces the
+// stored value; null removes it.
+const updateSettingsSchema = Joi.object({
+  facade: Joi.object({
+    mode: Joi.string().valid('off', 'calculator', 'notes').required(),
+    sequence: Joi.string().max(64).allow('').required()
+  }).allow(null),
+  unlockGesture: unlockGestureSchema.allow(null)
+}).min(1);
+
+const parseSettings = (value) => {
+  try {
+    const settings = JSON.parse(value || '{}');
+    return settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * GET /api/settings
+ * Get the preferences stored on the server
+ */
+router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { settings: true }
+  });
+
+  res.json({ settings: parseSettings(user?.settings) });
+}));
+
+/**
+ * PUT /api/settings
+ * Store or remove preferences; keys not in the body are left as they are
+ */
+router.put('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = updateSettingsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { settings: true }
+  });
+
+  const settings = parseSettings(user?.settings);
+  for (const [key, setting] of Object.entries(value)) {
+    if (setting === null) {
+      delete settings[key];
+    } else {
+      settings[key] = setting;
+    }
+  }
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { settings: JSON.stringify(settings) }
+  });
+
+  res.json({
+    message: 'Settings saved successfully',
+    settings
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const Joi = require('joi');
+const QRCode = require('qrcode');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  generateSecret,
+  matchTotp,
+  getOtpauthUrl,
+  generateBackupCodes,
+  parseBackupCodes,
+  verifyTwoFactorCode
+} = require('../services/totp');
+const { checkLockout, handleFailedAttempt, clearAttempts, denyLockout } = require('../services/lockout');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const codeSchema = Joi.object({
+  code: Joi.string().max(32).required()
+});
+
+const folderTwoFactorSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  code: Joi.string().max(32).required()
+});
+
+const twoFactorSelect = {
+  email: true,
+  totpSecret: true,
+  totpPendingSecret: true,
+  totpLastStep: true,
+  totpBackupCodes: true,
+  totpForFolders: true
+};
+
+const logTwoFactorEvent = (req, action, success, metadata = {}) => prisma.securityLog.create({
+  data: {
+    userId: req.user.id,
+    action,
+    success,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: JSON.stringify(metadata)
+  }
+});
+
+/**
+ * Check the code sent to change two-factor settings, logging a wrong one.
+ * The settings routes share one lockout. Responds if the code is not accepted.
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+const checkSettingsCode = async (req, res, user, action, code) => {
+  const lockoutAttempt = { userId: req.user.id, action: 'totp_settings_code', target: req.user.id };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    denyLockout(res, lockout);
+    return false;
+  }
+
+  const method = await verifyTwoFactorCode({ id: req.user.id, ...user }, code);
+  if (!method) {
+    await logTwoFactorEvent(req, action, false, { reason: 'invalid_code' });
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
+    res.status(401).json({ error: 'Invalid two-factor code' });
+    return false;
+  }
+
+  await clearAttempts(req, lockoutAttempt);
+  return true;
+};
+
+/**
+ * GET /api/2fa
+ * Whether two-factor authentication is on, and where it applies
+ */
+router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  res.json({
+    twoFactor: {
+      enabled: Boolean(user?.totpSecret),
+      folders: Boolean(user?.totpSecret && user.totpForFolders),
+      backupCodesLeft: parseBackupCodes(user?.totpBackupCodes).length
+    }
+  });
+}));
+
+/**
+ * POST /api/2fa/enroll
+ * Start enrollment: a new secret and its QR code. Two-factor is only turned
+ * on once a code from it is verified.
+ */
+router.post('/enroll', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (user?.totpSecret) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = generateSecret();
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { totpPendingSecret: secret }
+  });
+
+  const otpauthUrl = getOtpauthUrl(secret, user?.email || req.user.email);
+
+  res.json({
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  });
+}));
+
+/**
+ * POST /api/2fa/verify
+ * Finish enrollment with a code from the new secret. Returns the backup
+ * codes, which are never shown again.
+ */
+router.post('/verify', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (user?.totpSecret) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+  if (!user?.totpPendingSecret) {
+    return res.status(400).json({ error: 'Start enrollment first' });
+  }
+
+  const step = matchTotp(user.totpPendingSecret, value.code);
+  if (step === null) {
+    await logTwoFactorEvent(req, 'totp_enrolled', false, { reason: 'invalid_code' });
+    return res.status(400).json({ error: 'Invalid two-factor code' });
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: {
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpLastStep: step,
+      totpBackupCodes: JSON.stringify(hashes)
+    }
+  });
+
+  await logTwoFactorEvent(req, 'totp_enrolled', true);
+
+  res.json({
+    message: 'Two-factor authentication enabled successfully',
+    backupCodes: codes
+  });
+}));
+
+/**
+ * POST /api/2fa/backup-codes
+ * Replace the backup codes; the old ones stop working
+ */
+router.post('/backup-codes', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (!user?.totpSecret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!await checkSettingsCode(req, res, user, 'totp_backup_codes_regenerated', value.code)) {
+    return;
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { totpBackupCodes: JSON.stringify(hashes) }
+  });
+
+  await logTwoFactorEvent(req, 'totp_backup_codes_regenerated', true);
+
+  res.json({
+    message: 'Backup codes replaced successfully',
+    backupCodes: codes
+  });
+}));
+
+/**
+ * PUT /api/2fa/folders
+ * Choose whether unlocking a protected folder also needs a code
+ */
+router.put('/folders', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = folderTwoFactorSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (!user?.totpSecret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!await checkSettingsCode(req, res, user, 'totp_folders_changed', value.code)) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { totpForFolders: value.enabled }
+  });
+
+  await logTwoFactorEvent(req, 'totp_folders_changed', true, { enabled: value.enabled });
+
+  res.json({ message: 'Folder two-factor setting saved successfully', folders: value.enabled });
+}));
+
+/**
+ * DELETE /api/2fa
+ * Turn two-factor authentication off (needs a code or a backup code)
+ */
+router.delete('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (!user?.totpSecret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!await checkSettingsCode(req, res, user, 'totp_disabled', value.code)) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: {
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpLastStep: null,
+      totpBackupCodes: null,
+      totpForFolders: false
+    }
+  });
+
+  await logTwoFactorEvent(req, 'totp_disabled', true);
+
+  res.json({ message: 'Two-factor authentication disabled successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getStorageDriver } = require('../services/storageFactory');
+
+const router = express.Router();
+
+/**
+ * GET /uploads/*
+ * Serve an object from the local storage driver through a signed URL
+ */
+router.get('/*', asyncHandler(async (req, res) => {
+  const storage = getStorageDriver();
+  const key = req.params[0];
+
+  // Only the local driver hands out URLs pointing back at this server
+  if (typeof storage.verifySignature !== 'function') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  if (!storage.verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+
+  let metadata;
+  try {
+    metadata = await storage.getMetadata(key);
+  } catch (error) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  res.set({
+    'Content-Type': metadata.contentType,
+    'Content-Length': metadata.size,
+    'Cache-Control': 'private, no-store',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  const stream = await storage.stream(key);
+  stream.on('error', (error) => {
+    console.error('Local storage stream error:', error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}));
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const cryptoService = require('../services/crypto');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// The passphrase and master key never reach the server; it only keeps what
+// a client needs to re-derive the key and check it
+const createVaultSchema = Joi.object({
+  vaultSalt: Joi.string().base64().required(),
+  vaultKeyCheck: Joi.string().base64().max(256).required()
+});
+
+// The recovery code stays with the user. The server gets the public key file
+// keys are wrapped to, and a proof derived from the code that gates recovery.
+const createRecoverySchema = Joi.object({
+  recoveryPublicKey: Joi.string().base64().required(),
+  recoveryProof: Joi.string().base64().required()
+});
+
+/**
+ * GET /api/vault
+ * Get the vault parameters, if the user has set up a vault
+ */
+router.get('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { vaultSalt: true, vaultKeyCheck: true }
+  });
+
+  res.json({
+    vault: {
+      enabled: Boolean(user?.vaultSalt),
+      vaultSalt: user?.vaultSalt || null,
+      vaultKeyCheck: user?.vaultKeyCheck || null
+    }
+  });
+}));
+
+/**
+ * POST /api/vault
+ * Set up the vault. The master key is derived on the client from the vault
+ * passphrase and `vaultSalt`; `vaultKeyCheck` is a known value sealed with it.
+ */
+router.post('/', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = createVaultSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  if (Buffer.from(value.vaultSalt, 'base64').length !== 32) {
+    return res.status(400).json({ error: 'Vault salt must be 32 bytes' });
+  }
+
+  // Replacing the parameters would orphan every folder key wrapped so far
+  const result = await prisma.user.updateMany({
+    where: {
+      id: req.user.id,
+      vaultSalt: null
+    },
+    data: {
+      vaultSalt: value.vaultSalt,
+      vaultKeyCheck: value.vaultKeyCheck
+    }
+  });
+
+  if (result.count === 0) {
+    return res.status(409).json({ error: 'Vault already set up' });
+  }
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'vault_created',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  res.status(201).json({
+    message: 'Vault set up successfully',
+    vault: {
+      enabled: true,
+      vaultSalt: value.vaultSalt,
+      vaultKeyCheck: value.vaultKeyCheck
+    }
+  });
+}));
+
+/**
+ * GET /api/vault/recovery
+ * Get the recovery public key, if the user has created a recovery kit
+ */
+router.get('/recovery', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { recoveryPublicKey: true }
+  });
+
+  res.json({
+    recovery: {
+      enabled: Boolean(user?.recoveryPublicKey),
+      recoveryPublicKey: user?.recoveryPublicKey || null
+    }
+  });
+}));
+
+/**
+ * POST /api/vault/recovery
+ * Turn on recovery. From then on file keys are also wrapped to
+ * `recoveryPublicKey`; only the holder of the recovery code can unwrap them.
+ */
+router.post('/recovery', authenticateSupabaseToken, asyncHandler(async (req, res) => {
+  const { error, value } = createRecoverySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details[0].message
+    });
+  }
+
+  if (!cryptoService.isRecoveryPublicKey(value.recoveryPublicKey)) {
+    return res.status(400).json({ error: 'Recovery public key must be an uncompressed P-256 point' });
+  }
+
+  if (Buffer.from(value.recoveryProof, 'base64').length !== 32) {
+    return res.status(400).json({ error: 'Recovery proof must be 32 bytes' });
+  }
+
+  // Replacing the key would leave every file wrapped so far unrecoverable
+  const result = await prisma.user.updateMany({
+    where: {
+      id: req.user.id,
+      recoveryPublicKey: null
+    },
+    data: {
+      recoveryPublicKey: value.recoveryPublicKey,
+      recoveryVerifier: await cryptoService.hashPassword(value.recoveryProof)
+    }
+  });
+
+  if (result.count === 0) {
+    return res.status(409).json({ error: 'Recovery kit already created' });
+  }
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'recovery_created',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  res.status(201).json({
+    message: 'Recovery turned on successfully',
+    recovery: {
+      enabled: true,
+      recoveryPublicKey: value.recoveryPublicKey
+    }
+  });
+}));
+
+module.exports = router;
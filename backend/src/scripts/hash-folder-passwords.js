@@ -0,0 +1,60 @@
+const { PrismaClient } = require('@prisma/client');
+const cryptoService = require('../services/crypto');
+
+const prisma = new PrismaClient();
+
+/**
+ * One-shot migration: re-hash folder passwords that were stored as plaintext.
+ * Safe to run more than once; rows that already hold an Argon2 hash are skipped.
+ */
+async function main() {
+  console.log('🔐 Hashing plaintext folder passwords...');
+
+  const folders = await prisma.folder.findMany({
+    where: {
+      passwordHash: { not: null }
+    },
+    select: {
+      id: true,
+      passwordHash: true
+    }
+  });
+
+  const plaintextFolders = folders.filter(folder => !cryptoService.isPasswordHash(folder.passwordHash));
+
+  if (plaintextFolders.length === 0) {
+    console.log('✅ No plaintext folder passwords found');
+    return;
+  }
+
+  let migrated = 0;
+
+  for (const folder of plaintextFolders) {
+    const passwordHash = await cryptoService.hashPassword(folder.passwordHash);
+
+    // Only overwrite the row if nobody upgraded it in the meantime
+    const result = await prisma.folder.updateMany({
+      where: {
+        id: folder.id,
+        passwordHash: folder.passwordHash
+      },
+      data: {
+        passwordHash,
+        salt: null
+      }
+    });
+
+    migrated += result.count;
+  }
+
+  console.log(`✅ Hashed ${migrated} of ${plaintextFolders.length} plaintext folder passwords`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Folder password migration failed:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,83 @@
+const { PrismaClient } = require('@prisma/client');
+const { getStorageDriver } = require('../services/storageFactory');
+const { generateObjectKey, isOpaqueKey, isStorageKey } = require('../services/storageDriver');
+
+const prisma = new PrismaClient();
+
+/**
+ * One-shot migration: move stored objects whose keys embed a filename or a
+ * plaintext hash (e.g. `encrypted/<sha256>-photo.jpg`) to random keys.
+ * Safe to run more than once; objects already under opaque keys are skipped.
+ */
+async function main() {
+  console.log('🔑 Renaming storage objects to opaque keys...');
+
+  const storage = getStorageDriver();
+  await storage.initialize();
+
+  const files = await prisma.file.findMany({
+    select: {
+      storagePath: true,
+      coverPath: true,
+      uploadMode: true
+    }
+  });
+
+  // Copies share objects, so each key is moved once for every row using it
+  const legacyKeys = new Map();
+  for (const file of files) {
+    if (!isOpaqueKey(file.storagePath)) {
+      legacyKeys.set(file.storagePath, file.uploadMode === 'normal' ? 'normal' : 'encrypted');
+    }
+    if (isStorageKey(file.coverPath) && !isOpaqueKey(file.coverPath)) {
+      legacyKeys.set(file.coverPath, 'covers');
+    }
+  }
+
+  if (legacyKeys.size === 0) {
+    console.log('✅ No legacy storage keys found');
+    return;
+  }
+
+  let migrated = 0;
+
+  for (const [oldKey, prefix] of legacyKeys) {
+    try {
+      const metadata = await storage.getMetadata(oldKey);
+      const newKey = generateObjectKey(prefix);
+
+      await storage.upload(newKey, await storage.stream(oldKey), {
+        contentType: metadata.contentType,
+        cacheControl: prefix === 'covers' ? 'private, max-age=31536000' : 'private, no-cache'
+      });
+
+      await prisma.$transaction([
+        prisma.file.updateMany({
+          where: { storagePath: oldKey },
+          data: { storagePath: newKey }
+        }),
+        prisma.file.updateMany({
+          where: { coverPath: oldKey },
+          data: { coverPath: newKey }
+        })
+      ]);
+
+      // The old object is only dropped once no row points at it
+      await storage.delete(oldKey);
+      migrated++;
+    } catch (error) {
+      console.warn(`⚠️  Could not move ${oldKey}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Moved ${migrated} of ${legacyKeys.size} objects to opaque keys`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Storage key migration failed:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
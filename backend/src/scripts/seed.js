@@ -1,7 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
-const argon2 = require('argon2');
-const crypto = require('crypto');
+const cryptoService = require('../services/crypto');
 
 const prisma = new PrismaClient();
 
@@ -40,7 +39,7 @@ async function main() {
 
     // Create protected folder with password "folder123"
     const folderPassword = 'folder123';
-    const passwordHash = folderPassword;
+    const passwordHash = await cryptoService.hashPassword(folderPassword);
 
     const protectedFolder = await prisma.folder.upsert({
       where: { id: 'demo-protected-folder' },
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const COVER_WIDTH = 800;
+const COVER_HEIGHT = 600;
+
+const NOTE_WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'magna',
+  'aliqua', 'veniam', 'quis', 'nostrud', 'ullamco', 'laboris', 'nisi', 'aliquip',
+  'commodo', 'consequat', 'aute', 'irure', 'in', 'voluptate', 'velit', 'esse',
+  'cillum', 'fugiat', 'nulla', 'pariatur', 'excepteur', 'sint', 'occaecat'
+];
+
+/**
+ * Seeded PRNG (mulberry32). The same seed always yields the same sequence.
+ * @param {string} seed - Any string
+ * @returns {Object} { next, range, int, pick }
+ */
+const createRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+};
+
+/**
+ * Smooth 1D value noise sampled across a width, used for ridgelines
+ * @returns {number[]} One value in [0, 1] per sample
+ */
+const valueNoise = (rng, samples, octaves = 3) => {
+  const values = new Array(samples).fill(0);
+  let amplitude = 1;
+  let total = 0;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    const points = 3 * 2 ** octave + 1;
+    const controls = Array.from({ length: points + 1 }, () => rng.next());
+
+    for (let i = 0; i < samples; i++) {
+      const position = (i / (samples - 1)) * points;
+      const index = Math.min(Math.floor(position), points - 1);
+      const t = (1 - Math.cos((position - index) * Math.PI)) / 2;
+      values[i] += amplitude * (controls[index] * (1 - t) + controls[index + 1] * t);
+    }
+
+    total += amplitude;
+    amplitude /= 2;
+  }
+
+  return values.map(value => value / total);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const linearGradient = (id, rng, colors) => {
+  const angle = rng.range(0, Math.PI);
+  const x = round(50 + Math.cos(angle) * 50);
+  const y = round(50 + Math.sin(angle) * 50);
+  const stops = colors.map((color, i) =>
+    `<stop offset="${round((i / (colors.length - 1)) * 100)}%" stop-color="${color}"/>`
+  ).join('');
+  return `<linearGradient id="${id}" x1="${100 - x}%" y1="${100 - y}%" x2="${x}%" y2="${y}%">${stops}</linearGradient>`;
+};
+
+const glowOrbs = (rng, colors, count, width, height) => {
+  let defs = '';
+  let shapes = '';
+  for (let i = 0; i < count; i++) {
+    defs += `<radialGradient id="orb${i}"><stop offset="0%" stop-color="${rng.pick(colors)}" stop-opacity="${round(rng.range(0.35, 0.7))}"/><stop offset="100%" stop-color="${colors[0]}" stop-opacity="0"/></radialGradient>`;
+    shapes += `<circle cx="${round(rng.range(0, width))}" cy="${round(rng.range(0, height))}" r="${round(rng.range(width * 0.15, width * 0.45))}" fill="url(#orb${i})"/>`;
+  }
+  return { defs, shapes };
+};
+
+/**
+ * Layered ridgelines (mountains, hills or dunes) over a sky gradient
+ */
+const landscape = (rng, palette, width, height, { smooth = false } = {}) => {
+  const [skyTop, skyBottom, sun, ...ridgeColors] = palette;
+  const sunX = round(rng.range(width * 0.2, width * 0.8));
+  const sunY = round(rng.range(height * 0.15, height * 0.4));
+  let ridges = '';
+
+  ridgeColors.forEach((color, layer) => {
+    const samples = 41;
+    const noise = valueNoise(rng, samples, smooth ? 2 : 4);
+    const base = height * (0.45 + layer * (0.45 / ridgeColors.length));
+    const amplitude = height * (smooth ? 0.12 : 0.28) / (layer + 1);
+    const points = noise.map((value, i) =>
+      `${round((i / (samples - 1)) * width)},${round(base - value * amplitude)}`
+    );
+    ridges += `<polygon points="0,${height} ${points.join(' ')} ${width},${height}" fill="${color}"/>`;
+  });
+
+  return `<defs><linearGradient id="sky" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="${skyTop}"/><stop offset="100%" stop-color="${skyBottom}"/></linearGradient></defs>
+    <rect width="${width}" height="${height}" fill="url(#sky)"/>
+    <circle cx="${sunX}" cy="${sunY}" r="${round(rng.range(30, 70))}" fill="${sun}" opacity="0.85"/>
+    ${ridges}`;
+};
+
+/**
+ * Ruled paper card covered in handwritten-looking notes
+ */
+const notesCard = (rng, palette, width, height, { fontFamily, border = false }) => {
+  const [paper, ink, rule, accent] = palette;
+  const lineHeight = rng.int(30, 38);
+  const margin = rng.int(60, 90);
+  let lines = '';
+  let text = '';
+
+  for (let y = margin + lineHeight; y < height - 40; y += lineHeight) {
+    lines += `<line x1="30" y1="${y}" x2="${width - 30}" y2="${y}" stroke="${rule}" stroke-width="1" opacity="0.6"/>`;
+    if (rng.next() < 0.85) {
+      const fontSize = rng.int(18, 22);
+      const x = margin + 10 + rng.int(0, 20);
+      // Rough glyph width keeps lines inside the card
+      const maxChars = Math.floor((width - x - 50) / (fontSize * 0.55));
+      let line = rng.pick(NOTE_WORDS);
+      for (let count = rng.int(3, 8); count > 0; count--) {
+        const word = rng.pick(NOTE_WORDS);
+        if (line.length + word.length + 1 > maxChars) break;
+        line += ` ${word}`;
+      }
+      text += `<text x="${x}" y="${y - 7}" font-size="${fontSize}" font-style="${rng.next() < 0.5 ? 'italic' : 'normal'}">${line}</text>`;
+    }
+  }
+
+  const frame = border
+    ? `<rect x="18" y="18" width="${width - 36}" height="${height - 36}" fill="none" stroke="${accent}" stroke-width="6"/><rect x="30" y="30" width="${width - 60}" height="${height - 60}" fill="none" stroke="${accent}" stroke-width="1.5"/>`
+    : `<line x1="${margin}" y1="0" x2="${margin}" y2="${height}" stroke="${accent}" stroke-width="2" opacity="0.7"/>`;
+
+  const title = Array.from({ length: rng.int(1, 3) }, () => rng.pick(NOTE_WORDS)).join(' ');
+
+  return `<rect width="${width}" height="${height}" fill="${paper}"/>
+    ${lines}${frame}
+    <g fill="${ink}" font-family="${fontFamily}" opacity="0.85">
+      <text x="${margin + 10}" y="${margin}" font-size="32" font-weight="bold">${title}</text>
+      ${text}
+    </g>`;
+};
+
+// Renderers per aesthetic type; names match UploadModal.coverImageOptions
+const RENDERERS = {
+  grunge: {
+    palettes: [['#1c1b19', '#3a3631', '#6b5f4f', '#8c2f1b'], ['#202326', '#41464b', '#7a7f73', '#b5a642']],
+    grain: 0.55,
+    render: (rng, palette, width, height) => {
+      let scratches = '';
+      for (let i = 0; i < 40; i++) {
+        const x = rng.range(0, width);
+        const y = rng.range(0, height);
+        const length = rng.range(20, 160);
+        const angle = rng.range(0, Math.PI);
+        scratches += `<line x1="${round(x)}" y1="${round(y)}" x2="${round(x + Math.cos(angle) * length)}" y2="${round(y + Math.sin(angle) * length)}" stroke="${rng.pick(palette)}" stroke-width="${round(rng.range(0.5, 3))}" opacity="${round(rng.range(0.2, 0.6))}"/>`;
+      }
+      let blotches = '';
+      for (let i = 0; i < 12; i++) {
+        blotches += `<ellipse cx="${round(rng.range(0, width))}" cy="${round(rng.range(0, height))}" rx="${round(rng.range(30, 180))}" ry="${round(rng.range(20, 120))}" fill="${rng.pick(palette)}" opacity="${round(rng.range(0.15, 0.45))}"/>`;
+      }
+      return `<defs>${linearGradient('bg', rng, palette.slice(0, 3))}</defs>
+        <rect width="${width}" height="${height}" fill="url(#bg)"/>${blotches}${scratches}`;
+    }
+  },
+
+  cybercore: {
+    palettes: [['#0a0221', '#ff00c8', '#00f0ff', '#6b00ff'], ['#020b14', '#39ff14', '#00b3ff', '#ff2079']],
+    grain: 0.15,
+    render: (rng, palette, width, height) => {
+      const [background, ...neon] = palette;
+      const horizon = round(height * rng.range(0.45, 0.6));
+      const color = rng.pick(neon);
+      let grid = '';
+      for (let i = -12; i <= 12; i++) {
+        grid += `<line x1="${round(width / 2 + i * 12)}" y1="${horizon}" x2="${round(width / 2 + i * 110)}" y2="${height}" stroke="${color}" stroke-width="1.5" opacity="0.8"/>`;
+      }
+      for (let i = 1; i <= 10; i++) {
+        const y = round(horizon + (height - horizon) * (i / 10) ** 1.8);
+        grid += `<line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="${color}" stroke-width="1.5" opacity="0.8"/>`;
+      }
+      const orbs = glowOrbs(rng, [background, ...neon], 3, width, horizon);
+      const sun = rng.pick(neon);
+      return `<defs>${orbs.defs}</defs>
+        <rect width="${width}" height="${height}" fill="${background}"/>${orbs.shapes}
+        <circle cx="${width / 2}" cy="${horizon}" r="${round(rng.range(70, 130))}" fill="${sun}" opacity="0.55"/>
+        <rect y="${horizon}" width="${width}" height="${height - horizon}" fill="${background}"/>${grid}`;
+    }
+  },
+
+  'dark academia': {
+    palettes: [['#e8dcc4', '#3b2a1e', '#b9a684', '#7b2d26'], ['#d9cbb0', '#2b2118', '#a8957a', '#3d4f3a']],
+    grain: 0.3,
+    render: (rng, palette, width, height) => notesCard(rng, palette, width, height, { fontFamily: 'serif' })
+  },
+
+  'cottage core': {
+    palettes: [['#f6efe1', '#e8a6a1', '#a7c4a0', '#f3d27a', '#c9a3d4'], ['#fbf4ea', '#f4b6c2', '#b5d3a5', '#fff2a8', '#9ec7e0']],
+    grain: 0.1,
+    render: (rng, palette, width, height) => {
+      const [background, ...petals] = palette;
+      let flowers = '';
+      for (let i = 0; i < 70; i++) {
+        const x = round(rng.range(0, width));
+        const y = round(rng.range(0, height));
+        const size = rng.range(6, 18);
+        const color = rng.pick(petals);
+        for (let p = 0; p < 5; p++) {
+          const angle = (p / 5) * Math.PI * 2 + rng.range(0, 0.3);
+          flowers += `<circle cx="${round(x + Math.cos(angle) * size)}" cy="${round(y + Math.sin(angle) * size)}" r="${round(size * 0.7)}" fill="${color}" opacity="0.85"/>`;
+        }
+        flowers += `<circle cx="${x}" cy="${y}" r="${round(size * 0.45)}" fill="#f7e3a1"/>`;
+      }
+      return `<rect width="${width}" height="${height}" fill="${background}"/>${flowers}`;
+    }
+  },
+
+  'desert steampunk': {
+    palettes: [['#f2c38b', '#f7e1b5', '#fff4d6', '#d9924f', '#b86b35', '#7a4121'], ['#e8b07a', '#f5d7a8', '#fffaf0', '#c47c3e', '#9c5a2b', '#5e3418']],
+    grain: 0.3,
+    render: (rng, palette, width, height) => {
+      let gears = '';
+      for (let i = 0; i < rng.int(2, 4); i++) {
+        const cx = round(rng.range(0, width));
+        const cy = round(rng.range(0, height * 0.5));
+        const radius = rng.range(30, 80);
+        const teeth = rng.int(8, 14);
+        const points = [];
+        for (let t = 0; t < teeth * 2; t++) {
+          const angle = (t / (teeth * 2)) * Math.PI * 2;
+          const r = t % 2 === 0 ? radius : radius * 0.82;
+          points.push(`${round(cx + Math.cos(angle) * r)},${round(cy + Math.sin(angle) * r)}`);
+        }
+        gears += `<polygon points="${points.join(' ')}" fill="#5b3a1e" opacity="0.35"/><circle cx="${cx}" cy="${cy}" r="${round(radius * 0.3)}" fill="${palette[1]}" opacity="0.6"/>`;
+      }
+      return landscape(rng, palette, width, height, { smooth: true }) + gears;
+    }
+  },
+
+  goth: {
+    palettes: [['#050505', '#1a0b1f', '#3d0c2a', '#6e0f2f'], ['#0b0b0f', '#161625', '#2e1a47', '#4b1d3f']],
+    grain: 0.35,
+    render: (rng, palette, width, height) => {
+      const arches = rng.int(3, 5);
+      const archWidth = width / arches;
+      let shapes = '';
+      for (let i = 0; i < arches; i++) {
+        const x = i * archWidth + archWidth * 0.15;
+        const w = archWidth * 0.7;
+        const top = height * rng.range(0.2, 0.35);
+        shapes += `<path d="M${round(x)},${height} L${round(x)},${round(top + w / 2)} Q${round(x)},${round(top)} ${round(x + w / 2)},${round(top - w * 0.3)} Q${round(x + w)},${round(top)} ${round(x + w)},${round(top + w / 2)} L${round(x + w)},${height} Z" fill="${palette[0]}" opacity="0.75" stroke="${palette[3]}" stroke-width="2"/>`;
+      }
+      const orbs = glowOrbs(rng, palette, 2, width, height * 0.5);
+      return `<defs>${linearGradient('bg', rng, palette.slice(1))}${orbs.defs}</defs>
+        <rect width="${width}" height="${height}" fill="url(#bg)"/>${orbs.shapes}${shapes}`;
+    }
+  },
+
+  victorian: {
+    palettes: [['#4a0e1b', '#c9a45c', '#6d1a2b'], ['#1f3b2d', '#d4b26a', '#2c5240'], ['#2a1b3d', '#c7a86b', '#44295e']],
+    grain: 0.2,
+    render: (rng, palette, width, height) => {
+      const [background, gold, shade] = palette;
+      const size = rng.int(60, 90);
+      const motif = `<path d="M${size / 2},4 C${size * 0.75},${size * 0.3} ${size * 0.75},${size * 0.7} ${size / 2},${size - 4} C${size * 0.25},${size * 0.7} ${size * 0.25},${size * 0.3} ${size / 2},4 Z" fill="${gold}" opacity="0.55"/>
+        <circle cx="${size / 2}" cy="${size / 2}" r="${round(size * 0.08)}" fill="${background}"/>
+        <path d="M0,${size / 2} Q${size / 4},${size * 0.35} ${size / 2},${size / 2} Q${size * 0.75},${size * 0.65} ${size},${size / 2}" stroke="${gold}" fill="none" stroke-width="1.5" opacity="0.5"/>`;
+      return `<defs><pattern id="damask" width="${size}" height="${size}" patternUnits="userSpaceOnUse" patternTransform="rotate(${rng.pick([0, 45])})">
+          <rect width="${size}" height="${size}" fill="${shade}"/>${motif}</pattern>
+          <radialGradient id="vignette"><stop offset="55%" stop-color="${background}" stop-opacity="0"/><stop offset="100%" stop-color="${background}" stop-opacity="0.9"/></radialGradient></defs>
+        <rect width="${width}" height="${height}" fill="url(#damask)"/>
+        <rect width="${width}" height="${height}" fill="url(#vignette)"/>`;
+    }
+  },
+
+  medieval: {
+    palettes: [['#e3cfa1', '#3b2616', '#b89b68', '#7a1f1f'], ['#dcc593', '#2d1f12', '#a88a57', '#1f3d6b']],
+    grain: 0.4,
+    render: (rng, palette, width, height) => notesCard(rng, palette, width, height, { fontFamily: 'serif', border: true })
+  },
+
+  nature: {
+    palettes: [
+      ['#8ec5e8', '#dff1fa', '#fff6d5', '#7d9c8a', '#4f7a5a', '#2f5140', '#1c3328'],
+      ['#f7b267', '#fde4c3', '#fff1e0', '#9a8fa8', '#6b6382', '#463f5c', '#2a2538'],
+      ['#a1c4fd', '#e6f0ff', '#ffffff', '#9fb8ad', '#6e9887', '#3f6b5a', '#21413a']
+    ],
+    grain: 0.12,
+    render: (rng, palette, width, height) => landscape(rng, palette, width, height)
+  }
+};
+
+const COVER_TYPES = Object.keys(RENDERERS);
+
+/**
+ * Map a requested cover type onto a known renderer
+ * @param {string} coverType - Aesthetic type from the client
+ * @returns {string} Known cover type (defaults to nature)
+ */
+const normalizeCoverType = (coverType) => {
+  const type = String(coverType || '').trim().toLowerCase().replace(/[-_]+/g, ' ');
+  return RENDERERS[type] ? type : 'nature';
+};
+
+/**
+ * RGBA film grain to overlay on a cover
+ */
+const createGrain = (rng, width, height, strength) => {
+  const grain = Buffer.alloc(width * height * 4);
+  const alpha = Math.round(strength * 255);
+  for (let i = 0; i < grain.length; i += 4) {
+    const value = Math.floor(rng.next() * 256);
+    grain[i] = value;
+    grain[i + 1] = value;
+    grain[i + 2] = value;
+    grain[i + 3] = alpha;
+  }
+  return grain;
+};
+
+/**
+ * Render a procedural cover image. Covers never depend on the file they
+ * disguise; the same type and seed always produce the same image.
+ * @param {string} coverType - Aesthetic type
+ * @param {string} seed - Seed for the PRNG
+ * @param {Object} options - { width, height }
+ * @returns {Promise<Buffer>} JPEG image
+ */
+const renderCover = async (coverType, seed, options = {}) => {
+  const width = options.width || COVER_WIDTH;
+  const height = options.height || COVER_HEIGHT;
+  const type = normalizeCoverType(coverType);
+  const renderer = RENDERERS[type];
+  const rng = createRandom(`${type}:${seed}`);
+  const palette = rng.pick(renderer.palettes);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${renderer.render(rng, palette, width, height)}</svg>`;
+
+  return sharp(Buffer.from(svg))
+    .composite([{
+      input: createGrain(rng, width, height, renderer.grain),
+      raw: { width, height, channels: 4 },
+      blend: 'overlay'
+    }])
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer();
+};
+
+module.exports = {
+  COVER_TYPES,
+  createRandom,
+  normalizeCoverType,
+  renderCover
+};
@@ -1,4 +1,41 @@
-const unsplashService = require('./unsplashService');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const sharp = require('sharp');
+const coverEngine = require('./coverEngine');
+const { getStorageDriver } = require('./storageFactory');
+const { sniffMimeType, validateFileSignature } = require('./fileTypes');
+
+// Thumbnail widths the cover endpoint will render
+const COVER_WIDTHS = [200, 400, 800];
+// Limits for cover images fetched from a URL the uploader gave
+const MAX_IMPORTED_COVER_BYTES = 10 * 1024 * 1024;
+const COVER_FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_IMPORTED_COVER_WIDTH = 1600;
+
+// Addresses a cover URL may not point at, so uploads cannot probe the
+// server's own network (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const readLimited = async (body, limit) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new Error('Cover image is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
 
 class CoverGenerator {
   constructor() {
@@ -6,72 +43,131 @@ class CoverGenerator {
   }
 
   /**
-   * Generate cover using random Unsplash image based on aesthetic type
-   * No longer processes the original image for discretion
+   * Render a procedural cover for the given aesthetic type and store it.
+   * The original image is never looked at, so covers reveal nothing about it.
+   * @param {string} coverType - Aesthetic type (see coverEngine.COVER_TYPES)
+   * @param {string} seed - Optional seed; a random one is used by default
+   * @returns {Promise<Object>} { type: 'storage', data: storage path, seed }
+   */
+  async generateCover(coverType = 'nature', seed = crypto.randomBytes(16).toString('hex')) {
+    const image = await coverEngine.renderCover(coverType, seed);
+    const coverPath = await getStorageDriver().uploadCoverImage(image);
+
+    return {
+      type: 'storage',
+      data: coverPath,
+      seed
+    };
+  }
+
+  /**
+   * Fetch a cover image from an https URL and store it like a rendered one,
+   * so covers are never hot-linked. Redirects and private addresses are
+   * refused, and the image is re-encoded, which drops its metadata.
+   * @param {string} url - https URL given by the uploader
+   * @returns {Promise<Object>} { type: 'storage', data: storage path }
+   * @throws If the URL is not https, cannot be fetched or is not an image
    */
-  async generateCover(imageBuffer, fileHash, ownerId, coverType = 'nature') {
+  async importCover(url) {
+    let parsed;
     try {
-      // Get random image URL from Unsplash based on cover type
-      const coverImageUrl = await unsplashService.getRandomImageByType(coverType);
-      
-      // Return the Unsplash URL directly - no local processing needed
-      return {
-        type: 'url',
-        data: coverImageUrl
-      };
+      parsed = new URL(url);
     } catch (error) {
-      console.error('Cover generation failed:', error);
-      
-      // Fallback to a default nature image
-      const fallbackUrl = 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=400&h=300&fit=crop';
-      return {
-        type: 'url',
-        data: fallbackUrl
-      };
+      throw new Error('Invalid cover URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Cover URLs must use https');
+    }
+
+    const addresses = await dns.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address, family }) => privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw new Error('Cover URL points at a private address');
+    }
+
+    const response = await fetch(parsed, {
+      redirect: 'error',
+      signal: AbortSignal.timeout(COVER_FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok || !response.body) {
+      throw new Error('Could not fetch the cover image');
+    }
+
+    const buffer = await readLimited(response.body, MAX_IMPORTED_COVER_BYTES);
+    if (!(await this.validateImage(buffer))) {
+      throw new Error('Cover URL is not an image');
     }
+
+    const image = await sharp(buffer)
+      .rotate()
+      .resize({ width: MAX_IMPORTED_COVER_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+
+    return {
+      type: 'storage',
+      data: await getStorageDriver().uploadCoverImage(image)
+    };
   }
 
   /**
-   * Generate cover URL without processing original image
-   * For maximum discretion - no connection to original content
+   * Pick the thumbnail width to serve for a requested `?w=` value.
+   * Only a fixed set of widths is rendered so the endpoint cannot be used
+   * to make the server resize images to arbitrary sizes.
+   * @param {string|number} requested - Requested width, if any
+   * @returns {number|null} Allowed width, 0 for the original, null if invalid
    */
-  async generateDiscreetCover() {
-    try {
-      const coverImageUrl = await unsplashService.getRandomNatureImage();
-      return coverImageUrl;
-    } catch (error) {
-      console.error('Discreet cover generation failed:', error);
-      return 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=400&h=300&fit=crop';
+  resolveWidth(requested) {
+    if (requested === undefined || requested === '') {
+      return 0;
     }
+    const width = Number(requested);
+    return COVER_WIDTHS.includes(width) ? width : null;
   }
 
   /**
-   * Validate image buffer (simple check for image files)
+   * Strong ETag for a cover variant. Stored covers are never rewritten in
+   * place, so the key and width identify the bytes.
    */
-  async validateImage(buffer) {
-    if (!buffer || buffer.length === 0) {
-      return false;
+  getCoverEtag(coverPath, width = 0) {
+    const digest = crypto.createHash('sha256').update(`${coverPath}:${width}`).digest('base64url');
+    return `"${digest}"`;
+  }
+
+  /**
+   * Load a stored cover, resized to a thumbnail width if one is given
+   * @param {string} coverPath - Storage key of the cover
+   * @param {number} width - Thumbnail width, or 0 for the original
+   * @returns {Promise<Buffer>} JPEG bytes
+   */
+  async getCoverImage(coverPath, width = 0) {
+    const image = await getStorageDriver().download(coverPath);
+    if (!width) {
+      return image;
     }
-    
-    // Simple validation - check for common image file signatures
-    const imageSignatures = [
-      [0xFF, 0xD8, 0xFF], // JPEG
-      [0x89, 0x50, 0x4E, 0x47], // PNG
-      [0x47, 0x49, 0x46], // GIF
-      [0x42, 0x4D], // BMP
-      [0x52, 0x49, 0x46, 0x46] // WEBP (RIFF)
-    ];
-    
-    return imageSignatures.some(signature => 
-      signature.every((byte, index) => buffer[index] === byte)
-    );
+    return sharp(image)
+      .resize({ width, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  /**
+   * Validate image buffer by its magic bytes
+   */
+  async validateImage(buffer) {
+    const mimeType = sniffMimeType(buffer);
+    return Boolean(mimeType && mimeType.startsWith('image/'));
   }
 
   /**
-   * Legacy method for backward compatibility
+   * Validate that an uploaded file's magic bytes match its declared type
+   * @param {Buffer} buffer - File head
+   * @param {string} mimeType - Declared (normalized) MIME type
    */
-  async generatePatternCover(width = 400, height = 300, seed = 'default') {
-    return await this.generateDiscreetCover();
+  async validateFile(buffer, mimeType) {
+    if (mimeType.startsWith('image/')) {
+      return (await this.validateImage(buffer)) && validateFileSignature(buffer, mimeType);
+    }
+    return validateFileSignature(buffer, mimeType);
   }
 }
 
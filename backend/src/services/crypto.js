@@ -1,6 +1,35 @@
 const crypto = require('crypto');
+const fs = require('fs');
 const argon2 = require('argon2');
 
+// Chunked storage format (version 2), written by the browser; the server
+// only checks headers and sizes:
+//   header  [magic "DDSE" (4)] [version (1)] [chunk size, uint32 BE (4)] [nonce prefix (7)]
+//   segment [ciphertext (<= chunk size)] [auth tag (16)]
+// Segment nonces are [nonce prefix (7)] [segment index, uint32 BE (4)] [final flag (1)]
+// and every segment authenticates "DisguiseDrive-v2" plus the header, so
+// segments cannot be reordered, dropped or truncated without detection.
+// Blobs without the magic are legacy single-shot [IV (12)] [AuthTag (16)] [Encrypted Data].
+const CHUNKED_MAGIC = Buffer.from('DDSE', 'ascii');
+const CHUNKED_VERSION = 2;
+const CHUNKED_HEADER_LENGTH = 16;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const AUTH_TAG_LENGTH = 16;
+
+// Smallest size bucket recorded for envelope-sealed files
+const MIN_SIZE_BUCKET = 1024;
+
+// Vault keys are wrapped on the client as [IV (12)] [AuthTag (16)] [key (32)];
+// a file key with an extra per-image password wraps its 60-byte password blob
+const WRAPPED_KEY_LENGTH = 12 + AUTH_TAG_LENGTH + 32;
+const WRAPPED_BLOB_LENGTH = 12 + AUTH_TAG_LENGTH + WRAPPED_KEY_LENGTH;
+
+// Recovery wrap (ECIES over P-256, made on the client):
+//   [ephemeral public key, uncompressed (65)] [IV (12)] [AuthTag (16)] [file key (32)]
+const RECOVERY_PUBLIC_KEY_LENGTH = 65;
+const RECOVERY_WRAPPED_KEY_LENGTH = RECOVERY_PUBLIC_KEY_LENGTH + WRAPPED_KEY_LENGTH;
+
 /**
  * Crypto service for handling encryption/decryption operations
  */
@@ -14,6 +43,9 @@ class CryptoService {
       parallelism: parseInt(process.env.ARGON2_PARALLELISM) || 1,
       hashLength: 32 // 256 bits
     };
+
+    // Header length, for reading just enough of a stored blob
+    this.chunkedHeaderLength = CHUNKED_HEADER_LENGTH;
   }
 
   /**
@@ -175,6 +207,52 @@ class CryptoService {
     }
   }
 
+  /**
+   * Hash a password for storage using Argon2id
+   * @param {string} password - Password to hash
+   * @returns {Promise<string>} Encoded Argon2 hash (includes salt and parameters)
+   */
+  async hashPassword(password) {
+    return argon2.hash(password, this.argon2Config);
+  }
+
+  /**
+   * Verify a password against a stored Argon2 hash
+   * @param {string} passwordHash - Encoded Argon2 hash
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verifyPassword(passwordHash, password) {
+    try {
+      return await argon2.verify(passwordHash, password);
+    } catch (error) {
+      // Malformed hashes are treated as a mismatch
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a stored value is an Argon2 hash rather than legacy plaintext
+   * @param {string} value - Stored password value
+   * @returns {boolean} True for encoded Argon2 hashes
+   */
+  isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith('$argon2');
+  }
+
+  /**
+   * Compare two strings in constant time
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} True if equal
+   */
+  safeEqual(a, b) {
+    // Hash first so inputs of different lengths take the same time
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+  }
+
   /**
    * Calculate SHA-256 hash of data
    * @param {Buffer} data - Data to hash
@@ -194,59 +272,147 @@ class CryptoService {
   }
 
   /**
-   * Encrypt file data for storage
-   * @param {Buffer} fileData - Original file data
-   * @returns {Object} { encryptedData: Buffer, fileKey: Buffer, iv: Buffer, authTag: Buffer }
+   * Check whether a blob starts with the chunked format's magic bytes
+   * @param {Buffer} blob - Stored blob, or at least its first bytes
+   * @returns {boolean} True for chunked (version 2) blobs
    */
-  encryptFileForStorage(fileData) {
-    const fileKey = this.generateFileKey();
-    const { encryptedData, iv, authTag } = this.encryptData(fileData, fileKey);
-    
-    return {
-      encryptedData,
-      fileKey,
-      iv,
-      authTag
-    };
+  isChunkedBlob(blob) {
+    return blob.length >= CHUNKED_MAGIC.length &&
+      blob.subarray(0, CHUNKED_MAGIC.length).equals(CHUNKED_MAGIC);
   }
 
   /**
-   * Create storage blob with metadata for S3
-   * @param {Buffer} encryptedData - Encrypted file data
-   * @param {Buffer} iv - Initialization vector
-   * @param {Buffer} authTag - Authentication tag
-   * @returns {Buffer} Combined blob for storage
+   * Parse and validate a chunked-format header
+   * @param {Buffer} blob - Blob starting with the header
+   * @returns {Object} { header: Buffer, version: number, chunkSize: number }
    */
-  createStorageBlob(encryptedData, iv, authTag) {
-    // Format: [IV (12 bytes)] [AuthTag (16 bytes)] [Encrypted Data]
-    return Buffer.concat([iv, authTag, encryptedData]);
-    const metadataLengthBuffer = Buffer.allocUnsafe(4);
-    metadataLengthBuffer.writeUInt32BE(metadataBuffer.length, 0);
-    
-    // Combine: [metadata_length][metadata][iv][encrypted_data]
-    return Buffer.concat([
-      metadataLengthBuffer,
-      metadataBuffer,
-      iv,
-      encryptedData
-    ]);
+  parseChunkedHeader(blob) {
+    if (blob.length < CHUNKED_HEADER_LENGTH || !this.isChunkedBlob(blob)) {
+      throw new Error('Missing chunked encryption header');
+    }
+
+    const header = Buffer.from(blob.subarray(0, CHUNKED_HEADER_LENGTH));
+    const version = header.readUInt8(4);
+    const chunkSize = header.readUInt32BE(5);
+
+    if (version !== CHUNKED_VERSION) {
+      throw new Error(`Unsupported encryption format version: ${version}`);
+    }
+    if (chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`Invalid chunk size: ${chunkSize}`);
+    }
+
+    return { header, version, chunkSize };
   }
 
   /**
-   * Parse storage blob from S3
-   * @param {Buffer} storageBlob - Combined blob from storage
-   * @returns {Object} { encryptedData: Buffer, iv: Buffer, authTag: Buffer }
+   * Size of a chunked blob for a given plaintext size
+   * @param {number} plaintextSize - Plaintext bytes
+   * @param {number} chunkSize - Plaintext bytes per segment
+   * @returns {number} Ciphertext bytes including header and tags
    */
-  parseStorageBlob(storageBlob) {
-    const metadataLength = storageBlob.readUInt32BE(0);
-    const metadataBuffer = storageBlob.subarray(4, 4 + metadataLength);
-    const metadataJson = metadataBuffer.toString('utf8');
-    const metadata = JSON.parse(metadataJson);
-    
-    const iv = storageBlob.subarray(4 + metadataLength, 4 + metadataLength + metadata.ivLength);
-    const encryptedData = storageBlob.subarray(4 + metadataLength + metadata.ivLength);
-    
-    return { encryptedData, iv };
+  chunkedBlobSize(plaintextSize, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const segments = Math.max(1, Math.ceil(plaintextSize / chunkSize));
+    return CHUNKED_HEADER_LENGTH + plaintextSize + segments * AUTH_TAG_LENGTH;
+  }
+
+  /**
+   * Check the shape of a key wrapped by the client's vault. The server never
+   * sees the wrapping keys, so only the length can be checked.
+   * @param {string} value - Base64 wrapped key
+   * @param {Object} options - { allowPasswordLayer: accept a wrapped password blob }
+   * @returns {boolean} True if the length matches
+   */
+  isWrappedKey(value, { allowPasswordLayer = false } = {}) {
+    const length = Buffer.from(value, 'base64').length;
+    return length === WRAPPED_KEY_LENGTH || (allowPasswordLayer && length === WRAPPED_BLOB_LENGTH);
+  }
+
+  /**
+   * Check that a value is an uncompressed P-256 public key
+   * @param {string} value - Base64 raw public key
+   * @returns {boolean} True if it is a point on the curve
+   */
+  isRecoveryPublicKey(value) {
+    const raw = Buffer.from(value, 'base64');
+    if (raw.length !== RECOVERY_PUBLIC_KEY_LENGTH || raw[0] !== 0x04) {
+      return false;
+    }
+    try {
+      crypto.createPublicKey({
+        key: {
+          kty: 'EC',
+          crv: 'P-256',
+          x: raw.subarray(1, 33).toString('base64url'),
+          y: raw.subarray(33).toString('base64url')
+        },
+        format: 'jwk'
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check the shape of a file key wrapped to a recovery public key
+   * @param {string} value - Base64 recovery-wrapped key
+   * @returns {boolean} True if the length matches
+   */
+  isRecoveryWrappedKey(value) {
+    return Buffer.from(value, 'base64').length === RECOVERY_WRAPPED_KEY_LENGTH;
+  }
+
+  /**
+   * Size of the plaintext inside a chunked blob
+   * @param {number} blobSize - Ciphertext bytes including header and tags
+   * @param {number} chunkSize - Plaintext bytes per segment
+   * @returns {number|null} Plaintext bytes, or null if no plaintext has that blob size
+   */
+  chunkedPlaintextSize(blobSize, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const body = blobSize - CHUNKED_HEADER_LENGTH;
+    const segments = Math.max(1, Math.ceil(body / (chunkSize + AUTH_TAG_LENGTH)));
+    const plaintextSize = body - segments * AUTH_TAG_LENGTH;
+    if (plaintextSize < 0 || this.chunkedBlobSize(plaintextSize, chunkSize) !== blobSize) {
+      return null;
+    }
+    return plaintextSize;
+  }
+
+  /**
+   * Round a size up to its bucket (the next power of two), which is all
+   * the database records about the size of an envelope-sealed file
+   * @param {number} size - Exact size in bytes
+   * @returns {number} Padded size
+   */
+  getSizeBucket(size) {
+    let bucket = MIN_SIZE_BUCKET;
+    while (bucket < size) {
+      bucket *= 2;
+    }
+    return bucket;
+  }
+
+  /**
+   * Keyed HMAC-SHA256 of a file on disk, used to spot duplicate uploads.
+   * Keyed so a stored hash cannot be matched against known plaintexts by
+   * anyone without the server secret.
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<string|null>} Hex-encoded HMAC, or null when no secret
+   *   is configured (deduplication is then skipped)
+   */
+  async calculateContentHash(filePath) {
+    // JWT_SECRET is only required with AUTH_MODE=local
+    const secret = process.env.CONTENT_HASH_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      return null;
+    }
+
+    const hmac = crypto.createHmac('sha256', secret);
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hmac.update(chunk);
+    }
+    return hmac.digest('hex');
   }
 }
 
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const cryptoService = require('./crypto');
+
+const prisma = new PrismaClient();
+
+// Actions a user can have run whenever one of their duress passwords is used
+const DURESS_ACTIONS = ['revoke_folder_tokens'];
+
+const parseDuressActions = (value) => {
+  try {
+    const actions = JSON.parse(value || '[]');
+    return Array.isArray(actions) ? actions.filter(action => DURESS_ACTIONS.includes(action)) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Values the browser checks a failed per-image password against: a salt and
+ * SHA-256 of the PBKDF2 key it derives from the password with that salt
+ * @param {string} password - Duress password
+ * @returns {Promise<Object>} { duressSalt, duressKeyCheck }
+ */
+const createDuressCheck = async (password) => {
+  const salt = cryptoService.generateSalt();
+  const key = await cryptoService.deriveKeyFromPassword(password, salt);
+  try {
+    return {
+      duressSalt: salt.toString('base64'),
+      duressKeyCheck: crypto.createHash('sha256').update(key).digest('base64')
+    };
+  } finally {
+    key.fill(0);
+  }
+};
+
+/**
+ * Random stand-ins for users without a duress password, so the check values
+ * look the same whether or not one is set
+ */
+const createDuressFiller = () => ({
+  duressSalt: crypto.randomBytes(32).toString('base64'),
+  duressKeyCheck: crypto.randomBytes(32).toString('base64')
+});
+
+/**
+ * The duress check sent with every file's metadata. Users who never set a
+ * duress password get random values, created on first use and then kept.
+ * @param {string} userId - File owner
+ * @returns {Promise<Object>} { salt, keyCheck }
+ */
+const getDuressCheck = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { duressSalt: true, duressKeyCheck: true }
+  });
+
+  if (user?.duressSalt) {
+    return { salt: user.duressSalt, keyCheck: user.duressKeyCheck };
+  }
+
+  const filler = createDuressFiller();
+  await prisma.user.update({
+    where: { id: userId },
+    data: filler
+  });
+  return { salt: filler.duressSalt, keyCheck: filler.duressKeyCheck };
+};
+
+/**
+ * Whether a password is a duress password for a folder: the folder's own
+ * or the user's. Both are checked so the time taken does not say which.
+ * @param {string} userId - Folder owner
+ * @param {Object} folder - Folder row (duressPasswordHash is used)
+ * @param {string} password - Password that was entered
+ * @returns {Promise<boolean>} True if it is a duress password
+ */
+const isDuressPassword = async (userId, folder, password) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { duressPasswordHash: true }
+  });
+
+  const hashes = [folder.duressPasswordHash, user?.duressPasswordHash].filter(Boolean);
+  const matches = await Promise.all(hashes.map(hash => cryptoService.verifyPassword(hash, password)));
+  return matches.some(Boolean);
+};
+
+/**
+ * Record that a duress password was used and run the user's configured
+ * actions. Nothing about this shows in the response to the unlock.
+ * @param {Object} req - Request (user, IP and user agent are logged)
+ * @param {Object} details - Log metadata, such as the folder or file id
+ */
+const triggerDuress = async (req, details) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { duressActions: true }
+  });
+  const actions = parseDuressActions(user?.duressActions);
+
+  if (actions.includes('revoke_folder_tokens')) {
+    // Decoy tokens stay valid so the decoy view keeps working
+    await prisma.folderAccessToken.deleteMany({
+      where: {
+        userId: req.user.id,
+        decoy: false
+      }
+    });
+    // Hidden folders drop out of listings again
+    await prisma.folderRevealToken.deleteMany({
+      where: { userId: req.user.id }
+    });
+  }
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'duress_triggered',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ ...details, actions })
+    }
+  });
+};
+
+module.exports = {
+  DURESS_ACTIONS,
+  parseDuressActions,
+  createDuressCheck,
+  createDuressFiller,
+  getDuressCheck,
+  isDuressPassword,
+  triggerDuress
+};
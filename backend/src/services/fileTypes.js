@@ -0,0 +1,173 @@
+/**
+ * File type allow-list and magic-byte sniffing.
+ *
+ * Declared MIME types come from the browser and are only trusted once the
+ * file's leading bytes agree with them.
+ */
+
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/bmp',
+  'image/tiff',
+  'video/mp4',
+  'video/webm',
+  'video/quicktime',
+  'video/x-matroska',
+  'video/x-msvideo',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// Used when the browser reports no type (common for .md) or a generic one
+const EXTENSION_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+// Each signature is a list of { offset, bytes } that must all match
+const FILE_SIGNATURES = {
+  'image/jpeg': [[{ offset: 0, bytes: [0xFF, 0xD8, 0xFF] }]],
+  'image/png': [[{ offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47] }]],
+  'image/gif': [[{ offset: 0, bytes: ascii('GIF8') }]],
+  'image/bmp': [[{ offset: 0, bytes: ascii('BM') }]],
+  'image/webp': [[{ offset: 0, bytes: ascii('RIFF') }, { offset: 8, bytes: ascii('WEBP') }]],
+  'image/tiff': [
+    [{ offset: 0, bytes: [0x49, 0x49, 0x2A, 0x00] }],
+    [{ offset: 0, bytes: [0x4D, 0x4D, 0x00, 0x2A] }]
+  ],
+  'video/mp4': [[{ offset: 4, bytes: ascii('ftyp') }]],
+  'video/quicktime': [
+    [{ offset: 4, bytes: ascii('ftyp') }],
+    [{ offset: 4, bytes: ascii('moov') }],
+    [{ offset: 4, bytes: ascii('mdat') }],
+    [{ offset: 4, bytes: ascii('wide') }]
+  ],
+  'video/webm': [[{ offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] }]],
+  'video/x-matroska': [[{ offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] }]],
+  'video/x-msvideo': [[{ offset: 0, bytes: ascii('RIFF') }, { offset: 8, bytes: ascii('AVI ') }]],
+  'application/pdf': [[{ offset: 0, bytes: ascii('%PDF-') }]],
+  'application/msword': [[{ offset: 0, bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }]],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [
+    [{ offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }]
+  ]
+};
+
+// Enough bytes to cover every signature above and a text sample
+const SNIFF_LENGTH = 512;
+
+/**
+ * Allowed MIME types, from ALLOWED_MIME_TYPES (comma-separated, `type/*`
+ * wildcards allowed) or the defaults above
+ */
+const getAllowedMimeTypes = () => {
+  const configured = process.env.ALLOWED_MIME_TYPES;
+  if (!configured) {
+    return DEFAULT_ALLOWED_MIME_TYPES;
+  }
+  return configured.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Normalize a declared MIME type, falling back to the file extension
+ * @param {string} mimeType - Type reported by the client
+ * @param {string} fileName - Original file name
+ * @returns {string} Lower-case MIME type without parameters
+ */
+const normalizeMimeType = (mimeType, fileName = '') => {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  if (type && type !== 'application/octet-stream') {
+    return type;
+  }
+  const extension = fileName.includes('.') ? fileName.slice(fileName.lastIndexOf('.')).toLowerCase() : '';
+  return EXTENSION_MIME_TYPES[extension] || type || 'application/octet-stream';
+};
+
+const isAllowedMimeType = (mimeType) => {
+  return getAllowedMimeTypes().some((allowed) => {
+    if (allowed.endsWith('/*')) {
+      return mimeType.startsWith(allowed.slice(0, -1));
+    }
+    return mimeType === allowed;
+  });
+};
+
+const matchesSignature = (buffer, signature) => {
+  return signature.every(({ offset, bytes }) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte)
+  );
+};
+
+/**
+ * Identify a file from its leading bytes
+ * @param {Buffer} buffer - File head (SNIFF_LENGTH bytes is enough)
+ * @returns {string|null} First matching MIME type, or null
+ */
+const sniffMimeType = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+  for (const [mimeType, signatures] of Object.entries(FILE_SIGNATURES)) {
+    if (signatures.some(signature => matchesSignature(buffer, signature))) {
+      return mimeType;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that a file's leading bytes agree with its declared type.
+ * Text has no signature, so it only has to be free of NUL bytes; allowed
+ * types without a known signature are accepted as declared.
+ * @param {Buffer} buffer - File head
+ * @param {string} mimeType - Normalized declared type
+ * @returns {boolean} True if the content matches
+ */
+const validateFileSignature = (buffer, mimeType) => {
+  if (!buffer) {
+    return false;
+  }
+  if (mimeType.startsWith('text/')) {
+    return !buffer.includes(0x00);
+  }
+  const signatures = FILE_SIGNATURES[mimeType];
+  if (!signatures) {
+    return buffer.length > 0;
+  }
+  return signatures.some(signature => matchesSignature(buffer, signature));
+};
+
+module.exports = {
+  DEFAULT_ALLOWED_MIME_TYPES,
+  SNIFF_LENGTH,
+  getAllowedMimeTypes,
+  normalizeMimeType,
+  isAllowedMimeType,
+  sniffMimeType,
+  validateFileSignature
+};
@@ -0,0 +1,115 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Deepest nesting allowed; also bounds every walk up or down the tree
+const MAX_FOLDER_DEPTH = 32;
+
+const pathSelect = {
+  id: true,
+  name: true,
+  isProtected: true,
+  parentId: true,
+  ownerId: true,
+  wrappedFolderKey: true
+};
+
+/**
+ * Walk from a folder up to its root
+ * @param {string} folderId - Folder to start from
+ * @returns {Promise<Array>} Folders root-first, ending with the folder itself
+ */
+const getFolderPath = async (folderId) => {
+  const path = [];
+  let currentId = folderId;
+
+  while (currentId) {
+    if (path.length >= MAX_FOLDER_DEPTH) {
+      throw new Error('Folder tree is too deep');
+    }
+    const folder = await prisma.folder.findUnique({
+      where: { id: currentId },
+      select: pathSelect
+    });
+    if (!folder) {
+      break;
+    }
+    path.unshift(folder);
+    currentId = folder.parentId;
+  }
+
+  return path;
+};
+
+/**
+ * The folder whose password guards the last folder in a path: the nearest
+ * protected folder at or above it. A protected child has its own password,
+ * so a parent's access token does not open it.
+ * @param {Array} path - Folders root-first
+ * @returns {Object|null} Guarding folder, or null if nothing is protected
+ */
+const getProtectingFolder = (path) => {
+  for (let i = path.length - 1; i >= 0; i--) {
+    if (path[i].isProtected) {
+      return path[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Breadcrumbs for a folder path, each with the folder that guards it
+ */
+const toBreadcrumbs = (path) => {
+  let protectedFolderId = null;
+  return path.map((folder) => {
+    if (folder.isProtected) {
+      protectedFolderId = folder.id;
+    }
+    return {
+      id: folder.id,
+      name: folder.name,
+      isProtected: folder.isProtected,
+      protectedFolderId,
+      // Lets the client re-wrap vault file keys when moving files up the path
+      wrappedFolderKey: folder.wrappedFolderKey || null
+    };
+  });
+};
+
+/**
+ * Collect every folder below a folder
+ * @param {string} folderId - Root of the subtree
+ * @returns {Promise<Object>} { ids: descendant ids, depth: levels below the folder }
+ */
+const getDescendants = async (folderId) => {
+  const ids = [];
+  let frontier = [folderId];
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    const children = await prisma.folder.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true }
+    });
+    if (children.length === 0) {
+      break;
+    }
+    depth++;
+    if (depth > MAX_FOLDER_DEPTH) {
+      throw new Error('Folder tree is too deep');
+    }
+    frontier = children.map(child => child.id);
+    ids.push(...frontier);
+  }
+
+  return { ids, depth };
+};
+
+module.exports = {
+  MAX_FOLDER_DEPTH,
+  getFolderPath,
+  getProtectingFolder,
+  toBreadcrumbs,
+  getDescendants
+};
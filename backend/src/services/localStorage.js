@@ -1,81 +1,175 @@
-const fs = require('fs').promises;
+const fs = require('fs');
+const fsp = require('fs').promises;
 const path = require('path');
-const express = require('express');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { StorageDriver } = require('./storageDriver');
 
-class LocalStorageService {
-  constructor() {
-    this.uploadsDir = path.join(__dirname, '../../uploads');
-    this.encryptedDir = path.join(this.uploadsDir, 'encrypted');
-    this.coversDir = path.join(this.uploadsDir, 'covers');
+// The filesystem keeps no content type. Uploads record it in a sidecar file;
+// objects written without one fall back to the key's extension.
+const METADATA_SUFFIX = '.meta.json';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Local filesystem storage driver. Objects live under a root directory and
+ * are served by the /uploads route through HMAC-signed, expiring URLs.
+ */
+class LocalStorageService extends StorageDriver {
+  constructor(options = {}) {
+    super();
+    this.rootDir = path.resolve(
+      options.rootDir || process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads')
+    );
+    this.publicUrl = (options.publicUrl || process.env.PUBLIC_API_URL ||
+      `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+    this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET ||
+      process.env.JWT_SECRET || 'local-storage-dev-secret';
     this.initialized = false;
   }
 
   async initialize() {
     try {
-      await fs.mkdir(this.encryptedDir, { recursive: true });
-      await fs.mkdir(this.coversDir, { recursive: true });
+      await fsp.mkdir(this.rootDir, { recursive: true });
       this.initialized = true;
-      console.log('✅ Local storage initialized');
+      console.log(`✅ Local storage initialized at ${this.rootDir}`);
     } catch (error) {
       console.error('❌ Local storage initialization failed:', error);
       throw error;
     }
   }
 
-  async uploadEncryptedFile(data, fileName, contentType = 'application/octet-stream') {
-    const filePath = path.join(this.encryptedDir, `${Date.now()}-${fileName}`);
-    await fs.writeFile(filePath, data);
-    return path.relative(this.uploadsDir, filePath);
+  /**
+   * Resolve an object key to an absolute path inside the root directory
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, String(key));
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
   }
 
-  async uploadCoverImage(data, fileName) {
-    const filePath = path.join(this.coversDir, `${Date.now()}-${fileName}`);
-    await fs.writeFile(filePath, data);
-    return path.relative(this.uploadsDir, filePath);
+  async upload(key, data, options = {}) {
+    const filePath = this.resolvePath(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(data)) {
+      await fsp.writeFile(filePath, data);
+    } else {
+      await pipeline(data, fs.createWriteStream(filePath));
+    }
+
+    if (options.contentType) {
+      await fsp.writeFile(filePath + METADATA_SUFFIX, JSON.stringify({ contentType: options.contentType }));
+    }
+
+    return key;
+  }
+
+  async download(key) {
+    return await fsp.readFile(this.resolvePath(key));
   }
 
-  async getEncryptedFile(storagePath) {
-    const filePath = path.join(this.uploadsDir, storagePath);
-    return await fs.readFile(filePath);
+  async stream(key) {
+    const filePath = this.resolvePath(key);
+    // Surface a missing object as a rejected promise rather than a stream error
+    await fsp.access(filePath);
+    return fs.createReadStream(filePath);
   }
 
-  async getCoverImageUrl(coverPath) {
-    return `http://localhost:3001/uploads/${coverPath}`;
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    for (const target of [filePath, filePath + METADATA_SUFFIX]) {
+      try {
+        await fsp.unlink(target);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
   }
 
-  async deleteFile(storagePath) {
+  /**
+   * Content type recorded when the object was uploaded
+   * @param {string} filePath - Absolute object path
+   * @returns {Promise<string|null>} Content type, or null if none was recorded
+   */
+  async readContentType(filePath) {
     try {
-      const filePath = path.join(this.uploadsDir, storagePath);
-      await fs.unlink(filePath);
-    } catch (error) {
-      console.warn('File deletion failed:', error.message);
+      const metadata = JSON.parse(await fsp.readFile(filePath + METADATA_SUFFIX, 'utf8'));
+      return metadata.contentType || null;
+    } catch {
+      return null;
     }
   }
 
-  async fileExists(storagePath) {
+  async exists(key) {
     try {
-      const filePath = path.join(this.uploadsDir, storagePath);
-      await fs.access(filePath);
+      await fsp.access(this.resolvePath(key));
       return true;
     } catch {
       return false;
     }
   }
 
-  async getPresignedDownloadUrl(storagePath, expirySeconds = 300) {
-    // For local storage, just return the direct URL
-    return `http://localhost:3001/uploads/${storagePath}`;
+  /**
+   * Compute the signature for a key and expiry timestamp
+   * @param {string} key - Object key
+   * @param {number} expires - Expiry as Unix seconds
+   * @returns {string} Hex HMAC
+   */
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a signed URL's parameters
+   * @param {string} key - Object key
+   * @param {string|number} expires - Expiry as Unix seconds
+   * @param {string} signature - Hex HMAC from the URL
+   * @returns {boolean} True if the signature is valid and not expired
+   */
+  verifySignature(key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt), 'hex');
+    const provided = Buffer.from(signature, 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  async getSignedUrl(key, expirySeconds = 300) {
+    this.resolvePath(key);
+    const expires = Math.floor(Date.now() / 1000) + expirySeconds;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.publicUrl}/uploads/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
   }
 
-  async getFileMetadata(storagePath) {
+  async getMetadata(key) {
     try {
-      const filePath = path.join(this.uploadsDir, storagePath);
-      const stats = await fs.stat(filePath);
+      const filePath = this.resolvePath(key);
+      const stats = await fsp.stat(filePath);
       return {
         size: stats.size,
         lastModified: stats.mtime,
         etag: stats.mtime.getTime().toString(),
-        contentType: 'application/octet-stream'
+        contentType: await this.readContentType(filePath) ||
+          CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream'
       };
     } catch (error) {
       throw new Error(`Failed to get file metadata: ${error.message}`);
@@ -83,13 +177,4 @@ class LocalStorageService {
   }
 }
 
-const localStorageService = new LocalStorageService();
-
-const initializeStorage = async () => {
-  await localStorageService.initialize();
-};
-
-module.exports = {
-  storageService: localStorageService,
-  initializeStorage
-};
+module.exports = LocalStorageService;
@@ -0,0 +1,191 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Failed attempts before a lockout, unless the user chose their own
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_THRESHOLD_RANGE = { min: 3, max: 20 };
+// Wait after the first failure; it doubles with each failure after that
+const LOCKOUT_BASE_DELAY_MS = parseInt(process.env.LOCKOUT_BASE_DELAY_MS) || 1000;
+// First lockout at the threshold; it doubles with each failure past it, up to the maximum
+const LOCKOUT_DURATION_MS = parseInt(process.env.LOCKOUT_DURATION_MS) || 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_MAX_DURATION_MS = parseInt(process.env.LOCKOUT_MAX_DURATION_MS) || 24 * 60 * 60 * 1000; // 24 hours
+// Failures are forgotten this long after the latest one, or on a success
+const LOCKOUT_WINDOW_MS = parseInt(process.env.LOCKOUT_WINDOW_MS) || 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * How long to wait after the latest of a run of failures
+ * @param {number} failures - Failures since the last success
+ * @param {number} threshold - Failures that start a lockout
+ * @returns {number} Milliseconds
+ */
+const getDelayMs = (failures, threshold) => {
+  if (failures === 0) {
+    return 0;
+  }
+  if (failures < threshold) {
+    return Math.min(LOCKOUT_BASE_DELAY_MS * 2 ** (failures - 1), LOCKOUT_DURATION_MS);
+  }
+  return Math.min(LOCKOUT_DURATION_MS * 2 ** (failures - threshold), LOCKOUT_MAX_DURATION_MS);
+};
+
+/**
+ * A user's lockout settings, with the defaults filled in
+ * @param {string|null} userId - Account the attempts are against (null for unknown logins)
+ * @returns {Promise<Object>} { threshold, wipeTokens }
+ */
+const getLockoutSettings = async (userId) => {
+  const user = userId && await prisma.user.findUnique({
+    where: { id: userId },
+    select: { lockoutThreshold: true, lockoutWipeTokens: true }
+  });
+
+  return {
+    threshold: user?.lockoutThreshold || LOCKOUT_THRESHOLD,
+    wipeTokens: Boolean(user?.lockoutWipeTokens)
+  };
+};
+
+// How often a reservation is retried after losing a race for the counter
+const MAX_RESERVE_TRIES = 5;
+
+// Attempts are counted per account, target and IP address
+const counterKey = (req, { userId, action, target }) =>
+  JSON.stringify([action, userId || null, String(target), req.ip]);
+
+const deny = (failures, threshold, retryAt) => ({
+  ok: false,
+  status: 429,
+  error: failures >= threshold
+    ? 'Too many failed attempts; locked out for now'
+    : 'Too many failed attempts; wait before trying again',
+  retryAfter: Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1)
+});
+
+/**
+ * Reserve a password attempt before checking it. The attempt is counted as
+ * a failure up front, with a compare-and-swap on the counter row, so
+ * concurrent guesses cannot all get in before any of them is recorded.
+ * Follow up with handleFailedAttempt, clearAttempts or releaseAttempt.
+ * @param {Object} req - Request (its IP is part of the key)
+ * @param {Object} attempt - { userId, action, target }
+ * @returns {Promise<Object>} { ok: true, failures } or { ok: false, status, error, retryAfter }
+ */
+const checkLockout = async (req, attempt) => {
+  const key = counterKey(req, attempt);
+  const { threshold } = await getLockoutSettings(attempt.userId);
+
+  for (let tries = 0; tries < MAX_RESERVE_TRIES; tries++) {
+    const now = new Date();
+    const counter = await prisma.lockoutCounter.findUnique({ where: { key } });
+
+    if (!counter) {
+      try {
+        await prisma.lockoutCounter.create({
+          data: { key, userId: attempt.userId || null, failures: 1, lastFailureAt: now }
+        });
+        return { ok: true, failures: 1 };
+      } catch (error) {
+        // Another attempt created the row first
+        if (error.code === 'P2002') {
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    const lastFailureAt = counter.lastFailureAt.getTime();
+    const failures = lastFailureAt > now.getTime() - LOCKOUT_WINDOW_MS ? counter.failures : 0;
+    const retryAt = lastFailureAt + getDelayMs(failures, threshold);
+    if (retryAt > now.getTime()) {
+      return deny(failures, threshold, retryAt);
+    }
+
+    const { count } = await prisma.lockoutCounter.updateMany({
+      where: { key, version: counter.version },
+      data: { failures: failures + 1, version: { increment: 1 }, lastFailureAt: now }
+    });
+    if (count === 1) {
+      return { ok: true, failures: failures + 1 };
+    }
+  }
+
+  // Lost every race: other attempts on the same secret are in flight
+  return deny(0, threshold, Date.now() + LOCKOUT_BASE_DELAY_MS);
+};
+
+/**
+ * Call after logging a failed attempt; checkLockout already counted it.
+ * When that failure starts a lockout and the user opted in, every folder
+ * access and reveal token is revoked.
+ * @param {Object} req - Request (user, IP and user agent are logged)
+ * @param {Object} attempt - { userId, action, target }, as for checkLockout
+ * @param {Object} lockout - What checkLockout returned for this attempt
+ */
+const handleFailedAttempt = async (req, attempt, lockout) => {
+  if (!attempt.userId) {
+    return;
+  }
+
+  const { threshold, wipeTokens } = await getLockoutSettings(attempt.userId);
+  if (!wipeTokens || lockout.failures !== threshold) {
+    return;
+  }
+
+  const { count } = await prisma.folderAccessToken.deleteMany({
+    where: { userId: attempt.userId }
+  });
+  await prisma.folderRevealToken.deleteMany({
+    where: { userId: attempt.userId }
+  });
+
+  await prisma.securityLog.create({
+    data: {
+      userId: attempt.userId,
+      action: 'folder_tokens_revoked',
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify({ reason: 'lockout', lockedAction: attempt.action, target: attempt.target, revokedTokens: count })
+    }
+  });
+};
+
+/**
+ * Call after a successful attempt: earlier failures no longer count
+ * @param {Object} req - Request (its IP is part of the key)
+ * @param {Object} attempt - { userId, action, target }, as for checkLockout
+ */
+const clearAttempts = async (req, attempt) => {
+  await prisma.lockoutCounter.deleteMany({ where: { key: counterKey(req, attempt) } });
+};
+
+/**
+ * Give back a reservation that did not test the secret (a 2FA code still
+ * to come, say), leaving earlier failures counted
+ * @param {Object} req - Request (its IP is part of the key)
+ * @param {Object} attempt - { userId, action, target }, as for checkLockout
+ */
+const releaseAttempt = async (req, attempt) => {
+  await prisma.lockoutCounter.updateMany({
+    where: { key: counterKey(req, attempt), failures: { gt: 0 } },
+    data: { failures: { decrement: 1 }, version: { increment: 1 } }
+  });
+};
+
+const denyLockout = (res, result) => {
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter });
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_THRESHOLD_RANGE,
+  getDelayMs,
+  getLockoutSettings,
+  checkLockout,
+  handleFailedAttempt,
+  clearAttempts,
+  releaseAttempt,
+  denyLockout
+};
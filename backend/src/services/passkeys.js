@@ -0,0 +1,257 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { decodeClientDataJSON, isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// How long a ceremony may take between options and response
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Shape of a RegistrationResponseJSON or AuthenticationResponseJSON; the
+// WebAuthn checks themselves look at the rest
+const credentialResponseSchema = Joi.object({
+  id: Joi.string().max(1024).required(),
+  rawId: Joi.string().max(1024).required(),
+  type: Joi.string().valid('public-key').required(),
+  response: Joi.object({
+    clientDataJSON: Joi.string().max(4096).required()
+  }).unknown(true).required()
+}).unknown(true);
+
+/**
+ * Relying party the browser binds passkeys to. The name is shown in the
+ * system passkey dialog, so it defaults to the disguise's name.
+ * @returns {Object} { rpName, rpID, origins }
+ */
+const getRelyingParty = () => {
+  const origins = (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Photo Gallery',
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(origins[0]).hostname,
+    origins
+  };
+};
+
+const parseTransports = (value) => {
+  try {
+    const transports = JSON.parse(value || '[]');
+    return Array.isArray(transports) ? transports : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const storeChallenge = (userId, challenge, purpose) => prisma.passkeyChallenge.create({
+  data: {
+    userId,
+    challenge,
+    purpose,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  }
+});
+
+/**
+ * Use up the challenge a response was made for
+ * @returns {Promise<string|null>} The challenge, or null if it was not issued
+ *   to this user for this purpose, has expired or was already used
+ */
+const consumeChallenge = async (userId, response, purpose) => {
+  let challenge;
+  try {
+    challenge = decodeClientDataJSON(response.response.clientDataJSON).challenge;
+  } catch (error) {
+    return null;
+  }
+
+  // Deleting is the check, so a challenge cannot be answered twice even concurrently
+  const { count } = await prisma.passkeyChallenge.deleteMany({
+    where: { userId, challenge, purpose, expiresAt: { gt: new Date() } }
+  });
+  return count > 0 ? challenge : null;
+};
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {Object} user - { id, email }
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON
+ */
+const createRegistrationOptions = async (user) => {
+  const { rpName, rpID } = getRelyingParty();
+  const passkeys = await prisma.passkey.findMany({
+    where: { userId: user.id },
+    select: { credentialId: true, transports: true }
+  });
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userID: isoUint8Array.fromUTF8String(user.id),
+    userName: user.email || user.id,
+    attestationType: 'none',
+    // The same authenticator is not registered twice
+    excludeCredentials: passkeys.map(passkey => ({
+      id: passkey.credentialId,
+      transports: parseTransports(passkey.transports)
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'required'
+    }
+  });
+
+  await storeChallenge(user.id, options.challenge, 'registration');
+  return options;
+};
+
+/**
+ * Check a registration response and store the new passkey
+ * @param {string} userId - User registering it
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @param {Object} details - { name, prfSalt } (prfSalt only if PRF is enabled)
+ * @returns {Promise<Object|null>} Stored passkey, or null if the response is not valid
+ */
+const registerPasskey = async (userId, response, { name, prfSalt }) => {
+  const challenge = await consumeChallenge(userId, response, 'registration');
+  if (!challenge) {
+    return null;
+  }
+
+  const { rpID, origins } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: true
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!verification.verified) {
+    return null;
+  }
+
+  const { credential } = verification.registrationInfo;
+  return prisma.passkey.create({
+    data: {
+      userId,
+      credentialId: credential.id,
+      publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: JSON.stringify(credential.transports || []),
+      name,
+      prfSalt: prfSalt || null
+    }
+  });
+};
+
+/**
+ * Options for navigator.credentials.get(), with each passkey's PRF salt
+ * @param {string} userId - User signing the assertion
+ * @returns {Promise<Object|null>} { options, prfSalts } or null if the user has no passkeys
+ */
+const createAuthenticationOptions = async (userId) => {
+  const passkeys = await prisma.passkey.findMany({
+    where: { userId },
+    select: { credentialId: true, transports: true, prfSalt: true }
+  });
+
+  if (passkeys.length === 0) {
+    return null;
+  }
+
+  const { rpID } = getRelyingParty();
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: passkeys.map(passkey => ({
+      id: passkey.credentialId,
+      transports: parseTransports(passkey.transports)
+    })),
+    userVerification: 'required'
+  });
+
+  await storeChallenge(userId, options.challenge, 'authentication');
+
+  const prfSalts = {};
+  for (const passkey of passkeys) {
+    if (passkey.prfSalt) {
+      prfSalts[passkey.credentialId] = passkey.prfSalt;
+    }
+  }
+  return { options, prfSalts };
+};
+
+/**
+ * Check an assertion against one of the user's passkeys. Its counter and
+ * lastUsedAt are brought up to date.
+ * @param {string} userId - User the passkey must belong to
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @returns {Promise<Object|null>} The passkey, or null if the assertion is not valid
+ */
+const verifyPasskeyAssertion = async (userId, response) => {
+  const challenge = await consumeChallenge(userId, response, 'authentication');
+  if (!challenge) {
+    return null;
+  }
+
+  const passkey = await prisma.passkey.findFirst({
+    where: { userId, credentialId: String(response.id) }
+  });
+  if (!passkey) {
+    return null;
+  }
+
+  const { rpID, origins } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+        counter: passkey.counter,
+        transports: parseTransports(passkey.transports)
+      },
+      requireUserVerification: true
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!verification.verified) {
+    return null;
+  }
+
+  return prisma.passkey.update({
+    where: { id: passkey.id },
+    data: {
+      counter: verification.authenticationInfo.newCounter,
+      lastUsedAt: new Date()
+    }
+  });
+};
+
+module.exports = {
+  credentialResponseSchema,
+  getRelyingParty,
+  createRegistrationOptions,
+  registerPasskey,
+  createAuthenticationOptions,
+  verifyPasskeyAssertion
+};
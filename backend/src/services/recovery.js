@@ -0,0 +1,66 @@
+const { PrismaClient } = require('@prisma/client');
+const cryptoService = require('./crypto');
+const { checkLockout, handleFailedAttempt, clearAttempts, releaseAttempt, denyLockout } = require('./lockout');
+
+const prisma = new PrismaClient();
+
+/**
+ * Check a recovery proof against the user's stored verifier. Every attempt
+ * is written to the security log and goes through the lockout, like the
+ * other password checks.
+ * @param {Object} req - Request (user, IP and user agent are logged)
+ * @param {string} recoveryProof - Base64 proof derived from the recovery code
+ * @param {Object} details - Extra log metadata, such as the file or folder id
+ * @returns {Promise<Object>} { ok: true } or { ok: false, status, error, retryAfter? }
+ */
+const verifyRecoveryProof = async (req, recoveryProof, details = {}) => {
+  const lockoutAttempt = { userId: req.user.id, action: 'recovery_attempt', target: req.user.id };
+  const lockout = await checkLockout(req, lockoutAttempt);
+  if (!lockout.ok) {
+    return lockout;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { recoveryVerifier: true }
+  });
+
+  if (!user?.recoveryVerifier) {
+    await releaseAttempt(req, lockoutAttempt);
+    return { ok: false, status: 400, error: 'Recovery is not set up' };
+  }
+
+  const valid = await cryptoService.verifyPassword(user.recoveryVerifier, recoveryProof);
+
+  await prisma.securityLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'recovery_attempt',
+      target: req.user.id,
+      success: valid,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: JSON.stringify(details)
+    }
+  });
+
+  if (!valid) {
+    await handleFailedAttempt(req, lockoutAttempt, lockout);
+    return { ok: false, status: 401, error: 'Invalid recovery key' };
+  }
+
+  await clearAttempts(req, lockoutAttempt);
+  return { ok: true };
+};
+
+const denyRecovery = (res, result) => {
+  if (result.retryAfter) {
+    return denyLockout(res, result);
+  }
+  return res.status(result.status).json({ error: result.error });
+};
+
+module.exports = {
+  verifyRecoveryProof,
+  denyRecovery
+};
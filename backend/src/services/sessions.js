@@ -0,0 +1,175 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const cryptoService = require('./crypto');
+
+const prisma = new PrismaClient();
+
+// Access tokens are short-lived; the refresh token keeps a session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000; // 30 days
+// lastSeenAt is only written when it is at least this old
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * Short description of the device behind a user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} Such as "Firefox on Android"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1];
+  const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker))?.[1];
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  return browser || platform || 'Unknown device';
+};
+
+const hashSecret = (secret) => cryptoService.calculateHash(Buffer.from(secret));
+
+// Refresh tokens are "<session id>.<secret>", so an old one still names its session
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, ...rest] = String(refreshToken).split('.');
+  return sessionId && secret && rest.length === 0 ? { sessionId, secret } : null;
+};
+
+const issueTokens = (user, sessionId, secret) => ({
+  token: jwt.sign(
+    { userId: user.id, email: user.email, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  ),
+  refreshToken: `${sessionId}.${secret}`
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} req - Request (IP and user agent are recorded)
+ * @param {Object} user - { id, email }
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const createSession = async (req, user) => {
+  const secret = cryptoService.generateToken();
+  const userAgent = req.get('User-Agent') || null;
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashSecret(secret),
+      device: describeDevice(userAgent),
+      ipAddress: req.ip,
+      userAgent,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    }
+  });
+
+  return { ...issueTokens(user, session.id, secret), session };
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token. A refresh
+ * token that has already been swapped means it was copied, so the whole
+ * session is revoked.
+ * @param {Object} req - Request (IP and user agent are recorded and logged)
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} { ok: true, token, refreshToken } or { ok: false, error }
+ */
+const rotateRefreshToken = async (req, refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: { select: { id: true, email: true } } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { ok: false, error: 'Invalid refresh token' };
+  }
+
+  if (!cryptoService.safeEqual(hashSecret(parsed.secret), session.refreshTokenHash)) {
+    await revokeSessions({ id: session.id }, 'refresh_token_reuse');
+    await prisma.securityLog.create({
+      data: {
+        userId: session.userId,
+        action: 'refresh_token_reuse',
+        success: false,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        metadata: JSON.stringify({ sessionId: session.id })
+      }
+    });
+    return { ok: false, error: 'Invalid refresh token' };
+  }
+
+  const secret = cryptoService.generateToken();
+  // Only the holder of the current token can rotate it, even when two
+  // refreshes race
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      lastSeenAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    return { ok: false, error: 'Invalid refresh token' };
+  }
+
+  return { ok: true, ...issueTokens(session.user, session.id, secret) };
+};
+
+/**
+ * The session an access token belongs to, if it is still active. Its
+ * lastSeenAt is brought up to date along the way.
+ * @param {string} sessionId - sessionId claim of the access token
+ * @param {string} userId - userId claim of the access token
+ * @returns {Promise<Object|null>} Session, or null if revoked, expired or unknown
+ */
+const getActiveSession = async (sessionId, userId) => {
+  const session = await prisma.session.findFirst({
+    where: {
+      id: sessionId,
+      userId: userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    }
+  });
+
+  if (session && Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { lastSeenAt: new Date() }
+    });
+  }
+
+  return session;
+};
+
+/**
+ * Revoke the active sessions matching a filter
+ * @param {Object} where - Prisma filter, such as { userId } or { id }
+ * @param {string} reason - Stored as revokedReason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (where, reason) => {
+  const { count } = await prisma.session.updateMany({
+    where: { ...where, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateRefreshToken,
+  getActiveSession,
+  revokeSessions
+};
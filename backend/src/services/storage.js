@@ -1,11 +1,16 @@
 const { Client } = require('minio');
-const path = require('path');
+const { StorageDriver, streamToBuffer } = require('./storageDriver');
 
 /**
- * Storage service for handling S3/MinIO operations
+ * Storage driver for S3/MinIO
  */
-class StorageService {
-  constructor() {
+class StorageService extends StorageDriver {
+  /**
+   * @param {Object} options - { provider: 'minio' | 's3' }
+   */
+  constructor(options = {}) {
+    super();
+    this.provider = options.provider || 'minio';
     this.client = null;
     this.bucketName = process.env.MINIO_BUCKET_NAME || 'disguisedrive';
     this.initialized = false;
@@ -16,8 +21,8 @@ class StorageService {
    */
   async initialize() {
     try {
-      // Use MinIO for local development, AWS S3 for production
-      if (process.env.NODE_ENV === 'production' && process.env.AWS_REGION) {
+      // STORAGE_DRIVER=s3 targets AWS; otherwise talk to a MinIO endpoint
+      if (this.provider === 's3') {
         // AWS S3 configuration
         this.client = new Client({
           endPoint: 's3.amazonaws.com',
@@ -73,177 +78,68 @@ class StorageService {
   }
 
   /**
-   * Upload encrypted file blob to storage
-   * @param {Buffer} data - Encrypted file data
-   * @param {string} fileName - File name/path
-   * @param {string} contentType - MIME type
-   * @returns {Promise<string>} Storage path
+   * Fail fast when the client has not been set up yet
    */
-  async uploadEncryptedFile(data, fileName, contentType = 'application/octet-stream') {
+  ensureInitialized() {
     if (!this.initialized) {
       throw new Error('Storage service not initialized');
     }
-
-    try {
-      const storagePath = `encrypted/${Date.now()}-${fileName}`;
-      
-      await this.client.putObject(
-        this.bucketName,
-        storagePath,
-        data,
-        data.length,
-        {
-          'Content-Type': contentType,
-          'Cache-Control': 'private, no-cache',
-          'X-Amz-Server-Side-Encryption': 'AES256'
-        }
-      );
-
-      return storagePath;
-    } catch (error) {
-      console.error('Upload encrypted file error:', error);
-      throw new Error(`Failed to upload encrypted file: ${error.message}`);
-    }
   }
 
-  /**
-   * Upload cover image to storage (public)
-   * @param {Buffer} data - Cover image data
-   * @param {string} fileName - File name
-   * @returns {Promise<string>} Storage path
-   */
-  async uploadCoverImage(data, fileName) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
-    }
+  async upload(key, data, options = {}) {
+    this.ensureInitialized();
 
     try {
-      const storagePath = `covers/${Date.now()}-${fileName}`;
-      
       await this.client.putObject(
         this.bucketName,
-        storagePath,
+        key,
         data,
-        data.length,
+        Buffer.isBuffer(data) ? data.length : undefined,
         {
-          'Content-Type': 'image/jpeg',
-          'Cache-Control': 'public, max-age=31536000' // 1 year cache
+          'Content-Type': options.contentType || 'application/octet-stream',
+          'Cache-Control': options.cacheControl || 'private, no-cache',
+          'X-Amz-Server-Side-Encryption': 'AES256'
         }
       );
 
-      return storagePath;
+      return key;
     } catch (error) {
-      console.error('Upload cover image error:', error);
-      throw new Error(`Failed to upload cover image: ${error.message}`);
+      console.error('Upload file error:', error);
+      throw new Error(`Failed to upload file: ${error.message}`);
     }
   }
 
-  /**
-   * Get encrypted file from storage
-   * @param {string} storagePath - Path to encrypted file
-   * @returns {Promise<Buffer>} Encrypted file data
-   */
-  async getEncryptedFile(storagePath) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
-    }
-
-    try {
-      const stream = await this.client.getObject(this.bucketName, storagePath);
-      
-      // Convert stream to buffer
-      const chunks = [];
-      for await (const chunk of stream) {
-        chunks.push(chunk);
-      }
-      
-      return Buffer.concat(chunks);
-    } catch (error) {
-      console.error('Get encrypted file error:', error);
-      throw new Error(`Failed to get encrypted file: ${error.message}`);
-    }
+  async download(key) {
+    return streamToBuffer(await this.stream(key));
   }
 
-  /**
-   * Get public URL for cover image
-   * @param {string} coverPath - Path to cover image
-   * @returns {Promise<string>} Public URL
-   */
-  async getCoverImageUrl(coverPath) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
-    }
+  async stream(key) {
+    this.ensureInitialized();
 
     try {
-      // For MinIO in development, generate presigned URL
-      if (process.env.NODE_ENV !== 'production') {
-        const url = await this.client.presignedGetObject(this.bucketName, coverPath, 24 * 60 * 60); // 24 hours
-        return url;
-      }
-      
-      // For production S3, construct public URL
-      const region = process.env.AWS_REGION || 'us-east-1';
-      return `https://${this.bucketName}.s3.${region}.amazonaws.com/${coverPath}`;
+      return await this.client.getObject(this.bucketName, key);
     } catch (error) {
-      console.error('Get cover image URL error:', error);
-      throw new Error(`Failed to get cover image URL: ${error.message}`);
+      console.error('Get file error:', error);
+      throw new Error(`Failed to get file: ${error.message}`);
     }
   }
 
-  /**
-   * Delete file from storage
-   * @param {string} storagePath - Path to file
-   * @returns {Promise<void>}
-   */
-  async deleteFile(storagePath) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
-    }
+  async delete(key) {
+    this.ensureInitialized();
 
     try {
-      await this.client.removeObject(this.bucketName, storagePath);
+      await this.client.removeObject(this.bucketName, key);
     } catch (error) {
       console.error('Delete file error:', error);
       throw new Error(`Failed to delete file: ${error.message}`);
     }
   }
 
-  /**
-   * Generate a presigned URL for downloading encrypted file (short-lived)
-   * @param {string} storagePath - Path to encrypted file
-   * @param {number} expirySeconds - URL expiry in seconds (default: 300 = 5 minutes)
-   * @returns {Promise<string>} Presigned URL
-   */
-  async getPresignedDownloadUrl(storagePath, expirySeconds = 300) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
-    }
-
-    try {
-      const url = await this.client.presignedGetObject(
-        this.bucketName,
-        storagePath,
-        expirySeconds
-      );
-      return url;
-    } catch (error) {
-      console.error('Generate presigned URL error:', error);
-      throw new Error(`Failed to generate presigned URL: ${error.message}`);
-    }
-  }
-
-  /**
-   * Check if file exists in storage
-   * @param {string} storagePath - Path to file
-   * @returns {Promise<boolean>} True if file exists
-   */
-  async fileExists(storagePath) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
-    }
+  async exists(key) {
+    this.ensureInitialized();
 
     try {
-      await this.client.statObject(this.bucketName, storagePath);
+      await this.client.statObject(this.bucketName, key);
       return true;
     } catch (error) {
       if (error.code === 'NotFound') {
@@ -253,18 +149,22 @@ class StorageService {
     }
   }
 
-  /**
-   * Get file metadata
-   * @param {string} storagePath - Path to file
-   * @returns {Promise<Object>} File metadata
-   */
-  async getFileMetadata(storagePath) {
-    if (!this.initialized) {
-      throw new Error('Storage service not initialized');
+  async getSignedUrl(key, expirySeconds = 300) {
+    this.ensureInitialized();
+
+    try {
+      return await this.client.presignedGetObject(this.bucketName, key, expirySeconds);
+    } catch (error) {
+      console.error('Generate presigned URL error:', error);
+      throw new Error(`Failed to generate presigned URL: ${error.message}`);
     }
+  }
+
+  async getMetadata(key) {
+    this.ensureInitialized();
 
     try {
-      const stat = await this.client.statObject(this.bucketName, storagePath);
+      const stat = await this.client.statObject(this.bucketName, key);
       return {
         size: stat.size,
         lastModified: stat.lastModified,
@@ -278,17 +178,4 @@ class StorageService {
   }
 }
 
-// Create singleton instance
-const storageService = new StorageService();
-
-/**
- * Initialize storage service
- */
-const initializeStorage = async () => {
-  await storageService.initialize();
-};
-
-module.exports = {
-  storageService,
-  initializeStorage
-};
+module.exports = StorageService;
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+// Largest object an upload may store, plaintext or encrypted blob
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 1024 * 1024 * 1024; // 1GB
+
+// Random part of every object key the upload helpers create
+const OBJECT_KEY_PATTERN = /^(encrypted|normal|covers)\/[0-9a-f]{32}$/;
+
+/**
+ * Storage driver contract shared by every storage backend.
+ *
+ * Objects are addressed by a key (a relative, slash-separated path). Drivers
+ * implement the primitive operations below; the upload helpers at the end are
+ * built on top of them so routes never touch backend-specific APIs.
+ */
+class StorageDriver {
+  /**
+   * Prepare the backend (create buckets, directories, ...)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer|Readable} data - Object contents
+   * @param {Object} options - { contentType, cacheControl }
+   * @returns {Promise<string>} The key the object was stored under
+   */
+  async upload(key, data, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement upload()`);
+  }
+
+  /**
+   * Read a whole object into memory
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Object contents
+   */
+  async download(key) {
+    throw new Error(`${this.constructor.name} does not implement download()`);
+  }
+
+  /**
+   * Open a readable stream over an object
+   * @param {string} key - Object key
+   * @returns {Promise<Readable>} Object contents
+   */
+  async stream(key) {
+    throw new Error(`${this.constructor.name} does not implement stream()`);
+  }
+
+  /**
+   * Delete an object. Deleting a missing object is not an error.
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(key) {
+    throw new Error(`${this.constructor.name} does not implement exists()`);
+  }
+
+  /**
+   * Create a short-lived URL that grants read access to an object
+   * @param {string} key - Object key
+   * @param {number} expirySeconds - URL lifetime in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(key, expirySeconds = 300) {
+    throw new Error(`${this.constructor.name} does not implement getSignedUrl()`);
+  }
+
+  /**
+   * Get object metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} { size, lastModified, etag, contentType }
+   */
+  async getMetadata(key) {
+    throw new Error(`${this.constructor.name} does not implement getMetadata()`);
+  }
+
+  /**
+   * Upload an encrypted file blob
+   * @param {Buffer|Readable} data - Encrypted file data
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} Storage path
+   */
+  async uploadEncryptedFile(data, contentType = 'application/octet-stream') {
+    return this.upload(generateObjectKey('encrypted'), data, {
+      contentType,
+      cacheControl: 'private, no-cache'
+    });
+  }
+
+  /**
+   * Upload a normal (unencrypted) file
+   * @param {Buffer|Readable} data - File data
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} Storage path
+   */
+  async uploadFile(data, contentType = 'application/octet-stream') {
+    return this.upload(generateObjectKey('normal'), data, {
+      contentType,
+      cacheControl: 'private, no-cache'
+    });
+  }
+
+  /**
+   * Upload a cover image
+   * @param {Buffer|Readable} data - Cover image data
+   * @returns {Promise<string>} Storage path
+   */
+  async uploadCoverImage(data) {
+    return this.upload(generateObjectKey('covers'), data, {
+      contentType: 'image/jpeg',
+      cacheControl: 'private, max-age=31536000'
+    });
+  }
+}
+
+/**
+ * Create a random object key under a prefix. Keys carry nothing about the
+ * file (no name, no content hash); the original name lives only in the
+ * database.
+ * @param {string} prefix - Key prefix (encrypted, normal or covers)
+ * @returns {string} Object key
+ */
+const generateObjectKey = (prefix) => {
+  return `${prefix}/${crypto.randomBytes(16).toString('hex')}`;
+};
+
+/**
+ * Check whether a key was created by generateObjectKey
+ * @param {string} key - Object key
+ * @returns {boolean} True for opaque keys
+ */
+const isOpaqueKey = (key) => OBJECT_KEY_PATTERN.test(key);
+
+/**
+ * Collect a readable stream into a single buffer
+ * @param {Readable} stream - Stream to read
+ * @returns {Promise<Buffer>} Stream contents
+ */
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Check whether a stored path refers to an object in storage rather than an
+ * external URL (e.g. a cover image given as a link)
+ * @param {string} storagePath - Path stored on a file record
+ * @returns {boolean} True for storage keys
+ */
+const isStorageKey = (storagePath) => {
+  return typeof storagePath === 'string' &&
+    storagePath.length > 0 &&
+    !/^https?:\/\//i.test(storagePath);
+};
+
+module.exports = {
+  MAX_UPLOAD_SIZE,
+  StorageDriver,
+  generateObjectKey,
+  isOpaqueKey,
+  streamToBuffer,
+  isStorageKey
+};
@@ -0,0 +1,70 @@
+const LocalStorageService = require('./localStorage');
+
+const DRIVERS = ['local', 'minio', 's3', 'supabase'];
+
+let activeDriver = null;
+
+/**
+ * Name of the configured storage driver. Falls back to Supabase when it is
+ * configured and to the local filesystem otherwise, so the app runs offline.
+ * @returns {string} Driver name
+ */
+const getDriverName = () => {
+  const name = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (name) {
+    return name;
+  }
+  return process.env.SUPABASE_URL ? 'supabase' : 'local';
+};
+
+/**
+ * Create a storage driver by name
+ * @param {string} name - One of local, minio, s3, supabase
+ * @returns {StorageDriver} Driver instance
+ */
+const createStorageDriver = (name) => {
+  switch (name) {
+    case 'local':
+      return new LocalStorageService();
+    case 'minio':
+    case 's3': {
+      // Loaded lazily so optional SDKs are only required when selected
+      const StorageService = require('./storage');
+      return new StorageService({ provider: name });
+    }
+    case 'supabase': {
+      const SupabaseStorageService = require('./supabaseStorage');
+      return new SupabaseStorageService();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected one of: ${DRIVERS.join(', ')}`);
+  }
+};
+
+/**
+ * Get the shared storage driver for this process
+ * @returns {StorageDriver} Driver instance
+ */
+const getStorageDriver = () => {
+  if (!activeDriver) {
+    activeDriver = createStorageDriver(getDriverName());
+  }
+  return activeDriver;
+};
+
+/**
+ * Initialize the configured storage driver
+ */
+const initializeStorage = async () => {
+  const driver = getStorageDriver();
+  await driver.initialize();
+  console.log(`📦 Storage driver: ${getDriverName()}`);
+  return driver;
+};
+
+module.exports = {
+  DRIVERS,
+  createStorageDriver,
+  getStorageDriver,
+  initializeStorage
+};
@@ -0,0 +1,55 @@
+const { PrismaClient } = require('@prisma/client');
+const { getStorageDriver } = require('./storageFactory');
+const { isStorageKey } = require('./storageDriver');
+
+const prisma = new PrismaClient();
+
+/**
+ * Copies of a file share its stored blob and cover, so each stored object
+ * is reference counted by the file rows that point at it.
+ * @param {string} key - Storage key
+ * @returns {Promise<number>} Number of files still using the object
+ */
+const countReferences = (key) => {
+  return prisma.file.count({
+    where: {
+      OR: [
+        { storagePath: key },
+        { coverPath: key }
+      ]
+    }
+  });
+};
+
+/**
+ * Delete the stored objects of files whose rows have already been removed,
+ * keeping any object another file still references
+ * @param {Array} files - Deleted file rows (storagePath and coverPath are used)
+ */
+const releaseStoredObjects = async (files) => {
+  const keys = new Set();
+  for (const file of files) {
+    keys.add(file.storagePath);
+    // Covers given as external URLs are not stored
+    if (isStorageKey(file.coverPath)) {
+      keys.add(file.coverPath);
+    }
+  }
+
+  const storage = getStorageDriver();
+  for (const key of keys) {
+    try {
+      if (await countReferences(key) > 0) {
+        continue;
+      }
+      await storage.delete(key);
+    } catch (error) {
+      console.warn(`Failed to delete ${key} from storage:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  countReferences,
+  releaseStoredObjects
+};
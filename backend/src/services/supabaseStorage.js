@@ -1,7 +1,18 @@
+const { Readable } = require('stream');
 const { createClient } = require('@supabase/supabase-js');
+const { MAX_UPLOAD_SIZE, StorageDriver } = require('./storageDriver');
+const { getAllowedMimeTypes } = require('./fileTypes');
 
-class SupabaseStorageService {
+// Objects are streamed in ranges of this size, so a download never has to
+// fit in memory
+const STREAM_RANGE_SIZE = 8 * 1024 * 1024; // 8MB
+
+/**
+ * Storage driver backed by a private Supabase Storage bucket
+ */
+class SupabaseStorageService extends StorageDriver {
   constructor() {
+    super();
     this.supabaseUrl = process.env.SUPABASE_URL;
     this.supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
     this.bucketName = process.env.SUPABASE_BUCKET_NAME || 'disguisedrive-files';
@@ -40,11 +51,7 @@ class SupabaseStorageService {
         // Try to create bucket with a different approach
         console.log(`⚠️  Bucket '${this.bucketName}' not found. Attempting to create...`);
         
-        const { error: createError } = await this.supabase.storage.createBucket(this.bucketName, {
-          public: false,
-          allowedMimeTypes: ['application/octet-stream', 'image/*'],
-          fileSizeLimit: 50 * 1024 * 1024 // 50MB
-        });
+        const { error: createError } = await this.supabase.storage.createBucket(this.bucketName, this.getBucketOptions());
         
         if (createError) {
           console.log('❌ Auto-creation failed. Please create bucket manually:');
@@ -56,6 +63,11 @@ class SupabaseStorageService {
           console.log(`✅ Successfully created bucket: ${this.bucketName}`);
         }
       } else {
+        // Buckets made by older versions keep their old limits otherwise
+        const { error: updateError } = await this.supabase.storage.updateBucket(this.bucketName, this.getBucketOptions());
+        if (updateError) {
+          console.warn(`Could not update bucket '${this.bucketName}' limits:`, updateError.message);
+        }
         console.log(`✅ Supabase bucket '${this.bucketName}' exists and ready`);
       }
     } catch (error) {
@@ -64,49 +76,86 @@ class SupabaseStorageService {
   }
 
   /**
-   * Upload encrypted file to Supabase storage
-   * @param {Buffer} fileBuffer - The encrypted file buffer
-   * @param {string} fileName - The file name
-   * @param {string} contentType - The content type
-   * @returns {Promise<string>} The file path in storage
+   * Options the bucket is created or updated with
+   * @returns {Object} Supabase bucket options
    */
-  async uploadEncryptedFile(fileBuffer, fileName, contentType = 'application/octet-stream') {
-    try {
-      const filePath = `encrypted/${Date.now()}-${fileName}`;
-      
-      const { data, error } = await this.supabase.storage
-        .from(this.bucketName)
-        .upload(filePath, fileBuffer, {
-          contentType,
-          duplex: 'half'
-        });
+  getBucketOptions() {
+    return {
+      public: false,
+      // Encrypted blobs, JPEG covers and whatever the upload allow-list lets through
+      allowedMimeTypes: [...new Set(['application/octet-stream', 'image/jpeg', ...getAllowedMimeTypes()])],
+      fileSizeLimit: MAX_UPLOAD_SIZE
+    };
+  }
 
-      if (error) {
-        throw new Error(`Supabase upload failed: ${error.message}`);
+  /**
+   * Fetch one range of an object straight from the Storage API; the client
+   * library's download() reads the whole object first
+   * @param {string} key - Object key
+   * @param {number} start - First byte of the range
+   * @returns {Promise<Response>} 206 (or 200 without range support) response
+   */
+  async fetchRange(key, start) {
+    const response = await fetch(
+      `${this.supabaseUrl}/storage/v1/object/${this.bucketName}/${encodeURI(key)}`,
+      {
+        headers: {
+          apikey: this.supabaseKey,
+          Authorization: `Bearer ${this.supabaseKey}`,
+          Range: `bytes=${start}-${start + STREAM_RANGE_SIZE - 1}`
+        }
       }
+    );
 
-      return data.path;
-    } catch (error) {
-      console.error('Supabase upload error:', error);
-      throw error;
+    // An empty object has no first byte to start a range at
+    if (!response.ok && !(response.status === 416 && start === 0)) {
+      await response.body?.cancel();
+      throw new Error(`Supabase download failed: ${response.status} ${response.statusText}`);
     }
+
+    return response;
   }
 
   /**
-   * Upload normal file to Supabase storage (unencrypted)
-   * @param {Buffer} fileBuffer - The file buffer
-   * @param {string} fileName - The file name
-   * @param {string} contentType - The content type
-   * @returns {Promise<string>} The file path in storage
+   * Split a key into its folder and file name for list-based lookups
+   * @param {string} key - Object key
+   * @returns {Object} { folder, name }
    */
-  async uploadFile(fileBuffer, fileName, contentType = 'application/octet-stream') {
+  splitKey(key) {
+    const index = key.lastIndexOf('/');
+    return index === -1
+      ? { folder: '', name: key }
+      : { folder: key.slice(0, index), name: key.slice(index + 1) };
+  }
+
+  /**
+   * Find the storage listing entry for a key
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} Listing entry or null
+   */
+  async findObject(key) {
+    const { folder, name } = this.splitKey(key);
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .list(folder, { search: name });
+
+    if (error) {
+      throw new Error(`Supabase list failed: ${error.message}`);
+    }
+
+    return (data || []).find(entry => entry.name === name) || null;
+  }
+
+  async upload(key, data, options = {}) {
     try {
-      const filePath = `normal/${Date.now()}-${fileName}`;
-      
-      const { data, error } = await this.supabase.storage
+      // Streams are sent as the request body as they are read
+      const body = Buffer.isBuffer(data) ? data : Readable.toWeb(data);
+
+      const { data: result, error } = await this.supabase.storage
         .from(this.bucketName)
-        .upload(filePath, fileBuffer, {
-          contentType,
+        .upload(key, body, {
+          contentType: options.contentType || 'application/octet-stream',
+          cacheControl: options.cacheControl,
           duplex: 'half'
         });
 
@@ -114,23 +163,18 @@ class SupabaseStorageService {
         throw new Error(`Supabase upload failed: ${error.message}`);
       }
 
-      return data.path;
+      return result.path;
     } catch (error) {
       console.error('Supabase upload error:', error);
       throw error;
     }
   }
 
-  /**
-   * Download encrypted file from Supabase storage
-   * @param {string} filePath - The file path in storage
-   * @returns {Promise<Buffer>} The file buffer
-   */
-  async downloadEncryptedFile(filePath) {
+  async download(key) {
     try {
       const { data, error } = await this.supabase.storage
         .from(this.bucketName)
-        .download(filePath);
+        .download(key);
 
       if (error) {
         throw new Error(`Supabase download failed: ${error.message}`);
@@ -143,38 +187,50 @@ class SupabaseStorageService {
     }
   }
 
-  /**
-   * Delete file from Supabase storage
-   * @param {string} filePath - The file path in storage
-   * @returns {Promise<boolean>} Success status
-   */
-  async deleteFile(filePath) {
-    try {
-      const { error } = await this.supabase.storage
-        .from(this.bucketName)
-        .remove([filePath]);
+  async stream(key) {
+    // The first range is fetched here so a missing object fails right away
+    const first = await this.fetchRange(key, 0);
+    const contentRange = first.headers.get('content-range');
+    const total = first.status === 206 && contentRange ? Number(contentRange.split('/')[1]) : NaN;
 
-      if (error) {
-        throw new Error(`Supabase delete failed: ${error.message}`);
+    const readRanges = async function* (driver) {
+      let response = first;
+      let position = 0;
+      for (;;) {
+        for await (const chunk of response.body) {
+          position += chunk.length;
+          yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        }
+        // A 200 carried the whole object
+        if (!Number.isFinite(total) || position >= total) {
+          return;
+        }
+        response = await driver.fetchRange(key, position);
       }
+    };
 
-      return true;
-    } catch (error) {
-      console.error('Supabase delete error:', error);
-      return false;
+    return Readable.from(readRanges(this), { objectMode: false });
+  }
+
+  async delete(key) {
+    const { error } = await this.supabase.storage
+      .from(this.bucketName)
+      .remove([key]);
+
+    if (error) {
+      throw new Error(`Supabase delete failed: ${error.message}`);
     }
   }
 
-  /**
-   * Get file URL (for debugging, files are encrypted so not directly viewable)
-   * @param {string} filePath - The file path in storage
-   * @returns {Promise<string>} The signed URL
-   */
-  async getFileUrl(filePath) {
+  async exists(key) {
+    return (await this.findObject(key)) !== null;
+  }
+
+  async getSignedUrl(key, expirySeconds = 300) {
     try {
       const { data, error } = await this.supabase.storage
         .from(this.bucketName)
-        .createSignedUrl(filePath, 3600); // 1 hour expiry
+        .createSignedUrl(key, expirySeconds);
 
       if (error) {
         throw new Error(`Supabase URL generation failed: ${error.message}`);
@@ -186,6 +242,21 @@ class SupabaseStorageService {
       throw error;
     }
   }
+
+  async getMetadata(key) {
+    const entry = await this.findObject(key);
+    if (!entry) {
+      throw new Error(`Failed to get file metadata: ${key} not found`);
+    }
+
+    const metadata = entry.metadata || {};
+    return {
+      size: metadata.size,
+      lastModified: metadata.lastModified ? new Date(metadata.lastModified) : new Date(entry.updated_at),
+      etag: metadata.eTag,
+      contentType: metadata.mimetype
+    };
+  }
 }
 
 module.exports = SupabaseStorageService;
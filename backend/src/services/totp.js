@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const cryptoService = require('./crypto');
+
+const prisma = new PrismaClient();
+
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps either side of now that are still accepted, for clock drift
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = 'DisguiseDrive';
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits, as RFC 4226 recommends)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * RFC 4226 HOTP value for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * RFC 6238 TOTP code for a moment in time
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch (default: now)
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, timeStep(time));
+
+/**
+ * Find the time step a code belongs to, within the drift window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastStep - Step of the last accepted code; it and earlier steps are refused
+ * @returns {number|null} Matching step, or null
+ */
+const matchTotp = (secret, code, lastStep = null, time = Date.now()) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const current = timeStep(time);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if ((lastStep === null || step > lastStep) && cryptoService.safeEqual(generateHotp(secret, step), normalized)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Label shown in the app, such as the email
+ * @returns {string} URI
+ */
+const getOtpauthUrl = (secret, account) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashBackupCode = (code) => cryptoService.calculateHash(Buffer.from(normalizeBackupCode(code)));
+
+/**
+ * Generate a fresh set of single-use backup codes
+ * @returns {Object} { codes: shown to the user once, hashes: stored as JSON }
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(5)).toLowerCase();
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const parseBackupCodes = (value) => {
+  try {
+    const hashes = JSON.parse(value || '[]');
+    return Array.isArray(hashes) ? hashes : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Check a second-factor code for a user with two-factor enabled: a TOTP
+ * code, or one of their backup codes. Either is used up by a successful check.
+ * @param {Object} user - { id, totpSecret, totpLastStep, totpBackupCodes }
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<string|null>} 'totp' or 'backup_code' if accepted, null otherwise
+ */
+const verifyTwoFactorCode = async (user, code) => {
+  if (!user?.totpSecret || !code) {
+    return null;
+  }
+
+  const step = matchTotp(user.totpSecret, code, user.totpLastStep);
+  if (step !== null) {
+    // Conditional on the stored step, so a code cannot be used twice even concurrently
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }]
+      },
+      data: { totpLastStep: step }
+    });
+    return count > 0 ? 'totp' : null;
+  }
+
+  const hashes = parseBackupCodes(user.totpBackupCodes);
+  const hash = hashBackupCode(code);
+  if (!hashes.includes(hash)) {
+    return null;
+  }
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, totpBackupCodes: user.totpBackupCodes },
+    data: { totpBackupCodes: JSON.stringify(hashes.filter(stored => stored !== hash)) }
+  });
+  return count > 0 ? 'backup_code' : null;
+};
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  matchTotp,
+  getOtpauthUrl,
+  generateBackupCodes,
+  parseBackupCodes,
+  verifyTwoFactorCode
+};
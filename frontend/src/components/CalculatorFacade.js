@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? NaN : a / b)
+};
+
+const KEY_ROWS = [
+  ['C', '±', '%', '/'],
+  ['7', '8', '9', '*'],
+  ['4', '5', '6', '-'],
+  ['1', '2', '3', '+'],
+  ['0', '.', '=']
+];
+
+const KEY_LABELS = { '*': '×', '/': '÷', '-': '−' };
+
+// Keys that can be part of an unlock sequence, remembered only as far back
+// as the longest sequence
+const SEQUENCE_KEY = /^[0-9.+\-*/=]$/;
+const HISTORY_LENGTH = 32;
+
+const formatResult = (value) => {
+  if (!Number.isFinite(value)) {
+    return 'Error';
+  }
+  return String(Number(value.toPrecision(12)));
+};
+
+/**
+ * A working calculator. Pressing the keys of `sequence` in order (as
+ * typed, including operators and =) calls onUnlock.
+ */
+const CalculatorFacade = ({ sequence, onUnlock }) => {
+  const [display, setDisplay] = useState('0');
+  const [accumulator, setAccumulator] = useState(null);
+  const [operator, setOperator] = useState(null);
+  const [waitingForOperand, setWaitingForOperand] = useState(false);
+  const [history, setHistory] = useState('');
+
+  const clear = () => {
+    setDisplay('0');
+    setAccumulator(null);
+    setOperator(null);
+    setWaitingForOperand(false);
+  };
+
+  const calculate = () => {
+    const result = OPERATORS[operator](accumulator, parseFloat(display));
+    return formatResult(result);
+  };
+
+  const press = useCallback((key) => {
+    const nextHistory = SEQUENCE_KEY.test(key) ? (history + key).slice(-HISTORY_LENGTH) : history;
+    setHistory(nextHistory);
+    if (nextHistory.endsWith(sequence)) {
+      clear();
+      setHistory('');
+      onUnlock();
+      return;
+    }
+
+    if (/^[0-9]$/.test(key)) {
+      if (waitingForOperand || display === '0' || display === 'Error') {
+        setDisplay(key);
+      } else if (display.replace(/[-.]/g, '').length < 12) {
+        setDisplay(display + key);
+      }
+      setWaitingForOperand(false);
+    } else if (key === '.') {
+      if (waitingForOperand || display === 'Error') {
+        setDisplay('0.');
+      } else if (!display.includes('.')) {
+        setDisplay(display + '.');
+      }
+      setWaitingForOperand(false);
+    } else if (OPERATORS[key]) {
+      if (operator && !waitingForOperand) {
+        const result = calculate();
+        setDisplay(result);
+        setAccumulator(parseFloat(result));
+      } else {
+        setAccumulator(parseFloat(display));
+      }
+      setOperator(key);
+      setWaitingForOperand(true);
+    } else if (key === '=') {
+      if (operator) {
+        setDisplay(calculate());
+        setAccumulator(null);
+        setOperator(null);
+        setWaitingForOperand(true);
+      }
+    } else if (key === 'C') {
+      clear();
+    } else if (key === '±') {
+      setDisplay(formatResult(-parseFloat(display)));
+    } else if (key === '%') {
+      setDisplay(formatResult(parseFloat(display) / 100));
+    } else if (key === 'Backspace') {
+      setDisplay(display.length > 1 && !waitingForOperand ? display.slice(0, -1) : '0');
+    }
+  }, [history, sequence, onUnlock, display, accumulator, operator, waitingForOperand]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (SEQUENCE_KEY.test(e.key)) {
+        press(e.key);
+      } else if (e.key === 'Enter') {
+        press('=');
+      } else if (e.key === 'Escape') {
+        press('C');
+      } else if (e.key === 'Backspace') {
+        press('Backspace');
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [press]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4 no-select">
+      <div className="w-full max-w-xs">
+        <div className="text-right text-white text-5xl font-light px-2 py-6 truncate">
+          {display}
+        </div>
+        <div className="grid grid-cols-4 gap-3">
+          {KEY_ROWS.flat().map((key) => (
+            <button
+              key={key}
+              onClick={() => press(key)}
+              className={`h-16 rounded-full text-2xl font-medium transition-colors ${
+                key === '0' ? 'col-span-2' : ''
+              } ${
+                OPERATORS[key] || key === '='
+                  ? 'bg-amber-500 text-white hover:bg-amber-400'
+                  : ['C', '±', '%'].includes(key)
+                    ? 'bg-gray-400 text-gray-900 hover:bg-gray-300'
+                    : 'bg-gray-700 text-white hover:bg-gray-600'
+              }`}
+            >
+              {KEY_LABELS[key] || key}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalculatorFacade;
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import CalculatorFacade from './CalculatorFacade';
+import NotesFacade from './NotesFacade';
+import { loadFacadeSettings, getActiveFacade, isFacadeOpened, openFacade, createFacadeManifestUrl } from '../lib/facade';
+
+const FACADE_COMPONENTS = {
+  calculator: CalculatorFacade,
+  notes: NotesFacade
+};
+
+/**
+ * Shows the configured facade until its sequence is entered, then the app.
+ * The page title, favicon and manifest match the facade the whole time.
+ */
+const FacadeGate = ({ children }) => {
+  // null until the settings have been read from localStorage, so the real
+  // app never flashes up before the facade
+  const [gate, setGate] = useState(null);
+  const [manifestUrl, setManifestUrl] = useState(null);
+
+  useEffect(() => {
+    const settings = loadFacadeSettings();
+    const facade = getActiveFacade(settings);
+    setGate({ settings, facade, opened: !facade || isFacadeOpened() });
+  }, []);
+
+  useEffect(() => {
+    if (!gate?.facade) {
+      return undefined;
+    }
+    const url = createFacadeManifestUrl(gate.facade);
+    setManifestUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [gate?.facade]);
+
+  if (!gate) {
+    return null;
+  }
+
+  const { settings, facade, opened } = gate;
+  const FacadeComponent = facade && FACADE_COMPONENTS[settings.mode];
+
+  const handleUnlock = () => {
+    openFacade();
+    setGate(prev => ({ ...prev, opened: true }));
+  };
+
+  return (
+    <>
+      <Head>
+        <title>{facade ? facade.name : 'Photo Gallery'}</title>
+        {facade && <link rel="icon" href={facade.icon} />}
+        {facade && <meta name="theme-color" content={facade.themeColor} />}
+        {facade && manifestUrl && <link rel="manifest" href={manifestUrl} />}
+      </Head>
+      {opened ? children : <FacadeComponent sequence={settings.sequence} onUnlock={handleUnlock} />}
+    </>
+  );
+};
+
+export default FacadeGate;
@@ -0,0 +1,386 @@
+import { useState, useRef, useEffect } from 'react';
+import { DocumentIcon, ArrowDownTrayIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import cryptoService from '../lib/crypto';
+import { getPreviewKind } from '../lib/fileTypes';
+
+// Larger text files are cut off so the viewer stays responsive
+const MAX_TEXT_PREVIEW = 1024 * 1024;
+
+/**
+ * Load a preview source (decrypted Blob or signed URL) as a Blob
+ */
+const loadBlob = async (source) => {
+  if (typeof source !== 'string') {
+    return source;
+  }
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Failed to load file (${response.status})`);
+  }
+  return response.blob();
+};
+
+/**
+ * Object URL for a Blob source, revoked when the source changes
+ */
+const useObjectUrl = (source) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!source) {
+      setUrl(null);
+      return undefined;
+    }
+    if (typeof source === 'string') {
+      setUrl(source);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(source);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [source]);
+
+  return url;
+};
+
+const VideoPreview = ({ source, mimeType }) => {
+  const url = useObjectUrl(source);
+
+  if (!url) return null;
+
+  return (
+    <video
+      controls
+      playsInline
+      controlsList="nodownload"
+      className="max-w-full max-h-[70vh] mx-auto rounded-lg bg-black prevent-context-menu"
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <source src={url} type={mimeType} />
+      Your browser cannot play this video.
+    </video>
+  );
+};
+
+const PdfPreview = ({ source, watermarkText }) => {
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadingTask = null;
+
+    const load = async () => {
+      try {
+        // pdf.js is large, so it is only fetched when a PDF is opened
+        const pdfjs = await import('pdfjs-dist/build/pdf');
+        pdfjs.GlobalWorkerOptions.workerSrc = new URL(
+          'pdfjs-dist/build/pdf.worker.min.js',
+          import.meta.url
+        ).toString();
+
+        const blob = await loadBlob(source);
+        loadingTask = pdfjs.getDocument({ data: new Uint8Array(await blob.arrayBuffer()) });
+        const pdfDocument = await loadingTask.promise;
+        if (!cancelled) {
+          setPdf(pdfDocument);
+          setPageNumber(1);
+        }
+      } catch (loadError) {
+        console.error('Failed to load PDF:', loadError);
+        if (!cancelled) setError('This PDF could not be displayed');
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+      if (loadingTask) loadingTask.destroy();
+    };
+  }, [source]);
+
+  useEffect(() => {
+    if (!pdf || !canvasRef.current) return undefined;
+
+    let renderTask = null;
+    const render = async () => {
+      const page = await pdf.getPage(pageNumber);
+      const maxWidth = Math.min(800, window.innerWidth - 40);
+      const baseViewport = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: maxWidth / baseViewport.width });
+
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      const ctx = canvas.getContext('2d');
+      renderTask = page.render({ canvasContext: ctx, viewport });
+      await renderTask.promise;
+      cryptoService.drawWatermark(ctx, viewport.width, viewport.height, watermarkText);
+    };
+
+    render().catch((renderError) => {
+      if (renderError?.name !== 'RenderingCancelledException') {
+        console.error('Failed to render PDF page:', renderError);
+      }
+    });
+    return () => {
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pdf, pageNumber, watermarkText]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (!pdf) {
+    return <div className="loading-spinner mx-auto my-12" />;
+  }
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        className="secure-canvas prevent-context-menu no-select mx-auto"
+        style={{ maxWidth: '100%', maxHeight: '70vh' }}
+      />
+      <div className="flex items-center justify-center space-x-4 mt-3">
+        <button
+          onClick={() => setPageNumber(page => Math.max(1, page - 1))}
+          disabled={pageNumber <= 1}
+          className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+          title="Previous page"
+        >
+          <ChevronLeftIcon className="h-5 w-5" />
+        </button>
+        <span className="text-sm text-gray-600">
+          Page {pageNumber} of {pdf.numPages}
+        </span>
+        <button
+          onClick={() => setPageNumber(page => Math.min(pdf.numPages, page + 1))}
+          disabled={pageNumber >= pdf.numPages}
+          className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+          title="Next page"
+        >
+          <ChevronRightIcon className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Render inline markdown (code, bold, italic) as React elements.
+ * Links keep their text only, so no URL from the file is ever followed.
+ */
+const renderInline = (text) => {
+  const parts = [];
+  const pattern = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*]+\*|_[^_]+_|\[[^\]]+\]\([^)]*\))/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push(text.slice(lastIndex, match.index));
+    }
+    const token = match[0];
+    const key = parts.length;
+    if (token.startsWith('`')) {
+      parts.push(<code key={key} className="px-1 bg-gray-100 rounded text-sm">{token.slice(1, -1)}</code>);
+    } else if (token.startsWith('**')) {
+      parts.push(<strong key={key}>{token.slice(2, -2)}</strong>);
+    } else if (token.startsWith('[')) {
+      parts.push(<span key={key} className="underline">{token.slice(1, token.indexOf(']'))}</span>);
+    } else {
+      parts.push(<em key={key}>{token.slice(1, -1)}</em>);
+    }
+    lastIndex = match.index + token.length;
+  }
+  if (lastIndex < text.length) {
+    parts.push(text.slice(lastIndex));
+  }
+  return parts;
+};
+
+const HEADING_CLASSES = ['text-2xl', 'text-xl', 'text-lg', 'text-base', 'text-sm', 'text-sm'];
+
+/**
+ * Minimal markdown renderer: headings, lists, code fences, quotes and
+ * paragraphs, built as React elements rather than HTML
+ */
+const renderMarkdown = (markdown) => {
+  const blocks = [];
+  const lines = markdown.split(/\r?\n/);
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(<p key={blocks.length} className="mb-3">{renderInline(paragraph.join(' '))}</p>);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      const ListTag = list.ordered ? 'ol' : 'ul';
+      blocks.push(
+        <ListTag key={blocks.length} className={`mb-3 pl-6 ${list.ordered ? 'list-decimal' : 'list-disc'}`}>
+          {list.items.map((item, index) => <li key={index}>{renderInline(item)}</li>)}
+        </ListTag>
+      );
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('```')) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith('```')) {
+        code.push(lines[i]);
+      }
+      blocks.push(
+        <pre key={blocks.length} className="mb-3 p-3 bg-gray-100 rounded text-sm overflow-x-auto">
+          <code>{code.join('\n')}</code>
+        </pre>
+      );
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const listItem = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      const HeadingTag = `h${level}`;
+      blocks.push(
+        <HeadingTag key={blocks.length} className={`${HEADING_CLASSES[level - 1]} font-semibold mt-4 mb-2`}>
+          {renderInline(heading[2])}
+        </HeadingTag>
+      );
+    } else if (listItem) {
+      flushParagraph();
+      const ordered = /\d/.test(listItem[1]);
+      if (list && list.ordered !== ordered) flushList();
+      if (!list) list = { ordered, items: [] };
+      list.items.push(listItem[2]);
+    } else if (line.startsWith('>')) {
+      flushParagraph();
+      flushList();
+      blocks.push(
+        <blockquote key={blocks.length} className="mb-3 pl-3 border-l-4 border-gray-300 text-gray-600">
+          {renderInline(line.replace(/^>\s?/, ''))}
+        </blockquote>
+      );
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  flushList();
+  return blocks;
+};
+
+const TextPreview = ({ source, mimeType }) => {
+  const [text, setText] = useState(null);
+  const [truncated, setTruncated] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadBlob(source)
+      .then(async (blob) => {
+        const content = await blob.slice(0, MAX_TEXT_PREVIEW).text();
+        if (!cancelled) {
+          setText(content);
+          setTruncated(blob.size > MAX_TEXT_PREVIEW);
+        }
+      })
+      .catch((loadError) => {
+        console.error('Failed to load text:', loadError);
+        if (!cancelled) setError('This file could not be displayed');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (text === null) {
+    return <div className="loading-spinner mx-auto my-12" />;
+  }
+
+  return (
+    <div className="text-left max-h-[70vh] overflow-y-auto p-4 bg-white border border-gray-200 rounded-lg no-select">
+      {mimeType === 'text/markdown' ? (
+        <div className="text-gray-800 break-words">{renderMarkdown(text)}</div>
+      ) : (
+        <pre className="text-sm text-gray-800 whitespace-pre-wrap break-words font-mono">{text}</pre>
+      )}
+      {truncated && (
+        <p className="mt-3 text-xs text-gray-500">Preview truncated to the first 1 MB.</p>
+      )}
+    </div>
+  );
+};
+
+const NoPreviewCard = ({ source, mimeType, fileName }) => {
+  const url = useObjectUrl(source);
+
+  return (
+    <div className="max-w-sm mx-auto p-6 bg-gray-50 border border-gray-200 rounded-lg">
+      <DocumentIcon className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+      <p className="text-sm font-medium text-gray-900 truncate">{fileName}</p>
+      <p className="text-xs text-gray-500 mb-4">{mimeType || 'Unknown type'}</p>
+      <p className="text-sm text-gray-600 mb-4">No preview is available for this file type.</p>
+      {url && (
+        <a href={url} download={fileName} className="btn-secondary inline-flex items-center">
+          <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+          Download
+        </a>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Type-specific viewer for non-image files
+ * @param {Blob|string} source - Decrypted data, or a signed URL for normal uploads
+ * @param {string} mimeType - File MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} watermarkText - Watermark drawn on rendered pages
+ */
+const FilePreview = ({ source, mimeType, fileName, watermarkText }) => {
+  if (!source) return null;
+
+  switch (getPreviewKind(mimeType)) {
+    case 'video':
+      return <VideoPreview source={source} mimeType={mimeType} />;
+    case 'pdf':
+      return <PdfPreview source={source} watermarkText={watermarkText} />;
+    case 'text':
+      return <TextPreview source={source} mimeType={mimeType} />;
+    default:
+      return <NoPreviewCard source={source} mimeType={mimeType} fileName={fileName} />;
+  }
+};
+
+export default FilePreview;
@@ -1,11 +1,15 @@
 import { useState, useRef, useEffect } from 'react';
-import { XMarkIcon, LockClosedIcon, TrashIcon, EyeIcon, EyeSlashIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
-import { useBottomTap } from '../hooks/useTripleTap';
-import { filesAPI } from '../lib/api';
+import { XMarkIcon, LockClosedIcon, TrashIcon, EyeIcon, EyeSlashIcon, ChevronLeftIcon, ChevronRightIcon, PencilIcon, FolderArrowDownIcon, DocumentDuplicateIcon, KeyIcon, FingerPrintIcon } from '@heroicons/react/24/outline';
+import { useUnlockGesture } from '../hooks/useUnlockGesture';
+import { filesAPI, vaultAPI, getLockoutMessage } from '../lib/api';
+import { onPanic } from '../lib/panic';
 import cryptoService from '../lib/crypto';
+import { getPreviewKind } from '../lib/fileTypes';
+import { describeFile, decoyFileMetadata } from '../lib/fileMetadata';
+import FilePreview from './FilePreview';
 import toast from 'react-hot-toast';
 
-const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files, currentIndex, onNavigate }) => {
+const ImageViewer = ({ file, isOpen, onClose, folderToken, folderKey, user, onDelete, files, currentIndex, onNavigate, onRename, onMove, onCopy, metadata, onMetadataOpened, onKeysRecovered, unlockGesture, onUnlockVault }) => {
   const [isUnlocked, setIsUnlocked] = useState(false);
   const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
   const [password, setPassword] = useState('');
@@ -15,18 +19,42 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
   const [decryptedData, setDecryptedData] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
   const [normalImageUrl, setNormalImageUrl] = useState(null);
+  const [passwordChange, setPasswordChange] = useState(null);
+  const [recovery, setRecovery] = useState(null);
   
   const canvasRef = useRef(null);
   const modalRef = useRef(null);
+  // Kept while a sealed file is unlocked so its envelope can be resealed on rename
+  const fileKeyRef = useRef(null);
 
-  // Bottom tap detection for unlock (only for secure files)
-  const bottomTapHandlers = useBottomTap(() => {
-    console.log('Bottom tap detected!', { uploadMode: file?.uploadMode, isUnlocked });
+  const info = describeFile(file, metadata);
+  const isImage = getPreviewKind(info.mimeType) === 'image';
+  const watermarkText = `${user?.username} • ${new Date().toLocaleString()}`;
+  // Vault files open with the folder key alone unless they have their own password too
+  const isVaultFile = Boolean(file?.wrappedKey);
+  const needsPassword = !isVaultFile || cryptoService.hasPasswordLayer(file.wrappedKey);
+  // Vault files need the vault first; onUnlockVault (a passkey) can open it from here
+  const vaultLocked = isVaultFile && !folderKey;
+
+  const requestUnlock = () => {
     if (file?.uploadMode === 'secure' && !isUnlocked) {
-      console.log('Showing password prompt');
-      setShowPasswordPrompt(true);
+      if (vaultLocked && onUnlockVault) {
+        setShowPasswordPrompt(true);
+      } else if (vaultLocked) {
+        toast.error('Unlock the vault to open this file');
+      } else if (needsPassword) {
+        setShowPasswordPrompt(true);
+      } else {
+        unlockFile(null);
+      }
     }
-  });
+  };
+
+  // The user's unlock gesture on the cover (only for secure files)
+  const gestureHandlers = useUnlockGesture(unlockGesture, requestUnlock);
+
+  // Wipe the decrypted file and its key the moment panic starts
+  useEffect(() => onPanic(resetState), []);
 
   // Reset state when file changes or modal closes
   useEffect(() => {
@@ -35,14 +63,32 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
     } else {
       console.log('ImageViewer opened with file:', { 
         uploadMode: file?.uploadMode, 
-        originalName: file?.originalName 
+        sealed: info.isSealed
       });
       if (file?.uploadMode === 'normal') {
         // For normal files, load the image directly
         loadNormalImage();
+      } else if (isVaultFile && folderKey && !needsPassword) {
+        unlockFile(null);
       }
     }
-  }, [isOpen, file]);
+  }, [isOpen, file?.id]);
+
+  // Once a passkey has unlocked the vault, open the file if the folder key is all it needs
+  useEffect(() => {
+    if (folderKey && showPasswordPrompt && isVaultFile && !needsPassword) {
+      unlockFile(null);
+    }
+  }, [folderKey]);
+
+  const unlockVaultWithPasskey = async () => {
+    setLoading(true);
+    try {
+      await onUnlockVault();
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const loadNormalImage = async () => {
     if (!file || file.uploadMode !== 'normal') return;
@@ -53,14 +99,22 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
       setNormalImageUrl(response.data.url);
       setIsUnlocked(true); // Mark as "unlocked" for normal files
     } catch (error) {
-      console.error('Error loading normal image:', error);
-      toast.error('Failed to load image');
+      console.error('Error loading normal file:', error);
+      toast.error('Failed to load file');
     } finally {
       setLoading(false);
     }
   };
 
+  const forgetFileKey = () => {
+    if (fileKeyRef.current) {
+      fileKeyRef.current.fill(0);
+      fileKeyRef.current = null;
+    }
+  };
+
   const resetState = () => {
+    forgetFileKey();
     setIsUnlocked(false);
     setShowPasswordPrompt(false);
     setPassword('');
@@ -69,69 +123,272 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
     setDecryptedData(null);
     setShowPassword(false);
     setNormalImageUrl(null);
+    setPasswordChange(null);
+    setRecovery(null);
     if (canvasRef.current) {
       cryptoService.clearCanvas(canvasRef.current);
     }
   };
 
-  const handleUnlock = async () => {
+  // Unwrapping happens on this device, so tell the server for its audit log
+  // and lockout. A locked-out report (429) throws, so nothing is shown.
+  const reportUnlockAttempt = async (attempt) => {
+    try {
+      await filesAPI.reportUnlockAttempt(file.id, attempt, folderToken);
+    } catch (error) {
+      if (getLockoutMessage(error)) {
+        throw error;
+      }
+      console.warn('Failed to report unlock attempt:', error);
+    }
+  };
+
+  const handleUnlock = () => {
     if (!password.trim()) {
       toast.error('Please enter the image password');
       return;
     }
+    unlockFile(password);
+  };
+
+  // Unwrap the file key on this device: with the vault folder key (plus
+  // the password for files that have one) or with the password alone
+  const unwrapFileKey = ({ encryptedKeyBlob, wrappedKey, salt }, filePassword) => {
+    if (wrappedKey) {
+      if (!folderKey) {
+        throw new Error('Unlock the vault to open this file');
+      }
+      return cryptoService.unwrapVaultFileKey(wrappedKey, folderKey, filePassword, salt);
+    }
+    return cryptoService.decryptFileKey(encryptedKeyBlob, filePassword, salt);
+  };
+
+  // The duress password opens the cover picture as if it were the file.
+  // Files that could not pass for a photo fail like a wrong password.
+  const showDecoy = async () => {
+    if (!info.isSealed && !isImage) {
+      await reportUnlockAttempt({ success: false, reason: 'invalid_password', duress: true });
+      throw new Error('Invalid password');
+    }
+
+    const response = await fetch(filesAPI.getCoverUrl(file.coverToken));
+    if (!response.ok) {
+      throw new Error('Failed to load file');
+    }
+    const decoyImage = new Blob([await response.blob()], { type: 'image/jpeg' });
+
+    await reportUnlockAttempt({ success: true, duress: true });
+    if (info.isSealed) {
+      onMetadataOpened?.(file.id, decoyFileMetadata(file, decoyImage));
+    }
+    setDecryptedData(decoyImage);
+    setIsUnlocked(true);
+    setShowPasswordPrompt(false);
+    setPassword('');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    if (canvasRef.current) {
+      await cryptoService.renderToCanvas(decoyImage, 'image/jpeg', canvasRef.current, watermarkText);
+    }
+    toast.success('Image unlocked successfully');
+  };
 
+  const unlockFile = async (filePassword) => {
     setLoading(true);
     
     try {
-      // Step 1: Decrypt file key with password
-      const keyResponse = await filesAPI.decryptKey(file.id, password, folderToken);
-      const fileKeyBase64 = keyResponse.data.fileKey;
-      const fileKey = cryptoService.base64ToUint8Array(fileKeyBase64);
-
-      // Step 2: Get encrypted file blob
-      const encryptedBlob = await filesAPI.getEncrypted(file.id, folderToken);
-      const encryptedData = new Uint8Array(encryptedBlob);
-
-      // Step 3: Decrypt file data
-      const decryptedDataBuffer = await cryptoService.decryptFileData(encryptedData, fileKey);
-      setDecryptedData(decryptedDataBuffer);
-      
-      console.log('Decrypted data:', {
-        size: decryptedDataBuffer.length,
-        mimeType: file.mimeType,
-        firstBytes: Array.from(decryptedDataBuffer.slice(0, 10))
-      });
+      // Step 1: Fetch the wrapped key and unwrap it locally
+      const metaResponse = await filesAPI.getMeta(file.id, folderToken);
+
+      let fileKey;
+      try {
+        fileKey = await unwrapFileKey(metaResponse.data.file, filePassword);
+      } catch (error) {
+        if (filePassword && await cryptoService.isDuressPassword(filePassword, metaResponse.data.file.duress)) {
+          await showDecoy();
+          return;
+        }
+        await reportUnlockAttempt({ success: false, reason: 'invalid_password' });
+        throw error;
+      }
 
-      // Step 4: Set unlocked state first, then render to canvas
+      // Step 2 & 3: Open the metadata envelope, then stream the encrypted
+      // blob and decrypt it as it arrives
+      let decryptedBlob;
+      let fileMetadata = null;
+      try {
+        const { encryptedMetadata } = metaResponse.data.file;
+        try {
+          if (encryptedMetadata) {
+            fileMetadata = await cryptoService.openMetadata(encryptedMetadata, fileKey);
+          }
+          const encryptedStream = await filesAPI.streamEncrypted(file.id, folderToken);
+          decryptedBlob = await cryptoService.decryptStreamToBlob(
+            encryptedStream,
+            fileKey,
+            fileMetadata ? fileMetadata.mimeType : file.mimeType
+          );
+        } catch (error) {
+          await reportUnlockAttempt({ success: false, reason: 'decryption_failed' });
+          throw error;
+        }
+        if (fileMetadata) {
+          forgetFileKey();
+          fileKeyRef.current = fileKey.slice();
+        }
+      } finally {
+        fileKey.fill(0);
+      }
+      await reportUnlockAttempt({ success: true });
+      if (fileMetadata) {
+        onMetadataOpened?.(file.id, fileMetadata);
+      }
+      const unlockedInfo = describeFile(file, fileMetadata || metadata);
+      const unlockedIsImage = getPreviewKind(unlockedInfo.mimeType) === 'image';
+      setDecryptedData(decryptedBlob);
+
+      // Step 4: Set unlocked state first, then render
       setIsUnlocked(true);
       setShowPasswordPrompt(false);
       setPassword('');
-      
-      // Wait for next tick to ensure canvas is rendered
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      if (canvasRef.current) {
-        const watermarkText = `${user?.username} • ${new Date().toLocaleString()}`;
-        await cryptoService.renderToCanvas(
-          decryptedDataBuffer,
-          file.mimeType,
-          canvasRef.current,
-          watermarkText
-        );
-      } else {
-        console.error('Canvas ref is null after unlock');
+
+      // Other file types render from the decrypted data in FilePreview
+      if (unlockedIsImage) {
+        // Wait for next tick to ensure canvas is rendered
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        if (canvasRef.current) {
+          await cryptoService.renderToCanvas(
+            decryptedBlob,
+            unlockedInfo.mimeType,
+            canvasRef.current,
+            watermarkText
+          );
+        } else {
+          console.error('Canvas ref is null after unlock');
+        }
       }
 
-      toast.success('Image unlocked successfully');
+      toast.success(unlockedIsImage ? 'Image unlocked successfully' : 'File unlocked successfully');
       
     } catch (error) {
       console.error('Unlock failed:', error);
-      toast.error('Invalid password or decryption failed');
+      forgetFileKey();
+      toast.error(getLockoutMessage(error) || (filePassword ? 'Invalid password or decryption failed' : 'Decryption failed'));
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRename = () => {
+    if (!info.isSealed) {
+      onRename(file);
+      return;
+    }
+    if (!isUnlocked || !fileKeyRef.current) {
+      toast.error('Unlock the file to rename it');
+      return;
+    }
+    onRename(file, {
+      metadata,
+      seal: (newMetadata) => cryptoService.sealMetadata(newMetadata, fileKeyRef.current)
+    });
+  };
+
+  const openPasswordChange = () => {
+    setPasswordChange({ oldPassword: '', newPassword: '', confirmPassword: '', wholeFolder: false, saving: false });
+  };
+
+  const handlePasswordChange = async () => {
+    const { oldPassword, newPassword, confirmPassword, wholeFolder } = passwordChange;
+    if (newPassword.length < 4) {
+      toast.error('New password must be at least 4 characters');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+
+    setPasswordChange(prev => ({ ...prev, saving: true }));
+    try {
+      if (wholeFolder) {
+        const response = await filesAPI.rekeyFolder(file.folderId, oldPassword, newPassword, folderToken);
+        toast.success(response.data.message);
+      } else {
+        await filesAPI.rekey(file.id, oldPassword, newPassword, folderToken);
+        toast.success('Password changed');
+      }
+      setPasswordChange(null);
+    } catch (error) {
+      console.error('Password change failed:', error);
+      toast.error(getLockoutMessage(error) || error.response?.data?.error || 'Failed to change password');
+      setPasswordChange(prev => prev && { ...prev, saving: false });
+    }
+  };
+
+  const openRecovery = () => {
+    setShowPasswordPrompt(false);
+    setPassword('');
+    setRecovery({ recoveryCode: '', newPassword: '', confirmPassword: '', wholeFolder: false, saving: false });
+  };
+
+  // The server releases recovery-wrapped keys only for a valid proof; they are
+  // unwrapped here with the code and wrapped again under the new password
+  const handleRecover = async () => {
+    const { recoveryCode, newPassword, confirmPassword, wholeFolder } = recovery;
+    if (newPassword.length < 4) {
+      toast.error('New password must be at least 4 characters');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+
+    setRecovery(prev => ({ ...prev, saving: true }));
+    try {
+      const { recoveryPublicKey } = (await vaultAPI.getRecovery()).data.recovery;
+      if (!recoveryPublicKey) {
+        throw new Error('Recovery is not turned on for this account');
+      }
+      const recoveryProof = await cryptoService.recoveryProofFromCode(recoveryCode);
+
+      const rewrap = async ({ id, recoveryWrappedKey }) => {
+        const fileKey = await cryptoService.unwrapWithRecoveryCode(recoveryWrappedKey, recoveryCode, recoveryPublicKey);
+        try {
+          return { id, ...(await cryptoService.encryptFileKey(fileKey, newPassword, cryptoService.generateSalt())) };
+        } finally {
+          fileKey.fill(0);
+        }
+      };
+
+      if (wholeFolder) {
+        const { files: recoverable } = (await filesAPI.recoverFolder(file.folderId, recoveryProof, null, folderToken)).data;
+        if (recoverable.length === 0) {
+          throw new Error('No files in this folder have a recovery key');
+        }
+        const entries = [];
+        for (const recoverableFile of recoverable) {
+          entries.push(await rewrap(recoverableFile));
+        }
+        const response = await filesAPI.recoverFolder(file.folderId, recoveryProof, entries, folderToken);
+        toast.success(response.data.message);
+      } else {
+        const response = await filesAPI.recover(file.id, recoveryProof, null, folderToken);
+        const { encryptedKeyBlob, salt } = await rewrap(response.data.file);
+        await filesAPI.recover(file.id, recoveryProof, { encryptedKeyBlob, salt }, folderToken);
+        toast.success('File recovered; unlock it with the new password');
+      }
+      setRecovery(null);
+      onKeysRecovered?.();
+    } catch (error) {
+      console.error('Recovery failed:', error);
+      toast.error(error.response?.data?.error || error.message || 'Recovery failed');
+      setRecovery(prev => prev && { ...prev, saving: false });
+    }
+  };
+
   const handleDelete = async () => {
     if (!confirm('Are you sure you want to delete this image? This action cannot be undone.')) {
       return;
@@ -139,7 +396,7 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
 
     setLoading(true);
     try {
-      await filesAPI.delete(file.id);
+      await filesAPI.delete(file.id, folderToken);
       toast.success('Image deleted successfully');
       resetState();
       onClose();
@@ -148,7 +405,7 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
       }
     } catch (error) {
       console.error('Failed to delete image:', error);
-      toast.error('Failed to delete image');
+      toast.error(error.response?.data?.error || 'Failed to delete image');
     } finally {
       setLoading(false);
     }
@@ -189,15 +446,57 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
             )}
             
             <div>
-              <h3 className="text-lg font-semibold text-gray-900">{file.originalName}</h3>
+              <h3 className="text-lg font-semibold text-gray-900">{info.name}</h3>
               <p className="text-sm text-gray-500">
-                {(file.size / 1024 / 1024).toFixed(2)} MB • {new Date(file.createdAt).toLocaleDateString()}
+                {/* A locked sealed file only has its padded size bucket */}
+                {info.isLocked && 'Up to '}{(info.size / 1024 / 1024).toFixed(2)} MB
+                {info.width && info.height && ` • ${info.width}×${info.height}`}
+                {' • '}{new Date(info.capturedAt || file.createdAt).toLocaleDateString()}
                 {files && ` • ${currentIndex + 1} of ${files.length}`}
               </p>
             </div>
           </div>
 
           <div className="flex items-center space-x-2">
+            {/* File Actions */}
+            {onRename && (
+              <button
+                onClick={handleRename}
+                className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                title="Rename"
+              >
+                <PencilIcon className="h-5 w-5" />
+              </button>
+            )}
+            {/* Vault files are rekeyed with their folder, not a password */}
+            {file.uploadMode === 'secure' && !isVaultFile && (
+              <button
+                onClick={openPasswordChange}
+                className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                title="Change password"
+              >
+                <KeyIcon className="h-5 w-5" />
+              </button>
+            )}
+            {onMove && (
+              <button
+                onClick={() => onMove(file)}
+                className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                title="Move to folder"
+              >
+                <FolderArrowDownIcon className="h-5 w-5" />
+              </button>
+            )}
+            {onCopy && (
+              <button
+                onClick={() => onCopy(file)}
+                className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                title="Copy to folder"
+              >
+                <DocumentDuplicateIcon className="h-5 w-5" />
+              </button>
+            )}
+
             {/* Next Button */}
             {files && currentIndex < files.length - 1 && (
               <button
@@ -226,46 +525,50 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
             <div className="text-center">
               <div className="relative inline-block">
                 <img
-                  src={file.coverPath}
+                  src={filesAPI.getCoverUrl(file.coverToken, 800)}
                   alt="Cover"
                   className="max-w-full max-h-96 rounded-lg shadow-lg prevent-context-menu no-select"
                 />
-                {/* Hidden unlock area - invisible but functional */}
-                {!isUnlocked && (
-                  <div className="absolute inset-0 rounded-lg flex flex-col">
-                    <div className="flex-1"></div>
-                    <div 
-                      className="h-16 cursor-pointer bg-transparent"
-                      onClick={() => {
-                        console.log('Hidden unlock area clicked, file:', file);
-                        setShowPasswordPrompt(true);
-                      }}
-                      title="Tap to unlock"
-                    >
-                    </div>
-                  </div>
-                )}
+                {/* Unlock gesture area - invisible but functional */}
+                <div
+                  className="absolute inset-0 rounded-lg no-select"
+                  style={{ touchAction: 'none' }}
+                  {...gestureHandlers}
+                />
               </div>
-              
+
               <div className="mt-4 space-y-2">
                 <p className="text-sm text-gray-600">
                   Nature photography collection.
                 </p>
-                {!isUnlocked && (
-                  <p className="text-xs text-gray-500">
-                    Nature photography collection.
-                  </p>
+                {/* Same as the gesture, for keyboards and assistive technology */}
+                {file?.uploadMode === 'secure' && (
+                  <button
+                    type="button"
+                    onClick={requestUnlock}
+                    className="text-xs text-gray-400 hover:text-gray-600 focus:text-gray-600"
+                  >
+                    Unlock
+                  </button>
                 )}
               </div>
             </div>
           ) : (
-            /* Image Display - Normal or Decrypted */
+            /* File Display - Normal or Decrypted */
             <div className="text-center">
-              {file?.uploadMode === 'normal' && normalImageUrl ? (
+              {!isImage ? (
+                /* Video, PDF, text or no-preview card */
+                <FilePreview
+                  source={file?.uploadMode === 'normal' ? normalImageUrl : decryptedData}
+                  mimeType={info.mimeType}
+                  fileName={info.name}
+                  watermarkText={file?.uploadMode === 'secure' ? watermarkText : ''}
+                />
+              ) : file?.uploadMode === 'normal' && normalImageUrl ? (
                 /* Normal Image Display */
                 <img
                   src={normalImageUrl}
-                  alt={file.originalName}
+                  alt={info.name}
                   className="max-w-full max-h-[70vh] object-contain rounded-lg"
                 />
               ) : (
@@ -280,18 +583,21 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
               <div className="mt-4">
                 <p className="text-sm text-gray-600 mb-2">
                   {file?.uploadMode === 'normal' 
-                    ? '📷 High-quality image from your collection' 
-                    : '🔓 Original image unlocked and displayed securely'
+                    ? (isImage ? '📷 High-quality image from your collection' : '📁 File from your collection')
+                    : (isImage ? '🔓 Original image unlocked and displayed securely' : '🔓 Original file unlocked and displayed securely')
                   }
                 </p>
                 <div className="flex justify-center space-x-2">
                   {file?.uploadMode === 'secure' && (
                     <button
                       onClick={() => {
+                        forgetFileKey();
                         setIsUnlocked(false);
                         setShowPlainText(false);
                         setDecryptedData(null);
-                        cryptoService.clearCanvas(canvasRef.current);
+                        if (canvasRef.current) {
+                          cryptoService.clearCanvas(canvasRef.current);
+                        }
                       }}
                       className="btn-secondary"
                     >
@@ -318,8 +624,41 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
         </div>
       </div>
 
+      {/* Vault Prompt (a passkey unlocks the vault from inside the viewer) */}
+      {showPasswordPrompt && vaultLocked && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-60">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <div className="text-center mb-4">
+              <KeyIcon className="h-12 w-12 text-primary-600 mx-auto mb-2" />
+              <h3 className="text-lg font-semibold text-gray-900">Unlock the Vault</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                This file is in the vault, which is locked
+              </p>
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setShowPasswordPrompt(false)}
+                className="btn-secondary flex-1"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={unlockVaultWithPasskey}
+                className="btn-primary flex-1 flex items-center justify-center"
+                disabled={loading}
+              >
+                <FingerPrintIcon className="h-5 w-5 mr-2" />
+                Unlock with passkey
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Password Prompt Modal */}
-      {showPasswordPrompt && (
+      {showPasswordPrompt && !vaultLocked && (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-60">
           <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
             <div className="text-center mb-4">
@@ -377,6 +716,155 @@ const ImageViewer = ({ file, isOpen, onClose, folderToken, user, onDelete, files
                   )}
                 </button>
               </div>
+
+              <button
+                onClick={openRecovery}
+                className="w-full text-sm text-primary-600 hover:text-primary-700"
+                disabled={loading}
+              >
+                Forgot the password? Use your recovery code
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Change Password Modal */}
+      {passwordChange && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-60">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <div className="text-center mb-4">
+              <KeyIcon className="h-12 w-12 text-primary-600 mx-auto mb-2" />
+              <h3 className="text-lg font-semibold text-gray-900">Change Password</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                The file stays as it is; only its password changes
+              </p>
+            </div>
+
+            <div className="space-y-4">
+              <input
+                type="password"
+                value={passwordChange.oldPassword}
+                onChange={(e) => setPasswordChange(prev => ({ ...prev, oldPassword: e.target.value }))}
+                placeholder="Current password"
+                className="input-field"
+                autoFocus
+              />
+              <input
+                type="password"
+                value={passwordChange.newPassword}
+                onChange={(e) => setPasswordChange(prev => ({ ...prev, newPassword: e.target.value }))}
+                placeholder="New password"
+                className="input-field"
+              />
+              <input
+                type="password"
+                value={passwordChange.confirmPassword}
+                onChange={(e) => setPasswordChange(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                placeholder="Confirm new password"
+                className="input-field"
+                onKeyPress={(e) => e.key === 'Enter' && handlePasswordChange()}
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={passwordChange.wholeFolder}
+                  onChange={(e) => setPasswordChange(prev => ({ ...prev, wholeFolder: e.target.checked }))}
+                />
+                <span>Also change it for every file in this folder with the same password</span>
+              </label>
+
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => setPasswordChange(null)}
+                  className="btn-secondary flex-1"
+                  disabled={passwordChange.saving}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handlePasswordChange}
+                  className="btn-primary flex-1"
+                  disabled={passwordChange.saving || !passwordChange.oldPassword || !passwordChange.newPassword}
+                >
+                  {passwordChange.saving ? (
+                    <div className="loading-spinner mx-auto" />
+                  ) : (
+                    'Change'
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Recover with the recovery code */}
+      {recovery && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-60">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <div className="text-center mb-4">
+              <KeyIcon className="h-12 w-12 text-primary-600 mx-auto mb-2" />
+              <h3 className="text-lg font-semibold text-gray-900">Recover File</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Enter the code from your recovery kit and choose a new password
+              </p>
+            </div>
+
+            <div className="space-y-4">
+              <input
+                type="text"
+                value={recovery.recoveryCode}
+                onChange={(e) => setRecovery(prev => ({ ...prev, recoveryCode: e.target.value }))}
+                placeholder="XXXX-XXXX-XXXX-..."
+                className="input-field font-mono"
+                autoComplete="off"
+                autoFocus
+              />
+              <input
+                type="password"
+                value={recovery.newPassword}
+                onChange={(e) => setRecovery(prev => ({ ...prev, newPassword: e.target.value }))}
+                placeholder="New password"
+                className="input-field"
+              />
+              <input
+                type="password"
+                value={recovery.confirmPassword}
+                onChange={(e) => setRecovery(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                placeholder="Confirm new password"
+                className="input-field"
+                onKeyPress={(e) => e.key === 'Enter' && handleRecover()}
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={recovery.wholeFolder}
+                  onChange={(e) => setRecovery(prev => ({ ...prev, wholeFolder: e.target.checked }))}
+                />
+                <span>Recover every file in this folder with this new password</span>
+              </label>
+
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => setRecovery(null)}
+                  className="btn-secondary flex-1"
+                  disabled={recovery.saving}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleRecover}
+                  className="btn-primary flex-1"
+                  disabled={recovery.saving || !recovery.recoveryCode.trim() || !recovery.newPassword}
+                >
+                  {recovery.saving ? (
+                    <div className="loading-spinner mx-auto" />
+                  ) : (
+                    'Recover'
+                  )}
+                </button>
+              </div>
             </div>
           </div>
         </div>
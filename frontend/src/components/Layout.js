@@ -9,6 +9,7 @@ import {
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import { Toaster } from 'react-hot-toast';
+import { closeFacade } from '../lib/facade';
 
 const Layout = ({ children }) => {
   const { user, signOut, isAuthenticated } = useSupabaseAuth();
@@ -22,6 +23,7 @@ const Layout = ({ children }) => {
 
   const handleLogout = async () => {
     await signOut();
+    closeFacade();
     window.location.href = '/login';
   };
 
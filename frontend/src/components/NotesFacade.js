@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+// Notes are real and stay in this browser, so the app holds up to a look
+const NOTES_KEY = 'facade-notes';
+
+const loadNotes = () => {
+  try {
+    const notes = JSON.parse(localStorage.getItem(NOTES_KEY));
+    return Array.isArray(notes) ? notes : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const newNote = () => ({ id: `${Date.now()}`, text: '', updatedAt: new Date().toISOString() });
+
+const noteTitle = (note) => note.text.split('\n')[0].trim() || 'New Note';
+
+/**
+ * A working notes app. Typing `sequence` at the end of any note removes it
+ * from the note and calls onUnlock.
+ */
+const NotesFacade = ({ sequence, onUnlock }) => {
+  const [notes, setNotes] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    const stored = loadNotes();
+    const initial = stored.length > 0 ? stored : [newNote()];
+    setNotes(initial);
+    setSelectedId(initial[0].id);
+  }, []);
+
+  const saveNotes = (nextNotes) => {
+    setNotes(nextNotes);
+    localStorage.setItem(NOTES_KEY, JSON.stringify(nextNotes.filter(note => note.text.trim())));
+  };
+
+  const selectedNote = notes.find(note => note.id === selectedId);
+
+  const updateText = (text) => {
+    const unlocked = text.endsWith(sequence);
+    const nextText = unlocked ? text.slice(0, -sequence.length) : text;
+    saveNotes(notes.map(note => (
+      note.id === selectedId ? { ...note, text: nextText, updatedAt: new Date().toISOString() } : note
+    )));
+    if (unlocked) {
+      onUnlock();
+    }
+  };
+
+  const addNote = () => {
+    const note = newNote();
+    saveNotes([note, ...notes]);
+    setSelectedId(note.id);
+  };
+
+  const deleteNote = () => {
+    const remaining = notes.filter(note => note.id !== selectedId);
+    const nextNotes = remaining.length > 0 ? remaining : [newNote()];
+    saveNotes(nextNotes);
+    setSelectedId(nextNotes[0].id);
+  };
+
+  return (
+    <div className="min-h-screen bg-amber-50 flex flex-col sm:flex-row">
+      <aside className="sm:w-64 border-b sm:border-b-0 sm:border-r border-amber-200 bg-amber-100">
+        <div className="flex items-center justify-between p-4">
+          <h1 className="text-xl font-semibold text-gray-900">Notes</h1>
+          <button onClick={addNote} className="p-1 text-amber-700 hover:text-amber-900" title="New note">
+            <PlusIcon className="h-6 w-6" />
+          </button>
+        </div>
+        <ul className="max-h-48 sm:max-h-none overflow-y-auto">
+          {notes.map(note => (
+            <li key={note.id}>
+              <button
+                onClick={() => setSelectedId(note.id)}
+                className={`w-full text-left px-4 py-2 ${note.id === selectedId ? 'bg-amber-200' : 'hover:bg-amber-50'}`}
+              >
+                <p className="text-sm font-medium text-gray-900 truncate">{noteTitle(note)}</p>
+                <p className="text-xs text-gray-500">{new Date(note.updatedAt).toLocaleDateString()}</p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+
+      <main className="flex-1 flex flex-col p-4">
+        <div className="flex justify-end mb-2">
+          <button onClick={deleteNote} className="p-1 text-gray-400 hover:text-red-600" title="Delete note">
+            <TrashIcon className="h-5 w-5" />
+          </button>
+        </div>
+        {selectedNote && (
+          <textarea
+            value={selectedNote.text}
+            onChange={(e) => updateText(e.target.value)}
+            className="flex-1 w-full min-h-[60vh] bg-transparent border-0 focus:ring-0 resize-none text-gray-900"
+            placeholder="Start typing..."
+            autoFocus
+          />
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default NotesFacade;
@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { loadPanicSettings, onPanic, triggerPanic } from '../lib/panic';
+
+const DOUBLE_PRESS_MS = 500;
+// Size (px) of the top-right corner that takes the double tap
+const CORNER_SIZE = 48;
+// Change in acceleration (m/s²) that counts as a jolt, and jolts in a shake
+const SHAKE_THRESHOLD = 15;
+const SHAKE_JOLTS = 3;
+const SHAKE_WINDOW_MS = 1000;
+
+/**
+ * Listens for the panic triggers enabled in this browser and blanks the
+ * whole app the moment panic starts, before the page is left
+ */
+const PanicGuard = ({ children }) => {
+  const [panicked, setPanicked] = useState(false);
+
+  useEffect(() => onPanic(() => setPanicked(true)), []);
+
+  useEffect(() => {
+    // Settings are read on each event so changes apply straight away
+    let lastEscape = 0;
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape' || e.repeat || !loadPanicSettings().shortcut) {
+        return;
+      }
+      if (e.timeStamp - lastEscape < DOUBLE_PRESS_MS) {
+        triggerPanic();
+      }
+      lastEscape = e.timeStamp;
+    };
+
+    let lastCornerTap = 0;
+    const handlePointerDown = (e) => {
+      const inCorner = e.clientX >= window.innerWidth - CORNER_SIZE && e.clientY <= CORNER_SIZE;
+      if (!inCorner || !loadPanicSettings().cornerTap) {
+        lastCornerTap = 0;
+        return;
+      }
+      if (e.timeStamp - lastCornerTap < DOUBLE_PRESS_MS) {
+        triggerPanic();
+      }
+      lastCornerTap = e.timeStamp;
+    };
+
+    let lastMagnitude = null;
+    let jolts = [];
+    const handleMotion = (e) => {
+      const acceleration = e.accelerationIncludingGravity;
+      if (!acceleration || !loadPanicSettings().shake) {
+        return;
+      }
+      const magnitude = Math.hypot(acceleration.x || 0, acceleration.y || 0, acceleration.z || 0);
+      if (lastMagnitude !== null && Math.abs(magnitude - lastMagnitude) > SHAKE_THRESHOLD) {
+        jolts = [...jolts.filter(time => e.timeStamp - time < SHAKE_WINDOW_MS), e.timeStamp];
+        if (jolts.length >= SHAKE_JOLTS) {
+          triggerPanic();
+        }
+      }
+      lastMagnitude = magnitude;
+    };
+
+    // Capture phase, so modals that stop propagation cannot swallow them
+    window.addEventListener('keydown', handleKeyDown, true);
+    window.addEventListener('pointerdown', handlePointerDown, true);
+    window.addEventListener('devicemotion', handleMotion);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, true);
+      window.removeEventListener('pointerdown', handlePointerDown, true);
+      window.removeEventListener('devicemotion', handleMotion);
+    };
+  }, []);
+
+  // Unmounting the app drops whatever state is left
+  return panicked ? <div className="min-h-screen bg-white" /> : children;
+};
+
+export default PanicGuard;
@@ -1,10 +1,13 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { XMarkIcon, PhotoIcon, LockClosedIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
-import { filesAPI } from '../lib/api';
+import { XMarkIcon, PhotoIcon, FilmIcon, DocumentTextIcon, LockClosedIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { filesAPI, vaultAPI } from '../lib/api';
+import cryptoService from '../lib/crypto';
+import { ACCEPTED_FILE_TYPES, getFileMimeType, getPreviewKind } from '../lib/fileTypes';
+import { readFileMetadata } from '../lib/fileMetadata';
 import toast from 'react-hot-toast';
 
-const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete }) => {
+const UploadModal = ({ isOpen, onClose, folderId, folderToken, folderKey, onUploadComplete }) => {
   const [files, setFiles] = useState([]);
   const [passwords, setPasswords] = useState({});
   const [uploading, setUploading] = useState(false);
@@ -14,12 +17,29 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
   const [coverImageTypes, setCoverImageTypes] = useState({});
   const [coverImageUrls, setCoverImageUrls] = useState({});
   const [coverImageModes, setCoverImageModes] = useState({}); // 'style' or 'url'
+  const [recoveryEnabled, setRecoveryEnabled] = useState(false);
   
   const coverImageOptions = [
     'grunge', 'cybercore', 'dark academia', 'cottage core', 
     'desert steampunk', 'goth', 'victorian', 'medieval', 'nature'
   ];
 
+  // A failed lookup only means no recovery wrap; it never blocks an upload
+  const loadRecoveryPublicKey = async () => {
+    try {
+      return (await vaultAPI.getRecovery()).data.recovery?.recoveryPublicKey || null;
+    } catch (error) {
+      console.error('Error loading recovery kit:', error);
+      return null;
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      loadRecoveryPublicKey().then(recoveryPublicKey => setRecoveryEnabled(Boolean(recoveryPublicKey)));
+    }
+  }, [isOpen]);
+
   const onDrop = useCallback((acceptedFiles) => {
     const newFiles = acceptedFiles.map(file => ({
       file,
@@ -48,14 +68,7 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'image/*': ['.jpeg', '.jpg', '.png', '.webp', '.gif', '.bmp', '.tiff'],
-      'video/*': ['.mp4', '.mov', '.avi', '.mkv', '.webm'],
-      'application/pdf': ['.pdf'],
-      'text/*': ['.txt', '.md'],
-      'application/msword': ['.doc'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
-    },
+    accept: ACCEPTED_FILE_TYPES,
     maxSize: 100 * 1024 * 1024, // 100MB
     multiple: true
   });
@@ -106,6 +119,10 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
     
     for (const fileData of files) {
       const password = passwords[fileData.id];
+      // In a vault folder the folder key protects the file; a password is an extra layer
+      if (folderKey && !password) {
+        continue;
+      }
       if (!password || password.length < 4) {
         toast.error(`Password for ${fileData.file.name} must be at least 4 characters`);
         return false;
@@ -130,17 +147,6 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
       // Prepare form data
       const formData = new FormData();
       
-      // Add files
-      files.forEach(({ file }) => {
-        formData.append('files', file);
-      });
-      
-      // Add passwords array (only for secure mode)
-      if (uploadMode === 'secure') {
-        const passwordArray = files.map(({ id }) => passwords[id]);
-        formData.append('passwords', JSON.stringify(passwordArray));
-      }
-      
       // Add cover image data (types and URLs)
       const coverDataArray = files.map(({ id }) => ({
         mode: coverImageModes[id] || 'style',
@@ -148,12 +154,41 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
         url: coverImageUrls[id] || ''
       }));
       formData.append('coverData', JSON.stringify(coverDataArray));
-      
-      // Add upload mode
-      formData.append('uploadMode', uploadMode);
 
-      // Upload files
-      const response = await filesAPI.upload(folderId, formData, folderToken);
+      let response;
+
+      if (uploadMode === 'secure') {
+        // Encrypt every file in the browser; only ciphertext is sent
+        const manifest = [];
+        // With a recovery kit, every file key is also wrapped to its public key
+        const recoveryPublicKey = await loadRecoveryPublicKey();
+        for (const { id, file } of files) {
+          // Name, type and size travel only inside the sealed envelope
+          const { encryptedBlob, ...entry } = await cryptoService.encryptFileForUpload(
+            file,
+            passwords[id] || null,
+            await readFileMetadata(file),
+            folderKey,
+            recoveryPublicKey
+          );
+          formData.append('files', encryptedBlob, 'encrypted.bin');
+          // { encryptedMetadata, recoveryWrappedKey? } with { encryptedKeyBlob, salt } or { wrappedKey, salt? }
+          manifest.push(entry);
+        }
+        formData.append('manifest', JSON.stringify(manifest));
+
+        response = await filesAPI.uploadEncrypted(folderId, formData, folderToken);
+      } else {
+        // Add files
+        files.forEach(({ file }) => {
+          formData.append('files', file);
+        });
+
+        // Add upload mode
+        formData.append('uploadMode', uploadMode);
+
+        response = await filesAPI.upload(folderId, formData, folderToken);
+      }
       
       toast.success(`${response.data.files.length} files uploaded successfully`);
       
@@ -282,7 +317,11 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
                       />
                     ) : (
                       <div className="w-16 h-16 bg-gray-200 rounded-md flex items-center justify-center">
-                        <PhotoIcon className="h-8 w-8 text-gray-400" />
+                        {getPreviewKind(getFileMimeType(fileData.file)) === 'video' ? (
+                          <FilmIcon className="h-8 w-8 text-gray-400" />
+                        ) : (
+                          <DocumentTextIcon className="h-8 w-8 text-gray-400" />
+                        )}
                       </div>
                     )}
                     
@@ -365,7 +404,7 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
                               className="w-full px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                             />
                             <p className="text-xs text-gray-500 mt-1">
-                              Works with Pinterest, Unsplash, or any direct image URL
+                              Any direct https image URL; the image is copied into your drive
                             </p>
                           </div>
                         )}
@@ -376,7 +415,7 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
                         <div className="relative mt-2">
                           <input
                             type={showPasswords[fileData.id] ? "text" : "password"}
-                            placeholder="File password"
+                            placeholder={folderKey ? 'File password (optional)' : 'File password'}
                             value={passwords[fileData.id] || ''}
                             onChange={(e) => updatePassword(fileData.id, e.target.value)}
                             className="w-full px-3 py-2 pr-10 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
@@ -419,8 +458,12 @@ const UploadModal = ({ isOpen, onClose, folderId, folderToken, onUploadComplete
                     <div>
                       <h5 className="text-sm font-medium text-blue-800">Secure Upload</h5>
                       <p className="text-sm text-blue-700 mt-1">
-                        Each image requires a unique password (minimum 4 characters). 
-                        These passwords are used for client-side encryption and cannot be recovered if lost.
+                        {folderKey
+                          ? 'Images are encrypted with this folder\'s vault key. A password (minimum 4 characters) adds a second lock to an image. '
+                          : 'Each image requires a unique password (minimum 4 characters). '}
+                        {recoveryEnabled
+                          ? 'Images are encrypted on this device before upload. Your recovery kit can restore access if the password is lost.'
+                          : 'Images are encrypted on this device before upload and cannot be recovered if the password is lost.'}
                       </p>
                     </div>
                   </div>
@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { createGestureRecognizer, normalizeGesture, regionAt, swipeDirection } from '../lib/gestures';
+
+// A press that moves further than this (px) is no longer a long press
+const LONG_PRESS_TOLERANCE = 10;
+
+/**
+ * Custom hook for detecting the user's unlock gesture on a cover
+ * @param {Object} gesture - Gesture from the user's settings (see lib/gestures)
+ * @param {Function} onUnlock - Callback function to execute once the gesture is complete
+ * @returns {Object} Pointer event handlers for the element over the cover
+ */
+export const useUnlockGesture = (gesture, onUnlock) => {
+  const normalized = useMemo(() => normalizeGesture(gesture), [gesture]);
+  const recognizer = useMemo(() => createGestureRecognizer(normalized), [normalized]);
+  const pressRef = useRef(null);
+  const longPressTimer = useRef(null);
+
+  const cancelLongPress = useCallback(() => {
+    clearTimeout(longPressTimer.current);
+    longPressTimer.current = null;
+  }, []);
+
+  useEffect(() => cancelLongPress, [cancelLongPress]);
+
+  const handlePointerDown = useCallback((e) => {
+    // Primary button or touch only
+    if (e.button > 0) {
+      return;
+    }
+    pressRef.current = { x: e.clientX, y: e.clientY };
+    if (normalized.type === 'longPress') {
+      cancelLongPress();
+      longPressTimer.current = setTimeout(() => {
+        longPressTimer.current = null;
+        pressRef.current = null;
+        onUnlock();
+      }, normalized.durationMs);
+    }
+  }, [normalized, onUnlock, cancelLongPress]);
+
+  const handlePointerMove = useCallback((e) => {
+    const press = pressRef.current;
+    if (press && longPressTimer.current &&
+        Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_TOLERANCE) {
+      cancelLongPress();
+    }
+  }, [cancelLongPress]);
+
+  const handlePointerUp = useCallback((e) => {
+    const press = pressRef.current;
+    pressRef.current = null;
+    cancelLongPress();
+    if (!press) {
+      return;
+    }
+
+    const direction = swipeDirection(e.clientX - press.x, e.clientY - press.y);
+    let unlocked;
+    if (direction) {
+      unlocked = recognizer.swipe(direction, e.timeStamp);
+    } else {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const region = regionAt(e.clientX - rect.left, e.clientY - rect.top, rect.width, rect.height);
+      unlocked = recognizer.tap(region, e.timeStamp);
+    }
+    if (unlocked) {
+      onUnlock();
+    }
+  }, [recognizer, onUnlock, cancelLongPress]);
+
+  const handlePointerCancel = useCallback(() => {
+    pressRef.current = null;
+    cancelLongPress();
+  }, [cancelLongPress]);
+
+  const handleContextMenu = useCallback((e) => {
+    // Touch screens open the context menu on a long press
+    e.preventDefault();
+  }, []);
+
+  return {
+    onPointerDown: handlePointerDown,
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerCancel,
+    onPointerLeave: handlePointerCancel,
+    onContextMenu: handleContextMenu,
+  };
+};
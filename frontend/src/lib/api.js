@@ -1,8 +1,12 @@
 import axios from 'axios';
+import Cookies from 'js-cookie';
 import { supabase } from './supabase';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
+// Must match the backend's AUTH_MODE; 'local' signs in through /api/auth
+export const AUTH_MODE = process.env.NEXT_PUBLIC_AUTH_MODE || 'supabase';
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: `${API_BASE_URL}/api`,
@@ -12,12 +16,21 @@ const api = axios.create({
   },
 });
 
-// Request interceptor to add Supabase auth token
+// Bearer token for the API: the local JWT or the Supabase access token
+const getAuthToken = async () => {
+  if (AUTH_MODE === 'local') {
+    return Cookies.get('auth-token') || null;
+  }
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token || null;
+};
+
+// Request interceptor to add the auth token
 api.interceptors.request.use(
   async (config) => {
-    const { data: { session } } = await supabase.auth.getSession();
-    if (session?.access_token) {
-      config.headers.Authorization = `Bearer ${session.access_token}`;
+    const token = await getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
   },
@@ -26,14 +39,73 @@ api.interceptors.request.use(
   }
 );
 
+// Local sessions (AUTH_MODE=local): a short-lived access token and a
+// refresh token that is swapped for a new pair whenever the access token expires
+const REFRESH_TOKEN_DAYS = 30;
+const cookieOptions = () => ({ sameSite: 'strict', secure: window.location.protocol === 'https:' });
+
+export const saveAuthTokens = ({ token, refreshToken, user }) => {
+  Cookies.set('auth-token', token, cookieOptions());
+  Cookies.set('refresh-token', refreshToken, { ...cookieOptions(), expires: REFRESH_TOKEN_DAYS });
+  if (user) {
+    Cookies.set('user', JSON.stringify(user), { ...cookieOptions(), expires: REFRESH_TOKEN_DAYS });
+  }
+};
+
+export const clearAuthTokens = () => {
+  Cookies.remove('auth-token');
+  Cookies.remove('refresh-token');
+  Cookies.remove('user');
+};
+
+/**
+ * Message for a password check refused after too many failures (429)
+ * @param {Error} error - Axios error
+ * @returns {string|null} Null if the request was not locked out
+ */
+export const getLockoutMessage = (error) => {
+  if (error.response?.status !== 429) {
+    return null;
+  }
+  const seconds = Number(error.response.data?.retryAfter || error.response.headers['retry-after']) || 0;
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+  return `${error.response.data?.error || 'Too many failed attempts'}. Try again in ${wait}.`;
+};
+
+// Shared by every request that fails while a refresh is already running
+let refreshPromise = null;
+
+const refreshAuthTokens = () => {
+  if (!refreshPromise) {
+    // Plain axios, so a failed refresh does not come back through this interceptor
+    refreshPromise = axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken: Cookies.get('refresh-token') })
+      .then((response) => saveAuthTokens(response.data))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    // Only sign-in failures carry WWW-Authenticate; a wrong folder or file
+    // password is a 401 too
+    if (error.response?.status === 401 && error.response.headers['www-authenticate']) {
+      const { config } = error;
+      if (AUTH_MODE === 'local' && !config.retried && Cookies.get('refresh-token')) {
+        try {
+          await refreshAuthTokens();
+          return api({ ...config, retried: true });
+        } catch (refreshError) {
+          console.error('Session refresh failed:', refreshError);
+        }
+      }
+
       // Token expired or invalid
-      Cookies.remove('auth-token');
-      Cookies.remove('user');
+      clearAuthTokens();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -46,19 +118,87 @@ export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   verify: () => api.post('/auth/verify'),
   verifyPassword: (password) => api.post('/auth/verify-password', { password }),
+  logout: () => api.post('/auth/logout'),
+  sessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  logoutEverywhere: () => api.delete('/auth/sessions'),
 };
 
 // Folders API
 export const foldersAPI = {
-  list: () => api.get('/folders'),
-  create: (folderData) => api.post('/folders', folderData),
+  // Hidden folders are only listed with a reveal token
+  list: (revealToken = null) => {
+    const headers = revealToken ? { 'X-Reveal-Token': revealToken } : {};
+    return api.get('/folders', { headers });
+  },
+  // Subfolders of a protected folder need the parent's folder token
+  create: (folderData, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post('/folders', folderData, { headers });
+  },
   get: (folderId, folderToken = null) => {
     const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
     return api.get(`/folders/${folderId}`, { headers });
   },
-  lock: (folderId, password) => api.post(`/folders/${folderId}/lock`, { password }),
-  unlock: (folderId, password) => api.post(`/folders/${folderId}/unlock`, { password }),
-  delete: (folderId) => api.delete(`/folders/${folderId}`),
+  children: (folderId, folderToken = null, revealToken = null) => {
+    const headers = {
+      ...(folderToken && { 'X-Folder-Token': folderToken }),
+      ...(revealToken && { 'X-Reveal-Token': revealToken })
+    };
+    return api.get(`/folders/${folderId}/children`, { headers });
+  },
+  rename: (folderId, name, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.patch(`/folders/${folderId}`, { name }, { headers });
+  },
+  move: (folderId, parentId, folderToken = null, destinationToken = null) => {
+    const headers = {
+      ...(folderToken && { 'X-Folder-Token': folderToken }),
+      ...(destinationToken && { 'X-Destination-Folder-Token': destinationToken }),
+    };
+    return api.post(`/folders/${folderId}/move`, { parentId }, { headers });
+  },
+  // Give an existing folder a vault key (wrapped with the master key)
+  setKey: (folderId, wrappedFolderKey, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.put(`/folders/${folderId}/key`, { wrappedFolderKey }, { headers });
+  },
+  // Duress password that opens a decoy view showing decoyFolderId's files
+  setDuress: (folderId, password, decoyFolderId = null, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.put(`/folders/${folderId}/duress`, { password, decoyFolderId }, { headers });
+  },
+  removeDuress: (folderId, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.delete(`/folders/${folderId}/duress`, { headers });
+  },
+  setHidden: (folderId, hidden, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.put(`/folders/${folderId}/hidden`, { hidden }, { headers });
+  },
+  reveal: (phrase) => api.post('/folders/reveal', { phrase }),
+  getRevealPhrase: () => api.get('/folders/reveal-phrase'),
+  setRevealPhrase: (phrase) => api.put('/folders/reveal-phrase', { phrase }),
+  removeRevealPhrase: () => api.delete('/folders/reveal-phrase'),
+  // Every folder and reveal token of the user, so folders need their passwords again
+  revokeTokens: () => api.delete('/folders/tokens'),
+  // Replacing a folder's password needs its token or currentPassword, and code when two-factor is on for folders
+  lock: (folderId, password, currentPassword = null, code = null, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post(`/folders/${folderId}/lock`, {
+      password,
+      ...(currentPassword && { currentPassword }),
+      ...(code && { code })
+    }, { headers });
+  },
+  // code: TOTP or backup code, when two-factor is on for folders
+  unlock: (folderId, password, code) => api.post(`/folders/${folderId}/unlock`, { password, code }),
+  // A passkey assertion stands in for the password; code is still sent when two-factor is on for folders
+  unlockWithPasskey: (folderId, assertion, code) => api.post(`/folders/${folderId}/unlock`, { passkey: assertion, code }),
+  delete: (folderId, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.delete(`/folders/${folderId}`, { headers });
+  },
 };
 
 // Files API
@@ -70,10 +210,29 @@ export const filesAPI = {
     };
     return api.post(`/folders/${folderId}/files`, formData, { headers });
   },
+
+  uploadEncrypted: (folderId, formData, folderToken = null) => {
+    const headers = {
+      'Content-Type': 'multipart/form-data',
+      ...(folderToken && { 'X-Folder-Token': folderToken }),
+    };
+    // Large encrypted uploads can take longer than the default timeout
+    return api.post(`/folders/${folderId}/files/secure`, formData, { headers, timeout: 0 });
+  },
   
-  getMeta: (fileId) => api.get(`/files/${fileId}/meta`),
+  getMeta: (fileId, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.get(`/files/${fileId}/meta`, { headers });
+  },
+
+  reportUnlockAttempt: (fileId, attempt, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post(`/files/${fileId}/unlock-attempt`, attempt, { headers });
+  },
   
-  getCoverUrl: (fileId) => `${API_BASE_URL}/api/files/${fileId}/cover`,
+  // Covers are addressed by an opaque per-file token; width picks a thumbnail
+  getCoverUrl: (coverToken, width = null) =>
+    `${API_BASE_URL}/api/files/covers/${coverToken}${width ? `?w=${width}` : ''}`,
   
   getEncrypted: async (fileId, folderToken = null) => {
     const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
@@ -83,6 +242,22 @@ export const filesAPI = {
     });
     return response.data;
   },
+
+  // Uses fetch so the body arrives as a stream and can be decrypted segment by segment
+  streamEncrypted: async (fileId, folderToken = null) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/api/files/${fileId}/encrypted`, {
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(folderToken && { 'X-Folder-Token': folderToken }),
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch encrypted file (${response.status})`);
+    }
+    return response.body;
+  },
   
   decrypt: async (fileId, password, folderToken) => {
     const response = await api.post(`/files/${fileId}/decrypt`, 
@@ -107,7 +282,113 @@ export const filesAPI = {
     return api.post(`/files/${fileId}/decrypt-key`, { password }, { headers });
   },
   
-  delete: (fileId) => api.delete(`/files/${fileId}`),
+  rename: (fileId, originalName, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.patch(`/files/${fileId}`, { originalName }, { headers });
+  },
+
+  // Files with encrypted metadata are renamed by resealing their envelope
+  renameSealed: (fileId, encryptedMetadata, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.patch(`/files/${fileId}`, { encryptedMetadata }, { headers });
+  },
+
+  // Re-wrap a secure file's key under a new password; the blob is unchanged
+  rekey: (fileId, oldPassword, newPassword, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post(`/files/${fileId}/rekey`, { oldPassword, newPassword }, { headers });
+  },
+
+  // Rekey every secure file in a folder that uses the old password
+  rekeyFolder: (folderId, oldPassword, newPassword, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post(`/folders/${folderId}/files/rekey`, { oldPassword, newPassword }, { headers });
+  },
+
+  // Without newKey, fetch the recovery-wrapped key; with { encryptedKeyBlob, salt },
+  // set the file's new password
+  recover: (fileId, recoveryProof, newKey = null, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post(`/files/${fileId}/recover`, { recoveryProof, ...newKey }, { headers });
+  },
+
+  // Without files, list the folder's recoverable files; with [{ id, encryptedKeyBlob, salt }],
+  // set their new passwords
+  recoverFolder: (folderId, recoveryProof, files = null, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.post(`/folders/${folderId}/files/recover`, { recoveryProof, ...(files && { files }) }, { headers });
+  },
+
+  // Vault files also send their key re-wrapped for the destination folder
+  move: (fileId, folderId, folderToken = null, destinationToken = null, wrappedKey = null) => {
+    const headers = {
+      ...(folderToken && { 'X-Folder-Token': folderToken }),
+      ...(destinationToken && { 'X-Destination-Folder-Token': destinationToken }),
+    };
+    return api.post(`/files/${fileId}/move`, { folderId, ...(wrappedKey && { wrappedKey }) }, { headers });
+  },
+
+  copy: (fileId, folderId, folderToken = null, destinationToken = null, wrappedKey = null) => {
+    const headers = {
+      ...(folderToken && { 'X-Folder-Token': folderToken }),
+      ...(destinationToken && { 'X-Destination-Folder-Token': destinationToken }),
+    };
+    return api.post(`/files/${fileId}/copy`, { folderId, ...(wrappedKey && { wrappedKey }) }, { headers });
+  },
+  
+  delete: (fileId, folderToken = null) => {
+    const headers = folderToken ? { 'X-Folder-Token': folderToken } : {};
+    return api.delete(`/files/${fileId}`, { headers });
+  },
+};
+
+// Vault API (key hierarchy parameters; the passphrase never leaves the browser)
+export const vaultAPI = {
+  get: () => api.get('/vault'),
+  create: (vaultParams) => api.post('/vault', vaultParams),
+  getRecovery: () => api.get('/vault/recovery'),
+  createRecovery: (recoveryParams) => api.post('/vault/recovery', recoveryParams),
+};
+
+// Settings API (preferences the user chose to keep in their account)
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  update: (settings) => api.put('/settings', settings),
+};
+
+// Two-factor API (TOTP enrollment, backup codes and where codes are asked for)
+export const twoFactorAPI = {
+  get: () => api.get('/2fa'),
+  enroll: () => api.post('/2fa/enroll'),
+  verify: (code) => api.post('/2fa/verify', { code }),
+  setFolders: (enabled, code) => api.put('/2fa/folders', { enabled, code }),
+  regenerateBackupCodes: (code) => api.post('/2fa/backup-codes', { code }),
+  disable: (code) => api.delete('/2fa', { data: { code } }),
+};
+
+// Passkeys API (WebAuthn ceremonies; see lib/passkeys for the browser side)
+export const passkeysAPI = {
+  list: () => api.get('/passkeys'),
+  // factor: { password } or, with two-factor on, { code }
+  registrationOptions: (factor) => api.post('/passkeys/register/options', factor),
+  register: (name, response, prfSalt) => api.post('/passkeys/register/verify', { name, response, prfSalt }),
+  authenticationOptions: () => api.post('/passkeys/authenticate/options'),
+  authenticate: (response) => api.post('/passkeys/authenticate/verify', { response }),
+  setVaultKey: (passkeyId, wrappedVaultKey) => api.put(`/passkeys/${passkeyId}/vault-key`, { wrappedVaultKey }),
+  remove: (passkeyId) => api.delete(`/passkeys/${passkeyId}`),
+};
+
+// Lockout API (failed attempts allowed before a lockout, and whether it revokes folder tokens)
+export const lockoutAPI = {
+  get: () => api.get('/lockout'),
+  update: (threshold, wipeTokens) => api.put('/lockout', { threshold, wipeTokens }),
+};
+
+// Duress API (account-wide duress password and the actions it triggers)
+export const duressAPI = {
+  get: () => api.get('/duress'),
+  set: (password, actions = []) => api.put('/duress', { password, actions }),
+  remove: () => api.delete('/duress'),
 };
 
 export default api;
@@ -1,8 +1,9 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import Cookies from 'js-cookie';
-import { authAPI } from './api';
+import { authAPI, saveAuthTokens, clearAuthTokens, getLockoutMessage } from './api';
 
-const AuthContext = createContext({});
+// Used in place of the Supabase provider when AUTH_MODE is 'local'
+export const AuthContext = createContext({});
 
 export const useAuth = () => {
   const context = useContext(AuthContext);
@@ -22,8 +23,8 @@ export const AuthProvider = ({ children }) => {
 
   const checkAuth = async () => {
     try {
-      const token = Cookies.get('auth-token');
-      if (!token) {
+      // The access token may have expired; the refresh token renews it
+      if (!Cookies.get('refresh-token')) {
         setLoading(false);
         return;
       }
@@ -32,7 +33,8 @@ export const AuthProvider = ({ children }) => {
       setUser(response.data.user);
     } catch (error) {
       console.error('Auth check failed:', error);
-      logout();
+      clearAuthTokens();
+      setUser(null);
     } finally {
       setLoading(false);
     }
@@ -41,17 +43,17 @@ export const AuthProvider = ({ children }) => {
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { user, token } = response.data;
+      const { user } = response.data;
       
-      Cookies.set('auth-token', token, { expires: 7 });
-      Cookies.set('user', JSON.stringify(user), { expires: 7 });
+      saveAuthTokens(response.data);
       setUser(user);
       
       return { success: true, user };
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.error || 'Login failed' 
+        error: getLockoutMessage(error) || error.response?.data?.error || 'Login failed',
+        twoFactorRequired: Boolean(error.response?.data?.twoFactorRequired)
       };
     }
   };
@@ -59,10 +61,9 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { user, token } = response.data;
+      const { user } = response.data;
       
-      Cookies.set('auth-token', token, { expires: 7 });
-      Cookies.set('user', JSON.stringify(user), { expires: 7 });
+      saveAuthTokens(response.data);
       setUser(user);
       
       return { success: true, user };
@@ -74,9 +75,14 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    Cookies.remove('auth-token');
-    Cookies.remove('user');
+  const logout = async () => {
+    try {
+      // End the session on the server too, so its refresh token is dead
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    clearAuthTokens();
     setUser(null);
   };
 
@@ -86,6 +92,13 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    // The names pages use with the Supabase provider
+    signIn: login,
+    signUp: register,
+    signOut: async () => {
+      await logout();
+      return { success: true };
+    },
     isAuthenticated: !!user,
   };
 
@@ -1,3 +1,39 @@
+// Chunked storage format; backend/src/services/crypto.js only checks headers and sizes:
+//   header  [magic "DDSE" (4)] [version (1)] [chunk size, uint32 BE (4)] [nonce prefix (7)]
+//   segment [ciphertext (<= chunk size)] [auth tag (16)]
+// Segment nonces are [nonce prefix (7)] [segment index, uint32 BE (4)] [final flag (1)]
+// and the AAD is "DisguiseDrive-v2" followed by the header.
+const CHUNKED_MAGIC = new Uint8Array([0x44, 0x44, 0x53, 0x45]); // "DDSE"
+const CHUNKED_VERSION = 2;
+const CHUNKED_HEADER_LENGTH = 16;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const AUTH_TAG_LENGTH = 16;
+
+// Metadata envelopes are [IV (12)] [AuthTag (16)] [Encrypted JSON] sealed with
+// the file key; the backend only stores them
+const METADATA_AAD = 'DisguiseDrive-meta-v1';
+
+// Key hierarchy (vault master key -> folder keys -> file keys); each layer is
+// wrapped as [IV (12)] [AuthTag (16)] [key] with its own AAD
+export const KEY_WRAP_AAD = {
+  vaultCheck: 'DisguiseDrive-vault-check-v1',
+  folderKey: 'DisguiseDrive-folder-key-v1',
+  fileKey: 'DisguiseDrive-file-key-v1',
+  passkeyVaultKey: 'DisguiseDrive-passkey-vault-key-v1'
+};
+
+// Recovery wrap (ECIES over P-256); the backend only checks its length:
+//   [ephemeral public key, uncompressed (65)] [IV (12)] [AuthTag (16)] [file key (32)]
+// The AES key is HKDF-SHA256(ECDH secret, salt = ephemeral public key).
+const RECOVERY_PUBLIC_KEY_LENGTH = 65;
+const RECOVERY_HKDF_INFO = 'DisguiseDrive-recovery-wrap-v1';
+const RECOVERY_AAD = 'DisguiseDrive-recovery-v1';
+// The proof the server checks before releasing recovery-wrapped keys
+const RECOVERY_PROOF_INFO = 'DisguiseDrive-recovery-proof-v1';
+// Recovery codes are the private scalar in RFC 4648 base32, in groups of four
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
 /**
  * Client-side crypto utilities using WebCrypto API
  */
@@ -9,8 +45,12 @@ export class CryptoService {
 
   /**
    * Derive key from password using PBKDF2
+   * @param {string} password - Password to stretch
+   * @param {Uint8Array|string} salt - Salt
+   * @param {number} iterations - PBKDF2 iterations (per-image passwords use 100k)
+   * @returns {Promise<Uint8Array>} 256-bit key
    */
-  async deriveKey(password, salt) {
+  async deriveKey(password, salt, iterations = 100000) {
     try {
       // Convert password and salt to ArrayBuffer
       const passwordBuffer = this.textEncoder.encode(password);
@@ -32,7 +72,7 @@ export class CryptoService {
         {
           name: 'PBKDF2',
           salt: saltBuffer,
-          iterations: 100000, // 100k iterations for security
+          iterations,
           hash: 'SHA-256'
         },
         keyMaterial,
@@ -50,6 +90,424 @@ export class CryptoService {
     }
   }
 
+  /**
+   * Generate a random 256-bit file encryption key
+   * @returns {Uint8Array} Random 32-byte key
+   */
+  generateFileKey() {
+    return crypto.getRandomValues(new Uint8Array(32));
+  }
+
+  /**
+   * Generate a random salt for password derivation
+   * @returns {Uint8Array} Random 32-byte salt
+   */
+  generateSalt() {
+    return crypto.getRandomValues(new Uint8Array(32));
+  }
+
+  /**
+   * Encrypt data using AES-256-GCM (same AAD as the server)
+   * @param {Uint8Array} data - Data to encrypt
+   * @param {Uint8Array} key - 256-bit encryption key
+   * @param {string} additionalData - AAD bound to the ciphertext
+   * @returns {Promise<Object>} { encryptedData, iv, authTag }
+   */
+  async encryptData(data, key, additionalData = 'DisguiseDrive-v1') {
+    const iv = crypto.getRandomValues(new Uint8Array(12)); // 12 bytes for GCM
+
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw',
+      key,
+      { name: 'AES-GCM' },
+      false,
+      ['encrypt']
+    );
+
+    // WebCrypto returns ciphertext with the auth tag appended
+    const sealed = new Uint8Array(await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: iv,
+        additionalData: this.textEncoder.encode(additionalData),
+        tagLength: 128,
+      },
+      cryptoKey,
+      data
+    ));
+
+    return {
+      encryptedData: sealed.subarray(0, sealed.length - 16),
+      iv,
+      authTag: sealed.subarray(sealed.length - 16)
+    };
+  }
+
+  /**
+   * Create a single-shot blob (used for wrapped file keys)
+   * @param {Uint8Array} encryptedData - Encrypted file data
+   * @param {Uint8Array} iv - Initialization vector
+   * @param {Uint8Array} authTag - Authentication tag
+   * @returns {Uint8Array} [IV (12 bytes)] [AuthTag (16 bytes)] [Encrypted Data]
+   */
+  createStorageBlob(encryptedData, iv, authTag) {
+    return this.concatBytes(iv, authTag, encryptedData);
+  }
+
+  /**
+   * Encrypt file key with password-derived key
+   * @param {Uint8Array} fileKey - The file encryption key to protect
+   * @param {string} password - User's per-image password
+   * @param {Uint8Array} salt - Salt for password derivation
+   * @returns {Promise<Object>} { encryptedKeyBlob: string, salt: string }
+   */
+  async encryptFileKey(fileKey, password, salt) {
+    try {
+      const passwordKey = await this.deriveKey(password, salt);
+      const { encryptedData, iv, authTag } = await this.encryptData(fileKey, passwordKey);
+
+      return {
+        encryptedKeyBlob: this.uint8ArrayToBase64(this.createStorageBlob(encryptedData, iv, authTag)),
+        salt: this.uint8ArrayToBase64(salt)
+      };
+    } catch (error) {
+      throw new Error(`File key encryption failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wrap key material with another key (one layer of the key hierarchy)
+   * @param {Uint8Array} keyBytes - Key, or password-wrapped key blob, to protect
+   * @param {Uint8Array} wrappingKey - 256-bit wrapping key
+   * @param {string} aad - Layer AAD from KEY_WRAP_AAD
+   * @returns {Promise<string>} Base64 wrapped key
+   */
+  async wrapKey(keyBytes, wrappingKey, aad) {
+    const { encryptedData, iv, authTag } = await this.encryptData(keyBytes, wrappingKey, aad);
+    return this.uint8ArrayToBase64(this.createStorageBlob(encryptedData, iv, authTag));
+  }
+
+  /**
+   * Unwrap key material wrapped by wrapKey
+   * @param {string} wrapped - Base64 wrapped key
+   * @param {Uint8Array} wrappingKey - 256-bit wrapping key
+   * @param {string} aad - Layer AAD from KEY_WRAP_AAD
+   * @returns {Promise<Uint8Array>} Unwrapped bytes
+   */
+  async unwrapKey(wrapped, wrappingKey, aad) {
+    const blob = this.base64ToUint8Array(wrapped);
+    const unwrapped = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: blob.subarray(0, 12),
+        additionalData: this.textEncoder.encode(aad),
+        tagLength: 128,
+      },
+      await this.importFileKey(wrappingKey, 'decrypt'),
+      this.concatBytes(blob.subarray(12 + AUTH_TAG_LENGTH), blob.subarray(12, 12 + AUTH_TAG_LENGTH))
+    );
+    return new Uint8Array(unwrapped);
+  }
+
+  /**
+   * Recover a vault file's key from its folder-wrapped key. Files with an
+   * extra per-image password unwrap to a password blob, which then needs
+   * the password as well.
+   * @param {string} wrappedKey - File's wrappedKey
+   * @param {Uint8Array} folderKey - Unwrapped folder key
+   * @param {string} password - Per-image password, for files that have one
+   * @param {string} saltBase64 - File's salt, for files that have one
+   * @returns {Promise<Uint8Array>} File key
+   */
+  async unwrapVaultFileKey(wrappedKey, folderKey, password = null, saltBase64 = null) {
+    const unwrapped = await this.unwrapKey(wrappedKey, folderKey, KEY_WRAP_AAD.fileKey);
+    if (unwrapped.length === 32) {
+      return unwrapped;
+    }
+    if (!password || !saltBase64) {
+      throw new Error('This file also needs its own password');
+    }
+    return this.decryptFileKey(this.uint8ArrayToBase64(unwrapped), password, saltBase64);
+  }
+
+  /**
+   * Whether a vault file has an extra per-image password (its folder-wrapped
+   * key is a password blob rather than the bare file key)
+   * @param {string} wrappedKey - File's wrappedKey
+   * @returns {boolean} True if a password is needed as well
+   */
+  hasPasswordLayer(wrappedKey) {
+    return this.base64ToUint8Array(wrappedKey).length > 12 + AUTH_TAG_LENGTH + 32;
+  }
+
+  /**
+   * HKDF-SHA256 of some key material
+   * @returns {Promise<Uint8Array>} 256-bit derived key
+   */
+  async hkdf(keyMaterial, salt, info) {
+    const baseKey = await crypto.subtle.importKey('raw', keyMaterial, 'HKDF', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: this.textEncoder.encode(info) },
+      baseKey,
+      256
+    );
+    return new Uint8Array(bits);
+  }
+
+  encodeBase32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  decodeBase32(text) {
+    let bits = 0;
+    let value = 0;
+    const output = [];
+    for (const char of text) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid recovery code');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(output);
+  }
+
+  /**
+   * Private scalar from a recovery code as typed or pasted
+   * @param {string} recoveryCode - Code from the recovery kit
+   * @returns {Uint8Array} 32-byte private scalar
+   * @throws If the code is malformed
+   */
+  parseRecoveryCode(recoveryCode) {
+    const scalar = this.decodeBase32(recoveryCode.toUpperCase().replace(/[^A-Z2-7]/g, ''));
+    if (scalar.length !== 32) {
+      throw new Error('Invalid recovery code');
+    }
+    return scalar;
+  }
+
+  /**
+   * The proof that gates recovery on the server, derived from the code
+   * @param {string} recoveryCode - Code from the recovery kit
+   * @returns {Promise<string>} Base64 proof
+   */
+  async recoveryProofFromCode(recoveryCode) {
+    const scalar = this.parseRecoveryCode(recoveryCode);
+    try {
+      return this.uint8ArrayToBase64(await this.hkdf(scalar, new Uint8Array(0), RECOVERY_PROOF_INFO));
+    } finally {
+      scalar.fill(0);
+    }
+  }
+
+  /**
+   * Create a recovery kit. Only the public key and the proof are sent to
+   * the server; the code is shown once for the user to keep.
+   * @returns {Promise<Object>} { recoveryCode, recoveryPublicKey, recoveryProof }
+   */
+  async generateRecoveryKit() {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const { d } = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    const recoveryCode = this.encodeBase32(this.base64UrlToUint8Array(d))
+      .match(/.{1,4}/g)
+      .join('-');
+
+    return {
+      recoveryCode,
+      recoveryPublicKey: this.uint8ArrayToBase64(publicKey),
+      recoveryProof: await this.recoveryProofFromCode(recoveryCode)
+    };
+  }
+
+  /**
+   * ECDH with a P-256 public key, then HKDF into a wrapping key
+   */
+  async deriveRecoveryWrappingKey(privateKey, peerPublicKey, ephemeralPublicKey) {
+    const peer = await crypto.subtle.importKey('raw', peerPublicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const secret = new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: peer }, privateKey, 256));
+    try {
+      return await this.hkdf(secret, ephemeralPublicKey, RECOVERY_HKDF_INFO);
+    } finally {
+      secret.fill(0);
+    }
+  }
+
+  /**
+   * Wrap a file key to the recovery public key (no secret is needed)
+   * @param {Uint8Array} fileKey - 256-bit file key
+   * @param {string} recoveryPublicKey - Base64 raw P-256 public key
+   * @returns {Promise<string>} Base64 recovery-wrapped key
+   */
+  async wrapKeyForRecovery(fileKey, recoveryPublicKey) {
+    const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    const ephemeralPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+    const wrappingKey = await this.deriveRecoveryWrappingKey(
+      ephemeral.privateKey,
+      this.base64ToUint8Array(recoveryPublicKey),
+      ephemeralPublicKey
+    );
+
+    try {
+      const { encryptedData, iv, authTag } = await this.encryptData(fileKey, wrappingKey, RECOVERY_AAD);
+      return this.uint8ArrayToBase64(this.concatBytes(ephemeralPublicKey, iv, authTag, encryptedData));
+    } finally {
+      wrappingKey.fill(0);
+    }
+  }
+
+  /**
+   * Unwrap a recovery-wrapped file key with the recovery code
+   * @param {string} recoveryWrappedKey - Base64 value from the recover endpoint
+   * @param {string} recoveryCode - Code from the recovery kit
+   * @param {string} recoveryPublicKey - Base64 raw public key (completes the private key)
+   * @returns {Promise<Uint8Array>} File key
+   * @throws If the code does not match
+   */
+  async unwrapWithRecoveryCode(recoveryWrappedKey, recoveryCode, recoveryPublicKey) {
+    const publicKey = this.base64ToUint8Array(recoveryPublicKey);
+    const wrapped = this.base64ToUint8Array(recoveryWrappedKey);
+    const ephemeralPublicKey = wrapped.subarray(0, RECOVERY_PUBLIC_KEY_LENGTH);
+    const scalar = this.parseRecoveryCode(recoveryCode);
+    let wrappingKey = null;
+
+    try {
+      // A code that does not belong to the public key fails here or at unwrap
+      const privateKey = await crypto.subtle.importKey(
+        'jwk',
+        {
+          kty: 'EC',
+          crv: 'P-256',
+          d: this.uint8ArrayToBase64Url(scalar),
+          x: this.uint8ArrayToBase64Url(publicKey.subarray(1, 33)),
+          y: this.uint8ArrayToBase64Url(publicKey.subarray(33))
+        },
+        { name: 'ECDH', namedCurve: 'P-256' },
+        false,
+        ['deriveBits']
+      );
+      wrappingKey = await this.deriveRecoveryWrappingKey(privateKey, ephemeralPublicKey, ephemeralPublicKey);
+      return await this.unwrapKey(
+        this.uint8ArrayToBase64(wrapped.subarray(RECOVERY_PUBLIC_KEY_LENGTH)),
+        wrappingKey,
+        RECOVERY_AAD
+      );
+    } catch (error) {
+      throw new Error('Wrong recovery code');
+    } finally {
+      scalar.fill(0);
+      wrappingKey?.fill(0);
+    }
+  }
+
+  /**
+   * Seal a file's metadata with its file key
+   * @param {Object} metadata - { name, mimeType, size, width?, height?, capturedAt? }
+   * @param {Uint8Array} fileKey - 256-bit file key
+   * @returns {Promise<string>} Base64 envelope
+   */
+  async sealMetadata(metadata, fileKey) {
+    const { encryptedData, iv, authTag } = await this.encryptData(
+      this.textEncoder.encode(JSON.stringify(metadata)),
+      fileKey,
+      METADATA_AAD
+    );
+    return this.uint8ArrayToBase64(this.createStorageBlob(encryptedData, iv, authTag));
+  }
+
+  /**
+   * Open a metadata envelope
+   * @param {string} envelope - Base64 envelope
+   * @param {Uint8Array} fileKey - 256-bit file key
+   * @returns {Promise<Object>} Metadata
+   */
+  async openMetadata(envelope, fileKey) {
+    const blob = this.base64ToUint8Array(envelope);
+    const decrypted = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: blob.subarray(0, 12),
+        additionalData: this.textEncoder.encode(METADATA_AAD),
+        tagLength: 128,
+      },
+      await this.importFileKey(fileKey, 'decrypt'),
+      this.concatBytes(blob.subarray(12 + AUTH_TAG_LENGTH), blob.subarray(12, 12 + AUTH_TAG_LENGTH))
+    );
+    return JSON.parse(this.textDecoder.decode(decrypted));
+  }
+
+  /**
+   * Encrypt a selected file for secure upload. The plaintext and the file
+   * key never leave the browser; only the ciphertext, the wrapped key and
+   * the sealed metadata envelope do.
+   * @param {File} file - File picked by the user
+   * @param {string} password - Per-image password
+   * @param {Object} metadata - Metadata to seal (see lib/fileMetadata.js)
+   * @param {Uint8Array} folderKey - Vault folder key; the file key is wrapped
+   *   with it, and the password (if any) becomes an extra layer underneath
+   * @param {string} recoveryPublicKey - If set, the file key is also wrapped to it
+   * @returns {Promise<Object>} { encryptedBlob: Blob, encryptedMetadata: string,
+   *   and encryptedKeyBlob + salt, or wrappedKey (+ salt with a password),
+   *   plus recoveryWrappedKey with a recovery key }
+   */
+  async encryptFileForUpload(file, password, metadata, folderKey = null, recoveryPublicKey = null) {
+    const fileKey = this.generateFileKey();
+    const salt = this.generateSalt();
+
+    // Encrypt segment by segment so the whole file is never held as one array
+    const encryptedBlob = await new Response(
+      file.stream().pipeThrough(this.createEncryptStream(fileKey))
+    ).blob();
+    const encryptedMetadata = await this.sealMetadata(metadata, fileKey);
+
+    let keys;
+    if (folderKey) {
+      // With a password the folder key wraps the password blob, so opening
+      // the file needs both; without one it wraps the file key itself
+      const keyMaterial = password
+        ? this.base64ToUint8Array((await this.encryptFileKey(fileKey, password, salt)).encryptedKeyBlob)
+        : fileKey;
+      keys = {
+        wrappedKey: await this.wrapKey(keyMaterial, folderKey, KEY_WRAP_AAD.fileKey),
+        ...(password && { salt: this.uint8ArrayToBase64(salt) })
+      };
+    } else {
+      const { encryptedKeyBlob } = await this.encryptFileKey(fileKey, password, salt);
+      keys = { encryptedKeyBlob, salt: this.uint8ArrayToBase64(salt) };
+    }
+
+    if (recoveryPublicKey) {
+      keys.recoveryWrappedKey = await this.wrapKeyForRecovery(fileKey, recoveryPublicKey);
+    }
+
+    fileKey.fill(0);
+
+    return {
+      encryptedBlob,
+      encryptedMetadata,
+      ...keys
+    };
+  }
+
   /**
    * Decrypt file key with password-derived key
    * @param {string} encryptedKeyBlob - Base64 encoded encrypted key blob
@@ -88,7 +546,7 @@ export class CryptoService {
           tagLength: 128,
         },
         cryptoKey,
-        new Uint8Array([...encryptedData, ...authTag])
+        this.concatBytes(encryptedData, authTag)
       );
       
       return new Uint8Array(decryptedKey);
@@ -98,45 +556,267 @@ export class CryptoService {
   }
 
   /**
-   * Decrypt file data using AES-256-GCM
-   * @param {Uint8Array} encryptedBlob - Encrypted file blob from server
+   * Check a password that failed to unwrap a file key against the account's
+   * duress password, using the check values sent with the file metadata
+   * @param {string} password - Password that was entered
+   * @param {Object} duress - { salt, keyCheck } from the file metadata
+   * @returns {Promise<boolean>} True if it is the duress password
+   */
+  async isDuressPassword(password, duress) {
+    if (!duress?.salt || !duress?.keyCheck) {
+      return false;
+    }
+    const key = await this.deriveKey(password, this.base64ToUint8Array(duress.salt));
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', key));
+    key.fill(0);
+    return this.uint8ArrayToBase64(digest) === duress.keyCheck;
+  }
+
+  /**
+   * Check whether a blob starts with the chunked format's magic bytes
+   * @param {Uint8Array} bytes - Blob, or at least its first bytes
+   * @returns {boolean} True for chunked (version 2) blobs
+   */
+  isChunkedBlob(bytes) {
+    return bytes.length >= CHUNKED_MAGIC.length &&
+      CHUNKED_MAGIC.every((byte, index) => bytes[index] === byte);
+  }
+
+  /**
+   * Build a chunked-format header with a fresh nonce prefix
+   * @param {number} chunkSize - Plaintext bytes per segment
+   * @returns {Uint8Array} 16-byte header
+   */
+  createChunkedHeader(chunkSize = DEFAULT_CHUNK_SIZE) {
+    const header = new Uint8Array(CHUNKED_HEADER_LENGTH);
+    const view = new DataView(header.buffer);
+    header.set(CHUNKED_MAGIC, 0);
+    view.setUint8(4, CHUNKED_VERSION);
+    view.setUint32(5, chunkSize);
+    header.set(crypto.getRandomValues(new Uint8Array(7)), 9);
+    return header;
+  }
+
+  /**
+   * Parse and validate a chunked-format header
+   * @param {Uint8Array} bytes - Bytes starting with the header
+   * @returns {Object} { header: Uint8Array, chunkSize: number }
+   */
+  parseChunkedHeader(bytes) {
+    if (bytes.length < CHUNKED_HEADER_LENGTH || !this.isChunkedBlob(bytes)) {
+      throw new Error('Missing chunked encryption header');
+    }
+
+    const header = bytes.slice(0, CHUNKED_HEADER_LENGTH);
+    const view = new DataView(header.buffer);
+    const version = view.getUint8(4);
+    const chunkSize = view.getUint32(5);
+
+    if (version !== CHUNKED_VERSION) {
+      throw new Error(`Unsupported encryption format version: ${version}`);
+    }
+    if (chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`Invalid chunk size: ${chunkSize}`);
+    }
+
+    return { header, chunkSize };
+  }
+
+  /**
+   * AES-GCM parameters for one segment
+   * @param {Uint8Array} header - Chunked-format header
+   * @param {number} index - Segment index
+   * @param {boolean} final - Whether this is the last segment
+   * @returns {Object} WebCrypto AES-GCM params
+   */
+  segmentParams(header, index, final) {
+    const iv = new Uint8Array(12);
+    iv.set(header.subarray(9, CHUNKED_HEADER_LENGTH), 0);
+    new DataView(iv.buffer).setUint32(7, index);
+    iv[11] = final ? 1 : 0;
+
+    return {
+      name: 'AES-GCM',
+      iv,
+      additionalData: this.concatBytes(this.textEncoder.encode('DisguiseDrive-v2'), header),
+      tagLength: 128,
+    };
+  }
+
+  /**
+   * Import a raw file key for AES-GCM
+   * @param {Uint8Array} fileKey - 256-bit file key
+   * @param {string} usage - 'encrypt' or 'decrypt'
+   * @returns {Promise<CryptoKey>} Imported key
+   */
+  importFileKey(fileKey, usage) {
+    return crypto.subtle.importKey('raw', fileKey, { name: 'AES-GCM' }, false, [usage]);
+  }
+
+  /**
+   * Create a stream that encrypts plaintext into the chunked format
+   * @param {Uint8Array} fileKey - 256-bit file key
+   * @param {number} chunkSize - Plaintext bytes per segment
+   * @returns {TransformStream} Plaintext in, chunked blob out
+   */
+  createEncryptStream(fileKey, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const service = this;
+    const header = this.createChunkedHeader(chunkSize);
+    let cryptoKey;
+    let pending = new Uint8Array(0);
+    let index = 0;
+
+    const seal = async (plaintext, final) => new Uint8Array(
+      await crypto.subtle.encrypt(service.segmentParams(header, index++, final), cryptoKey, plaintext)
+    );
+
+    return new TransformStream({
+      async start(controller) {
+        cryptoKey = await service.importFileKey(fileKey, 'encrypt');
+        controller.enqueue(header);
+      },
+
+      async transform(chunk, controller) {
+        pending = service.concatBytes(pending, new Uint8Array(chunk));
+        // Hold back at least one byte so the last segment is always the final one
+        while (pending.length > chunkSize) {
+          controller.enqueue(await seal(pending.subarray(0, chunkSize), false));
+          pending = pending.subarray(chunkSize);
+        }
+      },
+
+      async flush(controller) {
+        controller.enqueue(await seal(pending, true));
+      }
+    });
+  }
+
+  /**
+   * Create a stream that decrypts a stored blob. Chunked blobs are decrypted
+   * segment by segment; legacy single-shot blobs are buffered and decrypted
+   * whole once the input ends.
+   * @param {Uint8Array} fileKey - 256-bit file key
+   * @returns {TransformStream} Stored blob in, plaintext out
+   */
+  createDecryptStream(fileKey) {
+    const service = this;
+    let cryptoKey;
+    let pending = new Uint8Array(0);
+    let format = null;
+    let header = null;
+    let segmentSize = 0;
+    let index = 0;
+    const legacyParts = [];
+
+    const open = async (segment, final) => new Uint8Array(
+      await crypto.subtle.decrypt(service.segmentParams(header, index++, final), cryptoKey, segment)
+    );
+
+    return new TransformStream({
+      async start() {
+        cryptoKey = await service.importFileKey(fileKey, 'decrypt');
+      },
+
+      async transform(chunk, controller) {
+        const bytes = new Uint8Array(chunk);
+        if (format === 'legacy') {
+          legacyParts.push(bytes);
+          return;
+        }
+
+        pending = service.concatBytes(pending, bytes);
+
+        if (!format && pending.length >= CHUNKED_MAGIC.length) {
+          format = service.isChunkedBlob(pending) ? 'chunked' : 'legacy';
+          if (format === 'legacy') {
+            legacyParts.push(pending);
+            return;
+          }
+        }
+
+        if (format === 'chunked' && !header && pending.length >= CHUNKED_HEADER_LENGTH) {
+          const parsed = service.parseChunkedHeader(pending);
+          header = parsed.header;
+          segmentSize = parsed.chunkSize + AUTH_TAG_LENGTH;
+          pending = pending.subarray(CHUNKED_HEADER_LENGTH);
+        }
+
+        // Only a segment followed by more data can be a non-final one
+        while (header && pending.length > segmentSize) {
+          controller.enqueue(await open(pending.subarray(0, segmentSize), false));
+          pending = pending.subarray(segmentSize);
+        }
+      },
+
+      async flush(controller) {
+        if (format === 'legacy') {
+          // [IV (12 bytes)] [AuthTag (16 bytes)] [Encrypted Data]
+          const blob = service.concatBytes(...legacyParts);
+          const decrypted = await crypto.subtle.decrypt(
+            {
+              name: 'AES-GCM',
+              iv: blob.subarray(0, 12),
+              additionalData: service.textEncoder.encode('DisguiseDrive-v1'),
+              tagLength: 128,
+            },
+            cryptoKey,
+            service.concatBytes(blob.subarray(28), blob.subarray(12, 28))
+          );
+          controller.enqueue(new Uint8Array(decrypted));
+        } else if (header && pending.length >= AUTH_TAG_LENGTH) {
+          controller.enqueue(await open(pending, true));
+        } else {
+          throw new Error('Encrypted blob is truncated');
+        }
+      }
+    });
+  }
+
+  /**
+   * Decrypt a stream of stored blob bytes into a Blob
+   * @param {ReadableStream} encryptedStream - Stored blob bytes
    * @param {Uint8Array} fileKey - Decrypted file key
-   * @returns {Promise<Uint8Array>} Decrypted file data
+   * @param {string} mimeType - MIME type of the plaintext
+   * @returns {Promise<Blob>} Decrypted file
    */
-  async decryptFileData(encryptedBlob, fileKey) {
+  async decryptStreamToBlob(encryptedStream, fileKey, mimeType) {
     try {
-      // Parse storage blob format: [IV (12 bytes)] [AuthTag (16 bytes)] [Encrypted Data]
-      const iv = encryptedBlob.slice(0, 12);
-      const authTag = encryptedBlob.slice(12, 28);
-      const encryptedData = encryptedBlob.slice(28);
-      
-      // Import file key for decryption
-      const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        fileKey,
-        { name: 'AES-GCM' },
-        false,
-        ['decrypt']
-      );
-      
-      // Decrypt file data
-      const decryptedData = await crypto.subtle.decrypt(
-        {
-          name: 'AES-GCM',
-          iv: iv,
-          additionalData: new TextEncoder().encode('DisguiseDrive-v1'),
-          tagLength: 128,
-        },
-        cryptoKey,
-        new Uint8Array([...encryptedData, ...authTag])
-      );
-      
-      return new Uint8Array(decryptedData);
+      const decrypted = await new Response(
+        encryptedStream.pipeThrough(this.createDecryptStream(fileKey))
+      ).blob();
+      return new Blob([decrypted], { type: mimeType });
     } catch (error) {
       throw new Error(`File decryption failed: ${error.message}`);
     }
   }
 
+  /**
+   * Decrypt file data held in memory (chunked or legacy single-shot blob)
+   * @param {Uint8Array} encryptedBlob - Encrypted file blob from server
+   * @param {Uint8Array} fileKey - Decrypted file key
+   * @returns {Promise<Uint8Array>} Decrypted file data
+   */
+  async decryptFileData(encryptedBlob, fileKey) {
+    const decrypted = await this.decryptStreamToBlob(new Blob([encryptedBlob]).stream(), fileKey, '');
+    return new Uint8Array(await decrypted.arrayBuffer());
+  }
+
+  /**
+   * Concatenate byte arrays without spreading them into argument lists
+   * @param {...Uint8Array} parts - Arrays to join
+   * @returns {Uint8Array} Joined bytes
+   */
+  concatBytes(...parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+
   /**
    * Convert base64 string to Uint8Array
    * @param {string} base64 - Base64 encoded string
@@ -164,6 +844,16 @@ export class CryptoService {
     return btoa(binary);
   }
 
+  // JWK key components are unpadded base64url
+  base64UrlToUint8Array(base64Url) {
+    const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+    return this.base64ToUint8Array(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  }
+
+  uint8ArrayToBase64Url(bytes) {
+    return this.uint8ArrayToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
   /**
    * Create a blob URL from decrypted image data (temporary, for canvas)
    * @param {Uint8Array} imageData - Decrypted image data
@@ -177,7 +867,7 @@ export class CryptoService {
 
   /**
    * Render decrypted image to canvas (secure display)
-   * @param {Uint8Array} imageData - Decrypted image data
+   * @param {Uint8Array|Blob} imageData - Decrypted image data
    * @param {string} mimeType - Image MIME type
    * @param {HTMLCanvasElement} canvas - Canvas element to render to
    * @param {string} watermarkText - Optional watermark text
@@ -187,7 +877,7 @@ export class CryptoService {
     return new Promise((resolve, reject) => {
       try {
         console.log('Starting renderToCanvas with:', {
-          dataSize: imageData.length,
+          dataSize: imageData.size ?? imageData.length,
           mimeType,
           canvasExists: !!canvas
         });
@@ -242,23 +932,7 @@ export class CryptoService {
             console.log('Image drawn to canvas successfully');
             
             // Add watermark if provided
-            if (watermarkText) {
-              ctx.save();
-              ctx.globalAlpha = 0.3;
-              ctx.fillStyle = 'white';
-              ctx.strokeStyle = 'black';
-              ctx.lineWidth = 1;
-              ctx.font = '14px Inter, sans-serif';
-              ctx.textAlign = 'right';
-              ctx.textBaseline = 'bottom';
-              
-              const x = width - 10;
-              const y = height - 10;
-              
-              ctx.strokeText(watermarkText, x, y);
-              ctx.fillText(watermarkText, x, y);
-              ctx.restore();
-            }
+            this.drawWatermark(ctx, width, height, watermarkText);
             
             // Clean up blob URL
             URL.revokeObjectURL(url);
@@ -282,6 +956,34 @@ export class CryptoService {
     });
   }
 
+  /**
+   * Draw the viewer watermark in the bottom-right corner of a canvas
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {string} watermarkText - Watermark text (nothing is drawn if empty)
+   */
+  drawWatermark(ctx, width, height, watermarkText) {
+    if (!watermarkText) {
+      return;
+    }
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = 'white';
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 1;
+    ctx.font = '14px Inter, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+
+    const x = width - 10;
+    const y = height - 10;
+
+    ctx.strokeText(watermarkText, x, y);
+    ctx.fillText(watermarkText, x, y);
+    ctx.restore();
+  }
+
   /**
    * Securely clear canvas
    * @param {HTMLCanvasElement} canvas - Canvas to clear
@@ -0,0 +1,110 @@
+// The app can boot into a working calculator or notes app instead; the real
+// login only appears once the user's secret sequence is entered into it.
+// Settings live in localStorage (and optionally in the account), and an
+// opened facade stays open for the rest of the browser session.
+
+const SETTINGS_KEY = 'facade-settings';
+const OPENED_KEY = 'facade-opened';
+
+const svgIcon = (body) =>
+  `data:image/svg+xml,${encodeURIComponent(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">${body}</svg>`)}`;
+
+export const FACADES = {
+  calculator: {
+    name: 'Calculator',
+    themeColor: '#1f2937',
+    icon: svgIcon(
+      '<rect width="64" height="64" rx="14" fill="#1f2937"/>' +
+      '<rect x="12" y="10" width="40" height="14" rx="3" fill="#9ca3af"/>' +
+      '<g fill="#f59e0b"><circle cx="18" cy="34" r="5"/><circle cx="32" cy="34" r="5"/><circle cx="46" cy="34" r="5"/>' +
+      '<circle cx="18" cy="49" r="5"/><circle cx="32" cy="49" r="5"/><circle cx="46" cy="49" r="5"/></g>'
+    ),
+    sequenceHint: 'Keys pressed on the calculator, e.g. 1984=',
+    sequencePattern: /^[0-9.+\-*/=]{4,32}$/
+  },
+  notes: {
+    name: 'Notes',
+    themeColor: '#f59e0b',
+    icon: svgIcon(
+      '<rect width="64" height="64" rx="14" fill="#fbbf24"/>' +
+      '<rect x="14" y="12" width="36" height="42" rx="3" fill="#fffbeb"/>' +
+      '<g stroke="#d97706" stroke-width="3" stroke-linecap="round"><path d="M21 24h22M21 33h22M21 42h14"/></g>'
+    ),
+    sequenceHint: 'A phrase typed at the end of a note',
+    sequencePattern: /^.{4,64}$/
+  }
+};
+
+export const DEFAULT_FACADE_SETTINGS = { mode: 'off', sequence: '' };
+
+/**
+ * Facade settings stored in this browser
+ * @returns {Object} { mode, sequence }
+ */
+export const loadFacadeSettings = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return settings?.mode ? settings : DEFAULT_FACADE_SETTINGS;
+  } catch (error) {
+    return DEFAULT_FACADE_SETTINGS;
+  }
+};
+
+export const saveFacadeSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Check a sequence for a facade mode
+ * @returns {string|null} Error message, or null if the settings can be saved
+ */
+export const validateFacadeSettings = ({ mode, sequence }) => {
+  if (mode === 'off') {
+    return null;
+  }
+  const facade = FACADES[mode];
+  if (!facade) {
+    return 'Unknown disguise';
+  }
+  return facade.sequencePattern.test(sequence) ? null : `Invalid sequence. ${facade.sequenceHint}`;
+};
+
+/**
+ * The facade to show, or null when the app should appear as itself
+ */
+export const getActiveFacade = (settings) => {
+  if (settings.mode === 'off' || validateFacadeSettings(settings)) {
+    return null;
+  }
+  return FACADES[settings.mode];
+};
+
+export const isFacadeOpened = () => sessionStorage.getItem(OPENED_KEY) === 'true';
+
+export const openFacade = () => {
+  sessionStorage.setItem(OPENED_KEY, 'true');
+};
+
+// Signing out brings the facade back
+export const closeFacade = () => {
+  sessionStorage.removeItem(OPENED_KEY);
+};
+
+/**
+ * Web app manifest for a facade, as an object URL the caller must revoke
+ * @param {Object} facade - Entry from FACADES
+ * @returns {string} blob: URL
+ */
+export const createFacadeManifestUrl = (facade) => {
+  const manifest = {
+    name: facade.name,
+    short_name: facade.name,
+    // Resolved against the blob: URL otherwise
+    start_url: `${window.location.origin}/`,
+    display: 'standalone',
+    background_color: facade.themeColor,
+    theme_color: facade.themeColor,
+    icons: [{ src: facade.icon, sizes: 'any', type: 'image/svg+xml' }]
+  };
+  return URL.createObjectURL(new Blob([JSON.stringify(manifest)], { type: 'application/manifest+json' }));
+};
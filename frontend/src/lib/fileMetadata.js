@@ -0,0 +1,176 @@
+import { getFileMimeType, getPreviewKind } from './fileTypes';
+
+// Shown in place of the name of a file whose metadata is still sealed
+export const LOCKED_FILE_LABEL = 'Locked file';
+
+// EXIF lives in the first APP1 segment, well inside this many bytes
+const EXIF_SEARCH_LENGTH = 128 * 1024;
+
+const EXIF_TAGS = {
+  exifIfdPointer: 0x8769,
+  dateTime: 0x0132,
+  dateTimeOriginal: 0x9003
+};
+
+/**
+ * Read an ASCII tag value from a TIFF IFD
+ * @returns {string|null} Tag value, or null if the IFD does not have it
+ */
+const readIfdTag = (view, tiffStart, ifdOffset, tag, littleEndian) => {
+  const entries = view.getUint16(tiffStart + ifdOffset, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = tiffStart + ifdOffset + 2 + i * 12;
+    if (view.getUint16(entry, littleEndian) !== tag) {
+      continue;
+    }
+    const count = view.getUint32(entry + 4, littleEndian);
+    // Values longer than four bytes are stored at an offset
+    const valueStart = count > 4 ? tiffStart + view.getUint32(entry + 8, littleEndian) : entry + 8;
+    let value = '';
+    for (let j = 0; j < count - 1; j++) {
+      value += String.fromCharCode(view.getUint8(valueStart + j));
+    }
+    return value;
+  }
+  return null;
+};
+
+const readLongTag = (view, tiffStart, ifdOffset, tag, littleEndian) => {
+  const entries = view.getUint16(tiffStart + ifdOffset, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = tiffStart + ifdOffset + 2 + i * 12;
+    if (view.getUint16(entry, littleEndian) === tag) {
+      return view.getUint32(entry + 8, littleEndian);
+    }
+  }
+  return null;
+};
+
+/**
+ * Capture date from a JPEG's EXIF data (DateTimeOriginal, else DateTime)
+ * @param {File} file - JPEG file
+ * @returns {Promise<string|null>} ISO-like local timestamp, or null
+ */
+const readCaptureDate = async (file) => {
+  try {
+    const view = new DataView(await file.slice(0, EXIF_SEARCH_LENGTH).arrayBuffer());
+    if (view.getUint16(0) !== 0xFFD8) {
+      return null;
+    }
+
+    let offset = 2;
+    while (offset + 4 < view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+      // APP1 segment starting with "Exif\0\0"
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiffStart = offset + 10;
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        const ifd0 = view.getUint32(tiffStart + 4, littleEndian);
+        const exifIfd = readLongTag(view, tiffStart, ifd0, EXIF_TAGS.exifIfdPointer, littleEndian);
+        const value = (exifIfd && readIfdTag(view, tiffStart, exifIfd, EXIF_TAGS.dateTimeOriginal, littleEndian)) ||
+          readIfdTag(view, tiffStart, ifd0, EXIF_TAGS.dateTime, littleEndian);
+        const match = value && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : null;
+      }
+      if ((marker & 0xFF00) !== 0xFF00) {
+        return null;
+      }
+      offset += 2 + length;
+    }
+  } catch (error) {
+    console.warn('Failed to read EXIF capture date:', error);
+  }
+  return null;
+};
+
+/**
+ * Image dimensions, decoded by the browser
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} { width, height }, or {} if the image cannot be decoded
+ */
+const readImageDimensions = async (file) => {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const dimensions = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return dimensions;
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Collect the metadata sealed into a secure upload's envelope
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} { name, mimeType, size, width?, height?, capturedAt? }
+ */
+export const readFileMetadata = async (file) => {
+  const metadata = {
+    name: file.name,
+    mimeType: getFileMimeType(file),
+    size: file.size
+  };
+
+  if (getPreviewKind(metadata.mimeType) === 'image') {
+    Object.assign(metadata, await readImageDimensions(file));
+    if (metadata.mimeType === 'image/jpeg') {
+      const capturedAt = await readCaptureDate(file);
+      if (capturedAt) {
+        metadata.capturedAt = capturedAt;
+      }
+    }
+  }
+
+  return metadata;
+};
+
+/**
+ * What to show for a file: its real metadata once known, or a neutral
+ * label while a sealed file is still locked
+ * @param {Object} file - File record from the API
+ * @param {Object} metadata - Opened envelope, if the file has been unlocked
+ * @returns {Object} { name, mimeType, size, width?, height?, capturedAt?, isSealed, isLocked }
+ */
+export const describeFile = (file, metadata) => {
+  if (!file?.encryptedMetadata) {
+    return {
+      name: file?.originalName,
+      mimeType: file?.mimeType,
+      size: file?.size,
+      isSealed: false,
+      isLocked: false
+    };
+  }
+
+  if (!metadata) {
+    return {
+      name: LOCKED_FILE_LABEL,
+      mimeType: file.mimeType,
+      size: file.size,
+      isSealed: true,
+      isLocked: true
+    };
+  }
+
+  return { ...metadata, isSealed: true, isLocked: false };
+};
+
+/**
+ * Believable metadata for the decoy picture a duress password opens: a
+ * camera-style name taken from when the file was uploaded
+ * @param {Object} file - File record from the API
+ * @param {Blob} decoyImage - Picture shown instead of the file
+ * @returns {Object} { name, mimeType, size }
+ */
+export const decoyFileMetadata = (file, decoyImage) => {
+  const date = new Date(file.createdAt);
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return {
+    name: `IMG_${stamp}.jpg`,
+    mimeType: 'image/jpeg',
+    size: decoyImage.size
+  };
+};
@@ -0,0 +1,44 @@
+// File types the upload form accepts, keyed by MIME type for react-dropzone
+export const ACCEPTED_FILE_TYPES = {
+  'image/*': ['.jpeg', '.jpg', '.png', '.webp', '.gif', '.bmp', '.tiff'],
+  'video/*': ['.mp4', '.mov', '.avi', '.mkv', '.webm'],
+  'application/pdf': ['.pdf'],
+  'text/*': ['.txt', '.md'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
+};
+
+// Browsers often report no type for .md and friends
+const EXTENSION_MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.txt': 'text/plain',
+  '.mkv': 'video/x-matroska',
+  '.mov': 'video/quicktime'
+};
+
+/**
+ * MIME type of a File, falling back to its extension
+ * @param {File} file - Selected file
+ * @returns {string} MIME type
+ */
+export const getFileMimeType = (file) => {
+  if (file.type && file.type !== 'application/octet-stream') {
+    return file.type;
+  }
+  const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+  return EXTENSION_MIME_TYPES[extension] || file.type || 'application/octet-stream';
+};
+
+/**
+ * Which viewer renders a MIME type
+ * @param {string} mimeType - File MIME type
+ * @returns {'image'|'video'|'pdf'|'text'|'none'} Preview kind
+ */
+export const getPreviewKind = (mimeType = '') => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/')) return 'text';
+  return 'none';
+};
@@ -0,0 +1,135 @@
+// Gestures that open the unlock prompt on a cover. The cover is split into
+// a 3x3 grid of regions for region sequences; swipes are classified by
+// their dominant direction.
+
+export const GESTURE_REGIONS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right'
+];
+
+export const SWIPE_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+export const GESTURE_TYPES = {
+  taps: { label: 'Taps', description: 'Tap the cover several times in quick succession' },
+  regions: { label: 'Tap sequence', description: 'Tap regions of the cover in order' },
+  longPress: { label: 'Long press', description: 'Press and hold the cover' },
+  swipe: { label: 'Swipe pattern', description: 'Swipe across the cover in a pattern' }
+};
+
+export const DEFAULT_GESTURES = {
+  taps: { type: 'taps', count: 3, windowMs: 800 },
+  regions: { type: 'regions', regions: ['top-left', 'bottom-right', 'top-right'], windowMs: 1500 },
+  longPress: { type: 'longPress', durationMs: 800 },
+  swipe: { type: 'swipe', pattern: ['left', 'right'], windowMs: 1500 }
+};
+
+// Triple-tap, as the app has always advertised
+export const DEFAULT_GESTURE = DEFAULT_GESTURES.taps;
+
+// Movement (px) beyond which a press is a swipe rather than a tap
+export const SWIPE_MIN_DISTANCE = 30;
+
+/**
+ * Region of the cover a point falls in
+ * @param {number} x - Offset from the left edge
+ * @param {number} y - Offset from the top edge
+ * @param {number} width - Cover width
+ * @param {number} height - Cover height
+ * @returns {string} Entry from GESTURE_REGIONS
+ */
+export const regionAt = (x, y, width, height) => {
+  const column = Math.min(2, Math.max(0, Math.floor((x / width) * 3)));
+  const row = Math.min(2, Math.max(0, Math.floor((y / height) * 3)));
+  return GESTURE_REGIONS[row * 3 + column];
+};
+
+/**
+ * Direction of a stroke, or null if it is too short to be a swipe
+ */
+export const swipeDirection = (dx, dy) => {
+  if (Math.hypot(dx, dy) < SWIPE_MIN_DISTANCE) {
+    return null;
+  }
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? 'right' : 'left';
+  }
+  return dy > 0 ? 'down' : 'up';
+};
+
+const endsWith = (steps, expected) =>
+  steps.length >= expected.length &&
+  expected.every((step, index) => steps[steps.length - expected.length + index] === step);
+
+/**
+ * Check a stored gesture, falling back to the default for anything malformed
+ * @param {Object} gesture - Gesture from the user's settings
+ * @returns {Object} A usable gesture
+ */
+export const normalizeGesture = (gesture) => {
+  if (!gesture || !DEFAULT_GESTURES[gesture.type]) {
+    return DEFAULT_GESTURE;
+  }
+  return { ...DEFAULT_GESTURES[gesture.type], ...gesture };
+};
+
+/**
+ * Track taps and swipes against a gesture. Long presses are timed by the
+ * caller, since they fire while the pointer is still down.
+ * @param {Object} gesture - Normalized gesture
+ * @returns {Object} { tap(region, time), swipe(direction, time), reset() },
+ *   where tap and swipe return true once the gesture is complete
+ */
+export const createGestureRecognizer = (gesture) => {
+  let steps = [];
+
+  // Steps further apart than the window start the gesture over
+  const record = (step, time) => {
+    const last = steps[steps.length - 1];
+    if (last && time - last.time > gesture.windowMs) {
+      steps = [];
+    }
+    steps.push({ step, time });
+    steps = steps.slice(-16);
+  };
+
+  const reset = () => {
+    steps = [];
+  };
+
+  const complete = () => {
+    reset();
+    return true;
+  };
+
+  return {
+    tap(region, time) {
+      if (gesture.type === 'taps') {
+        record('tap', time);
+        // All taps must land within one window, not just consecutive ones
+        const recent = steps.filter(({ time: stepTime }) => time - stepTime <= gesture.windowMs);
+        return recent.length >= gesture.count ? complete() : false;
+      }
+      if (gesture.type === 'regions') {
+        record(region, time);
+        return endsWith(steps.map(({ step }) => step), gesture.regions) ? complete() : false;
+      }
+      if (gesture.type === 'swipe') {
+        // A tap breaks a swipe pattern
+        reset();
+      }
+      return false;
+    },
+
+    swipe(direction, time) {
+      if (gesture.type !== 'swipe') {
+        reset();
+        return false;
+      }
+      record(direction, time);
+      return endsWith(steps.map(({ step }) => step), gesture.pattern) ? complete() : false;
+    },
+
+    reset
+  };
+};
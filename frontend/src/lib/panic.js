@@ -0,0 +1,119 @@
+// A panic action hides everything at once: open views wipe their decrypted
+// data, the vault locks, and the browser leaves for the disguise (or an
+// innocuous site). Triggers are set per browser in localStorage, since they
+// have to work before anything is loaded from the account.
+
+import { foldersAPI } from './api';
+import vault from './vault';
+import { loadFacadeSettings, getActiveFacade, closeFacade } from './facade';
+
+const SETTINGS_KEY = 'panic-settings';
+
+export const PANIC_TRIGGERS = {
+  shortcut: { label: 'Press Escape twice' },
+  cornerTap: { label: 'Double-tap the top-right corner of the screen' },
+  shake: { label: 'Shake the phone' }
+};
+
+export const DEFAULT_PANIC_SETTINGS = {
+  shortcut: true,
+  cornerTap: false,
+  shake: false,
+  revokeTokens: false,
+  redirectUrl: ''
+};
+
+// Where to go when no disguise is set up and no URL was chosen
+export const DEFAULT_REDIRECT_URL = 'https://www.wikipedia.org/';
+
+// Longest the server gets to revoke folder tokens before the page is left
+const REVOKE_TIMEOUT_MS = 1500;
+
+/**
+ * Panic settings stored in this browser
+ * @returns {Object} Triggers, revokeTokens and redirectUrl
+ */
+export const loadPanicSettings = () => {
+  try {
+    return { ...DEFAULT_PANIC_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_PANIC_SETTINGS;
+  }
+};
+
+export const savePanicSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Check a redirect URL
+ * @returns {string|null} Error message, or null if the settings can be saved
+ */
+export const validatePanicSettings = ({ redirectUrl }) => {
+  if (!redirectUrl) {
+    return null;
+  }
+  try {
+    const url = new URL(redirectUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? null : 'The page must be an http or https address';
+  } catch (error) {
+    return 'Invalid page address';
+  }
+};
+
+// iOS only delivers devicemotion events after asking, from a user gesture
+export const requestMotionPermission = async () => {
+  if (typeof DeviceMotionEvent === 'undefined') {
+    return false;
+  }
+  if (typeof DeviceMotionEvent.requestPermission !== 'function') {
+    return true;
+  }
+  return (await DeviceMotionEvent.requestPermission()) === 'granted';
+};
+
+const listeners = new Set();
+let panicking = false;
+
+/**
+ * Run a callback when panic is triggered. It must clear its decrypted data
+ * and keys synchronously; the page is left right after.
+ * @param {Function} listener - Callback
+ * @returns {Function} Unsubscribe
+ */
+export const onPanic = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Hide everything and leave the app
+ */
+export const triggerPanic = async () => {
+  if (panicking) {
+    return;
+  }
+  panicking = true;
+
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Panic listener failed:', error);
+    }
+  });
+  vault.lock();
+  closeFacade();
+
+  const settings = loadPanicSettings();
+  if (settings.revokeTokens) {
+    await Promise.race([
+      foldersAPI.revokeTokens().catch(error => console.error('Failed to revoke folder tokens:', error)),
+      new Promise(resolve => setTimeout(resolve, REVOKE_TIMEOUT_MS))
+    ]);
+  }
+
+  // With a disguise set up, reloading the app shows it again
+  const facade = getActiveFacade(loadFacadeSettings());
+  window.location.replace(facade ? '/' : (settings.redirectUrl || DEFAULT_REDIRECT_URL));
+};
@@ -0,0 +1,153 @@
+// Passkeys (WebAuthn) stand in for folder passwords. Where the authenticator
+// supports the PRF extension, its output also gives a key the vault master
+// key is wrapped with, so the same tap can unlock the vault. PRF output
+// never leaves this device; only the wrapped master key is stored.
+
+import { passkeysAPI, vaultAPI } from './api';
+import cryptoService from './crypto';
+import vault from './vault';
+
+const PRF_KEY_INFO = 'DisguiseDrive-passkey-prf-v1';
+
+const toBase64Url = (buffer) =>
+  cryptoService.uint8ArrayToBase64(new Uint8Array(buffer)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return cryptoService.base64ToUint8Array(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+const toCredentialDescriptors = (credentials = []) =>
+  credentials.map(credential => ({ ...credential, id: fromBase64Url(credential.id) }));
+
+// PRF results are left out: they are the secret the vault key is wrapped with
+const credentialToJSON = (credential) => {
+  const { response } = credential;
+  const json = {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || undefined,
+    clientExtensionResults: {},
+    response: { clientDataJSON: toBase64Url(response.clientDataJSON) }
+  };
+
+  if (response.attestationObject) {
+    json.response.attestationObject = toBase64Url(response.attestationObject);
+    json.response.transports = response.getTransports?.() || [];
+  } else {
+    json.response.authenticatorData = toBase64Url(response.authenticatorData);
+    json.response.signature = toBase64Url(response.signature);
+    if (response.userHandle) {
+      json.response.userHandle = toBase64Url(response.userHandle);
+    }
+  }
+  return json;
+};
+
+const getPrfOutput = (credential) => {
+  const first = credential.getClientExtensionResults().prf?.results?.first;
+  return first ? new Uint8Array(first) : null;
+};
+
+/**
+ * Whether this browser can use passkeys at all
+ * @returns {boolean}
+ */
+export const isPasskeySupported = () =>
+  typeof window !== 'undefined' && Boolean(window.PublicKeyCredential && navigator.credentials);
+
+/**
+ * Register a new passkey for the signed-in user
+ * @param {string} name - Label shown in the passkey list
+ * @param {Object} factor - { password } or, with two-factor on, { code }
+ * @returns {Promise<Object>} { passkey, prfOutput } (prfOutput when the
+ *   authenticator already evaluated PRF while registering)
+ */
+export const registerPasskey = async (name, factor) => {
+  const { options } = (await passkeysAPI.registrationOptions(factor)).data;
+  const prfSalt = crypto.getRandomValues(new Uint8Array(32));
+
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      user: { ...options.user, id: fromBase64Url(options.user.id) },
+      excludeCredentials: toCredentialDescriptors(options.excludeCredentials),
+      extensions: { ...options.extensions, prf: { eval: { first: prfSalt } } }
+    }
+  });
+  if (!credential) {
+    throw new Error('Passkey registration was cancelled');
+  }
+
+  const prfEnabled = Boolean(credential.getClientExtensionResults().prf?.enabled);
+  const response = await passkeysAPI.register(
+    name,
+    credentialToJSON(credential),
+    prfEnabled ? toBase64Url(prfSalt) : undefined
+  );
+
+  return { passkey: response.data.passkey, prfOutput: prfEnabled ? getPrfOutput(credential) : null };
+};
+
+/**
+ * Sign a fresh challenge with one of the user's passkeys. The assertion is
+ * then sent wherever a passkey is accepted (folder unlock, /passkeys/authenticate/verify).
+ * @returns {Promise<Object>} { assertion, prfOutput } (prfOutput is null without PRF)
+ */
+export const getPasskeyAssertion = async () => {
+  const { options, prfSalts } = (await passkeysAPI.authenticationOptions()).data;
+
+  const evalByCredential = {};
+  for (const [credentialId, salt] of Object.entries(prfSalts)) {
+    evalByCredential[credentialId] = { first: fromBase64Url(salt) };
+  }
+
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      allowCredentials: toCredentialDescriptors(options.allowCredentials),
+      extensions: Object.keys(evalByCredential).length > 0 ? { prf: { evalByCredential } } : undefined
+    }
+  });
+  if (!credential) {
+    throw new Error('Passkey sign-in was cancelled');
+  }
+
+  return { assertion: credentialToJSON(credential), prfOutput: getPrfOutput(credential) };
+};
+
+const deriveWrappingKey = (prfOutput) => cryptoService.hkdf(prfOutput, new Uint8Array(0), PRF_KEY_INFO);
+
+/**
+ * Let a passkey unlock the vault from now on (the vault must be unlocked)
+ * @param {string} passkeyId - Passkey the PRF output came from
+ * @param {Uint8Array} prfOutput - Its PRF output
+ */
+export const saveVaultKeyForPasskey = async (passkeyId, prfOutput) => {
+  const wrappingKey = await deriveWrappingKey(prfOutput);
+  try {
+    await passkeysAPI.setVaultKey(passkeyId, await vault.wrapMasterKey(wrappingKey));
+  } finally {
+    wrappingKey.fill(0);
+  }
+};
+
+/**
+ * Unlock the vault with a passkey's wrapped vault key and PRF output
+ * @param {string} wrappedVaultKey - From a verified assertion
+ * @param {Uint8Array} prfOutput - PRF output of the same assertion
+ * @throws If the passkey does not unlock this vault
+ */
+export const unlockVaultWithPasskey = async (wrappedVaultKey, prfOutput) => {
+  const { data } = await vaultAPI.get();
+  const wrappingKey = await deriveWrappingKey(prfOutput);
+  try {
+    await vault.unlockWithWrappedKey(wrappedVaultKey, wrappingKey, data.vault);
+  } finally {
+    wrappingKey.fill(0);
+    prfOutput.fill(0);
+  }
+};
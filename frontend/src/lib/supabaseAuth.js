@@ -1,17 +1,19 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from './supabase';
+import { AUTH_MODE } from './api';
+import { AuthContext as LocalAuthContext, AuthProvider as LocalAuthProvider } from './auth';
 
 const AuthContext = createContext({});
 
 export const useSupabaseAuth = () => {
-  const context = useContext(AuthContext);
+  const context = useContext(AUTH_MODE === 'local' ? LocalAuthContext : AuthContext);
   if (!context) {
     throw new Error('useSupabaseAuth must be used within a SupabaseAuthProvider');
   }
   return context;
 };
 
-export const SupabaseAuthProvider = ({ children }) => {
+const SupabaseSessionProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -95,3 +97,6 @@ export const SupabaseAuthProvider = ({ children }) => {
     </AuthContext.Provider>
   );
 };
+
+// With AUTH_MODE=local the backend's own accounts stand in for Supabase
+export const SupabaseAuthProvider = AUTH_MODE === 'local' ? LocalAuthProvider : SupabaseSessionProvider;
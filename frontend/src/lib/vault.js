@@ -0,0 +1,170 @@
+import cryptoService, { KEY_WRAP_AAD } from './crypto';
+
+// Stretching for the vault passphrase; it guards every folder key, so it is
+// much slower than the per-image password derivation
+const VAULT_ITERATIONS = 600000;
+const VAULT_CHECK_VALUE = 'DisguiseDrive vault';
+
+/**
+ * In-memory holder of the vault master key and the folder keys unwrapped
+ * with it. Nothing here is persisted; reloading the page locks the vault.
+ */
+class Vault {
+  constructor() {
+    this.masterKey = null;
+    this.folderKeys = new Map();
+  }
+
+  isUnlocked() {
+    return this.masterKey !== null;
+  }
+
+  /**
+   * Create vault parameters for a new passphrase and unlock with it
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<Object>} { vaultSalt, vaultKeyCheck } to store on the server
+   */
+  async create(passphrase) {
+    const salt = cryptoService.generateSalt();
+    const masterKey = await cryptoService.deriveKey(passphrase, salt, VAULT_ITERATIONS);
+    const vaultKeyCheck = await cryptoService.wrapKey(
+      new TextEncoder().encode(VAULT_CHECK_VALUE),
+      masterKey,
+      KEY_WRAP_AAD.vaultCheck
+    );
+
+    this.lock();
+    this.masterKey = masterKey;
+
+    return {
+      vaultSalt: cryptoService.uint8ArrayToBase64(salt),
+      vaultKeyCheck
+    };
+  }
+
+  /**
+   * Derive the master key from the passphrase and check it
+   * @param {string} passphrase - Vault passphrase
+   * @param {Object} params - { vaultSalt, vaultKeyCheck } from the server
+   * @throws If the passphrase is wrong
+   */
+  async unlock(passphrase, { vaultSalt, vaultKeyCheck }) {
+    const masterKey = await cryptoService.deriveKey(
+      passphrase,
+      cryptoService.base64ToUint8Array(vaultSalt),
+      VAULT_ITERATIONS
+    );
+
+    try {
+      await cryptoService.unwrapKey(vaultKeyCheck, masterKey, KEY_WRAP_AAD.vaultCheck);
+    } catch (error) {
+      masterKey.fill(0);
+      throw new Error('Wrong vault passphrase');
+    }
+
+    this.lock();
+    this.masterKey = masterKey;
+  }
+
+  /**
+   * Unlock with the master key wrapped by wrapMasterKey, such as a passkey's
+   * @param {string} wrappedMasterKey - Base64 wrapped master key
+   * @param {Uint8Array} wrappingKey - 256-bit key it was wrapped with
+   * @param {Object} params - { vaultKeyCheck } from the server
+   * @throws If the wrapping key is wrong or the vault passphrase has changed since
+   */
+  async unlockWithWrappedKey(wrappedMasterKey, wrappingKey, { vaultKeyCheck }) {
+    const masterKey = await cryptoService.unwrapKey(wrappedMasterKey, wrappingKey, KEY_WRAP_AAD.passkeyVaultKey);
+
+    try {
+      await cryptoService.unwrapKey(vaultKeyCheck, masterKey, KEY_WRAP_AAD.vaultCheck);
+    } catch (error) {
+      masterKey.fill(0);
+      throw new Error('This passkey no longer unlocks the vault');
+    }
+
+    this.lock();
+    this.masterKey = masterKey;
+  }
+
+  /**
+   * Wrap the master key for unlockWithWrappedKey
+   * @param {Uint8Array} wrappingKey - 256-bit wrapping key
+   * @returns {Promise<string>} Base64 wrapped master key
+   */
+  async wrapMasterKey(wrappingKey) {
+    if (!this.masterKey) {
+      throw new Error('Unlock the vault first');
+    }
+    return cryptoService.wrapKey(this.masterKey, wrappingKey, KEY_WRAP_AAD.passkeyVaultKey);
+  }
+
+  /**
+   * Forget the master key and every folder key
+   */
+  lock() {
+    this.masterKey?.fill(0);
+    this.masterKey = null;
+    for (const key of this.folderKeys.values()) {
+      key.fill(0);
+    }
+    this.folderKeys.clear();
+  }
+
+  /**
+   * Generate a folder key wrapped with the master key
+   * @returns {Promise<string>} Base64 wrappedFolderKey
+   */
+  async createFolderKey() {
+    if (!this.masterKey) {
+      throw new Error('Unlock the vault first');
+    }
+    const folderKey = cryptoService.generateFileKey();
+    const wrappedFolderKey = await cryptoService.wrapKey(folderKey, this.masterKey, KEY_WRAP_AAD.folderKey);
+    folderKey.fill(0);
+    return wrappedFolderKey;
+  }
+
+  /**
+   * The unwrapped key of a vault folder
+   * @param {Object} folder - Folder with id and wrappedFolderKey
+   * @returns {Promise<Uint8Array|null>} Folder key, or null if the folder has
+   *   no key or the vault is locked
+   */
+  async getFolderKey(folder) {
+    if (!folder?.wrappedFolderKey || !this.masterKey) {
+      return null;
+    }
+    if (!this.folderKeys.has(folder.id)) {
+      this.folderKeys.set(
+        folder.id,
+        await cryptoService.unwrapKey(folder.wrappedFolderKey, this.masterKey, KEY_WRAP_AAD.folderKey)
+      );
+    }
+    return this.folderKeys.get(folder.id);
+  }
+
+  /**
+   * Re-wrap a vault file's key for another folder (move and copy)
+   * @param {string} wrappedKey - File's current wrappedKey
+   * @param {Object} source - Folder the file is in
+   * @param {Object} destination - Folder it is going to
+   * @returns {Promise<string>} wrappedKey for the destination
+   */
+  async rewrapFileKey(wrappedKey, source, destination) {
+    const sourceKey = await this.getFolderKey(source);
+    const destinationKey = await this.getFolderKey(destination);
+    if (!sourceKey || !destinationKey) {
+      throw new Error('Unlock the vault first');
+    }
+
+    const keyMaterial = await cryptoService.unwrapKey(wrappedKey, sourceKey, KEY_WRAP_AAD.fileKey);
+    try {
+      return await cryptoService.wrapKey(keyMaterial, destinationKey, KEY_WRAP_AAD.fileKey);
+    } finally {
+      keyMaterial.fill(0);
+    }
+  }
+}
+
+export default new Vault();
@@ -1,11 +1,17 @@
 import '../styles/globals.css';
 import { SupabaseAuthProvider } from '../lib/supabaseAuth';
 import { Toaster } from 'react-hot-toast';
+import FacadeGate from '../components/FacadeGate';
+import PanicGuard from '../components/PanicGuard';
 
 function MyApp({ Component, pageProps }) {
   return (
     <SupabaseAuthProvider>
-      <Component {...pageProps} />
+      <FacadeGate>
+        <PanicGuard>
+          <Component {...pageProps} />
+        </PanicGuard>
+      </FacadeGate>
       <Toaster 
         position="top-right"
         toastOptions={{
@@ -1,9 +1,13 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSupabaseAuth } from '../lib/supabaseAuth';
 import Layout from '../components/Layout';
 import ImageViewer from '../components/ImageViewer';
 import UploadModal from '../components/UploadModal';
-import { foldersAPI, filesAPI } from '../lib/api';
+import { foldersAPI, filesAPI, vaultAPI, settingsAPI, passkeysAPI, getLockoutMessage } from '../lib/api';
+import { describeFile } from '../lib/fileMetadata';
+import vault from '../lib/vault';
+import { onPanic } from '../lib/panic';
+import { isPasskeySupported, getPasskeyAssertion, unlockVaultWithPasskey } from '../lib/passkeys';
 import { 
   FolderIcon, 
   FolderOpenIcon,
@@ -13,7 +17,15 @@ import {
   TrashIcon,
   CloudArrowUpIcon,
   EyeIcon,
-  EyeSlashIcon
+  EyeSlashIcon,
+  PencilIcon,
+  FolderArrowDownIcon,
+  ChevronRightIcon,
+  DocumentDuplicateIcon,
+  CheckCircleIcon,
+  KeyIcon,
+  ShieldExclamationIcon,
+  FingerPrintIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -33,20 +45,48 @@ export default function Folders() {
   }
   const [folders, setFolders] = useState([]);
   const [selectedFolder, setSelectedFolder] = useState(null);
+  const [childFolders, setChildFolders] = useState([]);
   const [folderFiles, setFolderFiles] = useState([]);
-  const [folderToken, setFolderToken] = useState(null);
+  // Opened metadata envelopes of unlocked files, by file id
+  const [unlockedMetadata, setUnlockedMetadata] = useState({});
+  // Access tokens keyed by the protected folder they were issued for
+  const [folderTokens, setFolderTokens] = useState({});
+  const [unlockTarget, setUnlockTarget] = useState(null);
+  const [moveTarget, setMoveTarget] = useState(null);
+  // { folder, password, decoyFolderId } while setting a folder's duress password
+  const [duressTarget, setDuressTarget] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  // Set while the reveal phrase has hidden folders showing; never persisted
+  const revealTokenRef = useRef(null);
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedFileIds, setSelectedFileIds] = useState([]);
+  // { mode: 'move' | 'copy', fileIds } while picking a destination
+  const [fileAction, setFileAction] = useState(null);
   const [showCreateFolder, setShowCreateFolder] = useState(false);
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [showImageViewer, setShowImageViewer] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
   const [folderPassword, setFolderPassword] = useState('');
+  // Second-factor code, shown once the server asks for one
+  const [folderCode, setFolderCode] = useState('');
+  const [folderCodeRequired, setFolderCodeRequired] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
   const [newFolderPassword, setNewFolderPassword] = useState('');
   const [isProtectedFolder, setIsProtectedFolder] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [showFolderPassword, setShowFolderPassword] = useState(false);
   const [showNewFolderPassword, setShowNewFolderPassword] = useState(false);
+  const [vaultUnlocked, setVaultUnlocked] = useState(vault.isUnlocked());
+  const [showVaultPrompt, setShowVaultPrompt] = useState(false);
+  const [vaultPassphrase, setVaultPassphrase] = useState('');
+  const [useVaultKey, setUseVaultKey] = useState(false);
+  // Unwrapped key of the open folder while the vault is unlocked
+  const [folderKey, setFolderKey] = useState(null);
+  // From the user's settings; the viewer falls back to a triple tap
+  const [unlockGesture, setUnlockGesture] = useState(null);
+  // Whether "Unlock with passkey" is offered
+  const [hasPasskeys, setHasPasskeys] = useState(false);
 
   useEffect(() => {
     console.log('Folders page auth state:', { loading, isAuthenticated, user: !!user });
@@ -70,12 +110,71 @@ export default function Folders() {
     if (isAuthenticated && user) {
       console.log('Loading folders for authenticated user');
       loadFolders();
+      loadUnlockGesture();
+      loadPasskeys();
     }
   }, [isAuthenticated, user]);
 
+  // Drop tokens, keys and everything listed the moment panic starts
+  useEffect(() => onPanic(() => {
+    setShowImageViewer(false);
+    setSelectedFile(null);
+    setUnlockedMetadata({});
+    setFolderTokens({});
+    setFolderKey(null);
+    setVaultUnlocked(false);
+    setSelectedFolder(null);
+    setChildFolders([]);
+    setFolderFiles([]);
+    setFolders([]);
+    setSearchQuery('');
+    revealTokenRef.current = null;
+  }), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    vault.getFolderKey(selectedFolder)
+      .then((key) => !cancelled && setFolderKey(key))
+      .catch((error) => {
+        console.error('Failed to unwrap folder key:', error);
+        if (!cancelled) setFolderKey(null);
+      });
+    return () => { cancelled = true; };
+  }, [selectedFolder, vaultUnlocked]);
+
+  // The token that opens a folder is the one for its nearest protected folder
+  const getProtectedFolderId = (folder) =>
+    folder.protectedFolderId !== undefined ? folder.protectedFolderId : (folder.isProtected ? folder.id : null);
+
+  const tokenFor = (protectedFolderId, tokens = folderTokens) =>
+    (protectedFolderId && tokens[protectedFolderId]) || null;
+
+  const folderToken = selectedFolder ? tokenFor(selectedFolder.protectedFolderId) : null;
+
+  const loadUnlockGesture = async () => {
+    try {
+      const response = await settingsAPI.get();
+      setUnlockGesture(response.data.settings.unlockGesture || null);
+    } catch (error) {
+      console.error('Failed to load unlock gesture:', error);
+    }
+  };
+
+  const loadPasskeys = async () => {
+    if (!isPasskeySupported()) {
+      return;
+    }
+    try {
+      const response = await passkeysAPI.list();
+      setHasPasskeys(response.data.passkeys.length > 0);
+    } catch (error) {
+      console.error('Failed to load passkeys:', error);
+    }
+  };
+
   const loadFolders = async () => {
     try {
-      const response = await foldersAPI.list();
+      const response = await foldersAPI.list(revealTokenRef.current);
       setFolders(response.data.folders);
     } catch (error) {
       console.error('Failed to load folders:', error);
@@ -103,49 +202,92 @@ export default function Folders() {
         password: isProtectedFolder ? newFolderPassword : undefined
       };
       
-      await foldersAPI.create(folderData);
+      if (selectedFolder) {
+        folderData.parentId = selectedFolder.id;
+      }
+      if (useVaultKey) {
+        folderData.wrappedFolderKey = await vault.createFolderKey();
+      }
+
+      await foldersAPI.create(folderData, folderToken);
       toast.success('Folder created successfully');
       setNewFolderName('');
       setNewFolderPassword('');
       setIsProtectedFolder(false);
+      setUseVaultKey(false);
       setShowCreateFolder(false);
-      loadFolders();
+      refreshCurrentView();
     } catch (error) {
       console.error('Failed to create folder:', error);
       toast.error(error.response?.data?.error || 'Failed to create folder');
     }
   };
 
-  const openFolder = async (folder) => {
-    if (folder.isProtected && !folderToken) {
-      setSelectedFolder(folder);
-      setShowPasswordPrompt(true);
+  const promptUnlock = (folder, protectedFolderId) => {
+    setUnlockTarget({ folder, protectedFolderId });
+    setShowPasswordPrompt(true);
+  };
+
+  const openFolder = async (folder, tokens = folderTokens) => {
+    const protectedFolderId = getProtectedFolderId(folder);
+    const token = tokenFor(protectedFolderId, tokens);
+
+    if (protectedFolderId && !token) {
+      promptUnlock(folder, protectedFolderId);
       return;
     }
 
     try {
-      const response = await foldersAPI.get(folder.id, folderToken);
-      setSelectedFolder(folder);
-      setFolderFiles(response.data.folder.files);
-      
-      // Use cover path from backend response
-      const filesWithCovers = response.data.folder.files.map(file => ({
-        ...file,
-        coverUrl: file.coverPath // Use the Unsplash URL from backend
-      }));
-      setFolderFiles(filesWithCovers);
+      const [folderResponse, childrenResponse] = await Promise.all([
+        foldersAPI.get(folder.id, token),
+        foldersAPI.children(folder.id, token, revealTokenRef.current)
+      ]);
+      setSelectedFolder(folderResponse.data.folder);
+      setFolderFiles(folderResponse.data.folder.files);
+      setChildFolders(childrenResponse.data.folders);
       
     } catch (error) {
       console.error('Failed to open folder:', error);
       if (error.response?.data?.requiresFolderPassword) {
-        setSelectedFolder(folder);
-        setShowPasswordPrompt(true);
+        promptUnlock(folder, error.response.data.protectedFolderId || folder.id);
       } else {
         toast.error('Failed to open folder');
       }
     }
   };
 
+  const goToRoot = () => {
+    exitSelectionMode();
+    setSelectedFolder(null);
+    setChildFolders([]);
+    setFolderFiles([]);
+    setFolderTokens({});
+    setUnlockedMetadata({});
+    loadFolders();
+  };
+
+  const refreshCurrentView = () => {
+    if (selectedFolder) {
+      openFolder(selectedFolder);
+    } else {
+      loadFolders();
+    }
+  };
+
+  const finishFolderUnlock = (accessToken) => {
+    const tokens = { ...folderTokens, [unlockTarget.protectedFolderId]: accessToken };
+    setFolderTokens(tokens);
+    setFolderPassword('');
+    setFolderCode('');
+    setFolderCodeRequired(false);
+    setShowPasswordPrompt(false);
+    setUnlockTarget(null);
+    
+    // Now open the folder
+    openFolder(unlockTarget.folder, tokens);
+    toast.success('Folder unlocked successfully');
+  };
+
   const unlockFolder = async () => {
     if (!folderPassword.trim()) {
       toast.error('Please enter the folder password');
@@ -153,40 +295,371 @@ export default function Folders() {
     }
 
     try {
-      const response = await foldersAPI.unlock(selectedFolder.id, folderPassword);
-      setFolderToken(response.data.accessToken);
-      setFolderPassword('');
-      setShowPasswordPrompt(false);
-      
-      // Now open the folder
-      openFolder(selectedFolder);
-      toast.success('Folder unlocked successfully');
-      
+      const response = await foldersAPI.unlock(
+        unlockTarget.protectedFolderId,
+        folderPassword,
+        folderCodeRequired ? folderCode : undefined
+      );
+      finishFolderUnlock(response.data.accessToken);
     } catch (error) {
       console.error('Failed to unlock folder:', error);
+      const lockoutMessage = getLockoutMessage(error);
+      if (lockoutMessage) {
+        toast.error(lockoutMessage);
+        return;
+      }
+      if (error.response?.data?.twoFactorRequired) {
+        if (folderCodeRequired) {
+          setFolderCode('');
+          toast.error('Invalid authentication code');
+        } else {
+          setFolderCodeRequired(true);
+          toast('Enter the code from your authenticator app');
+        }
+        return;
+      }
       toast.error('Invalid folder password');
     }
   };
 
-  const deleteFolder = async (folderId) => {
-    if (!confirm('Are you sure you want to delete this folder and all its files?')) {
+  // A passkey stands in for the password; with PRF it unlocks the vault as well
+  const unlockFolderWithPasskey = async () => {
+    try {
+      const { assertion, prfOutput } = await getPasskeyAssertion();
+      const response = await foldersAPI.unlockWithPasskey(
+        unlockTarget.protectedFolderId,
+        assertion,
+        folderCodeRequired ? folderCode : undefined
+      );
+
+      if (prfOutput && response.data.wrappedVaultKey && !vault.isUnlocked()) {
+        try {
+          await unlockVaultWithPasskey(response.data.wrappedVaultKey, prfOutput);
+          setVaultUnlocked(true);
+        } catch (error) {
+          console.error('Failed to unlock vault with passkey:', error);
+        }
+      }
+
+      finishFolderUnlock(response.data.accessToken);
+    } catch (error) {
+      console.error('Failed to unlock folder with passkey:', error);
+      // The assertion is used up, so the passkey is asked for again along with the code
+      if (!getLockoutMessage(error) && error.response?.data?.twoFactorRequired && !folderCodeRequired) {
+        setFolderCodeRequired(true);
+        toast('Enter the code from your authenticator app, then use the passkey again');
+        return;
+      }
+      toast.error(getLockoutMessage(error) || error.response?.data?.error || 'Passkey unlock failed');
+    }
+  };
+
+  /**
+   * Unlock the vault with a passkey set up for it on the profile page
+   * @returns {Promise<boolean>} Whether the vault is now unlocked
+   */
+  const unlockVaultUsingPasskey = async () => {
+    try {
+      const { assertion, prfOutput } = await getPasskeyAssertion();
+      const response = await passkeysAPI.authenticate(assertion);
+      if (!prfOutput || !response.data.wrappedVaultKey) {
+        prfOutput?.fill(0);
+        toast.error('This passkey is not set up to unlock the vault');
+        return false;
+      }
+      await unlockVaultWithPasskey(response.data.wrappedVaultKey, prfOutput);
+      setVaultUnlocked(true);
+      setVaultPassphrase('');
+      setShowVaultPrompt(false);
+      toast.success('Vault unlocked');
+      return true;
+    } catch (error) {
+      console.error('Failed to unlock vault with passkey:', error);
+      toast.error(error.response?.data?.error || error.message || 'Passkey unlock failed');
+      return false;
+    }
+  };
+
+  const unlockVault = async () => {
+    if (!vaultPassphrase) {
+      toast.error('Please enter the vault passphrase');
       return;
     }
 
     try {
-      await foldersAPI.delete(folderId);
-      toast.success('Folder deleted successfully');
-      loadFolders();
-      
-      // Close folder if it was open
-      if (selectedFolder?.id === folderId) {
-        setSelectedFolder(null);
-        setFolderFiles([]);
-        setFolderToken(null);
+      const response = await vaultAPI.get();
+      if (!response.data.vault.enabled) {
+        toast.error('Set up the vault on your profile page first');
+        return;
+      }
+      await vault.unlock(vaultPassphrase, response.data.vault);
+      setVaultUnlocked(true);
+      setVaultPassphrase('');
+      setShowVaultPrompt(false);
+      toast.success('Vault unlocked');
+    } catch (error) {
+      console.error('Failed to unlock vault:', error);
+      toast.error(error.response?.data?.error || error.message || 'Failed to unlock vault');
+    }
+  };
+
+  const lockVault = () => {
+    vault.lock();
+    setVaultUnlocked(false);
+    setUnlockedMetadata({});
+    setShowImageViewer(false);
+    toast.success('Vault locked');
+  };
+
+  // Give the open folder a vault key; files already in it keep their passwords
+  const addVaultKey = async () => {
+    try {
+      const wrappedFolderKey = await vault.createFolderKey();
+      await foldersAPI.setKey(selectedFolder.id, wrappedFolderKey, folderToken);
+      setSelectedFolder(prev => ({ ...prev, wrappedFolderKey }));
+      toast.success('Vault key added to folder');
+    } catch (error) {
+      console.error('Failed to add vault key:', error);
+      toast.error(error.response?.data?.error || 'Failed to add vault key');
+    }
+  };
+
+  const renameFolder = async (folder) => {
+    const name = prompt('Rename folder', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) {
+      return;
+    }
+
+    try {
+      await foldersAPI.rename(folder.id, name.trim(), tokenFor(getProtectedFolderId(folder)));
+      toast.success('Folder renamed');
+      refreshCurrentView();
+    } catch (error) {
+      console.error('Failed to rename folder:', error);
+      toast.error(error.response?.data?.error || 'Failed to rename folder');
+    }
+  };
+
+  // Submitting a search also tries it as the reveal phrase; a wrong phrase
+  // just stays a search
+  const handleSearchSubmit = async (e) => {
+    e.preventDefault();
+    if (!searchQuery.trim()) {
+      return;
+    }
+
+    try {
+      const response = await foldersAPI.reveal(searchQuery);
+      revealTokenRef.current = response.data.revealToken;
+      setSearchQuery('');
+      refreshCurrentView();
+    } catch (error) {
+      // A wrong phrase, or a lockout, looks like any other search
+      if (error.response?.status !== 401 && error.response?.status !== 429) {
+        console.error('Failed to reveal folders:', error);
+      }
+    }
+  };
+
+  const matchesSearch = (name) =>
+    !searchQuery.trim() || (name || '').toLowerCase().includes(searchQuery.trim().toLowerCase());
+
+  const toggleHidden = async (folder) => {
+    try {
+      await foldersAPI.setHidden(folder.id, !folder.isHidden, tokenFor(getProtectedFolderId(folder)));
+      toast.success(folder.isHidden ? 'Folder shown' : 'Folder hidden');
+      refreshCurrentView();
+    } catch (error) {
+      console.error('Failed to change folder visibility:', error);
+      toast.error(error.response?.data?.error || 'Failed to change folder visibility');
+    }
+  };
+
+  // Top-level folders that open without a password can stand in as decoys
+  const getDecoyFolders = (folder) => {
+    return folders.filter(candidate =>
+      candidate.id !== folder.id && !candidate.protectedFolderId && !candidate.wrappedFolderKey
+    );
+  };
+
+  const saveFolderDuress = async () => {
+    if (duressTarget.password.length < 4) {
+      toast.error('Duress password must be at least 4 characters');
+      return;
+    }
+
+    try {
+      await foldersAPI.setDuress(
+        duressTarget.folder.id,
+        duressTarget.password,
+        duressTarget.decoyFolderId || null,
+        tokenFor(duressTarget.folder.id)
+      );
+      setDuressTarget(null);
+      toast.success('Duress password set');
+    } catch (error) {
+      console.error('Failed to set duress password:', error);
+      if (error.response?.data?.requiresFolderPassword) {
+        toast.error('Unlock the folder before setting its duress password');
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to set duress password');
       }
+    }
+  };
+
+  const removeFolderDuress = async () => {
+    try {
+      await foldersAPI.removeDuress(duressTarget.folder.id, tokenFor(duressTarget.folder.id));
+      setDuressTarget(null);
+      toast.success('Duress password removed');
+    } catch (error) {
+      console.error('Failed to remove duress password:', error);
+      if (error.response?.data?.requiresFolderPassword) {
+        toast.error('Unlock the folder before removing its duress password');
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to remove duress password');
+      }
+    }
+  };
+
+  // Destinations reachable from the current view: the top level, the
+  // folders on the breadcrumb path and the folder's siblings
+  const getMoveDestinations = (folder) => {
+    const destinations = [{ id: null, name: 'Top level', protectedFolderId: null }];
+    const ancestors = selectedFolder ? selectedFolder.path : [];
+    const siblings = selectedFolder ? childFolders : folders;
+
+    ancestors.forEach((ancestor) => destinations.push(ancestor));
+    siblings
+      .filter(sibling => sibling.id !== folder.id)
+      .forEach((sibling) => destinations.push(sibling));
+
+    return destinations.filter(destination => destination.id !== (folder.parentId || null));
+  };
+
+  const moveFolder = async (folder, destination) => {
+    try {
+      await foldersAPI.move(
+        folder.id,
+        destination.id,
+        tokenFor(getProtectedFolderId(folder)),
+        tokenFor(getProtectedFolderId(destination))
+      );
+      toast.success(`Moved to ${destination.name}`);
+      setMoveTarget(null);
+      refreshCurrentView();
+    } catch (error) {
+      console.error('Failed to move folder:', error);
+      if (error.response?.data?.requiresFolderPassword) {
+        toast.error('Unlock the destination folder before moving into it');
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to move folder');
+      }
+    }
+  };
+
+  const deleteFolder = async (folder) => {
+    if (!confirm('Are you sure you want to delete this folder, its subfolders and all their files?')) {
+      return;
+    }
+
+    try {
+      await foldersAPI.delete(folder.id, tokenFor(getProtectedFolderId(folder)));
+      toast.success('Folder deleted successfully');
+      refreshCurrentView();
     } catch (error) {
       console.error('Failed to delete folder:', error);
-      toast.error('Failed to delete folder');
+      if (error.response?.data?.requiresFolderPassword) {
+        toast.error('Unlock the folder before deleting it');
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to delete folder');
+      }
+    }
+  };
+
+  const toggleFileSelection = (fileId) => {
+    setSelectedFileIds(prev =>
+      prev.includes(fileId) ? prev.filter(id => id !== fileId) : [...prev, fileId]
+    );
+  };
+
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedFileIds([]);
+  };
+
+  // Folders files can go to from here: top-level folders, the breadcrumb
+  // path and the subfolders of the open folder
+  const getFileDestinations = () => {
+    const seen = new Set([selectedFolder?.id]);
+    return [...folders, ...(selectedFolder?.path || []), ...childFolders].filter((folder) => {
+      if (seen.has(folder.id)) return false;
+      seen.add(folder.id);
+      return true;
+    });
+  };
+
+  const transferFiles = async (destination) => {
+    const { mode, fileIds } = fileAction;
+    const request = mode === 'move' ? filesAPI.move : filesAPI.copy;
+    const destinationToken = tokenFor(getProtectedFolderId(destination));
+    let completed = 0;
+
+    for (const fileId of fileIds) {
+      try {
+        const file = folderFiles.find(f => f.id === fileId);
+        const wrappedKey = file?.wrappedKey
+          ? await vault.rewrapFileKey(file.wrappedKey, selectedFolder, destination)
+          : null;
+        await request(fileId, destination.id, folderToken, destinationToken, wrappedKey);
+        completed++;
+      } catch (error) {
+        console.error(`Failed to ${mode} file:`, error);
+        if (error.response?.data?.requiresFolderPassword) {
+          toast.error('Unlock the destination folder first');
+          break;
+        }
+        toast.error(error.response?.data?.error || error.message || `Failed to ${mode} file`);
+      }
+    }
+
+    if (completed > 0) {
+      toast.success(`${mode === 'move' ? 'Moved' : 'Copied'} ${completed} file${completed !== 1 ? 's' : ''} to ${destination.name}`);
+    }
+    if (mode === 'move') {
+      setShowImageViewer(false);
+    }
+    setFileAction(null);
+    exitSelectionMode();
+    refreshCurrentView();
+  };
+
+  // Sealed files come with { metadata, seal } from the viewer, which holds
+  // the file key needed to reseal the envelope under the new name
+  const renameFile = async (file, sealed = null) => {
+    const currentName = sealed ? sealed.metadata.name : file.originalName;
+    const name = prompt('Rename file', currentName);
+    if (!name || !name.trim() || name.trim() === currentName) {
+      return;
+    }
+
+    try {
+      let renamed;
+      if (sealed) {
+        const metadata = { ...sealed.metadata, name: name.trim() };
+        const response = await filesAPI.renameSealed(file.id, await sealed.seal(metadata), folderToken);
+        renamed = { ...file, encryptedMetadata: response.data.file.encryptedMetadata };
+        setUnlockedMetadata(prev => ({ ...prev, [file.id]: metadata }));
+      } else {
+        const response = await filesAPI.rename(file.id, name.trim(), folderToken);
+        renamed = { ...file, originalName: response.data.file.originalName };
+      }
+      setFolderFiles(prev => prev.map(f => (f.id === file.id ? renamed : f)));
+      setSelectedFile(renamed);
+      toast.success('File renamed');
+    } catch (error) {
+      console.error('Failed to rename file:', error);
+      toast.error(error.response?.data?.error || 'Failed to rename file');
     }
   };
 
@@ -217,6 +690,88 @@ export default function Folders() {
     }
   };
 
+  const renderFolderCard = (folder) => (
+    <div key={folder.id} className={`folder-card group ${folder.isHidden ? 'opacity-75' : ''}`}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center min-w-0">
+          {folder.isProtected ? (
+            <LockClosedIcon className="h-6 w-6 text-amber-500 mr-2 flex-shrink-0" />
+          ) : (
+            <FolderOpenIcon className="h-6 w-6 text-primary-500 mr-2 flex-shrink-0" />
+          )}
+          <h3 className="font-medium text-gray-900 truncate">{folder.name}</h3>
+        </div>
+        <div className="flex items-center opacity-0 group-hover:opacity-100 transition-all duration-200">
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              renameFolder(folder);
+            }}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title="Rename folder"
+          >
+            <PencilIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setMoveTarget(folder);
+            }}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title="Move folder"
+          >
+            <FolderArrowDownIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleHidden(folder);
+            }}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title={folder.isHidden ? 'Show folder' : 'Hide folder'}
+          >
+            {folder.isHidden ? <EyeIcon className="h-4 w-4" /> : <EyeSlashIcon className="h-4 w-4" />}
+          </button>
+          {folder.isProtected && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setDuressTarget({ folder, password: '', decoyFolderId: '' });
+              }}
+              className="p-1 text-gray-400 hover:text-gray-600"
+              title="Duress password"
+            >
+              <ShieldExclamationIcon className="h-4 w-4" />
+            </button>
+          )}
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              deleteFolder(folder);
+            }}
+            className="p-1 text-red-400 hover:text-red-600"
+            title="Delete folder"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      
+      <p className="text-sm text-gray-600 mb-3">
+        {/* Protected folders are listed without counts */}
+        {folder.fileCount === null ? 'Locked' : `${folder.fileCount} image${folder.fileCount !== 1 ? 's' : ''}`}
+        {folder.childCount > 0 && ` • ${folder.childCount} folder${folder.childCount !== 1 ? 's' : ''}`}
+      </p>
+      
+      <button
+        onClick={() => openFolder(folder)}
+        className="w-full btn-secondary text-sm"
+      >
+        Open Folder
+      </button>
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -235,7 +790,23 @@ export default function Folders() {
         <div className="max-w-7xl mx-auto">
           {/* Header */}
           <div className="flex items-center justify-between mb-8">
-            <div>
+            <div className="min-w-0">
+              {/* Breadcrumbs */}
+              {selectedFolder && (
+                <nav className="flex items-center flex-wrap text-sm text-gray-500 mb-1">
+                  <button onClick={goToRoot} className="hover:text-gray-700">
+                    Folders
+                  </button>
+                  {selectedFolder.path.slice(0, -1).map((crumb) => (
+                    <span key={crumb.id} className="flex items-center">
+                      <ChevronRightIcon className="h-4 w-4 mx-1" />
+                      <button onClick={() => openFolder(crumb)} className="hover:text-gray-700">
+                        {crumb.name}
+                      </button>
+                    </span>
+                  ))}
+                </nav>
+              )}
               <h1 className="text-3xl font-bold text-gray-900">
                 {selectedFolder ? selectedFolder.name : 'Folders'}
               </h1>
@@ -248,8 +819,24 @@ export default function Folders() {
             </div>
             
             <div className="flex space-x-3">
+              <button
+                onClick={() => (vaultUnlocked ? lockVault() : setShowVaultPrompt(true))}
+                className="btn-secondary"
+              >
+                <KeyIcon className="h-5 w-5 mr-2" />
+                {vaultUnlocked ? 'Lock Vault' : 'Unlock Vault'}
+              </button>
               {selectedFolder ? (
                 <>
+                  {vaultUnlocked && !selectedFolder.wrappedFolderKey && (
+                    <button
+                      onClick={addVaultKey}
+                      className="btn-secondary"
+                    >
+                      <KeyIcon className="h-5 w-5 mr-2" />
+                      Add Vault Key
+                    </button>
+                  )}
                   <button
                     onClick={() => setShowUploadModal(true)}
                     className="btn-primary"
@@ -258,11 +845,14 @@ export default function Folders() {
                     Upload Images
                   </button>
                   <button
-                    onClick={() => {
-                      setSelectedFolder(null);
-                      setFolderFiles([]);
-                      setFolderToken(null);
-                    }}
+                    onClick={() => setShowCreateFolder(true)}
+                    className="btn-secondary"
+                  >
+                    <PlusIcon className="h-5 w-5 mr-2" />
+                    New Folder
+                  </button>
+                  <button
+                    onClick={goToRoot}
                     className="btn-secondary"
                   >
                     Back to Folders
@@ -280,6 +870,16 @@ export default function Folders() {
             </div>
           </div>
 
+          <form onSubmit={handleSearchSubmit} className="mb-6">
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder={selectedFolder ? 'Search this folder' : 'Search folders'}
+              className="input-field max-w-md"
+            />
+          </form>
+
           {/* Content */}
           {isLoading ? (
             <div className="flex items-center justify-center py-12">
@@ -288,46 +888,96 @@ export default function Folders() {
           ) : selectedFolder ? (
             /* Folder Contents */
             <div>
-              {folderFiles.length === 0 ? (
-                <div className="text-center py-12">
-                  <PhotoIcon className="h-16 w-16 text-gray-300 mx-auto mb-4" />
-                  <h3 className="text-lg font-medium text-gray-900 mb-2">No images yet</h3>
-                  <p className="text-gray-600 mb-4">Upload your first image to get started</p>
-                  <button
-                    onClick={() => setShowUploadModal(true)}
-                    className="btn-primary"
-                  >
-                    <CloudArrowUpIcon className="h-5 w-5 mr-2" />
-                    Upload Images
-                  </button>
+              {childFolders.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6 mb-8">
+                  {childFolders.filter(child => matchesSearch(child.name)).map(renderFolderCard)}
                 </div>
-              ) : (
-                <div className="grid-gallery">
-                  {folderFiles.map((file) => (
-                    <div 
-                      key={file.id} 
-                      className="relative group cursor-pointer"
-                      onClick={() => openImageViewer(file)}
+              )}
+
+              {folderFiles.length === 0 ? (
+                childFolders.length === 0 && (
+                  <div className="text-center py-12">
+                    <PhotoIcon className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">No images yet</h3>
+                    <p className="text-gray-600 mb-4">Upload your first image to get started</p>
+                    <button
+                      onClick={() => setShowUploadModal(true)}
+                      className="btn-primary"
                     >
-                      <img
-                        src={file.coverPath}
-                        alt={file.originalName}
-                        className="w-full h-48 object-cover rounded-lg shadow-md"
-                        onError={(e) => {
-                          e.target.src = 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=400&h=300&fit=crop';
-                        }}
-                      />
-                      <div className="absolute inset-0 rounded-lg flex items-end">
-                        <div className="w-full h-16 cursor-pointer">
+                      <CloudArrowUpIcon className="h-5 w-5 mr-2" />
+                      Upload Images
+                    </button>
+                  </div>
+                )
+              ) : (
+                <div>
+                  {/* Selection toolbar */}
+                  <div className="flex items-center justify-between mb-4">
+                    {selectionMode ? (
+                      <>
+                        <p className="text-sm text-gray-600">{selectedFileIds.length} selected</p>
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => setFileAction({ mode: 'move', fileIds: selectedFileIds })}
+                            className="btn-secondary text-sm"
+                            disabled={selectedFileIds.length === 0}
+                          >
+                            <FolderArrowDownIcon className="h-4 w-4 mr-2" />
+                            Move
+                          </button>
+                          <button
+                            onClick={() => setFileAction({ mode: 'copy', fileIds: selectedFileIds })}
+                            className="btn-secondary text-sm"
+                            disabled={selectedFileIds.length === 0}
+                          >
+                            <DocumentDuplicateIcon className="h-4 w-4 mr-2" />
+                            Copy
+                          </button>
+                          <button onClick={exitSelectionMode} className="btn-secondary text-sm">
+                            Cancel
+                          </button>
                         </div>
+                      </>
+                    ) : (
+                      <button onClick={() => setSelectionMode(true)} className="btn-secondary text-sm ml-auto">
+                        Select
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="grid-gallery">
+                    {folderFiles.filter(file => matchesSearch(describeFile(file, unlockedMetadata[file.id]).name)).map((file) => (
+                      <div 
+                        key={file.id} 
+                        className={`relative group cursor-pointer rounded-lg ${
+                          selectedFileIds.includes(file.id) ? 'ring-4 ring-primary-500' : ''
+                        }`}
+                        onClick={() => (selectionMode ? toggleFileSelection(file.id) : openImageViewer(file))}
+                      >
+                        <img
+                          src={filesAPI.getCoverUrl(file.coverToken, 200)}
+                          loading="lazy"
+                          alt={describeFile(file, unlockedMetadata[file.id]).name}
+                          className="w-full h-48 object-cover rounded-lg shadow-md bg-gray-200"
+                          onError={(e) => {
+                            e.target.style.visibility = 'hidden';
+                          }}
+                        />
+                        <div className="absolute inset-0 rounded-lg flex items-end">
+                          <div className="w-full h-16 cursor-pointer">
+                          </div>
+                        </div>
+                        <div className="absolute bottom-2 left-2 right-2">
+                          <p className="text-xs text-white bg-black bg-opacity-70 rounded px-2 py-1 truncate">
+                            {describeFile(file, unlockedMetadata[file.id]).name}
+                          </p>
+                        </div>
+                        {selectionMode && selectedFileIds.includes(file.id) && (
+                          <CheckCircleIcon className="absolute top-2 right-2 h-6 w-6 text-white bg-primary-500 rounded-full" />
+                        )}
                       </div>
-                      <div className="absolute bottom-2 left-2 right-2">
-                        <p className="text-xs text-white bg-black bg-opacity-70 rounded px-2 py-1 truncate">
-                          {file.originalName}
-                        </p>
-                      </div>
-                    </div>
-                  ))}
+                    ))}
+                  </div>
                 </div>
               )}
             </div>
@@ -349,40 +999,7 @@ export default function Folders() {
                 </div>
               ) : (
                 <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                  {folders.map((folder) => (
-                    <div key={folder.id} className="folder-card group">
-                      <div className="flex items-center justify-between mb-3">
-                        <div className="flex items-center">
-                          {folder.isProtected ? (
-                            <LockClosedIcon className="h-6 w-6 text-amber-500 mr-2" />
-                          ) : (
-                            <FolderOpenIcon className="h-6 w-6 text-primary-500 mr-2" />
-                          )}
-                          <h3 className="font-medium text-gray-900 truncate">{folder.name}</h3>
-                        </div>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            deleteFolder(folder.id);
-                          }}
-                          className="opacity-0 group-hover:opacity-100 p-1 text-red-400 hover:text-red-600 transition-all duration-200"
-                        >
-                          <TrashIcon className="h-4 w-4" />
-                        </button>
-                      </div>
-                      
-                      <p className="text-sm text-gray-600 mb-3">
-                        {folder.fileCount} image{folder.fileCount !== 1 ? 's' : ''}
-                      </p>
-                      
-                      <button
-                        onClick={() => openFolder(folder)}
-                        className="w-full btn-secondary text-sm"
-                      >
-                        Open Folder
-                      </button>
-                    </div>
-                  ))}
+                  {folders.filter(folder => matchesSearch(folder.name)).map(renderFolderCard)}
                 </div>
               )}
             </div>
@@ -395,7 +1012,9 @@ export default function Folders() {
         <div className="modal-overlay">
           <div className="modal-content max-w-md">
             <div className="p-6">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Create New Folder</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                {selectedFolder ? `New Folder in ${selectedFolder.name}` : 'Create New Folder'}
+              </h3>
               
               <div className="space-y-4">
                 <div>
@@ -427,6 +1046,22 @@ export default function Folders() {
                   </label>
                 </div>
 
+                {vaultUnlocked && (
+                  <div>
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={useVaultKey}
+                        onChange={(e) => setUseVaultKey(e.target.checked)}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span className="text-sm font-medium text-gray-700">
+                        Encrypt uploads with the vault key
+                      </span>
+                    </label>
+                  </div>
+                )}
+
                 {isProtectedFolder && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -463,6 +1098,7 @@ export default function Folders() {
                       setNewFolderName('');
                       setNewFolderPassword('');
                       setIsProtectedFolder(false);
+                      setUseVaultKey(false);
                     }}
                     className="btn-secondary flex-1"
                   >
@@ -523,12 +1159,28 @@ export default function Folders() {
                   </button>
                 </div>
 
+                {folderCodeRequired && (
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={folderCode}
+                    onChange={(e) => setFolderCode(e.target.value)}
+                    placeholder="6-digit code or a backup code"
+                    className="input-field"
+                    autoFocus
+                    onKeyPress={(e) => e.key === 'Enter' && unlockFolder()}
+                  />
+                )}
+
                 <div className="flex space-x-3">
                   <button
                     onClick={() => {
                       setShowPasswordPrompt(false);
                       setFolderPassword('');
-                      setSelectedFolder(null);
+                      setFolderCode('');
+                      setFolderCodeRequired(false);
+                      setUnlockTarget(null);
                     }}
                     className="btn-secondary flex-1"
                   >
@@ -537,23 +1189,191 @@ export default function Folders() {
                   <button
                     onClick={unlockFolder}
                     className="btn-primary flex-1"
-                    disabled={!folderPassword.trim()}
+                    disabled={!folderPassword.trim() || (folderCodeRequired && !folderCode.trim())}
                   >
                     Unlock
                   </button>
                 </div>
+
+                {hasPasskeys && (
+                  <button
+                    onClick={unlockFolderWithPasskey}
+                    className="btn-secondary w-full flex items-center justify-center"
+                  >
+                    <FingerPrintIcon className="h-5 w-5 mr-2" />
+                    Unlock with passkey
+                  </button>
+                )}
               </div>
             </div>
           </div>
         </div>
       )}
 
+      {/* Vault Passphrase Prompt */}
+      {showVaultPrompt && (
+        <div className="modal-overlay">
+          <div className="modal-content max-w-md">
+            <div className="p-6">
+              <div className="text-center mb-4">
+                <KeyIcon className="h-12 w-12 text-primary-500 mx-auto mb-2" />
+                <h3 className="text-lg font-semibold text-gray-900">Unlock Vault</h3>
+                <p className="text-sm text-gray-500">
+                  Files in vault folders open without their own passwords while the vault is unlocked
+                </p>
+              </div>
+
+              <div className="space-y-4">
+                <input
+                  type="password"
+                  value={vaultPassphrase}
+                  onChange={(e) => setVaultPassphrase(e.target.value)}
+                  placeholder="Enter vault passphrase"
+                  className="input-field"
+                  autoFocus
+                  onKeyPress={(e) => e.key === 'Enter' && unlockVault()}
+                />
+
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => {
+                      setShowVaultPrompt(false);
+                      setVaultPassphrase('');
+                    }}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={unlockVault}
+                    className="btn-primary flex-1"
+                    disabled={!vaultPassphrase}
+                  >
+                    Unlock
+                  </button>
+                </div>
+
+                {hasPasskeys && (
+                  <button
+                    onClick={unlockVaultUsingPasskey}
+                    className="btn-secondary w-full flex items-center justify-center"
+                  >
+                    <FingerPrintIcon className="h-5 w-5 mr-2" />
+                    Unlock with passkey
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Folder Duress Password Modal */}
+      {duressTarget && (
+        <div className="modal-overlay">
+          <div className="modal-content max-w-md">
+            <div className="p-6">
+              <div className="text-center mb-4">
+                <ShieldExclamationIcon className="h-12 w-12 text-amber-500 mx-auto mb-2" />
+                <h3 className="text-lg font-semibold text-gray-900">Duress Password</h3>
+                <p className="text-sm text-gray-500">
+                  Unlocking "{duressTarget.folder.name}" with this password shows the decoy folder's
+                  files instead, as if it were the real folder
+                </p>
+              </div>
+
+              <div className="space-y-4">
+                <input
+                  type="password"
+                  value={duressTarget.password}
+                  onChange={(e) => setDuressTarget(prev => ({ ...prev, password: e.target.value }))}
+                  placeholder="Duress password"
+                  className="input-field"
+                  autoFocus
+                />
+
+                <select
+                  value={duressTarget.decoyFolderId}
+                  onChange={(e) => setDuressTarget(prev => ({ ...prev, decoyFolderId: e.target.value }))}
+                  className="input-field"
+                >
+                  <option value="">Empty folder</option>
+                  {getDecoyFolders(duressTarget.folder).map(decoy => (
+                    <option key={decoy.id} value={decoy.id}>{decoy.name}</option>
+                  ))}
+                </select>
+
+                <div className="flex space-x-3">
+                  <button
+                    onClick={removeFolderDuress}
+                    className="btn-secondary flex-1"
+                  >
+                    Remove
+                  </button>
+                  <button
+                    onClick={() => setDuressTarget(null)}
+                    className="btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={saveFolderDuress}
+                    className="btn-primary flex-1"
+                    disabled={!duressTarget.password}
+                  >
+                    Save
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Move Folder Modal */}
+      {moveTarget && (
+        <div className="modal-overlay">
+          <div className="modal-content max-w-md">
+            <div className="p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                Move "{moveTarget.name}"
+              </h3>
+
+              <div className="space-y-2 max-h-80 overflow-y-auto mb-4">
+                {getMoveDestinations(moveTarget).map((destination) => (
+                  <button
+                    key={destination.id || 'root'}
+                    onClick={() => moveFolder(moveTarget, destination)}
+                    className="w-full flex items-center p-3 rounded-lg bg-gray-50 hover:bg-gray-100 text-left"
+                  >
+                    {destination.protectedFolderId ? (
+                      <LockClosedIcon className="h-5 w-5 text-amber-500 mr-2" />
+                    ) : (
+                      <FolderIcon className="h-5 w-5 text-primary-500 mr-2" />
+                    )}
+                    <span className="text-sm text-gray-900 truncate">{destination.name}</span>
+                  </button>
+                ))}
+              </div>
+
+              <button
+                onClick={() => setMoveTarget(null)}
+                className="btn-secondary w-full"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Upload Modal */}
       <UploadModal
         isOpen={showUploadModal}
         onClose={() => setShowUploadModal(false)}
         folderId={selectedFolder?.id}
         folderToken={folderToken}
+        folderKey={folderKey}
         onUploadComplete={handleUploadComplete}
       />
 
@@ -563,12 +1383,64 @@ export default function Folders() {
         isOpen={showImageViewer}
         onClose={() => setShowImageViewer(false)}
         folderToken={folderToken}
+        folderKey={folderKey}
         user={user}
         onDelete={handleImageDelete}
         files={folderFiles}
         currentIndex={getCurrentImageIndex()}
         onNavigate={handleImageNavigation}
+        onRename={renameFile}
+        metadata={unlockedMetadata[selectedFile?.id]}
+        onMetadataOpened={(fileId, metadata) => setUnlockedMetadata(prev => ({ ...prev, [fileId]: metadata }))}
+        onKeysRecovered={() => {
+          setShowImageViewer(false);
+          refreshCurrentView();
+        }}
+        onMove={(file) => setFileAction({ mode: 'move', fileIds: [file.id] })}
+        onCopy={(file) => setFileAction({ mode: 'copy', fileIds: [file.id] })}
+        unlockGesture={unlockGesture}
+        onUnlockVault={hasPasskeys ? unlockVaultUsingPasskey : null}
       />
+
+      {/* Move / Copy Files Modal (after the viewer so it stacks above it) */}
+      {fileAction && (
+        <div className="modal-overlay">
+          <div className="modal-content max-w-md">
+            <div className="p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                {fileAction.mode === 'move' ? 'Move' : 'Copy'} {fileAction.fileIds.length} file{fileAction.fileIds.length !== 1 ? 's' : ''} to…
+              </h3>
+
+              <div className="space-y-2 max-h-80 overflow-y-auto mb-4">
+                {getFileDestinations().length === 0 && (
+                  <p className="text-sm text-gray-500">Create another folder to {fileAction.mode} files into.</p>
+                )}
+                {getFileDestinations().map((destination) => (
+                  <button
+                    key={destination.id}
+                    onClick={() => transferFiles(destination)}
+                    className="w-full flex items-center p-3 rounded-lg bg-gray-50 hover:bg-gray-100 text-left"
+                  >
+                    {destination.protectedFolderId ? (
+                      <LockClosedIcon className="h-5 w-5 text-amber-500 mr-2" />
+                    ) : (
+                      <FolderIcon className="h-5 w-5 text-primary-500 mr-2" />
+                    )}
+                    <span className="text-sm text-gray-900 truncate">{destination.name}</span>
+                  </button>
+                ))}
+              </div>
+
+              <button
+                onClick={() => setFileAction(null)}
+                className="btn-secondary w-full"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </Layout>
   );
 }
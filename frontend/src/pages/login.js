@@ -2,13 +2,18 @@ import { useState, useEffect } from 'react';
 import { useSupabaseAuth } from '../lib/supabaseAuth';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import { settingsAPI } from '../lib/api';
+import { loadFacadeSettings, saveFacadeSettings, getActiveFacade, openFacade } from '../lib/facade';
 
 export default function Login() {
   const { signIn, isAuthenticated, loading } = useSupabaseAuth();
   const [formData, setFormData] = useState({
     email: '',
-    password: ''
+    password: '',
+    code: ''
   });
+  // Set once the server asks for a second factor
+  const [twoFactorRequired, setTwoFactorRequired] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
@@ -25,6 +30,22 @@ export default function Login() {
     });
   };
 
+  // On a new browser, pick up the disguise saved in the account
+  const restoreFacadeSettings = async () => {
+    if (getActiveFacade(loadFacadeSettings())) {
+      return;
+    }
+    try {
+      const response = await settingsAPI.get();
+      if (response.data.settings.facade) {
+        saveFacadeSettings(response.data.settings.facade);
+        openFacade();
+      }
+    } catch (error) {
+      console.warn('Failed to load account settings:', error);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -35,11 +56,16 @@ export default function Login() {
 
     setIsLoading(true);
     
-    const result = await signIn(formData);
+    const { code, ...credentials } = formData;
+    const result = await signIn(twoFactorRequired ? { ...credentials, code } : credentials);
     
     if (result.success) {
+      await restoreFacadeSettings();
       toast.success('Login successful!');
       window.location.href = '/';
+    } else if (result.twoFactorRequired && !twoFactorRequired) {
+      setTwoFactorRequired(true);
+      toast('Enter the code from your authenticator app');
     } else {
       toast.error(result.error);
     }
@@ -122,6 +148,27 @@ export default function Login() {
                 </button>
               </div>
             </div>
+
+            {twoFactorRequired && (
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                  Authentication code
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  value={formData.code}
+                  onChange={handleChange}
+                  className="input-field mt-1"
+                  placeholder="6-digit code or a backup code"
+                />
+              </div>
+            )}
           </div>
 
           <div>
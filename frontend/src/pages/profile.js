@@ -1,6 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useSupabaseAuth } from '../lib/supabaseAuth';
 import Layout from '../components/Layout';
+import { foldersAPI, vaultAPI, duressAPI, settingsAPI, authAPI, twoFactorAPI, passkeysAPI, lockoutAPI, getLockoutMessage, clearAuthTokens, AUTH_MODE } from '../lib/api';
+import { FACADES, loadFacadeSettings, saveFacadeSettings, validateFacadeSettings, openFacade } from '../lib/facade';
+import { PANIC_TRIGGERS, DEFAULT_REDIRECT_URL, loadPanicSettings, savePanicSettings, validatePanicSettings, requestMotionPermission } from '../lib/panic';
+import { GESTURE_TYPES, GESTURE_REGIONS, SWIPE_DIRECTIONS, DEFAULT_GESTURES, normalizeGesture } from '../lib/gestures';
+import vault from '../lib/vault';
+import { isPasskeySupported, registerPasskey, getPasskeyAssertion, saveVaultKeyForPasskey } from '../lib/passkeys';
+import cryptoService from '../lib/crypto';
 import { UserCircleIcon, CameraIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -22,12 +29,522 @@ export default function Profile() {
     confirm: false
   });
 
+  // null while loading, then whether the vault has been set up
+  const [vaultEnabled, setVaultEnabled] = useState(null);
+  const [vaultSetup, setVaultSetup] = useState(null);
+  const [recoveryEnabled, setRecoveryEnabled] = useState(null);
+  // The kit being created; its code is only ever shown here, once
+  const [recoveryKit, setRecoveryKit] = useState(null);
+  // null while loading, then { enabled, actions }
+  const [duress, setDuress] = useState(null);
+  const [duressSetup, setDuressSetup] = useState(null);
+  const [revealPhraseEnabled, setRevealPhraseEnabled] = useState(null);
+  const [revealPhraseSetup, setRevealPhraseSetup] = useState(null);
+  // { mode, sequence, sync, saving } once loaded
+  const [facadeSettings, setFacadeSettings] = useState(null);
+  // { gesture, saving } once loaded
+  const [gestureSettings, setGestureSettings] = useState(null);
+  const [panicSettings, setPanicSettings] = useState(null);
+  // Signed-in devices (AUTH_MODE=local); null while loading
+  const [sessions, setSessions] = useState(null);
+  // null while loading, then { enabled, folders, backupCodesLeft }
+  const [twoFactor, setTwoFactor] = useState(null);
+  // { secret, otpauthUrl, qrCode, code, saving } while enrolling
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  // Fresh backup codes; only ever shown here, once
+  const [backupCodes, setBackupCodes] = useState(null);
+  // Code confirming a change to two-factor settings
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  // null while loading (or without WebAuthn), then the user's passkeys
+  const [passkeys, setPasskeys] = useState(null);
+  const [newPasskey, setNewPasskey] = useState({ name: '', proof: '', saving: false });
+  // Failed attempts before a lockout (blank for the server default)
+  const [lockout, setLockout] = useState(null);
+
   useEffect(() => {
     if (user) {
       loadProfile();
+      loadVault();
+      loadSettings();
+      setPanicSettings(loadPanicSettings());
+      loadTwoFactor();
+      loadLockout();
+      if (isPasskeySupported()) {
+        loadPasskeys();
+      }
+      if (AUTH_MODE === 'local') {
+        loadSessions();
+      }
     }
   }, [user]);
 
+  const loadSessions = async () => {
+    try {
+      const response = await authAPI.sessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      toast.success('Device signed out');
+    } catch (error) {
+      console.error('Error signing out device:', error);
+      toast.error(error.response?.data?.error || 'Error signing out device');
+    }
+  };
+
+  const logoutEverywhere = async () => {
+    if (!confirm('Sign out on every device, including this one?')) {
+      return;
+    }
+    try {
+      await authAPI.logoutEverywhere();
+      clearAuthTokens();
+      window.location.href = '/login';
+    } catch (error) {
+      console.error('Error signing out everywhere:', error);
+      toast.error(error.response?.data?.error || 'Error signing out everywhere');
+    }
+  };
+
+  const loadTwoFactor = async () => {
+    try {
+      const response = await twoFactorAPI.get();
+      setTwoFactor(response.data.twoFactor);
+    } catch (error) {
+      console.error('Error loading two-factor settings:', error);
+    }
+  };
+
+  const startTwoFactorSetup = async () => {
+    try {
+      const response = await twoFactorAPI.enroll();
+      setBackupCodes(null);
+      setTwoFactorSetup({ ...response.data, code: '', saving: false });
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error(error.response?.data?.error || 'Error starting two-factor setup');
+    }
+  };
+
+  const handleTwoFactorVerify = async () => {
+    setTwoFactorSetup(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await twoFactorAPI.verify(twoFactorSetup.code.trim());
+      setBackupCodes(response.data.backupCodes);
+      setTwoFactor({ enabled: true, folders: false, backupCodesLeft: response.data.backupCodes.length });
+      setTwoFactorSetup(null);
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      console.error('Error verifying two-factor code:', error);
+      toast.error(error.response?.data?.error || 'Error verifying two-factor code');
+      setTwoFactorSetup(prev => ({ ...prev, code: '', saving: false }));
+    }
+  };
+
+  // Changes to an enabled setup all need a current code or a backup code
+  const handleTwoFactorChange = async (change) => {
+    const code = twoFactorCode.trim();
+    if (!code) {
+      toast.error('Enter a code from your authenticator app or a backup code');
+      return;
+    }
+    try {
+      if (change === 'folders') {
+        await twoFactorAPI.setFolders(!twoFactor.folders, code);
+        setTwoFactor(prev => ({ ...prev, folders: !prev.folders }));
+        toast.success(twoFactor.folders ? 'Folders no longer ask for a code' : 'Folders now ask for a code');
+      } else if (change === 'backupCodes') {
+        const response = await twoFactorAPI.regenerateBackupCodes(code);
+        setBackupCodes(response.data.backupCodes);
+        setTwoFactor(prev => ({ ...prev, backupCodesLeft: response.data.backupCodes.length }));
+        toast.success('New backup codes created');
+      } else if (change === 'disable') {
+        if (!confirm('Turn off two-factor authentication?')) {
+          return;
+        }
+        await twoFactorAPI.disable(code);
+        setTwoFactor({ enabled: false, folders: false, backupCodesLeft: 0 });
+        setBackupCodes(null);
+        toast.success('Two-factor authentication disabled');
+      }
+      setTwoFactorCode('');
+      // A backup code was used up if that is what was typed
+      loadTwoFactor();
+    } catch (error) {
+      console.error('Error changing two-factor settings:', error);
+      toast.error(getLockoutMessage(error) || error.response?.data?.error || 'Error changing two-factor settings');
+    }
+  };
+
+  const loadPasskeys = async () => {
+    try {
+      const response = await passkeysAPI.list();
+      setPasskeys(response.data.passkeys);
+    } catch (error) {
+      console.error('Error loading passkeys:', error);
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    setNewPasskey(prev => ({ ...prev, saving: true }));
+    try {
+      // Adding a passkey needs another factor: the two-factor code when it is on, otherwise the account password
+      const factor = twoFactor?.enabled ? { code: newPasskey.proof.trim() } : { password: newPasskey.proof };
+      const { passkey, prfOutput } = await registerPasskey(newPasskey.name.trim(), factor);
+      // Some authenticators give PRF output while registering; then it can take over the vault right away
+      if (prfOutput) {
+        if (vault.isUnlocked()) {
+          await saveVaultKeyForPasskey(passkey.id, prfOutput);
+        }
+        prfOutput.fill(0);
+      }
+      setNewPasskey({ name: '', proof: '', saving: false });
+      loadPasskeys();
+      toast.success('Passkey added');
+    } catch (error) {
+      console.error('Error adding passkey:', error);
+      toast.error(getLockoutMessage(error) || error.response?.data?.error || error.message || 'Error adding passkey');
+      setNewPasskey(prev => ({ ...prev, proof: '', saving: false }));
+    }
+  };
+
+  // PRF output only comes from a ceremony, so the passkey is asked for once more
+  const handlePasskeyVaultUnlock = async () => {
+    if (!vault.isUnlocked()) {
+      toast.error('Unlock the vault first');
+      return;
+    }
+    try {
+      const { assertion, prfOutput } = await getPasskeyAssertion();
+      const response = await passkeysAPI.authenticate(assertion);
+      if (!prfOutput) {
+        toast.error('This passkey cannot unlock the vault');
+        return;
+      }
+      await saveVaultKeyForPasskey(response.data.passkey.id, prfOutput);
+      prfOutput.fill(0);
+      loadPasskeys();
+      toast.success('The passkey now unlocks the vault');
+    } catch (error) {
+      console.error('Error setting up passkey vault unlock:', error);
+      toast.error(error.response?.data?.error || error.message || 'Error setting up passkey');
+    }
+  };
+
+  const handleRemovePasskey = async (passkeyId) => {
+    if (!confirm('Remove this passkey?')) {
+      return;
+    }
+    try {
+      await passkeysAPI.remove(passkeyId);
+      setPasskeys(prev => prev.filter(passkey => passkey.id !== passkeyId));
+      toast.success('Passkey removed');
+    } catch (error) {
+      console.error('Error removing passkey:', error);
+      toast.error(error.response?.data?.error || 'Error removing passkey');
+    }
+  };
+
+  const loadVault = async () => {
+    try {
+      const [vaultResponse, recoveryResponse, duressResponse, revealResponse] = await Promise.all([
+        vaultAPI.get(),
+        vaultAPI.getRecovery(),
+        duressAPI.get(),
+        foldersAPI.getRevealPhrase()
+      ]);
+      setVaultEnabled(vaultResponse.data.vault.enabled);
+      setRecoveryEnabled(recoveryResponse.data.recovery.enabled);
+      setDuress(duressResponse.data.duress);
+      setRevealPhraseEnabled(revealResponse.data.revealPhrase.enabled);
+    } catch (error) {
+      console.error('Error loading vault:', error);
+    }
+  };
+
+  const loadSettings = async () => {
+    const local = loadFacadeSettings();
+    let sync = false;
+    let gesture = null;
+    try {
+      const response = await settingsAPI.get();
+      sync = Boolean(response.data.settings.facade);
+      gesture = response.data.settings.unlockGesture;
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+    setFacadeSettings({ ...local, sync, saving: false });
+    setGestureSettings({ gesture: normalizeGesture(gesture), saving: false });
+  };
+
+  const updateGesture = (changes) => {
+    setGestureSettings(prev => ({ ...prev, gesture: { ...prev.gesture, ...changes } }));
+  };
+
+  const handleGestureSave = async () => {
+    const { gesture } = gestureSettings;
+    if (gesture.type === 'regions' && gesture.regions.length < 2) {
+      toast.error('Tap at least two regions');
+      return;
+    }
+    if (gesture.type === 'swipe' && gesture.pattern.length === 0) {
+      toast.error('Add at least one swipe');
+      return;
+    }
+
+    // Only the fields the chosen type uses
+    const unlockGesture = Object.fromEntries(
+      Object.keys(DEFAULT_GESTURES[gesture.type]).map(key => [key, gesture[key]])
+    );
+
+    try {
+      setGestureSettings(prev => ({ ...prev, saving: true }));
+      await settingsAPI.update({ unlockGesture });
+      toast.success('Unlock gesture saved');
+    } catch (error) {
+      console.error('Error saving unlock gesture:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving unlock gesture');
+    } finally {
+      setGestureSettings(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const handleFacadeSave = async () => {
+    const { mode, sequence, sync } = facadeSettings;
+    const validationError = validateFacadeSettings({ mode, sequence });
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    try {
+      setFacadeSettings(prev => ({ ...prev, saving: true }));
+      saveFacadeSettings({ mode, sequence });
+      // This session is already past the facade
+      openFacade();
+      await settingsAPI.update({ facade: sync && mode !== 'off' ? { mode, sequence } : null });
+      toast.success(mode === 'off' ? 'Disguise turned off' : 'Disguise saved; it shows the next time the app opens');
+    } catch (error) {
+      console.error('Error saving disguise:', error);
+      toast.error(error.response?.data?.error || 'Saved in this browser, but not in your account');
+    } finally {
+      setFacadeSettings(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const togglePanicTrigger = async (trigger, enabled) => {
+    if (trigger === 'shake' && enabled) {
+      try {
+        if (!(await requestMotionPermission())) {
+          toast.error('This device does not report motion');
+          return;
+        }
+      } catch (error) {
+        console.error('Error requesting motion access:', error);
+        toast.error('Motion access was not granted');
+        return;
+      }
+    }
+    setPanicSettings(prev => ({ ...prev, [trigger]: enabled }));
+  };
+
+  const handlePanicSave = () => {
+    const validationError = validatePanicSettings(panicSettings);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+    savePanicSettings(panicSettings);
+    toast.success('Panic settings saved');
+  };
+
+  const createRecoveryKit = async () => {
+    try {
+      setRecoveryKit({ ...(await cryptoService.generateRecoveryKit()), saved: false, saving: false });
+    } catch (error) {
+      console.error('Error creating recovery kit:', error);
+      toast.error('Error creating recovery kit');
+    }
+  };
+
+  const downloadRecoveryKit = () => {
+    const text = [
+      'DisguiseDrive recovery kit',
+      `Account: ${user?.email || ''}`,
+      `Created: ${new Date().toLocaleString()}`,
+      '',
+      `Recovery code: ${recoveryKit.recoveryCode}`,
+      '',
+      'This code resets the password of any file uploaded after recovery was turned on.',
+      'Keep it offline; anyone with it and your login can open those files.'
+    ].join('\n');
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'disguisedrive-recovery-kit.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleRecoverySetup = async () => {
+    try {
+      setRecoveryKit(prev => ({ ...prev, saving: true }));
+      await vaultAPI.createRecovery({
+        recoveryPublicKey: recoveryKit.recoveryPublicKey,
+        recoveryProof: recoveryKit.recoveryProof
+      });
+      setRecoveryEnabled(true);
+      setRecoveryKit(null);
+      toast.success('Recovery turned on');
+    } catch (error) {
+      console.error('Error turning on recovery:', error);
+      toast.error(error.response?.data?.error || 'Error turning on recovery');
+      setRecoveryKit(prev => prev && { ...prev, saving: false });
+    }
+  };
+
+  const toLockoutState = ({ threshold, wipeTokens, defaultThreshold, range }) => ({
+    threshold: threshold === defaultThreshold ? '' : String(threshold),
+    wipeTokens,
+    defaultThreshold,
+    range,
+    saving: false
+  });
+
+  const loadLockout = async () => {
+    try {
+      const response = await lockoutAPI.get();
+      setLockout(toLockoutState(response.data.lockout));
+    } catch (error) {
+      console.error('Error loading lockout settings:', error);
+    }
+  };
+
+  const handleLockoutSave = async () => {
+    const threshold = lockout.threshold.trim() === '' ? null : Number(lockout.threshold);
+    const { min, max } = lockout.range;
+    if (threshold !== null && !(Number.isInteger(threshold) && threshold >= min && threshold <= max)) {
+      toast.error(`Choose between ${min} and ${max} attempts`);
+      return;
+    }
+
+    try {
+      setLockout(prev => ({ ...prev, saving: true }));
+      const response = await lockoutAPI.update(threshold, lockout.wipeTokens);
+      setLockout(toLockoutState(response.data.lockout));
+      toast.success('Lockout settings saved');
+    } catch (error) {
+      console.error('Error saving lockout settings:', error);
+      toast.error(error.response?.data?.error || 'Error saving lockout settings');
+      setLockout(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const handleDuressSetup = async () => {
+    if (duressSetup.password.length < 4) {
+      toast.error('Duress password must be at least 4 characters');
+      return;
+    }
+    if (duressSetup.password !== duressSetup.confirm) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    try {
+      setDuressSetup(prev => ({ ...prev, saving: true }));
+      const actions = duressSetup.revokeTokens ? ['revoke_folder_tokens'] : [];
+      const response = await duressAPI.set(duressSetup.password, actions);
+      setDuress(response.data.duress);
+      setDuressSetup(null);
+      toast.success('Duress password set');
+    } catch (error) {
+      console.error('Error setting duress password:', error);
+      toast.error(error.response?.data?.error || 'Error setting duress password');
+      setDuressSetup(prev => prev && { ...prev, saving: false });
+    }
+  };
+
+  const handleDuressRemove = async () => {
+    if (!confirm('Remove the duress password?')) {
+      return;
+    }
+    try {
+      const response = await duressAPI.remove();
+      setDuress(response.data.duress);
+      toast.success('Duress password removed');
+    } catch (error) {
+      console.error('Error removing duress password:', error);
+      toast.error(error.response?.data?.error || 'Error removing duress password');
+    }
+  };
+
+  const handleRevealPhraseSetup = async () => {
+    if (revealPhraseSetup.phrase.length < 4) {
+      toast.error('Reveal phrase must be at least 4 characters');
+      return;
+    }
+    if (revealPhraseSetup.phrase !== revealPhraseSetup.confirm) {
+      toast.error('Phrases do not match');
+      return;
+    }
+
+    try {
+      setRevealPhraseSetup(prev => ({ ...prev, saving: true }));
+      await foldersAPI.setRevealPhrase(revealPhraseSetup.phrase);
+      setRevealPhraseEnabled(true);
+      setRevealPhraseSetup(null);
+      toast.success('Reveal phrase set');
+    } catch (error) {
+      console.error('Error setting reveal phrase:', error);
+      toast.error(error.response?.data?.error || 'Error setting reveal phrase');
+      setRevealPhraseSetup(prev => prev && { ...prev, saving: false });
+    }
+  };
+
+  const handleRevealPhraseRemove = async () => {
+    if (!confirm('Remove the reveal phrase? Hidden folders will show up in your folder list again.')) {
+      return;
+    }
+    try {
+      await foldersAPI.removeRevealPhrase();
+      setRevealPhraseEnabled(false);
+      toast.success('Reveal phrase removed');
+    } catch (error) {
+      console.error('Error removing reveal phrase:', error);
+      toast.error(error.response?.data?.error || 'Error removing reveal phrase');
+    }
+  };
+
+  const handleVaultSetup = async () => {
+    if (vaultSetup.passphrase.length < 12) {
+      toast.error('Vault passphrase must be at least 12 characters');
+      return;
+    }
+    if (vaultSetup.passphrase !== vaultSetup.confirm) {
+      toast.error('Passphrases do not match');
+      return;
+    }
+
+    try {
+      setVaultSetup(prev => ({ ...prev, saving: true }));
+      await vaultAPI.create(await vault.create(vaultSetup.passphrase));
+      setVaultEnabled(true);
+      setVaultSetup(null);
+      toast.success('Vault set up; it stays unlocked until you lock it or reload');
+    } catch (error) {
+      console.error('Error setting up vault:', error);
+      vault.lock();
+      toast.error(error.response?.data?.error || 'Error setting up vault');
+      setVaultSetup(prev => prev && { ...prev, saving: false });
+    }
+  };
+
   const loadProfile = async () => {
     try {
       setLoading(true);
@@ -414,6 +931,729 @@ export default function Profile() {
                 </div>
               </div>
             )}
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Vault</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                One passphrase unlocks every file in folders with a vault key. It is never sent to the
+                server and cannot be recovered if you forget it.
+              </p>
+              {vaultEnabled ? (
+                <p className="text-sm text-green-700">Vault enabled</p>
+              ) : vaultEnabled === false && !vaultSetup ? (
+                <button
+                  onClick={() => setVaultSetup({ passphrase: '', confirm: '', saving: false })}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  Set Up Vault
+                </button>
+              ) : vaultSetup && (
+                <div className="space-y-4 max-w-md">
+                  <input
+                    type="password"
+                    value={vaultSetup.passphrase}
+                    onChange={(e) => setVaultSetup(prev => ({ ...prev, passphrase: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Vault passphrase (at least 12 characters)"
+                  />
+                  <input
+                    type="password"
+                    value={vaultSetup.confirm}
+                    onChange={(e) => setVaultSetup(prev => ({ ...prev, confirm: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Confirm vault passphrase"
+                  />
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={handleVaultSetup}
+                      disabled={vaultSetup.saving || !vaultSetup.passphrase || !vaultSetup.confirm}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {vaultSetup.saving ? 'Setting up...' : 'Create Vault'}
+                    </button>
+                    <button
+                      onClick={() => setVaultSetup(null)}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Recovery Kit</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                A recovery code can reset the password of a secure file if you forget it. It only covers
+                files uploaded after recovery is turned on, and it can only be shown once.
+              </p>
+              {recoveryEnabled ? (
+                <p className="text-sm text-green-700">Recovery enabled</p>
+              ) : recoveryEnabled === false && !recoveryKit ? (
+                <button
+                  onClick={createRecoveryKit}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  Create Recovery Kit
+                </button>
+              ) : recoveryKit && (
+                <div className="space-y-4 max-w-md">
+                  <p className="font-mono text-sm bg-gray-100 rounded-md p-3 break-all select-all">
+                    {recoveryKit.recoveryCode}
+                  </p>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={() => window.print()}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Print
+                    </button>
+                    <button
+                      onClick={downloadRecoveryKit}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Download Kit
+                    </button>
+                  </div>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={recoveryKit.saved}
+                      onChange={(e) => setRecoveryKit(prev => ({ ...prev, saved: e.target.checked }))}
+                      className="rounded border-gray-300"
+                    />
+                    <span className="text-sm text-gray-700">I have saved my recovery code</span>
+                  </label>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={handleRecoverySetup}
+                      disabled={!recoveryKit.saved || recoveryKit.saving}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {recoveryKit.saving ? 'Turning on...' : 'Turn On Recovery'}
+                    </button>
+                    <button
+                      onClick={() => setRecoveryKit(null)}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Duress Password</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                If someone makes you unlock a protected folder or image, enter this password instead. It
+                opens a harmless decoy that looks like a normal unlock and quietly records the event.
+              </p>
+              {duress && !duressSetup && (
+                <div className="flex items-center space-x-3">
+                  {duress.enabled && <p className="text-sm text-green-700">Duress password enabled</p>}
+                  <button
+                    onClick={() => setDuressSetup({
+                      password: '',
+                      confirm: '',
+                      revokeTokens: duress.actions.includes('revoke_folder_tokens'),
+                      saving: false
+                    })}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    {duress.enabled ? 'Change' : 'Set Duress Password'}
+                  </button>
+                  {duress.enabled && (
+                    <button
+                      onClick={handleDuressRemove}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              )}
+              {duressSetup && (
+                <div className="space-y-4 max-w-md">
+                  <input
+                    type="password"
+                    value={duressSetup.password}
+                    onChange={(e) => setDuressSetup(prev => ({ ...prev, password: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Duress password"
+                  />
+                  <input
+                    type="password"
+                    value={duressSetup.confirm}
+                    onChange={(e) => setDuressSetup(prev => ({ ...prev, confirm: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Confirm duress password"
+                  />
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={duressSetup.revokeTokens}
+                      onChange={(e) => setDuressSetup(prev => ({ ...prev, revokeTokens: e.target.checked }))}
+                      className="rounded border-gray-300"
+                    />
+                    <span className="text-sm text-gray-700">Also lock every folder that is currently unlocked</span>
+                  </label>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={handleDuressSetup}
+                      disabled={duressSetup.saving || !duressSetup.password || !duressSetup.confirm}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {duressSetup.saving ? 'Saving...' : 'Save Duress Password'}
+                    </button>
+                    <button
+                      onClick={() => setDuressSetup(null)}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Failed Attempts</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                Each wrong password makes the next try wait longer. After this many in a row from the same
+                network, that folder, image or sign-in is locked for a while.
+              </p>
+              {lockout && (
+                <div className="space-y-4 max-w-md">
+                  <input
+                    type="number"
+                    min={lockout.range.min}
+                    max={lockout.range.max}
+                    value={lockout.threshold}
+                    onChange={(e) => setLockout(prev => ({ ...prev, threshold: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder={`${lockout.defaultThreshold} attempts (default)`}
+                  />
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={lockout.wipeTokens}
+                      onChange={(e) => setLockout(prev => ({ ...prev, wipeTokens: e.target.checked }))}
+                      className="rounded border-gray-300"
+                    />
+                    <span className="text-sm text-gray-700">Also lock every folder that is currently unlocked</span>
+                  </label>
+                  <button
+                    onClick={handleLockoutSave}
+                    disabled={lockout.saving}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {lockout.saving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Hidden Folders</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                Hidden folders are left out of your folder list. Type the reveal phrase into the folder
+                search box and press Enter to show them for ten minutes.
+              </p>
+              {revealPhraseEnabled !== null && !revealPhraseSetup && (
+                <div className="flex items-center space-x-3">
+                  {revealPhraseEnabled && <p className="text-sm text-green-700">Reveal phrase set</p>}
+                  <button
+                    onClick={() => setRevealPhraseSetup({ phrase: '', confirm: '', saving: false })}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    {revealPhraseEnabled ? 'Change' : 'Set Reveal Phrase'}
+                  </button>
+                  {revealPhraseEnabled && (
+                    <button
+                      onClick={handleRevealPhraseRemove}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              )}
+              {revealPhraseSetup && (
+                <div className="space-y-4 max-w-md">
+                  <input
+                    type="password"
+                    value={revealPhraseSetup.phrase}
+                    onChange={(e) => setRevealPhraseSetup(prev => ({ ...prev, phrase: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Reveal phrase"
+                  />
+                  <input
+                    type="password"
+                    value={revealPhraseSetup.confirm}
+                    onChange={(e) => setRevealPhraseSetup(prev => ({ ...prev, confirm: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Confirm reveal phrase"
+                  />
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={handleRevealPhraseSetup}
+                      disabled={revealPhraseSetup.saving || !revealPhraseSetup.phrase || !revealPhraseSetup.confirm}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {revealPhraseSetup.saving ? 'Saving...' : 'Save Reveal Phrase'}
+                    </button>
+                    <button
+                      onClick={() => setRevealPhraseSetup(null)}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">App Disguise</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                Open the app as a working calculator or notes app. The sign-in page only appears after
+                you enter your secret sequence in it.
+              </p>
+              {facadeSettings && (
+                <div className="space-y-4 max-w-md">
+                  <select
+                    value={facadeSettings.mode}
+                    onChange={(e) => setFacadeSettings(prev => ({ ...prev, mode: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="off">Off</option>
+                    {Object.entries(FACADES).map(([mode, facade]) => (
+                      <option key={mode} value={mode}>{facade.name}</option>
+                    ))}
+                  </select>
+                  {facadeSettings.mode !== 'off' && (
+                    <>
+                      <input
+                        type="text"
+                        value={facadeSettings.sequence}
+                        onChange={(e) => setFacadeSettings(prev => ({ ...prev, sequence: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                        placeholder={FACADES[facadeSettings.mode].sequenceHint}
+                        autoComplete="off"
+                      />
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={facadeSettings.sync}
+                          onChange={(e) => setFacadeSettings(prev => ({ ...prev, sync: e.target.checked }))}
+                          className="rounded border-gray-300"
+                        />
+                        <span className="text-sm text-gray-700">Also keep it in my account for other browsers</span>
+                      </label>
+                    </>
+                  )}
+                  <button
+                    onClick={handleFacadeSave}
+                    disabled={facadeSettings.saving}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {facadeSettings.saving ? 'Saving...' : 'Save Disguise'}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Two-Factor Authentication</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                {AUTH_MODE === 'local'
+                  ? 'Ask for a code from an authenticator app when signing in, and optionally when unlocking protected folders.'
+                  : 'Ask for a code from an authenticator app when unlocking protected folders.'}
+              </p>
+              {twoFactor && !twoFactor.enabled && !twoFactorSetup && (
+                <button
+                  onClick={startTwoFactorSetup}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  Set Up Two-Factor
+                </button>
+              )}
+              {twoFactorSetup && (
+                <div className="space-y-4 max-w-md">
+                  <p className="text-sm text-gray-700">
+                    Scan this code with your authenticator app, then enter the 6-digit code it shows.
+                  </p>
+                  <img src={twoFactorSetup.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+                  <p className="text-xs text-gray-500">
+                    Can't scan it? Enter this key instead:
+                    <span className="block font-mono text-sm text-gray-800 break-all select-all">{twoFactorSetup.secret}</span>
+                  </p>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={twoFactorSetup.code}
+                    onChange={(e) => setTwoFactorSetup(prev => ({ ...prev, code: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="6-digit code"
+                  />
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={handleTwoFactorVerify}
+                      disabled={twoFactorSetup.saving || !twoFactorSetup.code.trim()}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {twoFactorSetup.saving ? 'Verifying...' : 'Verify and Turn On'}
+                    </button>
+                    <button
+                      onClick={() => setTwoFactorSetup(null)}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+              {backupCodes && (
+                <div className="space-y-2 max-w-md mb-4">
+                  <p className="text-sm text-gray-700">
+                    Save these backup codes somewhere safe. Each one works once, in place of a code from
+                    your app, and they will not be shown again.
+                  </p>
+                  <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-100 rounded-md p-3 select-all">
+                    {backupCodes.map(code => <li key={code}>{code}</li>)}
+                  </ul>
+                  <button
+                    onClick={() => setBackupCodes(null)}
+                    className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                  >
+                    I have saved them
+                  </button>
+                </div>
+              )}
+              {twoFactor?.enabled && (
+                <div className="space-y-4 max-w-md">
+                  <p className="text-sm text-green-700">
+                    Two-factor enabled • {twoFactor.backupCodesLeft} backup codes left
+                    {twoFactor.folders && ' • asked for on protected folders'}
+                  </p>
+                  <input
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Current code or a backup code"
+                  />
+                  <div className="flex flex-wrap gap-3">
+                    <button
+                      onClick={() => handleTwoFactorChange('folders')}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                      {twoFactor.folders ? 'Stop Asking on Folders' : 'Ask on Protected Folders'}
+                    </button>
+                    <button
+                      onClick={() => handleTwoFactorChange('backupCodes')}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      New Backup Codes
+                    </button>
+                    <button
+                      onClick={() => handleTwoFactorChange('disable')}
+                      className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors"
+                    >
+                      Turn Off
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {passkeys && (
+              <div className="mt-6">
+                <h3 className="text-md font-medium text-gray-900 mb-2">Passkeys</h3>
+                <p className="text-sm text-gray-600 mb-3 max-w-md">
+                  Unlock protected folders with your fingerprint, face or screen lock instead of typing
+                  their passwords. Passkeys that support PRF can unlock the vault too.
+                </p>
+                <div className="space-y-3 max-w-md">
+                  {passkeys.length > 0 && (
+                    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                      {passkeys.map(passkey => (
+                        <li key={passkey.id} className="flex items-center justify-between px-3 py-2">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">
+                              {passkey.name}
+                              {passkey.unlocksVault && <span className="ml-2 text-xs text-green-600">Unlocks the vault</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}` : 'Never used'}
+                              {!passkey.prf && ' • no PRF support'}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleRemovePasskey(passkey.id)}
+                            className="text-sm text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {passkeys.some(passkey => passkey.prf && !passkey.unlocksVault) && vault.isUnlocked() && (
+                    <button
+                      onClick={handlePasskeyVaultUnlock}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400 transition-colors"
+                    >
+                      Let a Passkey Unlock the Vault
+                    </button>
+                  )}
+                  {!twoFactor?.enabled && AUTH_MODE !== 'local' && (
+                    <p className="text-sm text-gray-600">Turn on two-factor authentication to add a passkey.</p>
+                  )}
+                  <div className="flex space-x-3">
+                    <input
+                      type="text"
+                      value={newPasskey.name}
+                      onChange={(e) => setNewPasskey(prev => ({ ...prev, name: e.target.value }))}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                      placeholder="Name, such as My phone"
+                      maxLength={100}
+                    />
+                    {(twoFactor?.enabled || AUTH_MODE === 'local') && (
+                      <input
+                        type={twoFactor?.enabled ? 'text' : 'password'}
+                        value={newPasskey.proof}
+                        onChange={(e) => setNewPasskey(prev => ({ ...prev, proof: e.target.value }))}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                        placeholder={twoFactor?.enabled ? 'Authentication or backup code' : 'Account password'}
+                        autoComplete={twoFactor?.enabled ? 'one-time-code' : 'current-password'}
+                      />
+                    )}
+                    <button
+                      onClick={handleAddPasskey}
+                      disabled={newPasskey.saving || !newPasskey.name.trim() || !newPasskey.proof}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {newPasskey.saving ? 'Adding...' : 'Add Passkey'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {AUTH_MODE === 'local' && (
+              <div className="mt-6">
+                <h3 className="text-md font-medium text-gray-900 mb-2">Signed-in Devices</h3>
+                {sessions && (
+                  <div className="space-y-3 max-w-md">
+                    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                      {sessions.map(session => (
+                        <li key={session.id} className="flex items-center justify-between px-3 py-2">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">
+                              {session.device || 'Unknown device'}
+                              {session.current && <span className="ml-2 text-xs text-green-600">This device</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {session.ipAddress} • last seen {new Date(session.lastSeenAt).toLocaleString()}
+                            </p>
+                          </div>
+                          {!session.current && (
+                            <button
+                              onClick={() => revokeSession(session.id)}
+                              className="text-sm text-red-600 hover:text-red-800"
+                            >
+                              Sign out
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    <button
+                      onClick={logoutEverywhere}
+                      className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors"
+                    >
+                      Log Out Everywhere
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Panic</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                Instantly wipe what is open, lock the vault and leave for your disguise (or another
+                page). These settings apply to this browser only.
+              </p>
+              {panicSettings && (
+                <div className="space-y-4 max-w-md">
+                  {Object.entries(PANIC_TRIGGERS).map(([trigger, { label }]) => (
+                    <label key={trigger} className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={panicSettings[trigger]}
+                        onChange={(e) => togglePanicTrigger(trigger, e.target.checked)}
+                        className="rounded border-gray-300"
+                      />
+                      <span className="text-sm text-gray-700">{label}</span>
+                    </label>
+                  ))}
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={panicSettings.revokeTokens}
+                      onChange={(e) => setPanicSettings(prev => ({ ...prev, revokeTokens: e.target.checked }))}
+                      className="rounded border-gray-300"
+                    />
+                    <span className="text-sm text-gray-700">Also lock every protected folder on all devices</span>
+                  </label>
+                  <input
+                    type="url"
+                    value={panicSettings.redirectUrl}
+                    onChange={(e) => setPanicSettings(prev => ({ ...prev, redirectUrl: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder={`Page to open without a disguise (${DEFAULT_REDIRECT_URL})`}
+                    autoComplete="off"
+                  />
+                  <button
+                    onClick={handlePanicSave}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    Save Panic Settings
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-md font-medium text-gray-900 mb-2">Unlock Gesture</h3>
+              <p className="text-sm text-gray-600 mb-3 max-w-md">
+                The gesture on a secure file's cover that asks for its password. The Unlock link under
+                the cover always works too.
+              </p>
+              {gestureSettings && (
+                <div className="space-y-4 max-w-md">
+                  <select
+                    value={gestureSettings.gesture.type}
+                    onChange={(e) => setGestureSettings(prev => ({ ...prev, gesture: DEFAULT_GESTURES[e.target.value] }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    {Object.entries(GESTURE_TYPES).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-sm text-gray-500">{GESTURE_TYPES[gestureSettings.gesture.type].description}</p>
+
+                  {gestureSettings.gesture.type === 'taps' && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="number"
+                        min="2"
+                        max="10"
+                        value={gestureSettings.gesture.count}
+                        onChange={(e) => updateGesture({ count: parseInt(e.target.value, 10) || 2 })}
+                        className="w-20 px-3 py-2 border border-gray-300 rounded-md"
+                      />
+                      <span>taps within</span>
+                      <input
+                        type="number"
+                        min="200"
+                        max="5000"
+                        step="100"
+                        value={gestureSettings.gesture.windowMs}
+                        onChange={(e) => updateGesture({ windowMs: parseInt(e.target.value, 10) || 200 })}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-md"
+                      />
+                      <span>ms</span>
+                    </div>
+                  )}
+
+                  {gestureSettings.gesture.type === 'regions' && (
+                    <div className="flex items-start space-x-4">
+                      <div className="grid grid-cols-3 gap-1 w-36 h-36">
+                        {GESTURE_REGIONS.map(region => (
+                          <button
+                            key={region}
+                            type="button"
+                            onClick={() => updateGesture({ regions: [...gestureSettings.gesture.regions, region].slice(0, 8) })}
+                            className="bg-gray-100 hover:bg-blue-100 rounded text-xs text-gray-700"
+                            aria-label={region}
+                          >
+                            {gestureSettings.gesture.regions
+                              .map((selected, index) => (selected === region ? index + 1 : null))
+                              .filter(Boolean)
+                              .join(',')}
+                          </button>
+                        ))}
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => updateGesture({ regions: [] })}
+                        className="text-sm text-gray-600 hover:text-gray-900"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  )}
+
+                  {gestureSettings.gesture.type === 'longPress' && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-700">
+                      <span>Hold for</span>
+                      <input
+                        type="number"
+                        min="400"
+                        max="5000"
+                        step="100"
+                        value={gestureSettings.gesture.durationMs}
+                        onChange={(e) => updateGesture({ durationMs: parseInt(e.target.value, 10) || 400 })}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-md"
+                      />
+                      <span>ms</span>
+                    </div>
+                  )}
+
+                  {gestureSettings.gesture.type === 'swipe' && (
+                    <div className="space-y-2">
+                      <p className="text-sm text-gray-700">
+                        {gestureSettings.gesture.pattern.length > 0 ? gestureSettings.gesture.pattern.join(' → ') : 'No swipes yet'}
+                      </p>
+                      <div className="flex flex-wrap gap-2">
+                        {SWIPE_DIRECTIONS.map(direction => (
+                          <button
+                            key={direction}
+                            type="button"
+                            onClick={() => updateGesture({ pattern: [...gestureSettings.gesture.pattern, direction].slice(0, 6) })}
+                            className="px-3 py-1 bg-gray-100 hover:bg-blue-100 rounded-md text-sm text-gray-700"
+                          >
+                            {direction}
+                          </button>
+                        ))}
+                        <button
+                          type="button"
+                          onClick={() => updateGesture({ pattern: [] })}
+                          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+                        >
+                          Clear
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  <button
+                    onClick={handleGestureSave}
+                    disabled={gestureSettings.saving}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {gestureSettings.saving ? 'Saving...' : 'Save Gesture'}
+                  </button>
+                </div>
+              )}
+            </div>
           </div>
         </div>
       </div>
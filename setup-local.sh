@@ -28,8 +28,8 @@ DATABASE_URL="file:./dev.db"
 JWT_SECRET="local-development-jwt-secret-change-in-production"
 
 # Local file storage (instead of MinIO)
-STORAGE_TYPE="local"
-STORAGE_PATH="./uploads"
+STORAGE_DRIVER="local"
+LOCAL_STORAGE_DIR="./uploads"
 
 # Server Configuration
 PORT=3001
@@ -155,88 +155,6 @@ echo "🔧 Setting up database..."
 npx prisma generate
 npx prisma db push
 
-# Create local storage service
-echo "📁 Creating local storage service..."
-cat > src/services/localStorage.js << 'EOF'
-const fs = require('fs').promises;
-const path = require('path');
-
-class LocalStorageService {
-  constructor() {
-    this.uploadsDir = process.env.STORAGE_PATH || './uploads';
-    this.encryptedDir = path.join(this.uploadsDir, 'encrypted');
-    this.coversDir = path.join(this.uploadsDir, 'covers');
-    this.initialized = false;
-  }
-
-  async initialize() {
-    try {
-      await fs.mkdir(this.encryptedDir, { recursive: true });
-      await fs.mkdir(this.coversDir, { recursive: true });
-      this.initialized = true;
-      console.log('✅ Local storage initialized');
-    } catch (error) {
-      console.error('❌ Local storage initialization failed:', error);
-      throw error;
-    }
-  }
-
-  async uploadEncryptedFile(data, fileName) {
-    const filePath = path.join(this.encryptedDir, `${Date.now()}-${fileName}`);
-    await fs.writeFile(filePath, data);
-    return path.relative(this.uploadsDir, filePath);
-  }
-
-  async uploadCoverImage(data, fileName) {
-    const filePath = path.join(this.coversDir, `${Date.now()}-${fileName}`);
-    await fs.writeFile(filePath, data);
-    return path.relative(this.uploadsDir, filePath);
-  }
-
-  async getEncryptedFile(storagePath) {
-    const filePath = path.join(this.uploadsDir, storagePath);
-    return await fs.readFile(filePath);
-  }
-
-  async getCoverImageUrl(coverPath) {
-    return `http://localhost:3001/uploads/${coverPath}`;
-  }
-
-  async deleteFile(storagePath) {
-    try {
-      const filePath = path.join(this.uploadsDir, storagePath);
-      await fs.unlink(filePath);
-    } catch (error) {
-      console.warn('File deletion failed:', error.message);
-    }
-  }
-
-  async fileExists(storagePath) {
-    try {
-      const filePath = path.join(this.uploadsDir, storagePath);
-      await fs.access(filePath);
-      return true;
-    } catch {
-      return false;
-    }
-  }
-}
-
-const localStorageService = new LocalStorageService();
-
-const initializeStorage = async () => {
-  await localStorageService.initialize();
-};
-
-module.exports = {
-  storageService: localStorageService,
-  initializeStorage
-};
-EOF
-
-# Update storage import in main files
-sed -i '' 's/..\/services\/storage/..\/services\/localStorage/g' src/routes/files.js src/routes/folders.js src/index.js 2>/dev/null || true
-
 # Seed database
 echo "🌱 Seeding database..."
 npm run seed